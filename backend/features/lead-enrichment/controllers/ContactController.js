@@ -0,0 +1,173 @@
+const LeadEnrichmentController = require('./LeadEnrichmentController');
+const {
+  BUYER_ROLES,
+  CLASSIFICATION_SOURCES,
+  normalizePersonas,
+  classifyContact,
+  scoreContact,
+  rankByAccount
+} = require('../services/ContactPersonas');
+const { countValidationStatuses } = require('../services/AIOutputSchema');
+
+const MAX_CONTACTS = 500;
+
+/**
+ * Contact Controller
+ *
+ * Person-level enrichment: classifies contacts by seniority and function,
+ * scores them against ICP buyer personas and ranks them within each account.
+ * Keyword rules handle common titles; only the titles they can't resolve
+ * are sent to the AI provider.
+ */
+class ContactController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(ContactController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Classify contacts and rank them within their accounts
+   * POST /api/lead-enrichment/classify-contacts
+   * Body: { contacts, personas?, use_ai? }
+   */
+  async classifyContacts(req, res) {
+    let ai = null;
+
+    try {
+      const { contacts, personas: personasInput = [], use_ai = true } = req.body;
+
+      if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > MAX_CONTACTS) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `contacts must be a non-empty array of at most ${MAX_CONTACTS} people`
+        });
+      }
+
+      const { personas, errors } = normalizePersonas(personasInput);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid personas',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      // Step 1: Keyword rules
+      const classifications = contacts.map(contact => classifyContact(contact || {}));
+      const ambiguous = classifications
+        .map((classification, index) => ({ classification, index }))
+        .filter(({ classification }) => !classification.resolved && classification.title);
+
+      console.log(`👥 Classifying ${contacts.length} contacts: ${contacts.length - ambiguous.length} by rules, ${ambiguous.length} ambiguous titles`);
+
+      // Step 2: AI fallback for titles the rules could not resolve, once per distinct title
+      ai = LeadEnrichmentController.createAIContext(req);
+      if (use_ai && ambiguous.length > 0) {
+        const titleIds = new Map();
+        ambiguous.forEach(({ classification }) => {
+          if (!titleIds.has(classification.title)) titleIds.set(classification.title, `t${titleIds.size + 1}`);
+        });
+
+        const analysisService = await LeadEnrichmentController.createAnalysisService(
+          LeadEnrichmentController.getSecurityContext(req),
+          ai
+        );
+        const aiResults = await analysisService.classifyTitles(
+          [...titleIds].map(([title, id]) => ({ id, title }))
+        );
+
+        ambiguous.forEach(({ classification, index }) => {
+          classifications[index] = this.mergeAIClassification(classification, aiResults.get(titleIds.get(classification.title)));
+        });
+      }
+
+      // Step 3: Buyer roles, scores and ranking within accounts
+      const scored = contacts.map((contact, index) => {
+        const { resolved, ...classification } = classifications[index];
+        const { buyerRole, score, matchedPersona } = scoreContact(classification, personas);
+        return {
+          ...contact,
+          contactIndex: index,
+          classification,
+          buyerRole,
+          buyerRoleScore: score,
+          matchedPersona
+        };
+      });
+
+      const accounts = rankByAccount(scored).map(({ account, contacts: ranked }) => ({
+        account,
+        decisionMakers: ranked.filter(contact => contact.buyerRole === BUYER_ROLES.DECISION_MAKER).length,
+        influencers: ranked.filter(contact => contact.buyerRole === BUYER_ROLES.INFLUENCER).length,
+        contacts: ranked
+      }));
+
+      const count = values => values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+      const unclassified = scored.filter(contact => !contact.classification.source);
+
+      console.log(`✅ Classified contacts across ${accounts.length} accounts, ${unclassified.length} unclassified`);
+
+      res.json({
+        success: true,
+        data: accounts,
+        metadata: {
+          total_input: contacts.length,
+          total_accounts: accounts.length,
+          buyer_role_counts: count(scored.map(contact => contact.buyerRole)),
+          classification_source_counts: count(scored.map(contact => contact.classification.source || 'unclassified')),
+          ai_fallback_enabled: !!use_ai,
+          ai_classification_status_counts: countValidationStatuses(
+            scored.map(contact => contact.classification.aiValidationStatus)
+          ),
+          unclassified_contacts: unclassified.map(contact => ({
+            index: contact.contactIndex,
+            name: contact.name || contact.full_name || contact.fullName ||
+              [contact.first_name, contact.last_name].filter(Boolean).join(' ') || null,
+            title: contact.classification.title
+          })),
+          personas,
+          ...LeadEnrichmentController.getAIMetadata(ai)
+        }
+      });
+
+    } catch (error) {
+      console.error('Contact classification error:', error);
+      res.status(500).json({
+        error: 'Contact classification failed',
+        message: error.message
+      });
+    } finally {
+      ai?.usageTracker.persist();
+    }
+  }
+
+  /**
+   * Fill what the rules left open with the AI result; fields the rules did
+   * find are kept
+   * @param {Object} classification - From classifyContact()
+   * @param {Object} aiResult - From CompanyAnalysisService.classifyTitles()
+   */
+  mergeAIClassification(classification, aiResult) {
+    if (!aiResult) return classification;
+
+    const seniority = classification.seniority || aiResult.seniority;
+    const fn = classification.function || aiResult.function;
+    const resolved = !!(seniority && fn);
+
+    return {
+      ...classification,
+      seniority,
+      function: fn,
+      confidence: resolved ? aiResult.confidence : 0,
+      source: resolved ? CLASSIFICATION_SOURCES.AI : null,
+      resolved,
+      aiValidationStatus: aiResult.validationStatus
+    };
+  }
+}
+
+module.exports = new ContactController();
@@ -0,0 +1,118 @@
+const CreditEstimator = require('../services/CreditEstimator');
+const FirmographicFilter = require('../services/FirmographicFilter');
+
+const ENDPOINTS = ['enrich', 'batch-enrich', 'filter-companies'];
+
+/**
+ * Estimate Controller
+ *
+ * Dry run of a billable request: applies the firmographic rules and reports
+ * credits, websites to scrape and AI calls without doing any network work.
+ */
+class EstimateController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(EstimateController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Estimate the cost of a request
+   * POST /api/lead-enrichment/estimate
+   * Body: { endpoint: "enrich" | "batch-enrich" | "filter-companies", ...that endpoint's body }
+   */
+  async estimate(req, res) {
+    try {
+      const { endpoint, ...body } = req.body;
+
+      if (!ENDPOINTS.includes(endpoint)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `"endpoint" must be one of ${ENDPOINTS.join(', ')}`
+        });
+      }
+
+      const estimator = new CreditEstimator();
+      let estimate;
+
+      if (endpoint === 'enrich') {
+        const { leads, topic, icp_description, rubric } = body;
+        if (!Array.isArray(leads)) {
+          return this.badRequest(res, 'leads array is required');
+        }
+
+        const filter = this.compileRules(res, body.firmographic_rules);
+        if (filter === false) return;
+
+        estimate = estimator.estimateEnrich({
+          leads,
+          filter,
+          enableScraping: body.enable_website_scraping !== false,
+          enableAI: body.enable_ai_analysis !== false && !!(topic || icp_description || rubric),
+          batch: body.batch_ai_analysis !== false,
+          rubric: !!rubric,
+          consensus: body.consensus
+        });
+      } else if (endpoint === 'batch-enrich') {
+        const { batches } = body;
+        if (!Array.isArray(batches)) {
+          return this.badRequest(res, 'batches array is required');
+        }
+
+        if (batches.some(batch => !batch || typeof batch !== 'object')) {
+          return this.badRequest(res, 'every batch must be an object');
+        }
+
+        estimate = estimator.estimateBatchEnrich(batches);
+      } else {
+        const { companies } = body;
+        if (!Array.isArray(companies)) {
+          return this.badRequest(res, '"companies" array is required');
+        }
+
+        const filter = this.compileRules(res, body.firmographicRules);
+        if (filter === false) return;
+
+        estimate = estimator.estimateFilterCompanies({ companies, filter });
+      }
+
+      res.json({
+        success: true,
+        data: { endpoint, ...estimate }
+      });
+
+    } catch (error) {
+      console.error('Credit estimate error:', error);
+      res.status(500).json({
+        error: 'Estimate failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Compile firmographic rules or respond 400
+   * @returns {FirmographicFilter|null|false} false when a response was sent
+   */
+  compileRules(res, input) {
+    const { filter, errors } = FirmographicFilter.compile(input);
+    if (errors.length > 0) {
+      res.status(400).json({
+        error: 'Invalid firmographic rules',
+        message: errors.join('; '),
+        details: errors
+      });
+      return false;
+    }
+    return filter;
+  }
+
+  badRequest(res, message) {
+    return res.status(400).json({ error: 'Invalid request', message });
+  }
+}
+
+module.exports = new EstimateController();
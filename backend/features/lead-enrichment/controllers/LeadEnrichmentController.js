@@ -1,20 +1,57 @@
 const WebsiteScraperService = require('../services/WebsiteScraperService');
 const CompanyAnalysisService = require('../services/CompanyAnalysisService');
+const TechnologyFingerprintService = require('../services/TechnologyFingerprintService');
+const DomainResolver = require('../services/DomainResolver');
+const LLMProviderRegistry = require('../services/llm/LLMProviderRegistry');
+const { VALIDATION_STATUS, countValidationStatuses } = require('../services/AIOutputSchema');
+const UsageTracker = require('../services/UsageTracker');
+const ResponseCache = require('../services/llm/ResponseCache');
+const PromptTemplateStore = require('../services/PromptTemplateStore');
+const { normalizeRubric } = require('../services/IcpRubric');
+const FirmographicFilter = require('../services/FirmographicFilter');
+const { renderMarkdown } = require('../services/SalesIntelligence');
+const ConsensusScorer = require('../services/ConsensusScorer');
+const CreditEstimator = require('../services/CreditEstimator');
+const EmbeddingService = require('../services/EmbeddingService');
+const EmbeddingProviderRegistry = require('../services/embeddings/EmbeddingProviderRegistry');
+const ProviderError = require('../services/llm/ProviderError');
+const { SCRAPE_STATUS, buildStatus, countStatuses } = require('../services/ScrapeStatus');
+const { getRequestContext } = require('./requestContext');
 
 class LeadEnrichmentController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(LeadEnrichmentController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
   /**
    * Enrich leads with website analysis and AI scoring
    * POST /api/lead-enrichment/enrich
    */
   async enrichLeads(req, res) {
+    let ai = null;
+
     try {
       const {
         leads,
         topic,
         icp_description,
+        rubric: rubricInput,
+        firmographic_rules = null,
+        embedding_similarity = false,
+        seed_domains = null,
+        consensus: consensusInput = null,
         min_relevance_score = 5,
         enable_website_scraping = true,
-        enable_ai_analysis = true
+        enable_ai_analysis = true,
+        batch_ai_analysis = true,
+        crawl_websites = false,
+        max_pages_per_domain = 5,
+        technology_filter = null
       } = req.body;
 
       if (!leads || !Array.isArray(leads) || leads.length === 0) {
@@ -24,58 +61,149 @@ class LeadEnrichmentController {
         });
       }
 
-      if (!topic && !icp_description) {
+      if (!topic && !icp_description && !rubricInput) {
         return res.status(400).json({
           error: 'Missing required field',
-          message: 'Either "topic" or "icp_description" is required for enrichment'
+          message: 'One of "topic", "icp_description" or "rubric" is required for enrichment'
+        });
+      }
+
+      // A rubric replaces the topic for scoring
+      let rubric = null;
+      if (rubricInput) {
+        const normalized = normalizeRubric(rubricInput);
+        if (normalized.errors.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid rubric',
+            message: normalized.errors.join('; '),
+            details: normalized.errors
+          });
+        }
+        rubric = normalized.rubric;
+      }
+
+      const { filter: firmographicFilter, errors: ruleErrors } = FirmographicFilter.compile(firmographic_rules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid firmographic rules',
+          message: ruleErrors.join('; '),
+          details: ruleErrors
+        });
+      }
+
+      if (seed_domains !== null && (!Array.isArray(seed_domains) || seed_domains.length > 50)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'seed_domains must be an array of at most 50 domains'
+        });
+      }
+
+      const { config: consensusConfig, errors: consensusErrors } = ConsensusScorer.normalize(consensusInput);
+      if (consensusErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid consensus options',
+          message: consensusErrors.join('; '),
+          details: consensusErrors
         });
       }
 
-      const targetTopic = topic || icp_description;
-      const maxLeadsToProcess = Math.min(leads.length, 50); // Limit to 50 per batch
+      const { filter: technologyFilter, errors: technologyErrors } =
+        TechnologyFingerprintService.normalizeFilter(technology_filter);
+      if (technologyErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid technology filter',
+          message: technologyErrors.join('; '),
+          details: technologyErrors
+        });
+      }
+      if (technologyFilter && !enable_website_scraping) {
+        return res.status(400).json({
+          error: 'Invalid technology filter',
+          message: 'technology_filter needs website scraping; drop the filter or enable website scraping'
+        });
+      }
+
+      ai = this.createAIContext(req);
+
+      // Built before any network work, so an unusable second model fails the request up front
+      let analysisService = null;
+      let consensus = null;
+      if (enable_ai_analysis) {
+        analysisService = await this.createAnalysisService(this.getSecurityContext(req), ai);
+        if (consensusConfig) {
+          try {
+            consensus = this.createConsensusScorer(consensusConfig, parseFloat(min_relevance_score), analysisService, ai);
+          } catch (error) {
+            return res.status(400).json({
+              error: 'Invalid consensus options',
+              message: error.message
+            });
+          }
+        }
+      }
+
+      // Step 0: Firmographic rules (before any network work; rejected leads don't count toward the limit)
+      let candidates = leads;
+      let ruleResult = null;
+      if (firmographicFilter) {
+        ruleResult = firmographicFilter.apply(leads);
+        candidates = ruleResult.passed;
+        console.log(`🚫 Firmographic rules excluded ${ruleResult.rejected.length} leads`);
+      }
 
-      console.log(`🔍 Enriching ${maxLeadsToProcess} leads for topic: "${targetTopic}"`);
+      const targetTopic = rubric ? null : topic || icp_description;
+      const maxLeadsToProcess = Math.min(candidates.length, CreditEstimator.MAX_LEADS_PER_REQUEST);
 
-      let enrichedLeads = [...leads.slice(0, maxLeadsToProcess)];
+      console.log(rubric ?
+        `🔍 Enriching ${maxLeadsToProcess} leads against a ${rubric.criteria.length}-criteria rubric${rubric.name ? ` "${rubric.name}"` : ''}` :
+        `🔍 Enriching ${maxLeadsToProcess} leads for topic: "${targetTopic}"`);
+
+      let enrichedLeads = [...candidates.slice(0, maxLeadsToProcess)];
 
       // Step 1: Website Scraping (if enabled)
       if (enable_website_scraping) {
         console.log(`🌐 Scraping ${enrichedLeads.length} websites...`);
-        
-        const websiteScraperService = new WebsiteScraperService();
-        const urls = enrichedLeads
-          .map(lead => lead.website || lead.domain || lead.website_url)
-          .filter(Boolean);
-
-        if (urls.length > 0) {
-          const scrapedData = await websiteScraperService.scrapeMultiple(urls, 5);
-          
-          // Map scraped content back to leads
-          enrichedLeads = enrichedLeads.map(lead => {
-            const websiteUrl = lead.website || lead.domain || lead.website_url;
-            const scraped = scrapedData.find(s => s && s.url === websiteUrl);
-            
-            return {
-              ...lead,
-              websiteContent: scraped ? 
-                websiteScraperService.extractTextForAnalysis(scraped) : null,
-              websiteScraped: !!scraped,
-              scrapedAt: scraped?.scrapedAt || null
-            };
-          });
 
-          console.log(`✅ Scraped ${scrapedData.length}/${urls.length} websites successfully`);
-        }
+        enrichedLeads = await this.scrapeLeadWebsites(enrichedLeads, {
+          concurrency: 5,
+          crawl: crawl_websites,
+          maxPages: max_pages_per_domain,
+          securityContext: this.getSecurityContext(req)
+        });
+      }
+
+      // Step 1b: Hard technology filter (before spending AI calls)
+      let excludedByTechnology = 0;
+      if (technologyFilter) {
+        const filtered = this.applyTechnologyFilter(enrichedLeads, technologyFilter);
+        excludedByTechnology = enrichedLeads.length - filtered.length;
+        enrichedLeads = filtered;
+        console.log(`🧩 Technology filter excluded ${excludedByTechnology} leads`);
+      }
+
+      // Step 1c: Embedding similarity to the topic and seed companies (informational, no filtering)
+      let embeddingMetadata = null;
+      if (embedding_similarity) {
+        const similarity = await this.addEmbeddingSimilarity(enrichedLeads, {
+          topic: targetTopic,
+          seedDomains: seed_domains || [],
+          usageTracker: ai.usageTracker,
+          securityContext: this.getSecurityContext(req),
+          crawl: crawl_websites,
+          maxPages: max_pages_per_domain
+        });
+        enrichedLeads = similarity.leads;
+        embeddingMetadata = similarity.metadata;
       }
 
       // Step 2: AI Analysis (if enabled)
       if (enable_ai_analysis) {
         console.log(`🧠 Analyzing ${enrichedLeads.length} leads with AI...`);
-        
-        const analysisService = new CompanyAnalysisService();
+
         const analyzedLeads = await analysisService.analyzeCompanies(
           enrichedLeads,
-          targetTopic
+          targetTopic,
+          { batch: batch_ai_analysis !== false, rubric, consensus }
         );
 
         enrichedLeads = analyzedLeads;
@@ -99,10 +227,26 @@ class LeadEnrichmentController {
           total_input: leads.length,
           total_processed: maxLeadsToProcess,
           total_enriched: filteredLeads.length,
+          ...this.getRuleMetadata(ruleResult),
           website_scraping_enabled: enable_website_scraping,
+          website_crawl_enabled: !!crawl_websites,
+          technology_filter: technologyFilter,
+          total_excluded_by_technology: excludedByTechnology,
+          scrape_status_counts: enable_website_scraping ?
+            countStatuses(enrichedLeads.map(lead => lead.scrapeStatus)) : null,
           ai_analysis_enabled: enable_ai_analysis,
+          ai_batch_mode: enable_ai_analysis && batch_ai_analysis !== false && !rubric,
+          ai_analysis_status_counts: enable_ai_analysis ?
+            countValidationStatuses(enrichedLeads.map(lead => lead.aiAnalysisStatus)) : null,
+          unvalidated_leads: enable_ai_analysis ? this.getUnvalidatedLeads(enrichedLeads) : [],
+          ai_failed_leads: enable_ai_analysis ? this.getAIFailedLeads(enrichedLeads) : [],
           min_relevance_score: parseFloat(min_relevance_score),
-          topic: targetTopic
+          topic: targetTopic,
+          rubric,
+          embedding: embeddingMetadata,
+          consensus: enable_ai_analysis && consensusConfig ?
+            this.getConsensusMetadata(consensusConfig, enrichedLeads) : null,
+          ...this.getAIMetadata(ai)
         }
       });
 
@@ -112,6 +256,8 @@ class LeadEnrichmentController {
         error: 'Enrichment failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
     }
   }
 
@@ -120,8 +266,10 @@ class LeadEnrichmentController {
    * POST /api/lead-enrichment/analyze-website
    */
   async analyzeWebsite(req, res) {
+    let ai = null;
+
     try {
-      const { url, company, topic } = req.body;
+      const { url, company, topic, crawl = false, max_pages = 5 } = req.body;
 
       if (!url) {
         return res.status(400).json({
@@ -130,16 +278,30 @@ class LeadEnrichmentController {
         });
       }
 
-      console.log(`🌐 Analyzing website: ${url}`);
+      const target = new DomainResolver().normalize(url, { keepPath: true });
+      if (!target.valid) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: target.error
+        });
+      }
+
+      console.log(`🌐 Analyzing website: ${target.url}`);
 
       // Scrape website
-      const websiteScraperService = new WebsiteScraperService();
-      const scrapedData = await websiteScraperService.scrapeWebsite(url);
+      const websiteScraperService = new WebsiteScraperService({
+        securityContext: this.getSecurityContext(req)
+      });
+      const scrapedData = await websiteScraperService.scrapeWebsite(target.url, {
+        crawl,
+        maxPages: max_pages
+      });
 
-      if (!scrapedData) {
+      if (!websiteScraperService.isSuccess(scrapedData)) {
         return res.json({
           success: false,
           message: 'Failed to scrape website',
+          scrapeStatus: scrapedData.status,
           url
         });
       }
@@ -148,10 +310,11 @@ class LeadEnrichmentController {
 
       // AI analysis (if topic provided)
       let analysis = null;
+      ai = this.createAIContext(req);
       if (topic) {
-        const analysisService = new CompanyAnalysisService();
+        const analysisService = await this.createAnalysisService(this.getSecurityContext(req), ai);
         analysis = await analysisService.analyzeCompanyRelevance(
-          company || { name: url, website: url },
+          { ...(company || { name: url, website: url }), structuredData: scrapedData.structured },
           websiteContent,
           topic
         );
@@ -161,9 +324,14 @@ class LeadEnrichmentController {
         success: true,
         data: {
           url,
+          resolvedUrl: target.url,
+          canonicalDomain: scrapedData.canonicalDomain || target.domain,
           scraped: scrapedData,
           content: websiteContent,
           analysis: analysis
+        },
+        metadata: {
+          ...this.getAIMetadata(ai)
         }
       });
 
@@ -173,6 +341,8 @@ class LeadEnrichmentController {
         error: 'Analysis failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
     }
   }
 
@@ -181,6 +351,8 @@ class LeadEnrichmentController {
    * POST /api/lead-enrichment/batch-enrich
    */
   async batchEnrich(req, res) {
+    let ai = null;
+
     try {
       const { batches } = req.body;
 
@@ -194,10 +366,11 @@ class LeadEnrichmentController {
       console.log(`📦 Processing ${batches.length} enrichment batches...`);
 
       const results = [];
+      ai = this.createAIContext(req);
 
       for (const batch of batches) {
         try {
-          const enrichResult = await this.enrichLeadsInternal(batch);
+          const enrichResult = await this.enrichLeadsInternal(batch, this.getSecurityContext(req), ai);
           results.push({
             success: true,
             batch_id: batch.id || results.length + 1,
@@ -221,6 +394,9 @@ class LeadEnrichmentController {
           total_batches: batches.length,
           successful: successCount,
           failed: batches.length - successCount
+        },
+        metadata: {
+          ...this.getAIMetadata(ai)
         }
       });
 
@@ -230,48 +406,399 @@ class LeadEnrichmentController {
         error: 'Batch enrichment failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
+    }
+  }
+
+  /**
+   * Scrape each lead's website and attach the results.
+   * Websites are canonicalized first and results are matched back by lead index,
+   * so bare domains, redirects and www. variants never lose their content.
+   * @param {Array} leads - Leads with website/domain fields
+   * @param {Object} options - { concurrency, crawl, maxPages, securityContext, scraperService }
+   *   (scraperService replaces the live scraper, e.g. with stored snapshots)
+   * @returns {Promise<Array>} Leads with website fields attached, in input order
+   */
+  async scrapeLeadWebsites(leads, { concurrency = 5, crawl = false, maxPages = 5, securityContext = {}, scraperService = null } = {}) {
+    const domainResolver = new DomainResolver();
+    const websiteScraperService = scraperService || new WebsiteScraperService({ securityContext });
+
+    const targets = leads.map(lead => domainResolver.normalize(domainResolver.getLeadWebsite(lead)));
+
+    // Several leads can share a website; fetch each canonical URL once
+    const uniqueUrls = [...new Set(targets.filter(t => t.valid).map(t => t.url))];
+    const scrapedData = uniqueUrls.length > 0 ?
+      await websiteScraperService.scrapeMultiple(uniqueUrls, concurrency, { crawl, maxPages }) :
+      [];
+    const scrapedByUrl = new Map(uniqueUrls.map((url, i) => [url, scrapedData[i]]));
+
+    const results = leads.map((lead, index) => {
+      const target = targets[index];
+      const scraped = target.valid ? scrapedByUrl.get(target.url) : null;
+      const usable = websiteScraperService.isSuccess(scraped);
+
+      let scrapeStatus = scraped?.status || null;
+      if (!target.valid) {
+        scrapeStatus = domainResolver.getLeadWebsite(lead) ?
+          buildStatus(SCRAPE_STATUS.INVALID_URL, { message: target.error }) :
+          buildStatus(SCRAPE_STATUS.MISSING_WEBSITE);
+      }
+
+      return {
+        ...lead,
+        leadIndex: index,
+        websiteUrl: target.url,
+        canonicalDomain: scraped?.canonicalDomain || target.domain,
+        websiteContent: usable ? 
+          websiteScraperService.extractTextForAnalysis(scraped) : null,
+        websiteScraped: !!usable,
+        structuredData: usable ? scraped.structured : null,
+        contacts: usable ? scraped.contacts : null,
+        technologies: usable ? scraped.technologies : null,
+        scrapeStatus,
+        websitePages: scraped?.pages ?
+          scraped.pages.map(page => ({ url: page.url, category: page.category })) : undefined,
+        scrapedAt: scraped?.scrapedAt || null
+      };
+    });
+
+    const scrapedCount = scrapedData.filter(s => websiteScraperService.isSuccess(s)).length;
+    console.log(`✅ Scraped ${scrapedCount}/${uniqueUrls.length} websites successfully`);
+
+    return results;
+  }
+
+  /**
+   * Drop leads that fail a hard technology filter; tag the rest with matched technologies
+   * @param {Array} leads - Leads with `technologies` from scraping
+   * @param {Object} filter - { include_any, include_all, exclude, min_confidence }
+   * @returns {Array} Leads that passed
+   */
+  applyTechnologyFilter(leads, filter) {
+    const fingerprintService = new TechnologyFingerprintService();
+    const requiresPresence = (filter.include_any || []).length > 0 || (filter.include_all || []).length > 0;
+
+    return leads.filter(lead => {
+      // Without scraped tech data we can only honour exclusions
+      if (!lead.technologies && requiresPresence) return false;
+
+      const result = fingerprintService.applyFilter(lead.technologies, filter);
+      lead.technologyMatches = result.matched;
+      return result.passed;
+    });
+  }
+
+  /**
+   * Organization and user the request runs for, attached to security events
+   * @param {Object} req - Express request
+   * @returns {{organizationId: string|null, userId: string|null}}
+   */
+  getSecurityContext(req) {
+    return getRequestContext(req);
+  }
+
+  /**
+   * Leads whose AI analysis failed schema validation (they have no relevance score
+   * and are excluded by the score filter)
+   * @param {Array} leads - Analyzed leads
+   * @returns {Array<{index: number, name: string|null, website: string|null, validationErrors: string[]}>}
+   */
+  getUnvalidatedLeads(leads) {
+    return this.getLeadsWithAIStatus(leads, VALIDATION_STATUS.INVALID)
+      .map(({ lead, ...entry }) => ({ ...entry, validationErrors: lead.aiAnalysis?.validationErrors || [] }));
+  }
+
+  /**
+   * Leads the AI provider failed on (rate limit, outage, timeout). They were not
+   * judged irrelevant; retrying them later may succeed.
+   * @param {Array} leads - Analyzed leads
+   * @returns {Array<{index: number, name: string|null, website: string|null, providerError: Object}>}
+   */
+  getAIFailedLeads(leads) {
+    return this.getLeadsWithAIStatus(leads, VALIDATION_STATUS.PROVIDER_ERROR)
+      .map(({ lead, ...entry }) => ({ ...entry, providerError: lead.aiAnalysis?.providerError || null }));
+  }
+
+  /**
+   * Attach embedding similarity to each lead: topicSimilarity (to the topic) and
+   * seedSimilarity / nearestSeeds (to the seed companies). An embedding provider
+   * failure is reported in the metadata and leaves the leads unscored.
+   * @param {Array} leads - Leads after scraping (profile fields are used when there is no website text)
+   * @param {Object} options - { topic, seedDomains, usageTracker, securityContext, crawl, maxPages }
+   * @returns {Promise<{leads: Array, metadata: Object}>}
+   */
+  async addEmbeddingSimilarity(leads, { topic, seedDomains, usageTracker, securityContext, crawl, maxPages }) {
+    const provider = await EmbeddingProviderRegistry.getShared().forOrganization(securityContext.organizationId);
+    const embeddings = new EmbeddingService({
+      provider,
+      organizationId: securityContext.organizationId,
+      usageTracker
+    });
+
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ Embedding provider "${provider.provider}" not configured, skipping similarity`);
+      return { leads, metadata: { ...embeddings.stats(), error: 'not_configured' } };
+    }
+
+    try {
+      const { seeds, report } = seedDomains.length > 0 ?
+        await embeddings.embedSeeds(seedDomains, companies => this.scrapeLeadWebsites(companies, {
+          concurrency: 5,
+          crawl,
+          maxPages,
+          securityContext
+        })) :
+        { seeds: [], report: [] };
+
+      const leadResults = await embeddings.embedCompanies(leads);
+      const topicVector = topic ? await embeddings.embedTopic(topic) : null;
+      const scores = EmbeddingService.score(leadResults.map(result => result.vector), { seeds, topicVector });
+
+      console.log(`🧬 Embedding similarity added for ${scores.filter(Boolean).length}/${leads.length} leads`);
+
+      return {
+        leads: leads.map((lead, index) => ({
+          ...lead,
+          topicSimilarity: scores[index]?.topicSimilarity ?? null,
+          seedSimilarity: scores[index]?.seedSimilarity ?? null,
+          nearestSeeds: scores[index]?.nearestSeeds || []
+        })),
+        metadata: { ...embeddings.stats(), seeds: report }
+      };
+    } catch (error) {
+      if (!(error instanceof ProviderError)) throw error;
+
+      console.warn(`⚠️ Embedding similarity skipped: ${error.message}`);
+      return { leads, metadata: { ...embeddings.stats(), error: error.toJSON() } };
+    }
+  }
+
+  /**
+   * Firmographic rule results for response metadata
+   * @param {Object|null} ruleResult - FirmographicFilter.apply() result, null when no rules were given
+   * @returns {Object}
+   */
+  getRuleMetadata(ruleResult) {
+    if (!ruleResult) {
+      return { total_excluded_by_rules: 0, excluded_by_rules: [] };
+    }
+
+    return {
+      total_excluded_by_rules: ruleResult.rejected.length,
+      excluded_by_rule_counts: ruleResult.rejectedByRule,
+      excluded_by_rules: ruleResult.rejected
+    };
+  }
+
+  getLeadsWithAIStatus(leads, status) {
+    const domainResolver = new DomainResolver();
+    return leads
+      .map((lead, index) => ({ lead, index }))
+      .filter(({ lead }) => lead.aiAnalysisStatus === status)
+      .map(({ lead, index }) => ({
+        lead,
+        index,
+        name: lead.name || lead.company_name || null,
+        website: domainResolver.getLeadWebsite(lead) || null
+      }));
+  }
+
+  /**
+   * Analysis service using the organization's AI provider and model
+   * @param {{organizationId: string|null}} context - Request context
+   * @param {{usageTracker: UsageTracker, responseCache: ResponseCache, promptTemplates: PromptTemplateStore}} ai -
+   *   From createAIContext()
+   * @returns {Promise<CompanyAnalysisService>}
+   */
+  async createAnalysisService(context = {}, ai = {}) {
+    const llm = await LLMProviderRegistry.getShared().forOrganization(context.organizationId);
+    return new CompanyAnalysisService({
+      llm,
+      usageTracker: ai.usageTracker,
+      responseCache: ai.responseCache,
+      promptTemplates: ai.promptTemplates
+    });
+  }
+
+  /**
+   * Consensus scorer around an analysis service; the optional second model
+   * shares its usage tracking, cache and prompt templates
+   * @param {Object} config - From ConsensusScorer.normalize()
+   * @param {number} threshold - min_relevance_score
+   * @param {CompanyAnalysisService} analysisService - Primary model
+   * @param {Object} ai - From createAIContext()
+   * @returns {ConsensusScorer}
+   * @throws {Error} When the second model's provider is unknown or not configured
+   */
+  createConsensusScorer(config, threshold, analysisService, ai = {}) {
+    const services = [analysisService];
+
+    if (config.secondModel) {
+      const llm = LLMProviderRegistry.getShared().create({
+        provider: config.secondModel.provider || analysisService.provider,
+        model: config.secondModel.model
+      });
+      if (!llm.isConfigured()) {
+        throw new Error(`Second model provider "${llm.provider}" is not configured`);
+      }
+
+      services.push(new CompanyAnalysisService({
+        llm,
+        usageTracker: ai.usageTracker,
+        responseCache: ai.responseCache,
+        promptTemplates: ai.promptTemplates
+      }));
     }
+
+    return new ConsensusScorer(config, { threshold, services });
+  }
+
+  /**
+   * Consensus settings, how many leads were re-scored and which are still unresolved
+   */
+  getConsensusMetadata(config, leads) {
+    const domainResolver = new DomainResolver();
+    const rescored = leads.filter(lead => lead.aiAnalysis?.consensus);
+
+    return {
+      band: config.band,
+      samples: config.samples,
+      min_agreement: config.minAgreement,
+      second_model: config.secondModel,
+      total_rescored: rescored.length,
+      unresolved_leads: rescored
+        .filter(lead => lead.aiAnalysis.consensus.unresolved)
+        .map(lead => ({
+          name: lead.name || lead.company_name || null,
+          website: domainResolver.getLeadWebsite(lead) || null,
+          score: lead.relevanceScore,
+          votes: lead.aiAnalysis.consensus.votes
+        }))
+    };
+  }
+
+  /**
+   * Per-request AI bookkeeping: usage tracking (attributed to organization, user and
+   * route), the organization's response cache and prompt templates. `bypass_cache: true`
+   * in the body or query skips cache reads.
+   * @param {Object} req - Express request
+   * @returns {{usageTracker: UsageTracker, responseCache: ResponseCache, promptTemplates: PromptTemplateStore}}
+   */
+  createAIContext(req) {
+    const context = getRequestContext(req);
+    const bypass = req.body?.bypass_cache === true || req.query?.bypass_cache === 'true';
+
+    return {
+      usageTracker: new UsageTracker({
+        ...context,
+        endpoint: req.route?.path || req.path || null
+      }),
+      responseCache: new ResponseCache({
+        organizationId: context.organizationId,
+        bypass
+      }),
+      promptTemplates: new PromptTemplateStore({
+        organizationId: context.organizationId
+      })
+    };
+  }
+
+  /**
+   * AI usage, cache counts and prompt template versions for the response metadata
+   */
+  getAIMetadata(ai) {
+    return {
+      ai_usage: ai.usageTracker.summary(),
+      ai_cache: ai.responseCache.stats(),
+      prompt_templates: ai.promptTemplates.usedVersions()
+    };
   }
 
   /**
    * Internal helper for enrichment logic
    */
-  async enrichLeadsInternal(params) {
+  async enrichLeadsInternal(params, securityContext = {}, ai = {}) {
     const {
       leads,
       topic,
+      rubric: rubricInput = null,
+      firmographic_rules = null,
+      consensus: consensusInput = null,
       min_relevance_score = 5,
       enable_website_scraping = true,
-      enable_ai_analysis = true
+      enable_ai_analysis = true,
+      batch_ai_analysis = true,
+      crawl_websites = false,
+      max_pages_per_domain = 5,
+      technology_filter = null
     } = params;
 
-    let enrichedLeads = [...leads];
+    let rubric = null;
+    if (rubricInput) {
+      const normalized = normalizeRubric(rubricInput);
+      if (normalized.errors.length > 0) {
+        throw new Error(`Invalid rubric: ${normalized.errors.join('; ')}`);
+      }
+      rubric = normalized.rubric;
+    }
 
-    if (enable_website_scraping) {
-      const websiteScraperService = new WebsiteScraperService();
-      const urls = enrichedLeads
-        .map(lead => lead.website || lead.domain)
-        .filter(Boolean);
+    const { filter: firmographicFilter, errors: ruleErrors } = FirmographicFilter.compile(firmographic_rules);
+    if (ruleErrors.length > 0) {
+      throw new Error(`Invalid firmographic rules: ${ruleErrors.join('; ')}`);
+    }
 
-      if (urls.length > 0) {
-        const scrapedData = await websiteScraperService.scrapeMultiple(urls, 3);
-        
-        enrichedLeads = enrichedLeads.map(lead => {
-          const websiteUrl = lead.website || lead.domain;
-          const scraped = scrapedData.find(s => s.url === websiteUrl);
-          
-          return {
-            ...lead,
-            websiteContent: scraped ? 
-              websiteScraperService.extractTextForAnalysis(scraped) : null
-          };
-        });
+    const { config: consensusConfig, errors: consensusErrors } = ConsensusScorer.normalize(consensusInput);
+    if (consensusErrors.length > 0) {
+      throw new Error(`Invalid consensus options: ${consensusErrors.join('; ')}`);
+    }
+
+    const { filter: technologyFilter, errors: technologyErrors } =
+      TechnologyFingerprintService.normalizeFilter(technology_filter);
+    if (technologyErrors.length > 0) {
+      throw new Error(`Invalid technology filter: ${technologyErrors.join('; ')}`);
+    }
+    if (technologyFilter && !enable_website_scraping) {
+      throw new Error('Invalid technology filter: technology_filter needs website scraping');
+    }
+
+    // Built before any network work, so an unusable second model fails the batch up front
+    const scored = enable_ai_analysis && (topic || rubric);
+    const analysisService = scored ? await this.createAnalysisService(securityContext, ai) : null;
+    let consensus = null;
+    if (scored && consensusConfig) {
+      try {
+        consensus = this.createConsensusScorer(consensusConfig, parseFloat(min_relevance_score), analysisService, ai);
+      } catch (error) {
+        throw new Error(`Invalid consensus options: ${error.message}`);
       }
     }
 
-    if (enable_ai_analysis && topic) {
-      const analysisService = new CompanyAnalysisService();
-      enrichedLeads = await analysisService.analyzeCompanies(enrichedLeads, topic);
+    // Same limit as /enrich (and the credit estimate): leads past it are not processed
+    const ruleResult = firmographicFilter ? firmographicFilter.apply(leads) : null;
+    const candidates = ruleResult ? ruleResult.passed : leads;
+    const maxLeadsToProcess = Math.min(candidates.length, CreditEstimator.MAX_LEADS_PER_REQUEST);
+    let enrichedLeads = candidates.slice(0, maxLeadsToProcess);
+
+    if (enable_website_scraping) {
+      enrichedLeads = await this.scrapeLeadWebsites(enrichedLeads, {
+        concurrency: 3,
+        crawl: crawl_websites,
+        maxPages: max_pages_per_domain,
+        securityContext
+      });
+    }
+
+    if (technologyFilter) {
+      enrichedLeads = this.applyTechnologyFilter(enrichedLeads, technologyFilter);
+    }
+
+    if (scored) {
+      enrichedLeads = await analysisService.analyzeCompanies(enrichedLeads, topic, {
+        batch: batch_ai_analysis !== false,
+        rubric,
+        consensus
+      });
     }
 
     const filteredLeads = enrichedLeads.filter(
@@ -282,19 +809,26 @@ class LeadEnrichmentController {
       data: filteredLeads,
       metadata: {
         total_input: leads.length,
-        total_enriched: filteredLeads.length
+        total_processed: maxLeadsToProcess,
+        total_enriched: filteredLeads.length,
+        ...this.getRuleMetadata(ruleResult),
+        ...(scored && { ai_failed_leads: this.getAIFailedLeads(enrichedLeads) }),
+        ...(scored && consensusConfig && { consensus: this.getConsensusMetadata(consensusConfig, enrichedLeads) })
       }
     };
   }
 
   /**
-   * Generate sales intelligence summary for a company
+   * Generate sales intelligence for a company, with every claim citing its source
    * POST /api/lead-enrichment/generate-intelligence
+   * Body: { company, topic, socialPosts?, crawl?, maxPages?, includeMarkdown? }
    * Migrated from vcp_sales_agent summarize_data()
    */
   async generateSalesIntelligence(req, res) {
+    let ai = null;
+
     try {
-      const { company, topic, socialPosts = [] } = req.body;
+      const { company, topic, socialPosts = [], crawl = false, maxPages = 5, includeMarkdown = false } = req.body;
 
       if (!company) {
         return res.status(400).json({
@@ -314,35 +848,47 @@ class LeadEnrichmentController {
 
       // Scrape website if domain is provided and content not included
       let websiteContent = company.websiteContent || '';
-      if (!websiteContent && (company.domain || company.website)) {
-        const scraperService = new WebsiteScraperService();
-        const url = company.domain || company.website;
-        console.log(`🌐 Scraping website: ${url}`);
+      let scraped = null;
+      const domainResolver = new DomainResolver();
+      const target = domainResolver.normalize(company.domain || domainResolver.getLeadWebsite(company));
+
+      if (!websiteContent && target.valid) {
+        const scraperService = new WebsiteScraperService({
+          securityContext: this.getSecurityContext(req)
+        });
+        console.log(`🌐 Scraping website: ${target.url}`);
         
         try {
-          const scraped = await scraperService.scrape(url);
-          if (scraped) {
-            websiteContent = scraperService.extractTextForAnalysis(scraped);
+          const result = await scraperService.scrapeWebsite(target.url, { crawl, maxPages });
+          if (scraperService.isSuccess(result)) {
+            scraped = result;
           }
         } catch (error) {
-          console.warn(`Failed to scrape ${url}:`, error.message);
+          console.warn(`Failed to scrape ${target.url}:`, error.message);
         }
       }
 
       // Generate intelligence using AI
-      const analysisService = new CompanyAnalysisService();
+      ai = this.createAIContext(req);
+      const analysisService = await this.createAnalysisService(this.getSecurityContext(req), ai);
       const intelligence = await analysisService.generateSalesIntelligence(
         company,
         websiteContent,
         topic,
-        socialPosts
+        socialPosts,
+        { scraped, websiteUrl: target.valid ? target.url : null }
       );
 
       console.log(`✅ Sales intelligence generated successfully`);
 
       res.json({
         success: true,
-        data: intelligence
+        data: includeMarkdown && intelligence.validationStatus === VALIDATION_STATUS.VALID ?
+          { ...intelligence, markdown: renderMarkdown(intelligence) } :
+          intelligence,
+        metadata: {
+          ...this.getAIMetadata(ai)
+        }
       });
 
     } catch (error) {
@@ -351,6 +897,8 @@ class LeadEnrichmentController {
         error: 'Intelligence generation failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
     }
   }
 
@@ -360,6 +908,8 @@ class LeadEnrichmentController {
    * Migrated from vcp_sales_agent filter_posts_by_topic()
    */
   async filterPosts(req, res) {
+    let ai = null;
+
     try {
       const { posts, topic, chunkSize = 20 } = req.body;
 
@@ -379,7 +929,8 @@ class LeadEnrichmentController {
 
       console.log(`🔍 Filtering ${posts.length} posts for topic: "${topic.substring(0, 100)}..."`);
 
-      const analysisService = new CompanyAnalysisService();
+      ai = this.createAIContext(req);
+      const analysisService = await this.createAnalysisService(this.getSecurityContext(req), ai);
       const filteredPosts = await analysisService.filterPostsByTopic(posts, topic, chunkSize);
 
       console.log(`✅ Filtered to ${filteredPosts.length} relevant posts`);
@@ -390,7 +941,8 @@ class LeadEnrichmentController {
         metadata: {
           total_input: posts.length,
           total_filtered: filteredPosts.length,
-          filter_rate: `${((filteredPosts.length / posts.length) * 100).toFixed(1)}%`
+          filter_rate: `${((filteredPosts.length / posts.length) * 100).toFixed(1)}%`,
+          ...this.getAIMetadata(ai)
         }
       });
 
@@ -400,6 +952,8 @@ class LeadEnrichmentController {
         error: 'Post filtering failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
     }
   }
 
@@ -409,8 +963,17 @@ class LeadEnrichmentController {
    * Migrated from vcp_sales_agent filter_companies_by_topic()
    */
   async filterCompanies(req, res) {
+    let ai = null;
+
     try {
-      const { companies, topic, maxConcurrent = 10 } = req.body;
+      const {
+        companies,
+        topic,
+        maxConcurrent = 10,
+        crawl = false,
+        maxPagesPerDomain = 5,
+        firmographicRules = null
+      } = req.body;
 
       if (!companies || !Array.isArray(companies) || companies.length === 0) {
         return res.status(400).json({
@@ -426,19 +989,41 @@ class LeadEnrichmentController {
         });
       }
 
-      console.log(`🔍 Filtering ${companies.length} companies by topic: "${topic}"`);
+      const { filter: firmographicFilter, errors: ruleErrors } = FirmographicFilter.compile(firmographicRules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid firmographic rules',
+          message: ruleErrors.join('; '),
+          details: ruleErrors
+        });
+      }
+
+      const ruleResult = firmographicFilter ? firmographicFilter.apply(companies) : null;
+      const candidates = ruleResult ? ruleResult.passed : companies;
+      if (ruleResult) {
+        console.log(`🚫 Firmographic rules excluded ${ruleResult.rejected.length} companies`);
+      }
+
+      console.log(`🔍 Filtering ${candidates.length} companies by topic: "${topic}"`);
       console.log(`🚀 Using parallel processing (max ${maxConcurrent} concurrent)`);
 
-      const scraperService = new WebsiteScraperService();
-      const analysisService = new CompanyAnalysisService();
+      const scraperService = new WebsiteScraperService({
+        securityContext: this.getSecurityContext(req)
+      });
+      ai = this.createAIContext(req);
+      const analysisService = await this.createAnalysisService(this.getSecurityContext(req), ai);
 
-      const filteredCompanies = await analysisService.filterCompaniesByTopicParallel(
-        companies,
+      const { matched: filteredCompanies, skipped, unverified, failed, statusCounts } = await analysisService.filterCompaniesByTopicParallel(
+        candidates,
         topic,
         scraperService,
-        maxConcurrent
+        maxConcurrent,
+        { crawl, maxPages: maxPagesPerDomain }
       );
 
+      // Report positions in the request's companies array, not in the rule-filtered list
+      const toInputIndex = entry => ruleResult ? { ...entry, index: ruleResult.passedIndices[entry.index] } : entry;
+
       console.log(`✅ Filtered to ${filteredCompanies.length} matching companies`);
 
       res.json({
@@ -448,7 +1033,14 @@ class LeadEnrichmentController {
           total_input: companies.length,
           total_filtered: filteredCompanies.length,
           filter_rate: `${((filteredCompanies.length / companies.length) * 100).toFixed(1)}%`,
-          max_concurrent: maxConcurrent
+          ...this.getRuleMetadata(ruleResult),
+          max_concurrent: maxConcurrent,
+          crawl_enabled: !!crawl,
+          scrape_status_counts: statusCounts,
+          skipped: skipped.map(toInputIndex),
+          unverified: unverified.map(toInputIndex),
+          ai_failed: failed.map(toInputIndex),
+          ...this.getAIMetadata(ai)
         }
       });
 
@@ -458,6 +1050,8 @@ class LeadEnrichmentController {
         error: 'Company filtering failed',
         message: error.message
       });
+    } finally {
+      ai?.usageTracker.persist();
     }
   }
 }
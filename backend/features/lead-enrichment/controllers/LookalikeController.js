@@ -0,0 +1,206 @@
+const LeadEnrichmentController = require('./LeadEnrichmentController');
+const EmbeddingService = require('../services/EmbeddingService');
+const EmbeddingProviderRegistry = require('../services/embeddings/EmbeddingProviderRegistry');
+const DomainResolver = require('../services/DomainResolver');
+const ProviderError = require('../services/llm/ProviderError');
+const UsageTracker = require('../services/UsageTracker');
+const { getRequestContext } = require('./requestContext');
+
+const MAX_LEADS = 100;
+const MAX_SEEDS = 50;
+
+/**
+ * Lookalike Controller
+ *
+ * Ranks a lead list by embedding similarity to seed companies (e.g. the best
+ * current customers). Companies with a stored vector are not scraped again.
+ */
+class LookalikeController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(LookalikeController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Rank leads by similarity to seed companies
+   * POST /api/lead-enrichment/lookalikes
+   * Body: { leads, seed_domains, topic?, min_similarity?, limit?, refresh_embeddings?, crawl_websites?, max_pages_per_domain? }
+   */
+  async findLookalikes(req, res) {
+    let usageTracker = null;
+
+    try {
+      const {
+        leads,
+        seed_domains,
+        topic = null,
+        min_similarity = null,
+        limit = null,
+        refresh_embeddings = false,
+        crawl_websites = false,
+        max_pages_per_domain = 5
+      } = req.body;
+
+      if (!leads || !Array.isArray(leads) || leads.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'leads array is required and must not be empty'
+        });
+      }
+
+      if (!Array.isArray(seed_domains) || seed_domains.length === 0 || seed_domains.length > MAX_SEEDS) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `seed_domains must be a non-empty array of at most ${MAX_SEEDS} domains`
+        });
+      }
+
+      const minimum = min_similarity === null ? null : Number(min_similarity);
+      if (minimum !== null && (min_similarity === '' || !Number.isFinite(minimum) || minimum < -1 || minimum > 1)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'min_similarity must be a number from -1 to 1'
+        });
+      }
+
+      const domainResolver = new DomainResolver();
+      const seedTargets = seed_domains.map(domain => ({ input: domain, target: domainResolver.normalize(domain) }));
+      const invalidSeeds = seedTargets.filter(seed => !seed.target.valid);
+      if (invalidSeeds.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid seed domains',
+          message: invalidSeeds.map(seed => `${seed.input}: ${seed.target.error}`).join('; ')
+        });
+      }
+
+      // The seeds themselves would rank first with a similarity of ~1; leave them out
+      const seedDomains = new Set(seedTargets.map(seed => seed.target.domain));
+      const seedLeads = [];
+      const candidates = [];
+      leads.forEach((lead, index) => {
+        const target = domainResolver.normalize(domainResolver.getLeadWebsite(lead));
+        (target.valid && seedDomains.has(target.domain) ? seedLeads : candidates).push({ lead, index });
+      });
+
+      const context = getRequestContext(req);
+      const provider = await EmbeddingProviderRegistry.getShared().forOrganization(context.organizationId);
+      if (!provider.isConfigured()) {
+        return res.status(503).json({
+          error: 'Embedding provider not configured',
+          message: `The "${provider.provider}" embedding provider is missing credentials or a model`
+        });
+      }
+
+      usageTracker = new UsageTracker({ ...context, endpoint: req.route?.path || req.path || null });
+      const embeddings = new EmbeddingService({
+        provider,
+        organizationId: context.organizationId,
+        usageTracker
+      });
+      const scrape = companies => LeadEnrichmentController.scrapeLeadWebsites(companies, {
+        concurrency: 5,
+        crawl: crawl_websites,
+        maxPages: max_pages_per_domain,
+        securityContext: context
+      });
+
+      // Step 1: Seed vectors
+      console.log(`🧬 Embedding ${seed_domains.length} seed companies with ${provider.provider}/${provider.model}`);
+
+      const { seeds, report: seedReport } = await embeddings.embedSeeds(seed_domains, scrape, { refresh: refresh_embeddings });
+      if (seeds.length === 0) {
+        return res.status(422).json({
+          error: 'No usable seeds',
+          message: 'None of the seed websites could be read',
+          seeds: seedReport
+        });
+      }
+
+      // Step 2: Lead vectors
+      const maxLeadsToProcess = Math.min(candidates.length, MAX_LEADS);
+      console.log(`🧬 Embedding ${maxLeadsToProcess} leads (${seedLeads.length} seed companies left out)`);
+
+      const leadResults = await embeddings.embedCompanies(
+        candidates.slice(0, maxLeadsToProcess).map(candidate => candidate.lead),
+        scrape,
+        { refresh: refresh_embeddings }
+      );
+      const topicVector = topic ? await embeddings.embedTopic(topic) : null;
+
+      // Step 3: Score, filter and rank
+      const scores = EmbeddingService.score(leadResults.map(result => result.vector), { seeds, topicVector });
+
+      const ranked = leadResults
+        .map((result, index) => ({
+          ...result.company,
+          leadIndex: candidates[index].index,
+          similarity: scores[index]?.seedSimilarity ?? null,
+          nearestSeeds: scores[index]?.nearestSeeds || [],
+          topicSimilarity: scores[index]?.topicSimilarity ?? null,
+          embeddingSource: result.source
+        }))
+        .filter(lead => lead.similarity !== null && (minimum === null || lead.similarity >= minimum))
+        .sort((a, b) => b.similarity - a.similarity);
+
+      const data = parseInt(limit) > 0 ? ranked.slice(0, parseInt(limit)) : ranked;
+
+      const unscored = leadResults
+        .map((result, index) => ({ result, index }))
+        .filter(({ result }) => !result.vector)
+        .map(({ result, index }) => ({
+          index: candidates[index].index,
+          name: result.company.name || result.company.company_name || null,
+          website: domainResolver.getLeadWebsite(result.company) || null,
+          scrapeStatus: result.company.scrapeStatus || null
+        }));
+
+      console.log(`✨ Lookalikes ranked: ${ranked.length}/${maxLeadsToProcess} leads scored`);
+
+      res.json({
+        success: true,
+        data,
+        metadata: {
+          total_input: leads.length,
+          total_processed: maxLeadsToProcess,
+          excluded_seed_leads: seedLeads.map(({ lead, index }) => ({
+            index,
+            name: lead.name || lead.company_name || null,
+            website: domainResolver.getLeadWebsite(lead) || null
+          })),
+          total_scored: leadResults.length - unscored.length,
+          total_returned: data.length,
+          min_similarity: minimum,
+          topic,
+          seeds: seedReport,
+          unscored,
+          embedding: embeddings.stats(),
+          ai_usage: usageTracker.summary()
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof ProviderError) {
+        console.error('Lookalike embedding error:', error.message);
+        return res.status(502).json({
+          error: 'Embedding provider failed',
+          message: error.message,
+          provider_error: error.toJSON()
+        });
+      }
+
+      console.error('Lookalike search error:', error);
+      res.status(500).json({
+        error: 'Lookalike search failed',
+        message: error.message
+      });
+    } finally {
+      usageTracker?.persist();
+    }
+  }
+}
+
+module.exports = new LookalikeController();
@@ -0,0 +1,351 @@
+const WebsiteMonitor = require('../models/WebsiteMonitor');
+const WebsiteChange = require('../models/WebsiteChange');
+const WebsiteMonitorService = require('../services/WebsiteMonitorService');
+const DomainResolver = require('../services/DomainResolver');
+const { getRequestContext } = require('./requestContext');
+
+// Scheduled checks are not charged, so the schedule and the number of monitors are bounded
+const MIN_INTERVAL_HOURS = 6;
+const MAX_INTERVAL_HOURS = 24 * 30;
+const MAX_PAGES_LIMIT = 20;
+const MAX_ACTIVE_MONITORS = 50;
+
+/**
+ * Website Monitor Controller
+ *
+ * CRUD for monitored target-account websites plus their change feed.
+ * Every monitor belongs to the caller's organization.
+ */
+class MonitorController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(MonitorController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Create a monitor
+   * POST /api/lead-enrichment/monitors
+   */
+  async createMonitor(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const { url, name, check_interval_hours = 24, max_pages = 8 } = req.body;
+
+      const target = new DomainResolver().normalize(url);
+      if (!target.valid) {
+        return res.status(400).json({
+          error: 'Invalid URL',
+          message: target.error
+        });
+      }
+
+      const settings = this.validateSettings({ check_interval_hours, max_pages });
+      if (settings.error) {
+        return res.status(400).json({ error: 'Invalid request', message: settings.error });
+      }
+
+      const existing = await WebsiteMonitor.findByDomain(target.domain, context.organizationId);
+      if (existing) {
+        return res.status(409).json({
+          error: 'Monitor exists',
+          message: `${target.domain} is already monitored`,
+          data: existing
+        });
+      }
+
+      if (!await this.checkMonitorLimit(context.organizationId, res)) return;
+
+      const monitor = await WebsiteMonitor.create({
+        organizationId: context.organizationId,
+        userId: context.userId,
+        name: name || target.domain,
+        url: target.url,
+        domain: target.domain,
+        checkIntervalHours: settings.checkIntervalHours,
+        maxPages: settings.maxPages
+      });
+
+      console.log(`🔭 Monitoring ${target.domain} every ${settings.checkIntervalHours}h`);
+
+      res.status(201).json({ success: true, data: monitor });
+
+    } catch (error) {
+      console.error('Create monitor error:', error);
+      res.status(500).json({
+        error: 'Failed to create monitor',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the organization's monitors
+   * GET /api/lead-enrichment/monitors
+   */
+  async listMonitors(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const { is_active, limit = 50, offset = 0 } = req.query;
+
+      const monitors = await WebsiteMonitor.findByOrganization(context.organizationId, {
+        isActive: is_active === undefined ? null : is_active === 'true',
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0
+      });
+
+      res.json({ success: true, data: monitors });
+
+    } catch (error) {
+      console.error('List monitors error:', error);
+      res.status(500).json({
+        error: 'Failed to list monitors',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one monitor
+   * GET /api/lead-enrichment/monitors/:id
+   */
+  async getMonitor(req, res) {
+    try {
+      const monitor = await this.findMonitor(req, res);
+      if (!monitor) return;
+
+      res.json({ success: true, data: monitor });
+
+    } catch (error) {
+      console.error('Get monitor error:', error);
+      res.status(500).json({
+        error: 'Failed to get monitor',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update monitor settings (name, interval, page budget, active flag)
+   * PATCH /api/lead-enrichment/monitors/:id
+   */
+  async updateMonitor(req, res) {
+    try {
+      const monitor = await this.findMonitor(req, res);
+      if (!monitor) return;
+
+      const { name, check_interval_hours, max_pages, is_active } = req.body;
+
+      const settings = this.validateSettings({
+        check_interval_hours: check_interval_hours ?? monitor.check_interval_hours,
+        max_pages: max_pages ?? monitor.max_pages
+      });
+      if (settings.error) {
+        return res.status(400).json({ error: 'Invalid request', message: settings.error });
+      }
+
+      if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: '"is_active" must be a boolean'
+        });
+      }
+
+      if (is_active === true && !monitor.is_active &&
+          !await this.checkMonitorLimit(monitor.organization_id, res)) return;
+
+      const updated = await WebsiteMonitor.update(monitor.id, monitor.organization_id, {
+        name,
+        checkIntervalHours: check_interval_hours !== undefined ? settings.checkIntervalHours : undefined,
+        maxPages: max_pages !== undefined ? settings.maxPages : undefined,
+        isActive: is_active
+      });
+
+      res.json({ success: true, data: updated });
+
+    } catch (error) {
+      console.error('Update monitor error:', error);
+      res.status(500).json({
+        error: 'Failed to update monitor',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a monitor with its snapshots and changes
+   * DELETE /api/lead-enrichment/monitors/:id
+   */
+  async deleteMonitor(req, res) {
+    try {
+      const monitor = await this.findMonitor(req, res);
+      if (!monitor) return;
+
+      await WebsiteMonitor.delete(monitor.id, monitor.organization_id);
+
+      res.json({ success: true, data: { id: monitor.id, deleted: true } });
+
+    } catch (error) {
+      console.error('Delete monitor error:', error);
+      res.status(500).json({
+        error: 'Failed to delete monitor',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Change feed for a monitor, newest first
+   * GET /api/lead-enrichment/monitors/:id/changes
+   */
+  async getChanges(req, res) {
+    try {
+      const monitor = await this.findMonitor(req, res);
+      if (!monitor) return;
+
+      const { since, change_type, significance, limit = 50, offset = 0 } = req.query;
+
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: '"since" must be an ISO date'
+        });
+      }
+
+      const changes = await WebsiteChange.findByMonitor(monitor.id, {
+        since: since || null,
+        changeType: change_type || null,
+        significance: significance || null,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0
+      });
+
+      res.json({
+        success: true,
+        data: changes,
+        metadata: {
+          monitor_id: monitor.id,
+          domain: monitor.domain,
+          last_checked_at: monitor.last_checked_at
+        }
+      });
+
+    } catch (error) {
+      console.error('Get monitor changes error:', error);
+      res.status(500).json({
+        error: 'Failed to get changes',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Run a check now instead of waiting for the schedule
+   * POST /api/lead-enrichment/monitors/:id/check
+   */
+  async checkMonitor(req, res) {
+    try {
+      const monitor = await this.findMonitor(req, res);
+      if (!monitor) return;
+
+      const result = await new WebsiteMonitorService().runCheck(monitor);
+
+      res.json({
+        success: result.status.code === 'ok',
+        data: {
+          monitor_id: monitor.id,
+          scrapeStatus: result.status,
+          unchanged: result.unchanged,
+          snapshot_id: result.snapshot?.id || null,
+          changes: result.changes
+        }
+      });
+
+    } catch (error) {
+      console.error('Monitor check error:', error);
+      res.status(500).json({
+        error: 'Monitor check failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Resolve the caller's organization or respond 401
+   * @returns {Object|null} Request context
+   */
+  requireOrganization(req, res) {
+    const context = getRequestContext(req);
+    if (!context.organizationId) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'An organization is required to manage monitors'
+      });
+      return null;
+    }
+    return context;
+  }
+
+  /**
+   * Load the monitor in :id for the caller's organization or respond 400/401/404
+   * @returns {Promise<Object|null>} Monitor row
+   */
+  async findMonitor(req, res) {
+    const context = this.requireOrganization(req, res);
+    if (!context) return null;
+
+    const id = parseInt(req.params.id);
+    if (!id) {
+      res.status(400).json({ error: 'Invalid request', message: 'Monitor id must be a number' });
+      return null;
+    }
+
+    const monitor = await WebsiteMonitor.findById(id, context.organizationId);
+    if (!monitor) {
+      res.status(404).json({ error: 'Not found', message: `Monitor ${id} not found` });
+      return null;
+    }
+    return monitor;
+  }
+
+  /**
+   * Respond 403 when the organization already has MAX_ACTIVE_MONITORS active monitors
+   * @returns {Promise<boolean>} Whether another monitor may be activated
+   */
+  async checkMonitorLimit(organizationId, res) {
+    const active = await WebsiteMonitor.countActive(organizationId);
+    if (active < MAX_ACTIVE_MONITORS) return true;
+
+    res.status(403).json({
+      error: 'Monitor limit reached',
+      message: `An organization can have at most ${MAX_ACTIVE_MONITORS} active monitors; deactivate or delete one first`
+    });
+    return false;
+  }
+
+  /**
+   * @returns {{checkIntervalHours: number, maxPages: number}|{error: string}}
+   */
+  validateSettings({ check_interval_hours, max_pages }) {
+    const checkIntervalHours = parseInt(check_interval_hours);
+    if (!checkIntervalHours || checkIntervalHours < MIN_INTERVAL_HOURS || checkIntervalHours > MAX_INTERVAL_HOURS) {
+      return { error: `"check_interval_hours" must be between ${MIN_INTERVAL_HOURS} and ${MAX_INTERVAL_HOURS}` };
+    }
+
+    const maxPages = parseInt(max_pages);
+    if (!maxPages || maxPages < 1 || maxPages > MAX_PAGES_LIMIT) {
+      return { error: `"max_pages" must be between 1 and ${MAX_PAGES_LIMIT}` };
+    }
+
+    return { checkIntervalHours, maxPages };
+  }
+}
+
+module.exports = new MonitorController();
@@ -0,0 +1,131 @@
+const LeadEnrichmentController = require('./LeadEnrichmentController');
+const DomainResolver = require('../services/DomainResolver');
+const { normalizeOutreachOptions } = require('../services/OutreachDrafts');
+const { VALIDATION_STATUS, countValidationStatuses } = require('../services/AIOutputSchema');
+
+const MAX_LEADS = 10;
+const CONCURRENCY = 3;
+
+/**
+ * Outreach Controller
+ *
+ * Drafts first-touch messages (cold email, LinkedIn note, follow-ups) for
+ * enriched leads. Drafts may only use facts from the lead's enrichment data
+ * and the sender's value proposition; see OutreachDrafts for the guardrails.
+ */
+class OutreachController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(OutreachController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Generate outreach drafts for enriched leads
+   * POST /api/lead-enrichment/generate-outreach
+   * Body: { leads, sender, channels?, tone?, length?, language?, follow_ups?, scrape_missing? }
+   */
+  async generateOutreach(req, res) {
+    let ai = null;
+
+    try {
+      const { leads, scrape_missing = true } = req.body;
+
+      if (!Array.isArray(leads) || leads.length === 0 || leads.length > MAX_LEADS) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `leads must be a non-empty array of at most ${MAX_LEADS} enriched leads`
+        });
+      }
+
+      const { options, errors } = normalizeOutreachOptions(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid outreach options',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      const context = LeadEnrichmentController.getSecurityContext(req);
+      const domainResolver = new DomainResolver();
+
+      // Leads sent straight from /enrich already carry their website text
+      let preparedLeads = leads;
+      const unscraped = leads
+        .map((lead, index) => ({ lead, index }))
+        .filter(({ lead }) => !lead.websiteContent && domainResolver.getLeadWebsite(lead));
+
+      if (scrape_missing && unscraped.length > 0) {
+        console.log(`🌐 Scraping ${unscraped.length} lead websites for outreach`);
+        const scraped = await LeadEnrichmentController.scrapeLeadWebsites(
+          unscraped.map(({ lead }) => lead),
+          { concurrency: CONCURRENCY, securityContext: context }
+        );
+        preparedLeads = [...leads];
+        unscraped.forEach(({ index }, i) => {
+          const { leadIndex, ...lead } = scraped[i];
+          preparedLeads[index] = lead;
+        });
+      }
+
+      console.log(`✉️ Drafting ${options.channels.join(', ')} outreach for ${preparedLeads.length} leads`);
+
+      ai = LeadEnrichmentController.createAIContext(req);
+      const analysisService = await LeadEnrichmentController.createAnalysisService(context, ai);
+
+      const data = [];
+      for (let i = 0; i < preparedLeads.length; i += CONCURRENCY) {
+        const chunk = preparedLeads.slice(i, i + CONCURRENCY);
+        const results = await Promise.all(chunk.map(lead => analysisService.generateOutreachDrafts(lead, options)));
+        results.forEach((result, offset) => data.push({
+          leadIndex: i + offset,
+          website: domainResolver.getLeadWebsite(chunk[offset]) || null,
+          ...result
+        }));
+      }
+
+      const drafted = data.filter(result => result.validationStatus === VALIDATION_STATUS.VALID).length;
+      console.log(`✅ Outreach drafted for ${drafted}/${data.length} leads`);
+
+      res.json({
+        success: true,
+        data,
+        metadata: {
+          total_input: leads.length,
+          total_drafted: drafted,
+          channels: options.channels,
+          tone: options.tone,
+          length: options.length,
+          language: options.language,
+          follow_ups: options.followUps,
+          validation_status_counts: countValidationStatuses(data.map(result => result.validationStatus)),
+          rejected_leads: data
+            .filter(result => result.validationStatus === VALIDATION_STATUS.INVALID)
+            .map(result => ({
+              index: result.leadIndex,
+              name: result.companyName,
+              website: result.website,
+              reason: result.message,
+              violations: result.validationErrors || []
+            })),
+          ...LeadEnrichmentController.getAIMetadata(ai)
+        }
+      });
+
+    } catch (error) {
+      console.error('Outreach generation error:', error);
+      res.status(500).json({
+        error: 'Outreach generation failed',
+        message: error.message
+      });
+    } finally {
+      ai?.usageTracker.persist();
+    }
+  }
+}
+
+module.exports = new OutreachController();
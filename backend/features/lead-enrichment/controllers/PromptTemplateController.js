@@ -0,0 +1,265 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptTemplateStore = require('../services/PromptTemplateStore');
+const { PROMPT_TEMPLATES, getDefinition, validateTemplate } = require('../services/PromptTemplates');
+const { getRequestContext } = require('./requestContext');
+
+/**
+ * Prompt Template Controller
+ *
+ * Per-organization overrides of the AI prompt templates, with version
+ * history and rollback. Every save creates a new version; nothing is edited
+ * in place, so any recorded template version can be looked up later.
+ */
+class PromptTemplateController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(PromptTemplateController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * All templates with the version currently in effect
+   * GET /api/lead-enrichment/prompt-templates
+   */
+  async listTemplates(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const store = new PromptTemplateStore({ organizationId: context.organizationId });
+      const templates = [];
+
+      for (const [name, definition] of Object.entries(PROMPT_TEMPLATES)) {
+        const active = await store.resolve(name);
+        templates.push({
+          name,
+          description: definition.description,
+          variables: definition.variables,
+          required_variables: definition.required,
+          source: active.source,
+          version: active.version,
+          system_template: active.system,
+          user_template: active.user
+        });
+      }
+
+      res.json({ success: true, data: templates });
+
+    } catch (error) {
+      console.error('List prompt templates error:', error);
+      res.status(500).json({
+        error: 'Failed to list prompt templates',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * One template: built-in text, active version and version history
+   * GET /api/lead-enrichment/prompt-templates/:name
+   */
+  async getTemplate(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const definition = this.findDefinition(req, res);
+      if (!definition) return;
+
+      const { name } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const versions = await PromptTemplate.listVersions(context.organizationId, name, { limit, offset });
+      const active = await PromptTemplate.findActive(context.organizationId, name);
+
+      res.json({
+        success: true,
+        data: {
+          name,
+          description: definition.description,
+          variables: definition.variables,
+          required_variables: definition.required,
+          active: active ?
+            { source: 'organization', version: active.version } :
+            { source: 'default', version: definition.version },
+          default: {
+            version: definition.version,
+            system_template: definition.system,
+            user_template: definition.user
+          },
+          versions: versions.map(row => this.formatVersion(row))
+        },
+        metadata: { limit, offset }
+      });
+
+    } catch (error) {
+      console.error('Get prompt template error:', error);
+      res.status(500).json({
+        error: 'Failed to get prompt template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Save a new version and make it active
+   * POST /api/lead-enrichment/prompt-templates/:name
+   * Body: { user_template, system_template?, notes? }
+   */
+  async createVersion(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const definition = this.findDefinition(req, res);
+      if (!definition) return;
+
+      const { name } = req.params;
+      const { user_template, system_template = '', notes = null } = req.body;
+
+      if (!user_template) {
+        return res.status(400).json({
+          error: 'Missing required field',
+          message: '"user_template" is required'
+        });
+      }
+
+      const errors = validateTemplate(name, { system: system_template, user: user_template });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid template',
+          message: errors.join('; '),
+          details: errors
+        });
+      }
+
+      const version = await PromptTemplate.createVersion({
+        organizationId: context.organizationId,
+        name,
+        systemTemplate: system_template,
+        userTemplate: user_template,
+        notes,
+        createdBy: context.userId
+      });
+
+      console.log(`📝 Prompt template ${name} v${version.version} active for organization ${context.organizationId}`);
+
+      res.status(201).json({ success: true, data: this.formatVersion(version) });
+
+    } catch (error) {
+      console.error('Create prompt template version error:', error);
+      res.status(500).json({
+        error: 'Failed to save prompt template',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Activate an earlier version, or go back to the built-in template
+   * POST /api/lead-enrichment/prompt-templates/:name/rollback
+   * Body: { version: <number> | "default" }
+   */
+  async rollback(req, res) {
+    try {
+      const context = this.requireOrganization(req, res);
+      if (!context) return;
+
+      const definition = this.findDefinition(req, res);
+      if (!definition) return;
+
+      const { name } = req.params;
+      const { version } = req.body;
+
+      if (version === 'default') {
+        await PromptTemplate.deactivateAll(context.organizationId, name);
+        console.log(`↩️ Prompt template ${name} reset to default for organization ${context.organizationId}`);
+
+        return res.json({
+          success: true,
+          data: { name, source: 'default', version: definition.version }
+        });
+      }
+
+      const number = parseInt(version);
+      if (!Number.isInteger(number) || number < 1) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: '"version" must be a version number or "default"'
+        });
+      }
+
+      const activated = await PromptTemplate.activate(context.organizationId, name, number);
+      if (!activated) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: `Version ${number} of prompt template ${name} not found`
+        });
+      }
+
+      console.log(`↩️ Prompt template ${name} rolled back to v${number} for organization ${context.organizationId}`);
+
+      res.json({ success: true, data: this.formatVersion(activated) });
+
+    } catch (error) {
+      console.error('Rollback prompt template error:', error);
+      res.status(500).json({
+        error: 'Failed to roll back prompt template',
+        message: error.message
+      });
+    }
+  }
+
+  formatVersion(row) {
+    return {
+      name: row.name,
+      version: row.version,
+      source: 'organization',
+      is_active: row.is_active,
+      system_template: row.system_template,
+      user_template: row.user_template,
+      notes: row.notes,
+      created_by: row.created_by,
+      created_at: row.created_at,
+      activated_at: row.activated_at
+    };
+  }
+
+  /**
+   * Built-in definition for :name or respond 404
+   * @returns {Object|null}
+   */
+  findDefinition(req, res) {
+    const definition = getDefinition(req.params.name);
+    if (!definition) {
+      res.status(404).json({
+        error: 'Not found',
+        message: `Unknown prompt template "${req.params.name}". Use ${Object.keys(PROMPT_TEMPLATES).join(', ')}`
+      });
+      return null;
+    }
+    return definition;
+  }
+
+  /**
+   * Resolve the caller's organization or respond 401
+   * @returns {Object|null} Request context
+   */
+  requireOrganization(req, res) {
+    const context = getRequestContext(req);
+    if (!context.organizationId) {
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'An organization is required to manage prompt templates'
+      });
+      return null;
+    }
+    return context;
+  }
+}
+
+module.exports = new PromptTemplateController();
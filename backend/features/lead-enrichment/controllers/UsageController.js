@@ -0,0 +1,111 @@
+const AIUsage = require('../models/AIUsage');
+const { getRequestContext } = require('./requestContext');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_GROUP_BY = ['day', 'model', 'endpoint'];
+
+/**
+ * Usage Controller
+ *
+ * AI token usage and cost reporting for the caller's organization
+ */
+class UsageController {
+  constructor() {
+    // Handlers are passed to the router unbound; keep `this` pointing at the controller
+    for (const name of Object.getOwnPropertyNames(UsageController.prototype)) {
+      if (name !== 'constructor') {
+        this[name] = this[name].bind(this);
+      }
+    }
+  }
+
+  /**
+   * Aggregated AI usage
+   * GET /api/lead-enrichment/usage?from=2025-01-01&to=2025-02-01&group_by=day,model,endpoint
+   */
+  async getUsage(req, res) {
+    try {
+      const context = getRequestContext(req);
+      if (!context.organizationId) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'An organization is required to view usage'
+        });
+      }
+
+      const range = this.parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: 'Invalid request', message: range.error });
+      }
+
+      const groupBy = req.query.group_by ?
+        String(req.query.group_by).split(',').map(name => name.trim()).filter(Boolean) :
+        DEFAULT_GROUP_BY;
+
+      const unknown = groupBy.filter(name => !Object.hasOwn(AIUsage.GROUP_COLUMNS, name));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `Unknown group_by value(s): ${unknown.join(', ')}. Use ${Object.keys(AIUsage.GROUP_COLUMNS).join(', ')}`
+        });
+      }
+
+      const rows = await AIUsage.aggregate(context.organizationId, {
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        groupBy
+      });
+
+      const totals = rows.reduce((sum, row) => ({
+        calls: sum.calls + row.calls,
+        failed_calls: sum.failed_calls + row.failed_calls,
+        input_tokens: sum.input_tokens + row.input_tokens,
+        output_tokens: sum.output_tokens + row.output_tokens,
+        cost_usd: sum.cost_usd + row.cost_usd
+      }), { calls: 0, failed_calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+      totals.cost_usd = Math.round(totals.cost_usd * 1e6) / 1e6;
+
+      res.json({
+        success: true,
+        data: rows,
+        metadata: {
+          from: range.from.toISOString(),
+          to: range.to.toISOString(),
+          group_by: groupBy,
+          totals
+        }
+      });
+
+    } catch (error) {
+      console.error('Get usage error:', error);
+      res.status(500).json({
+        error: 'Failed to get usage',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Parse from/to query params; defaults to the last 30 days
+   * @returns {{from: Date, to: Date}|{error: string}}
+   */
+  parseRange({ from, to }) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: '"from" and "to" must be ISO dates' };
+    }
+    if (start >= end) {
+      return { error: '"from" must be before "to"' };
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Range must be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from: start, to: end };
+  }
+}
+
+module.exports = new UsageController();
@@ -0,0 +1,20 @@
+/**
+ * Request context helpers shared by lead enrichment controllers
+ */
+
+/**
+ * Organization and user the request runs for (authenticated user on req.user)
+ * @param {Object} req - Express request
+ * @returns {{organizationId: string|null, userId: string|null}}
+ */
+function getRequestContext(req) {
+  const user = req.user || {};
+  return {
+    organizationId: user.organization_id || user.organizationId || null,
+    userId: user.id || user.user_id || user.userId || null
+  };
+}
+
+module.exports = {
+  getRequestContext
+};
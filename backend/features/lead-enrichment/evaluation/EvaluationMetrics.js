@@ -0,0 +1,112 @@
+/**
+ * Evaluation Metrics
+ *
+ * Quality measures for one evaluation run:
+ * - classification: expected relevant/not relevant against the predicted verdict.
+ *   Cases without a verdict (no snapshot, unvalidated or failed AI call) are
+ *   left out of precision/recall and reported as lower coverage.
+ * - scores: expected score against the predicted score (Pearson, Spearman, MAE)
+ */
+
+/**
+ * @param {Array<{expected: boolean, predicted: boolean|null}>} pairs
+ * @returns {Object} Confusion counts, precision, recall, f1, accuracy and coverage
+ */
+function classificationMetrics(pairs) {
+  const judged = pairs.filter(pair => typeof pair.expected === 'boolean');
+  const decided = judged.filter(pair => typeof pair.predicted === 'boolean');
+
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  for (const { expected, predicted } of decided) {
+    if (predicted && expected) counts.tp++;
+    else if (predicted) counts.fp++;
+    else if (expected) counts.fn++;
+    else counts.tn++;
+  }
+
+  const precision = ratio(counts.tp, counts.tp + counts.fp);
+  const recall = ratio(counts.tp, counts.tp + counts.fn);
+
+  return {
+    labeled: judged.length,
+    no_verdict: judged.length - decided.length,
+    coverage: ratio(decided.length, judged.length),
+    ...counts,
+    precision,
+    recall,
+    f1: precision === null || recall === null || precision + recall === 0 ?
+      null : round(2 * precision * recall / (precision + recall)),
+    accuracy: ratio(counts.tp + counts.tn, decided.length)
+  };
+}
+
+/**
+ * @param {Array<{expected: number, predicted: number|null}>} pairs
+ * @returns {Object} n, pearson, spearman and mean absolute error over cases with both scores
+ */
+function scoreMetrics(pairs) {
+  const scored = pairs.filter(pair => typeof pair.expected === 'number' && typeof pair.predicted === 'number');
+  const expected = scored.map(pair => pair.expected);
+  const predicted = scored.map(pair => pair.predicted);
+
+  return {
+    n: scored.length,
+    pearson: pearson(expected, predicted),
+    spearman: pearson(ranks(expected), ranks(predicted)),
+    mae: scored.length > 0 ?
+      round(scored.reduce((sum, pair) => sum + Math.abs(pair.expected - pair.predicted), 0) / scored.length) : null
+  };
+}
+
+/**
+ * Pearson correlation, null with fewer than 2 pairs or no variance
+ */
+function pearson(xs, ys) {
+  if (xs.length < 2) return null;
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+
+  let covariance = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? round(covariance / Math.sqrt(vx * vy)) : null;
+}
+
+/**
+ * Ranks with ties sharing their average rank (for Spearman)
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+  return result;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  classificationMetrics,
+  scoreMetrics,
+  pearson,
+  ranks
+};
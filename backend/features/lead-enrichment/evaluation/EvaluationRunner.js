@@ -0,0 +1,451 @@
+const LeadEnrichmentController = require('../controllers/LeadEnrichmentController');
+const CompanyAnalysisService = require('../services/CompanyAnalysisService');
+const ConsensusScorer = require('../services/ConsensusScorer');
+const DomainResolver = require('../services/DomainResolver');
+const LLMProviderRegistry = require('../services/llm/LLMProviderRegistry');
+const PromptTemplateStore = require('../services/PromptTemplateStore');
+const UsageTracker = require('../services/UsageTracker');
+const { validateTemplate } = require('../services/PromptTemplates');
+const { normalizeRubric } = require('../services/IcpRubric');
+const { VALIDATION_STATUS } = require('../services/AIOutputSchema');
+const { SCRAPE_STATUS } = require('../services/ScrapeStatus');
+const { getPrice } = require('../services/llm/LLMPricing');
+const RecordedLLMAdapter = require('./RecordedLLMAdapter');
+const SnapshotScraper = require('./SnapshotScraper');
+const { classificationMetrics, scoreMetrics } = require('./EvaluationMetrics');
+
+const TARGETS = {
+  RELEVANCE: 'relevance',
+  TOPIC_FILTER: 'topic_filter'
+};
+const MAX_CASES = 1000;
+
+/**
+ * Evaluation Runner
+ *
+ * Runs a labeled dataset through the real scoring code and measures the
+ * result, so a model or prompt change can be judged before it ships:
+ * - relevance: LeadEnrichmentController.scrapeLeadWebsites + CompanyAnalysisService.analyzeCompanies
+ *   (the /enrich path); the verdict is score >= threshold
+ * - topic_filter: CompanyAnalysisService.filterCompaniesByTopicParallel (the /filter-companies path)
+ *
+ * Websites come from stored snapshots and model responses from a recording
+ * (see RecordedLLMAdapter), so a replay run makes no network calls and costs
+ * nothing while still reporting the recorded tokens and cost. A record run
+ * scrapes missing snapshots and calls the providers, adding both to the recording.
+ *
+ * Dataset:
+ * { "name": "payments-v1", "topic": "online payment infrastructure",
+ *   "cases": [{ "id": "stripe", "company": { "name": "Stripe", "website": "stripe.com" },
+ *               "snapshot": { "title": "...", "content": "..." },
+ *               "expected": { "relevant": true, "score": 9 } }] }
+ *
+ * Config:
+ * { "name": "mini-v2-prompt", "provider": "openai", "model": "gpt-4o-mini", "target": "relevance",
+ *   "batch": true, "threshold": 5, "rubric": null, "consensus": null,
+ *   "prompt_templates": { "relevanceAnalysis": { "system": "...", "user": "..." } } }
+ */
+class EvaluationRunner {
+  /**
+   * @param {Object} dataset - From EvaluationRunner.normalizeDataset()
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {{snapshots: Object, responses: Object}} options.recording - Updated in place when recording
+   * @param {number} options.concurrency - Parallel scrapes/topic checks (default 5)
+   */
+  constructor(dataset, { mode = 'replay', recording = {}, concurrency = 5 } = {}) {
+    this.dataset = dataset;
+    this.mode = mode;
+    this.recording = recording;
+    this.recording.snapshots = this.recording.snapshots || {};
+    this.recording.responses = this.recording.responses || {};
+    this.concurrency = concurrency;
+
+    // Snapshots in the dataset take precedence over recorded ones
+    this.datasetSnapshots = Object.fromEntries(dataset.cases
+      .filter(testCase => testCase.snapshot)
+      .map(testCase => [testCase.domain, testCase.snapshot]));
+  }
+
+  /**
+   * Validate a labeled dataset
+   * @returns {{dataset: Object|null, errors: string[]}}
+   */
+  static normalizeDataset(input) {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.cases) || input.cases.length === 0) {
+      return { dataset: null, errors: ['dataset must be an object with a non-empty "cases" array'] };
+    }
+    if (input.cases.length > MAX_CASES) {
+      return { dataset: null, errors: [`dataset can have at most ${MAX_CASES} cases`] };
+    }
+
+    const domainResolver = new DomainResolver();
+    const errors = [];
+    const ids = new Set();
+
+    const cases = input.cases.map((testCase, index) => {
+      const path = `cases[${index}]`;
+      if (!testCase || typeof testCase !== 'object') {
+        errors.push(`${path} must be an object`);
+        return null;
+      }
+
+      const { company, expected = {}, snapshot = null } = testCase;
+      const id = String(testCase.id || `case_${index + 1}`);
+      if (ids.has(id)) {
+        errors.push(`${path}.id "${id}" is used more than once`);
+      }
+      ids.add(id);
+
+      if (!company || typeof company !== 'object') {
+        errors.push(`${path}.company must be an object`);
+        return null;
+      }
+
+      const target = domainResolver.normalize(domainResolver.getLeadWebsite(company));
+      if (!target.valid) {
+        errors.push(`${path}.company needs a valid website or domain (${target.error})`);
+      }
+
+      const topic = testCase.topic || input.topic || null;
+      if (topic !== null && typeof topic !== 'string') {
+        errors.push(`${path}.topic must be a string`);
+      }
+
+      if (expected.relevant === undefined && expected.score === undefined) {
+        errors.push(`${path}.expected needs "relevant" and/or "score"`);
+      }
+      if (expected.relevant !== undefined && typeof expected.relevant !== 'boolean') {
+        errors.push(`${path}.expected.relevant must be a boolean`);
+      }
+      if (expected.score !== undefined && (typeof expected.score !== 'number' || expected.score < 0 || expected.score > 10)) {
+        errors.push(`${path}.expected.score must be a number from 0 to 10`);
+      }
+      if (snapshot !== null && (typeof snapshot !== 'object' || typeof (snapshot.content ?? '') !== 'string')) {
+        errors.push(`${path}.snapshot must be an object with text fields (title, description, headings, content)`);
+      }
+
+      return {
+        id,
+        company,
+        domain: target.domain,
+        topic,
+        snapshot,
+        expected: {
+          relevant: expected.relevant ?? null,
+          score: expected.score ?? null
+        }
+      };
+    });
+
+    return errors.length > 0 ?
+      { dataset: null, errors } :
+      { dataset: { name: input.name || null, cases }, errors: [] };
+  }
+
+  /**
+   * Validate a model/prompt configuration
+   * @returns {{config: Object|null, errors: string[]}}
+   */
+  static normalizeConfig(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { config: null, errors: ['config must be an object'] };
+    }
+
+    const {
+      name = null,
+      provider = null,
+      model = null,
+      base_url: baseUrl = null,
+      target = TARGETS.RELEVANCE,
+      batch = true,
+      threshold = 5,
+      rubric: rubricInput = null,
+      consensus: consensusInput = null,
+      prompt_templates: promptTemplates = {}
+    } = input;
+    const errors = [];
+
+    if (!Object.values(TARGETS).includes(target)) {
+      errors.push(`target must be one of ${Object.values(TARGETS).join(', ')}`);
+    }
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 10) {
+      errors.push('threshold must be a number from 0 to 10');
+    }
+
+    let rubric = null;
+    if (rubricInput) {
+      const normalized = normalizeRubric(rubricInput);
+      errors.push(...normalized.errors);
+      rubric = normalized.rubric;
+    }
+
+    const { config: consensus, errors: consensusErrors } = ConsensusScorer.normalize(consensusInput);
+    errors.push(...consensusErrors);
+    if (target === TARGETS.TOPIC_FILTER && (rubric || consensus)) {
+      errors.push('rubric and consensus apply to the relevance target only');
+    }
+
+    if (!promptTemplates || typeof promptTemplates !== 'object') {
+      errors.push('prompt_templates must be an object of { system, user } templates by name');
+    } else {
+      for (const [templateName, template] of Object.entries(promptTemplates)) {
+        errors.push(...validateTemplate(templateName, template || {}).map(error => `prompt_templates.${templateName}: ${error}`));
+      }
+    }
+
+    return errors.length > 0 ?
+      { config: null, errors } :
+      {
+        config: {
+          name: name || [provider || 'default', model, target].filter(Boolean).join('/'),
+          provider,
+          model,
+          baseUrl,
+          target,
+          batch: batch !== false,
+          threshold,
+          rubric,
+          consensus,
+          promptTemplates
+        },
+        errors: []
+      };
+  }
+
+  /**
+   * Evaluate one configuration
+   * @param {Object} config - From EvaluationRunner.normalizeConfig()
+   * @returns {Promise<Object>} Report with metrics, cost and per-case results
+   */
+  async run(config) {
+    const startedAt = Date.now();
+    const adapters = [];
+    const createLLM = options => {
+      const adapter = new RecordedLLMAdapter(LLMProviderRegistry.getShared().create(options), {
+        mode: this.mode,
+        responses: this.recording.responses
+      });
+      if (!adapter.isConfigured()) {
+        throw new Error(`AI provider "${adapter.provider}" is not configured; recording needs live credentials`);
+      }
+      adapters.push(adapter);
+      return adapter;
+    };
+
+    const usageTracker = new UsageTracker({ endpoint: 'evaluation' });
+    const promptTemplates = new PromptTemplateStore({ overrides: config.promptTemplates });
+    const createService = llm => new CompanyAnalysisService({ llm, usageTracker, promptTemplates });
+
+    const service = createService(createLLM({ provider: config.provider, model: config.model, baseUrl: config.baseUrl }));
+    const snapshots = { ...this.recording.snapshots, ...this.datasetSnapshots };
+    const scraper = new SnapshotScraper(snapshots, { record: this.mode === 'record' });
+
+    console.log(`🧪 Evaluating "${config.name}" (${service.provider}/${service.model}, ${config.target}) on ${this.dataset.cases.length} cases [${this.mode}]`);
+
+    const predictions = new Map();
+    for (const [topic, cases] of this.groupByTopic(config)) {
+      const companies = cases.map(testCase => ({ ...testCase.company, evaluationCaseId: testCase.id }));
+
+      if (config.target === TARGETS.TOPIC_FILTER) {
+        const result = await service.filterCompaniesByTopicParallel(companies, topic, scraper, this.concurrency);
+        this.collectTopicVerdicts(cases, result, predictions);
+      } else {
+        const secondService = config.consensus?.secondModel ?
+          createService(createLLM({
+            provider: config.consensus.secondModel.provider || service.provider,
+            model: config.consensus.secondModel.model
+          })) :
+          null;
+        const consensus = config.consensus ?
+          new ConsensusScorer(config.consensus, {
+            threshold: config.threshold,
+            services: secondService ? [service, secondService] : [service]
+          }) :
+          null;
+
+        const scraped = await LeadEnrichmentController.scrapeLeadWebsites(companies, {
+          concurrency: this.concurrency,
+          scraperService: scraper
+        });
+        const analyzed = await service.analyzeCompanies(scraped, topic, {
+          batch: config.batch,
+          rubric: config.rubric,
+          consensus
+        });
+        this.collectScores(analyzed, config.threshold, predictions);
+      }
+    }
+
+    // Keep what was scraped live for the next replay
+    for (const [domain, snapshot] of Object.entries(snapshots)) {
+      if (!this.datasetSnapshots[domain]) {
+        this.recording.snapshots[domain] = snapshot;
+      }
+    }
+
+    const results = this.dataset.cases.map(testCase => {
+      const predicted = predictions.get(testCase.id) || { relevant: null, score: null, status: 'not_run', scrapeStatus: null };
+      return {
+        id: testCase.id,
+        name: testCase.company.name || testCase.company.company_name || null,
+        topic: config.rubric ? null : testCase.topic,
+        expected: testCase.expected,
+        predicted: { relevant: predicted.relevant, score: predicted.score },
+        status: predicted.status,
+        scrape_status: predicted.scrapeStatus,
+        correct: testCase.expected.relevant === null || predicted.relevant === null ?
+          null : testCase.expected.relevant === predicted.relevant
+      };
+    });
+
+    const replay = adapters.reduce((totals, adapter) => ({
+      recorded: totals.recorded + adapter.counts.recorded,
+      replayed: totals.replayed + adapter.counts.replayed,
+      misses: totals.misses + adapter.counts.misses
+    }), { recorded: 0, replayed: 0, misses: 0 });
+
+    return {
+      config: {
+        name: config.name,
+        provider: service.provider,
+        model: service.model,
+        target: config.target,
+        batch: config.batch,
+        threshold: config.threshold,
+        rubric: config.rubric ? config.rubric.name || `${config.rubric.criteria.length} criteria` : null,
+        consensus: config.consensus,
+        prompt_templates: promptTemplates.usedVersions()
+      },
+      dataset: this.dataset.name,
+      mode: this.mode,
+      classification: classificationMetrics(results.map(result => ({
+        expected: result.expected.relevant,
+        predicted: result.predicted.relevant
+      }))),
+      scores: config.target === TARGETS.RELEVANCE ?
+        scoreMetrics(results.map(result => ({ expected: result.expected.score, predicted: result.predicted.score }))) :
+        null,
+      cost: excludeReplayMisses(usageTracker.summary(), adapters),
+      replay,
+      status_counts: countBy(results.map(result => result.status)),
+      duration_ms: Date.now() - startedAt,
+      cases: results
+    };
+  }
+
+  /**
+   * Evaluate two configurations on the same cases
+   * @returns {Promise<{runs: Array<Object>, delta: Object, disagreements: Array<Object>}>}
+   *   delta is second minus first; disagreements are cases where the verdicts differ
+   */
+  async compare(first, second) {
+    const a = await this.run(first);
+    const b = await this.run(second);
+
+    const difference = (x, y) => x === null || y === null ? null : Math.round((y - x) * 1000) / 1000;
+    const delta = {};
+    for (const key of ['precision', 'recall', 'f1', 'accuracy', 'coverage']) {
+      delta[key] = difference(a.classification[key], b.classification[key]);
+    }
+    for (const key of ['pearson', 'spearman', 'mae']) {
+      delta[key] = difference(a.scores?.[key] ?? null, b.scores?.[key] ?? null);
+    }
+    delta.cost_usd = difference(a.cost.cost_usd, b.cost.cost_usd);
+    delta.calls = b.cost.calls - a.cost.calls;
+
+    const disagreements = a.cases
+      .map((caseA, index) => ({ caseA, caseB: b.cases[index] }))
+      .filter(({ caseA, caseB }) => caseA.predicted.relevant !== caseB.predicted.relevant)
+      .map(({ caseA, caseB }) => ({
+        id: caseA.id,
+        name: caseA.name,
+        expected: caseA.expected.relevant,
+        [a.config.name]: caseA.predicted,
+        [b.config.name]: caseB.predicted
+      }));
+
+    return { dataset: this.dataset.name, mode: this.mode, runs: [a, b], delta, disagreements };
+  }
+
+  /**
+   * Cases by the topic they are scored against (one group when scoring a rubric)
+   * @returns {Map<string|null, Array<Object>>}
+   */
+  groupByTopic(config) {
+    const groups = new Map();
+    for (const testCase of this.dataset.cases) {
+      const topic = config.rubric ? null : testCase.topic;
+      if (!config.rubric && !topic) {
+        throw new Error(`Case "${testCase.id}" has no topic; set one on the case or the dataset, or use a rubric`);
+      }
+      if (!groups.has(topic)) groups.set(topic, []);
+      groups.get(topic).push(testCase);
+    }
+    return groups;
+  }
+
+  /**
+   * Verdicts from analyzed leads. Leads whose website could not be read are
+   * still scored from their profile, as in /enrich; scrape_status shows it.
+   */
+  collectScores(analyzed, threshold, predictions) {
+    for (const lead of analyzed) {
+      const valid = lead.aiAnalysisStatus === VALIDATION_STATUS.VALID;
+
+      predictions.set(lead.evaluationCaseId, {
+        relevant: valid ? lead.relevanceScore >= threshold : null,
+        score: valid ? lead.relevanceScore : null,
+        status: lead.aiAnalysisStatus,
+        scrapeStatus: lead.scrapeStatus?.code || null
+      });
+    }
+  }
+
+  collectTopicVerdicts(cases, result, predictions) {
+    const matched = new Set(result.matched.map(company => company.evaluationCaseId));
+    const skipped = new Map(result.skipped.map(entry => [entry.index, entry.scrapeStatus?.code || SCRAPE_STATUS.UNKNOWN_ERROR]));
+    const undecided = new Map([...result.unverified, ...result.failed].map(entry => [entry.index, entry.validationStatus]));
+
+    cases.forEach((testCase, index) => {
+      if (skipped.has(index)) {
+        predictions.set(testCase.id, { relevant: null, score: null, status: 'not_scored', scrapeStatus: skipped.get(index) });
+      } else if (undecided.has(index)) {
+        predictions.set(testCase.id, { relevant: null, score: null, status: undecided.get(index), scrapeStatus: SCRAPE_STATUS.OK });
+      } else {
+        predictions.set(testCase.id, {
+          relevant: matched.has(testCase.id),
+          score: null,
+          status: VALIDATION_STATUS.VALID,
+          scrapeStatus: SCRAPE_STATUS.OK
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Replay misses are tracked as failed calls but never reached a provider;
+ * they are reported in `replay.misses` only
+ */
+function excludeReplayMisses(cost, adapters) {
+  for (const adapter of adapters) {
+    const misses = adapter.counts.misses;
+    if (misses === 0) continue;
+
+    cost.calls -= misses;
+    cost.failed_calls -= misses;
+    if (!getPrice(adapter.provider, adapter.model)) cost.unpriced_calls -= misses;
+    const model = cost.by_model[adapter.model];
+    if (model) model.calls -= misses;
+  }
+  return cost;
+}
+
+function countBy(values) {
+  return values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+}
+
+EvaluationRunner.TARGETS = TARGETS;
+
+module.exports = EvaluationRunner;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const ProviderError = require('../services/llm/ProviderError');
+
+/**
+ * Recorded LLM Adapter
+ *
+ * Wraps a provider adapter for evaluation runs:
+ * - record: calls the provider and keeps every response
+ * - replay: answers from the recorded responses only, with no network calls
+ *
+ * Responses are keyed by provider, model, prompts and generation parameters,
+ * so a changed prompt or model is a miss rather than a stale answer. Repeated
+ * identical requests (e.g. consensus samples) replay their recorded responses
+ * in order. A replay miss fails like an unconfigured provider.
+ */
+class RecordedLLMAdapter {
+  /**
+   * @param {BaseLLMAdapter} adapter - Provider adapter (not called in replay mode)
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {Object} options.responses - Recorded responses by key, shared between adapters
+   *   of one run and updated in place when recording
+   */
+  constructor(adapter, { mode = 'replay', responses = {} } = {}) {
+    this.adapter = adapter;
+    this.mode = mode;
+    this.responses = responses;
+    this.replayed = new Map();
+    this.counts = { recorded: 0, replayed: 0, misses: 0 };
+  }
+
+  get provider() {
+    return this.adapter.provider;
+  }
+
+  get model() {
+    return this.adapter.model;
+  }
+
+  get capabilities() {
+    return this.adapter.capabilities;
+  }
+
+  isConfigured() {
+    return this.mode === 'replay' || this.adapter.isConfigured();
+  }
+
+  estimateTokens(text) {
+    return this.adapter.estimateTokens(text);
+  }
+
+  buildKey({ prompt, systemPrompt = '', temperature = 0.5, maxTokens = 2000, json = false }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([this.provider, this.model, systemPrompt, prompt, temperature, maxTokens, !!json]))
+      .digest('hex');
+  }
+
+  async complete(request) {
+    const key = this.buildKey(request);
+
+    if (this.mode === 'replay') {
+      const recorded = this.responses[key] || [];
+      const position = this.replayed.get(key) || 0;
+      if (recorded.length === 0) {
+        this.counts.misses++;
+        throw new ProviderError(`No recorded ${this.provider}/${this.model} response for this prompt; record the run first`, {
+          provider: this.provider,
+          code: ProviderError.CODES.NOT_CONFIGURED
+        });
+      }
+
+      this.replayed.set(key, position + 1);
+      this.counts.replayed++;
+      return { ...recorded[position % recorded.length], provider: this.provider, model: this.model, attempts: 0 };
+    }
+
+    const result = await this.adapter.complete(request);
+    (this.responses[key] = this.responses[key] || []).push({
+      text: result.text,
+      usage: result.usage,
+      latencyMs: result.latencyMs
+    });
+    this.counts.recorded++;
+    return result;
+  }
+}
+
+module.exports = RecordedLLMAdapter;
@@ -0,0 +1,69 @@
+const WebsiteScraperService = require('../services/WebsiteScraperService');
+const DomainResolver = require('../services/DomainResolver');
+const { SCRAPE_STATUS, buildStatus } = require('../services/ScrapeStatus');
+
+/**
+ * Snapshot Scraper
+ *
+ * A WebsiteScraperService that serves stored website snapshots by domain, so
+ * evaluation runs see the same content every time and need no network. A
+ * snapshot is a scrapeWebsite() result, or just its text fields:
+ * { title, description, headings, content }.
+ *
+ * In record mode, domains without a snapshot are scraped live and the result
+ * is added to the snapshots.
+ */
+class SnapshotScraper extends WebsiteScraperService {
+  /**
+   * @param {Object} snapshots - Snapshots by domain, updated in place when recording
+   * @param {Object} options
+   * @param {boolean} options.record - Scrape domains that have no snapshot
+   */
+  constructor(snapshots = {}, { record = false, ...options } = {}) {
+    super(options);
+    this.snapshots = snapshots;
+    this.record = record;
+    this.resolver = new DomainResolver();
+  }
+
+  async scrapeWebsite(url, options = {}) {
+    const { domain } = this.resolver.normalize(url);
+    const snapshot = domain ? this.snapshots[domain] : null;
+
+    if (snapshot) {
+      return SnapshotScraper.toScraped(url, domain, snapshot);
+    }
+
+    if (!this.record) {
+      return {
+        url,
+        status: buildStatus(SCRAPE_STATUS.UNKNOWN_ERROR, { message: `No snapshot recorded for ${domain || url}` }),
+        scrapedAt: null
+      };
+    }
+
+    const scraped = await super.scrapeWebsite(url, options);
+    if (domain && this.isSuccess(scraped)) {
+      this.snapshots[domain] = scraped;
+    }
+    return scraped;
+  }
+
+  /**
+   * Complete a stored snapshot into the shape scrapeWebsite() returns
+   */
+  static toScraped(url, domain, snapshot) {
+    return {
+      title: '',
+      description: '',
+      headings: '',
+      content: '',
+      ...snapshot,
+      url,
+      canonicalDomain: snapshot.canonicalDomain || domain,
+      status: buildStatus(SCRAPE_STATUS.OK)
+    };
+  }
+}
+
+module.exports = SnapshotScraper;
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Relevance evaluation CLI
+ *
+ * Usage:
+ *   node evaluate.js --dataset cases.json --config a.json [--config b.json]
+ *                    [--recording cases.recording.json] [--record] [--out report.json]
+ *
+ * Replays recorded website snapshots and model responses by default (no
+ * network, no credentials). --record scrapes and calls the providers live
+ * and saves what it saw to the recording. With two configs the runs are
+ * compared side by side.
+ *
+ * A replay that needs a response missing from the recording exits with
+ * status 1, after printing and saving the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EvaluationRunner = require('./EvaluationRunner');
+
+function parseArgs(argv) {
+  const args = { configs: [], record: false, dataset: null, recording: null, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--record') args.record = true;
+    else if (flag === '--config') args.configs.push(argv[++i]);
+    else if (flag === '--dataset') args.dataset = argv[++i];
+    else if (flag === '--recording') args.recording = argv[++i];
+    else if (flag === '--out') args.out = argv[++i];
+    else throw new Error(`Unknown argument "${flag}"`);
+  }
+  return args;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function checked(label, { errors, ...result }) {
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return Object.values(result)[0];
+}
+
+function printRun(report) {
+  const { classification: c, scores: s, cost } = report;
+  const format = value => value === null || value === undefined ? '-' : value;
+
+  console.log(`\n📊 ${report.config.name} (${report.config.provider}/${report.config.model})`);
+  console.log(`   precision ${format(c.precision)}  recall ${format(c.recall)}  f1 ${format(c.f1)}  accuracy ${format(c.accuracy)}  coverage ${format(c.coverage)}`);
+  console.log(`   tp ${c.tp}  fp ${c.fp}  tn ${c.tn}  fn ${c.fn}  no verdict ${c.no_verdict}`);
+  if (s) {
+    console.log(`   scores (n=${s.n}): pearson ${format(s.pearson)}  spearman ${format(s.spearman)}  mae ${format(s.mae)}`);
+  }
+  console.log(`   cost $${cost.cost_usd} over ${cost.calls} calls, ${cost.total_tokens} tokens` +
+    (report.replay.misses > 0 ? `  ⚠️ ${report.replay.misses} responses not recorded` : ''));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dataset || args.configs.length === 0 || args.configs.length > 2) {
+    throw new Error('Usage: evaluate.js --dataset <file> --config <file> [--config <file>] [--recording <file>] [--record] [--out <file>]');
+  }
+
+  const dataset = checked('dataset', EvaluationRunner.normalizeDataset(readJson(args.dataset)));
+  const configs = args.configs.map(file => checked(`config ${file}`, EvaluationRunner.normalizeConfig(readJson(file))));
+
+  const recordingFile = args.recording ||
+    path.join(path.dirname(args.dataset), `${path.basename(args.dataset, '.json')}.recording.json`);
+  const recording = fs.existsSync(recordingFile) ? readJson(recordingFile) : {};
+  if (!args.record && !fs.existsSync(recordingFile)) {
+    console.warn(`⚠️ No recording at ${recordingFile}; only dataset snapshots are available and every model call will miss`);
+  }
+
+  const runner = new EvaluationRunner(dataset, { mode: args.record ? 'record' : 'replay', recording });
+  const report = configs.length === 2 ?
+    await runner.compare(configs[0], configs[1]) :
+    await runner.run(configs[0]);
+
+  (report.runs || [report]).forEach(printRun);
+  if (report.delta) {
+    console.log(`\n⚖️ Second minus first: ${JSON.stringify(report.delta)}`);
+    console.log(`   ${report.disagreements.length} cases with different verdicts`);
+  }
+
+  if (args.record) {
+    fs.writeFileSync(recordingFile, JSON.stringify(recording, null, 2));
+    console.log(`💾 Recording saved to ${recordingFile}`);
+  }
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report saved to ${args.out}`);
+  }
+
+  const misses = (report.runs || [report]).reduce((sum, run) => sum + run.replay.misses, 0);
+  if (!args.record && misses > 0) {
+    throw new Error(`${misses} model responses are not in ${recordingFile}; record the configuration first with --record`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
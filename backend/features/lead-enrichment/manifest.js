@@ -50,6 +50,72 @@ module.exports = {
       method: 'POST',
       description: 'Batch enrich multiple lead lists',
       credits: 2
+    },
+    {
+      path: '/filter-companies',
+      method: 'POST',
+      description: 'Filter companies by topic using parallel website analysis',
+      credits: 2
+    },
+    {
+      path: '/estimate',
+      method: 'POST',
+      description: 'Estimate credits, scraping and AI calls for a request (dry run)',
+      credits: 0
+    },
+    {
+      path: '/lookalikes',
+      method: 'POST',
+      description: 'Rank leads by embedding similarity to seed companies',
+      credits: 2
+    },
+    {
+      path: '/generate-outreach',
+      method: 'POST',
+      description: 'Draft grounded outreach (email, LinkedIn note, follow-ups) for enriched leads',
+      credits: 2
+    },
+    {
+      path: '/classify-contacts',
+      method: 'POST',
+      description: 'Classify contacts by seniority and function and rank buyers per account',
+      credits: 1
+    },
+    {
+      path: '/monitors',
+      method: 'POST',
+      description: 'Start monitoring a target account website',
+      credits: 0
+    },
+    {
+      path: '/monitors/:id/changes',
+      method: 'GET',
+      description: 'Change feed for a monitored website',
+      credits: 0
+    },
+    {
+      path: '/monitors/:id/check',
+      method: 'POST',
+      description: 'Check a monitored website for changes now',
+      credits: 0.5
+    },
+    {
+      path: '/usage',
+      method: 'GET',
+      description: 'AI token usage and cost report',
+      credits: 0
+    },
+    {
+      path: '/prompt-templates/:name',
+      method: 'POST',
+      description: 'Save a new organization version of an AI prompt template',
+      credits: 0
+    },
+    {
+      path: '/prompt-templates/:name/rollback',
+      method: 'POST',
+      description: 'Roll an AI prompt template back to an earlier version',
+      credits: 0
     }
   ],
 
@@ -59,8 +125,8 @@ module.exports = {
   },
 
   configuration: {
-    ai_provider: process.env.AI_PROVIDER || 'openai',
-    ai_model: process.env.AI_MODEL || 'gpt-4o-mini',
+    ai_provider: process.env.AI_PROVIDER || 'openai', // openai | anthropic | azure-openai | openai-compatible
+    ai_model: process.env.AI_MODEL || null, // null = provider default
     max_concurrent_scraping: 5,
     scraping_timeout: 10000,
     min_confidence_threshold: 50
@@ -68,14 +134,17 @@ module.exports = {
 
   healthCheck: async () => {
     try {
-      const hasAIKey = !!(process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY);
+      const LLMProviderRegistry = require('./services/llm/LLMProviderRegistry');
+      const llm = LLMProviderRegistry.getShared().create();
+      const hasAIKey = llm.isConfigured();
       
       return {
         status: hasAIKey ? 'healthy' : 'degraded',
         message: hasAIKey ? 
           'AI provider configured and ready' : 
           'AI provider not configured - enrichment will be limited',
-        ai_provider: process.env.AI_PROVIDER || 'openai',
+        ai_provider: llm.provider,
+        ai_model: llm.model,
         ai_configured: hasAIKey
       };
     } catch (error) {
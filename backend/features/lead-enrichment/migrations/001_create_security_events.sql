@@ -0,0 +1,14 @@
+-- Blocked server-side requests (SSRF protection audit trail)
+CREATE TABLE IF NOT EXISTS lead_enrichment_security_events (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id VARCHAR(255),
+  user_id VARCHAR(255),
+  event_type VARCHAR(64) NOT NULL,
+  url TEXT,
+  reason TEXT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_le_security_events_org_created
+  ON lead_enrichment_security_events (organization_id, created_at DESC);
@@ -0,0 +1,51 @@
+-- Website change monitoring: monitored domains, content snapshots and detected changes.
+-- Each snapshot links to the website_analysis_cache row holding the latest snapshot for its domain.
+CREATE TABLE IF NOT EXISTS website_monitors (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255),
+  name VARCHAR(255),
+  url TEXT NOT NULL,
+  domain VARCHAR(255) NOT NULL,
+  check_interval_hours INTEGER NOT NULL DEFAULT 24,
+  max_pages INTEGER NOT NULL DEFAULT 8,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_checked_at TIMESTAMP,
+  last_status JSONB,
+  next_check_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (organization_id, domain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_website_monitors_due
+  ON website_monitors (next_check_at)
+  WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS website_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  monitor_id BIGINT NOT NULL REFERENCES website_monitors (id) ON DELETE CASCADE,
+  domain VARCHAR(255) NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  snapshot JSONB NOT NULL,
+  captured_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_website_snapshots_monitor
+  ON website_snapshots (monitor_id, captured_at DESC);
+
+CREATE TABLE IF NOT EXISTS website_changes (
+  id BIGSERIAL PRIMARY KEY,
+  monitor_id BIGINT NOT NULL REFERENCES website_monitors (id) ON DELETE CASCADE,
+  organization_id VARCHAR(255) NOT NULL,
+  from_snapshot_id BIGINT REFERENCES website_snapshots (id) ON DELETE CASCADE,
+  to_snapshot_id BIGINT REFERENCES website_snapshots (id) ON DELETE CASCADE,
+  change_type VARCHAR(64) NOT NULL,
+  significance VARCHAR(16) NOT NULL,
+  summary TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_website_changes_monitor
+  ON website_changes (monitor_id, detected_at DESC);
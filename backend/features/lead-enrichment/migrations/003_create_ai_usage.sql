@@ -0,0 +1,18 @@
+-- One row per AI provider call, for cost accounting per organization, user and endpoint
+CREATE TABLE IF NOT EXISTS lead_enrichment_ai_usage (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id VARCHAR(255),
+  user_id VARCHAR(255),
+  endpoint VARCHAR(255),
+  provider VARCHAR(64) NOT NULL,
+  model VARCHAR(255),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(14, 6) NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL DEFAULT 0,
+  success BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_le_ai_usage_org_created
+  ON lead_enrichment_ai_usage (organization_id, created_at DESC);
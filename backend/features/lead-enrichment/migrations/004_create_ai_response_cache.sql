@@ -0,0 +1,17 @@
+-- Cached AI responses for deterministic (temperature 0) prompts, namespaced per organization
+CREATE TABLE IF NOT EXISTS lead_enrichment_ai_response_cache (
+  namespace VARCHAR(255) NOT NULL,
+  cache_key CHAR(64) NOT NULL,
+  provider VARCHAR(64) NOT NULL,
+  model VARCHAR(255),
+  response TEXT NOT NULL,
+  usage JSONB NOT NULL DEFAULT '{}'::jsonb,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at TIMESTAMP,
+  PRIMARY KEY (namespace, cache_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_le_ai_response_cache_expires
+  ON lead_enrichment_ai_response_cache (expires_at);
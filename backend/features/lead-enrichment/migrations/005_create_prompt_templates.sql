@@ -0,0 +1,20 @@
+-- Organization overrides of the built-in AI prompt templates, one row per version.
+-- At most one version per (organization, name) is active; none active means the built-in template.
+CREATE TABLE IF NOT EXISTS lead_enrichment_prompt_templates (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id VARCHAR(255) NOT NULL,
+  name VARCHAR(64) NOT NULL,
+  version INTEGER NOT NULL,
+  system_template TEXT NOT NULL DEFAULT '',
+  user_template TEXT NOT NULL,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  activated_at TIMESTAMP,
+  UNIQUE (organization_id, name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_le_prompt_templates_active
+  ON lead_enrichment_prompt_templates (organization_id, name)
+  WHERE is_active;
@@ -0,0 +1,21 @@
+-- Stored embedding vectors, namespaced per organization. One row per distinct text
+-- (content_hash) and embedding model; `domain` is set for website text so a company's
+-- vector can be reused without scraping it again.
+CREATE TABLE IF NOT EXISTS lead_enrichment_embeddings (
+  id BIGSERIAL PRIMARY KEY,
+  namespace VARCHAR(255) NOT NULL,
+  kind VARCHAR(16) NOT NULL,
+  domain VARCHAR(255),
+  content_hash CHAR(64) NOT NULL,
+  provider VARCHAR(64) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  dimensions INTEGER NOT NULL,
+  vector REAL[] NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (namespace, provider, model, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_le_embeddings_domain
+  ON lead_enrichment_embeddings (namespace, provider, model, domain, created_at DESC)
+  WHERE domain IS NOT NULL;
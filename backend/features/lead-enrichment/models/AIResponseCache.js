@@ -0,0 +1,101 @@
+/**
+ * AI Response Cache Model
+ * 
+ * Stores AI responses by prompt hash so repeated deterministic calls are free
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class AIResponseCache {
+  /**
+   * Get an unexpired entry and update access stats
+   */
+  static async find(namespace, cacheKey) {
+    try {
+      const result = await query(`
+        UPDATE lead_enrichment_ai_response_cache
+        SET
+          hit_count = hit_count + 1,
+          last_accessed_at = CURRENT_TIMESTAMP
+        WHERE namespace = $1
+          AND cache_key = $2
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING *
+      `, [namespace, cacheKey]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding cached AI response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace an entry
+   */
+  static async upsert({ namespace, cacheKey, provider, model, response, usage, ttlSeconds }) {
+    try {
+      const result = await query(`
+        INSERT INTO lead_enrichment_ai_response_cache (
+          namespace,
+          cache_key,
+          provider,
+          model,
+          response,
+          usage,
+          expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + ($7 || ' seconds')::interval)
+        ON CONFLICT (namespace, cache_key)
+        DO UPDATE SET
+          provider = EXCLUDED.provider,
+          model = EXCLUDED.model,
+          response = EXCLUDED.response,
+          usage = EXCLUDED.usage,
+          expires_at = EXCLUDED.expires_at,
+          created_at = CURRENT_TIMESTAMP
+        RETURNING namespace, cache_key, expires_at
+      `, [namespace, cacheKey, provider, model, response, JSON.stringify(usage || {}), String(ttlSeconds)]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error caching AI response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an entry (e.g. a response that failed validation)
+   */
+  static async delete(namespace, cacheKey) {
+    try {
+      const result = await query(`
+        DELETE FROM lead_enrichment_ai_response_cache
+        WHERE namespace = $1 AND cache_key = $2
+      `, [namespace, cacheKey]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting cached AI response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prune expired entries
+   */
+  static async pruneExpired() {
+    try {
+      const result = await query(`
+        DELETE FROM lead_enrichment_ai_response_cache
+        WHERE expires_at <= CURRENT_TIMESTAMP
+      `, []);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error pruning AI response cache:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AIResponseCache;
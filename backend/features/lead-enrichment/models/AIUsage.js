@@ -0,0 +1,125 @@
+/**
+ * AI Usage Model
+ *
+ * Token usage, latency and cost of every AI provider call, for per-organization reporting
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+// Allowed GROUP BY dimensions for aggregate()
+const GROUP_COLUMNS = {
+  day: 'DATE(created_at)',
+  model: 'model',
+  provider: 'provider',
+  endpoint: 'endpoint',
+  user: 'user_id'
+};
+
+class AIUsage {
+  /**
+   * Store several provider calls
+   * @param {Array<Object>} calls - { organizationId, userId, endpoint, provider, model,
+   *   inputTokens, outputTokens, costUsd, latencyMs, success }
+   */
+  static async createMany(calls) {
+    try {
+      if (!calls || calls.length === 0) {
+        return [];
+      }
+
+      const params = [];
+      const rows = calls.map(call => {
+        params.push(
+          call.organizationId,
+          call.userId,
+          call.endpoint,
+          call.provider,
+          call.model,
+          call.inputTokens || 0,
+          call.outputTokens || 0,
+          call.costUsd || 0,
+          Math.round(call.latencyMs || 0),
+          call.success !== false
+        );
+        const base = params.length - 10;
+        return `(${Array.from({ length: 10 }, (_, i) => `$${base + i + 1}`).join(', ')})`;
+      });
+
+      const result = await query(`
+        INSERT INTO lead_enrichment_ai_usage (
+          organization_id,
+          user_id,
+          endpoint,
+          provider,
+          model,
+          input_tokens,
+          output_tokens,
+          cost_usd,
+          latency_ms,
+          success
+        ) VALUES ${rows.join(', ')}
+        RETURNING id
+      `, params);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error creating AI usage records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate usage for an organization
+   * @param {string} organizationId
+   * @param {Object} options
+   * @param {string} options.from - Inclusive start (ISO date)
+   * @param {string} options.to - Exclusive end (ISO date)
+   * @param {Array<string>} options.groupBy - Any of day, model, provider, endpoint, user
+   * @returns {Promise<Array>} One row per group with calls, tokens, cost and average latency
+   */
+  static async aggregate(organizationId, options = {}) {
+    try {
+      const { from, to, groupBy = ['day', 'model', 'endpoint'] } = options;
+
+      const dimensions = groupBy.filter(name => Object.hasOwn(GROUP_COLUMNS, name));
+      const columns = [
+        ...dimensions.map(name => `${GROUP_COLUMNS[name]} AS ${name}`),
+        'COUNT(*)::int AS calls',
+        'COUNT(*) FILTER (WHERE NOT success)::int AS failed_calls',
+        // SUM over a long range can pass the int range
+        'COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens',
+        'COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens',
+        'COALESCE(SUM(cost_usd), 0)::float AS cost_usd',
+        'COALESCE(AVG(latency_ms), 0)::int AS avg_latency_ms'
+      ];
+
+      let sql = `
+        SELECT ${columns.join(', ')}
+        FROM lead_enrichment_ai_usage
+        WHERE organization_id = $1
+          AND created_at >= $2
+          AND created_at < $3
+      `;
+
+      if (dimensions.length > 0) {
+        const groupColumns = dimensions.map(name => GROUP_COLUMNS[name]).join(', ');
+        sql += ` GROUP BY ${groupColumns} ORDER BY ${groupColumns}`;
+      }
+
+      const result = await query(sql, [organizationId, from, to]);
+      // pg returns bigint as a string; token totals stay well within Number's exact range
+      return result.rows.map(row => ({
+        ...row,
+        input_tokens: Number(row.input_tokens),
+        output_tokens: Number(row.output_tokens)
+      }));
+    } catch (error) {
+      console.error('Error aggregating AI usage:', error);
+      throw error;
+    }
+  }
+}
+
+AIUsage.GROUP_COLUMNS = GROUP_COLUMNS;
+
+module.exports = AIUsage;
@@ -0,0 +1,136 @@
+/**
+ * Embedding Model
+ *
+ * Stores embedding vectors by text hash so repeated scoring doesn't recompute them
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class Embedding {
+  /**
+   * Stored vectors for text hashes, touching last_used_at
+   * @returns {Promise<Array>} Rows with content_hash and vector
+   */
+  static async findByHashes(namespace, provider, model, hashes) {
+    try {
+      if (!hashes || hashes.length === 0) {
+        return [];
+      }
+
+      const result = await query(`
+        UPDATE lead_enrichment_embeddings
+        SET last_used_at = CURRENT_TIMESTAMP
+        WHERE namespace = $1
+          AND provider = $2
+          AND model = $3
+          AND content_hash = ANY($4::char(64)[])
+        RETURNING content_hash, domain, dimensions, vector, created_at
+      `, [namespace, provider, model, hashes]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding embeddings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest website vector per domain, no older than maxAgeDays
+   * @returns {Promise<Array>} Rows with domain and vector
+   */
+  static async findLatestByDomains(namespace, provider, model, domains, maxAgeDays) {
+    try {
+      if (!domains || domains.length === 0) {
+        return [];
+      }
+
+      const result = await query(`
+        SELECT DISTINCT ON (domain)
+          domain, content_hash, dimensions, vector, created_at
+        FROM lead_enrichment_embeddings
+        WHERE namespace = $1
+          AND provider = $2
+          AND model = $3
+          AND domain = ANY($4::varchar[])
+          AND created_at > CURRENT_TIMESTAMP - ($5 || ' days')::interval
+        ORDER BY domain, created_at DESC
+      `, [namespace, provider, model, domains, String(maxAgeDays)]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding embeddings by domain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store vectors; an existing row for the same text is refreshed
+   * @param {Array<Object>} entries - { namespace, kind, domain, contentHash, provider, model, vector }
+   */
+  static async createMany(entries) {
+    try {
+      if (!entries || entries.length === 0) {
+        return [];
+      }
+
+      const params = [];
+      const rows = entries.map(entry => {
+        params.push(
+          entry.namespace,
+          entry.kind,
+          entry.domain || null,
+          entry.contentHash,
+          entry.provider,
+          entry.model,
+          entry.vector.length,
+          entry.vector
+        );
+        const base = params.length - 8;
+        return `(${Array.from({ length: 8 }, (_, i) => `$${base + i + 1}`).join(', ')})`;
+      });
+
+      const result = await query(`
+        INSERT INTO lead_enrichment_embeddings (
+          namespace,
+          kind,
+          domain,
+          content_hash,
+          provider,
+          model,
+          dimensions,
+          vector
+        ) VALUES ${rows.join(', ')}
+        ON CONFLICT (namespace, provider, model, content_hash)
+        DO UPDATE SET
+          domain = COALESCE(EXCLUDED.domain, lead_enrichment_embeddings.domain),
+          created_at = CURRENT_TIMESTAMP,
+          last_used_at = CURRENT_TIMESTAMP
+        RETURNING id
+      `, params);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error storing embeddings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove vectors not used for maxAgeDays
+   */
+  static async pruneUnused(maxAgeDays) {
+    try {
+      const result = await query(`
+        DELETE FROM lead_enrichment_embeddings
+        WHERE last_used_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval
+      `, [String(maxAgeDays)]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error pruning embeddings:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Embedding;
@@ -0,0 +1,32 @@
+/**
+ * Feature Config Model
+ * 
+ * Reads the per-organization `config` JSON stored on the lead-enrichment feature flag
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+const FEATURE_KEY = 'lead-enrichment';
+
+class FeatureConfig {
+  /**
+   * Get the lead-enrichment config for an organization
+   * @returns {Promise<Object>} Config object ({} when none is stored)
+   */
+  static async findByOrganization(organizationId) {
+    try {
+      const result = await query(`
+        SELECT config FROM lad_LAD.feature_flags
+        WHERE organization_id = $1 AND feature_key = $2
+        LIMIT 1
+      `, [organizationId, FEATURE_KEY]);
+
+      return result.rows[0]?.config || {};
+    } catch (error) {
+      console.error('Error finding feature config:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FeatureConfig;
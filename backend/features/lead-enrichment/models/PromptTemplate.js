@@ -0,0 +1,185 @@
+/**
+ * Prompt Template Model
+ *
+ * Versioned per-organization overrides of the built-in prompt templates
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class PromptTemplate {
+  /**
+   * Store a new version and make it the active one
+   * @param {Object} templateData - { organizationId, name, systemTemplate, userTemplate, notes, createdBy }
+   * @returns {Promise<Object>} The new version row
+   */
+  static async createVersion(templateData) {
+    try {
+      const {
+        organizationId,
+        name,
+        systemTemplate,
+        userTemplate,
+        notes,
+        createdBy
+      } = templateData;
+
+      const result = await query(`
+        WITH deactivated AS (
+          UPDATE lead_enrichment_prompt_templates
+          SET is_active = false
+          WHERE organization_id = $1 AND name = $2 AND is_active = true
+          RETURNING id
+        )
+        INSERT INTO lead_enrichment_prompt_templates (
+          organization_id,
+          name,
+          version,
+          system_template,
+          user_template,
+          notes,
+          created_by,
+          is_active,
+          activated_at
+        )
+        SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4, $5, $6, true, CURRENT_TIMESTAMP
+        FROM lead_enrichment_prompt_templates
+        WHERE organization_id = $1 AND name = $2
+        RETURNING *
+      `, [
+        organizationId,
+        name,
+        systemTemplate || '',
+        userTemplate,
+        notes || null,
+        createdBy || null
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating prompt template version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The organization's active version of a template, or null (built-in applies)
+   */
+  static async findActive(organizationId, name) {
+    try {
+      const result = await query(`
+        SELECT * FROM lead_enrichment_prompt_templates
+        WHERE organization_id = $1 AND name = $2 AND is_active = true
+        ORDER BY version DESC
+        LIMIT 1
+      `, [organizationId, name]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding active prompt template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A specific version of a template
+   */
+  static async findVersion(organizationId, name, version) {
+    try {
+      const result = await query(`
+        SELECT * FROM lead_enrichment_prompt_templates
+        WHERE organization_id = $1 AND name = $2 AND version = $3
+      `, [organizationId, name, version]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding prompt template version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Version history of a template, newest first
+   */
+  static async listVersions(organizationId, name, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const result = await query(`
+        SELECT * FROM lead_enrichment_prompt_templates
+        WHERE organization_id = $1 AND name = $2
+        ORDER BY version DESC
+        LIMIT $3 OFFSET $4
+      `, [organizationId, name, limit, offset]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing prompt template versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All active overrides of an organization
+   */
+  static async findActiveByOrganization(organizationId) {
+    try {
+      const result = await query(`
+        SELECT * FROM lead_enrichment_prompt_templates
+        WHERE organization_id = $1 AND is_active = true
+        ORDER BY name
+      `, [organizationId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding active prompt templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an existing version the active one (rollback)
+   * @returns {Promise<Object|null>} The activated row, or null if the version does not exist
+   */
+  static async activate(organizationId, name, version) {
+    try {
+      const result = await query(`
+        UPDATE lead_enrichment_prompt_templates
+        SET
+          is_active = (version = $3),
+          activated_at = CASE WHEN version = $3 THEN CURRENT_TIMESTAMP ELSE activated_at END
+        WHERE organization_id = $1 AND name = $2
+          AND EXISTS (
+            SELECT 1 FROM lead_enrichment_prompt_templates
+            WHERE organization_id = $1 AND name = $2 AND version = $3
+          )
+        RETURNING *
+      `, [organizationId, name, version]);
+
+      return result.rows.find(row => row.version === version) || null;
+    } catch (error) {
+      console.error('Error activating prompt template version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate every version so the built-in template applies again
+   * @returns {Promise<number>} Versions deactivated
+   */
+  static async deactivateAll(organizationId, name) {
+    try {
+      const result = await query(`
+        UPDATE lead_enrichment_prompt_templates
+        SET is_active = false
+        WHERE organization_id = $1 AND name = $2 AND is_active = true
+      `, [organizationId, name]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error deactivating prompt templates:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptTemplate;
@@ -0,0 +1,83 @@
+/**
+ * Security Event Model
+ * 
+ * Audit trail of blocked server-side requests (SSRF attempts) per organization
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class SecurityEvent {
+  /**
+   * Record a security event
+   */
+  static async create(eventData) {
+    try {
+      const {
+        organizationId,
+        userId,
+        eventType,
+        url,
+        reason,
+        details
+      } = eventData;
+
+      const result = await query(`
+        INSERT INTO lead_enrichment_security_events (
+          organization_id,
+          user_id,
+          event_type,
+          url,
+          reason,
+          details
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        organizationId,
+        userId,
+        eventType,
+        url,
+        reason,
+        JSON.stringify(details || {})
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating security event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find recent security events for an organization
+   */
+  static async findByOrganization(organizationId, options = {}) {
+    try {
+      const { eventType = null, limit = 50, offset = 0 } = options;
+
+      let sql = `
+        SELECT * FROM lead_enrichment_security_events
+        WHERE organization_id = $1
+      `;
+      const params = [organizationId];
+
+      if (eventType) {
+        sql += ` AND event_type = $${params.length + 1}`;
+        params.push(eventType);
+      }
+
+      sql += `
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      params.push(limit, offset);
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding security events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SecurityEvent;
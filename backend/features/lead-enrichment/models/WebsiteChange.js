@@ -0,0 +1,115 @@
+/**
+ * Website Change Model
+ *
+ * Changes detected between consecutive snapshots (trigger events for sales)
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class WebsiteChange {
+  /**
+   * Store the changes detected between two snapshots
+   * @param {Date|string} detectedAt - Defaults to now; set when rebuilding from old snapshots
+   */
+  static async createMany({ monitorId, organizationId, fromSnapshotId, toSnapshotId, changes, detectedAt = null }) {
+    try {
+      if (!changes || changes.length === 0) {
+        return [];
+      }
+
+      const params = [monitorId, organizationId, fromSnapshotId, toSnapshotId, detectedAt];
+      const rows = changes.map(change => {
+        params.push(change.changeType, change.significance, change.summary, JSON.stringify(change.details || {}));
+        const base = params.length - 4;
+        return `($1, $2, $3, $4, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, COALESCE($5::timestamp, CURRENT_TIMESTAMP))`;
+      });
+
+      const result = await query(`
+        INSERT INTO website_changes (
+          monitor_id,
+          organization_id,
+          from_snapshot_id,
+          to_snapshot_id,
+          change_type,
+          significance,
+          summary,
+          details,
+          detected_at
+        ) VALUES ${rows.join(', ')}
+        RETURNING *
+      `, params);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error creating website changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change feed for a monitor, newest first
+   */
+  static async findByMonitor(monitorId, options = {}) {
+    try {
+      const {
+        since = null,
+        changeType = null,
+        significance = null,
+        limit = 50,
+        offset = 0
+      } = options;
+
+      let sql = `
+        SELECT * FROM website_changes
+        WHERE monitor_id = $1
+      `;
+      const params = [monitorId];
+
+      if (since) {
+        sql += ` AND detected_at >= $${params.length + 1}`;
+        params.push(since);
+      }
+
+      if (changeType) {
+        sql += ` AND change_type = $${params.length + 1}`;
+        params.push(changeType);
+      }
+
+      if (significance) {
+        sql += ` AND significance = $${params.length + 1}`;
+        params.push(significance);
+      }
+
+      sql += `
+        ORDER BY detected_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      params.push(limit, offset);
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding website changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all changes for a monitor (before recomputing them from snapshots)
+   */
+  static async deleteByMonitor(monitorId) {
+    try {
+      const result = await query(`
+        DELETE FROM website_changes
+        WHERE monitor_id = $1
+      `, [monitorId]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error deleting website changes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebsiteChange;
@@ -0,0 +1,252 @@
+/**
+ * Website Monitor Model
+ *
+ * Target account websites watched for changes over time
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+// Columns a caller may change through update()
+const UPDATABLE_COLUMNS = {
+  name: 'name',
+  checkIntervalHours: 'check_interval_hours',
+  maxPages: 'max_pages',
+  isActive: 'is_active'
+};
+
+class WebsiteMonitor {
+  /**
+   * Create a monitor
+   */
+  static async create(monitorData) {
+    try {
+      const {
+        organizationId,
+        userId,
+        name,
+        url,
+        domain,
+        checkIntervalHours,
+        maxPages
+      } = monitorData;
+
+      const result = await query(`
+        INSERT INTO website_monitors (
+          organization_id,
+          user_id,
+          name,
+          url,
+          domain,
+          check_interval_hours,
+          max_pages
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        organizationId,
+        userId,
+        name,
+        url,
+        domain,
+        checkIntervalHours,
+        maxPages
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating website monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a monitor within an organization
+   */
+  static async findById(id, organizationId) {
+    try {
+      const result = await query(`
+        SELECT * FROM website_monitors
+        WHERE id = $1 AND organization_id = $2
+      `, [id, organizationId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding website monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an organization's monitor for a domain
+   */
+  static async findByDomain(domain, organizationId) {
+    try {
+      const result = await query(`
+        SELECT * FROM website_monitors
+        WHERE domain = $1 AND organization_id = $2
+      `, [domain, organizationId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding website monitor by domain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List monitors for an organization
+   */
+  static async findByOrganization(organizationId, options = {}) {
+    try {
+      const { isActive = null, limit = 50, offset = 0 } = options;
+
+      let sql = `
+        SELECT * FROM website_monitors
+        WHERE organization_id = $1
+      `;
+      const params = [organizationId];
+
+      if (isActive !== null) {
+        sql += ` AND is_active = $${params.length + 1}`;
+        params.push(isActive);
+      }
+
+      sql += `
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      params.push(limit, offset);
+
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding website monitors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of active monitors in an organization
+   */
+  static async countActive(organizationId) {
+    try {
+      const result = await query(`
+        SELECT COUNT(*)::int AS count FROM website_monitors
+        WHERE organization_id = $1 AND is_active = true
+      `, [organizationId]);
+
+      return result.rows[0].count;
+    } catch (error) {
+      console.error('Error counting website monitors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update monitor settings
+   * @param {Object} fields - Any of name, checkIntervalHours, maxPages, isActive
+   */
+  static async update(id, organizationId, fields) {
+    try {
+      const assignments = [];
+      const params = [id, organizationId];
+
+      for (const [field, column] of Object.entries(UPDATABLE_COLUMNS)) {
+        if (fields[field] !== undefined) {
+          params.push(fields[field]);
+          assignments.push(`${column} = $${params.length}`);
+        }
+      }
+
+      if (assignments.length === 0) {
+        return WebsiteMonitor.findById(id, organizationId);
+      }
+
+      const result = await query(`
+        UPDATE website_monitors
+        SET
+          ${assignments.join(',\n          ')},
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND organization_id = $2
+        RETURNING *
+      `, params);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating website monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a monitor (snapshots and changes cascade)
+   */
+  static async delete(id, organizationId) {
+    try {
+      const result = await query(`
+        DELETE FROM website_monitors
+        WHERE id = $1 AND organization_id = $2
+        RETURNING id
+      `, [id, organizationId]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting website monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim active monitors whose next check is due. Claimed monitors have their
+   * next check pushed back by the lease, so concurrent workers skip them and a
+   * crashed worker's monitors are picked up again once the lease expires.
+   * markChecked() replaces the lease with the real schedule.
+   * @param {number} limit - Max monitors to claim
+   * @param {number} leaseMinutes - How long a claim holds
+   */
+  static async claimDue(limit = 20, leaseMinutes = 60) {
+    try {
+      const result = await query(`
+        UPDATE website_monitors
+        SET next_check_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 minute')
+        WHERE id IN (
+          SELECT id FROM website_monitors
+          WHERE is_active = true AND next_check_at <= CURRENT_TIMESTAMP
+          ORDER BY next_check_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [limit, leaseMinutes]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming due website monitors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a completed check and schedule the next one
+   */
+  static async markChecked(id, status) {
+    try {
+      const result = await query(`
+        UPDATE website_monitors
+        SET
+          last_checked_at = CURRENT_TIMESTAMP,
+          last_status = $2,
+          next_check_at = CURRENT_TIMESTAMP + (check_interval_hours * INTERVAL '1 hour'),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [id, JSON.stringify(status)]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error marking website monitor checked:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebsiteMonitor;
@@ -0,0 +1,86 @@
+/**
+ * Website Snapshot Model
+ *
+ * Point-in-time content snapshots of monitored websites
+ */
+
+const { query } = require('../../../shared/database/connection');
+
+class WebsiteSnapshot {
+  /**
+   * Store a snapshot
+   */
+  static async create(snapshotData) {
+    try {
+      const {
+        monitorId,
+        domain,
+        contentHash,
+        snapshot
+      } = snapshotData;
+
+      const result = await query(`
+        INSERT INTO website_snapshots (
+          monitor_id,
+          domain,
+          content_hash,
+          snapshot
+        ) VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [
+        monitorId,
+        domain,
+        contentHash,
+        JSON.stringify(snapshot)
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating website snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent snapshot for a monitor
+   */
+  static async findLatest(monitorId) {
+    try {
+      const result = await query(`
+        SELECT * FROM website_snapshots
+        WHERE monitor_id = $1
+        ORDER BY captured_at DESC, id DESC
+        LIMIT 1
+      `, [monitorId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding latest website snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All snapshots for a monitor, oldest first
+   */
+  static async findByMonitor(monitorId, limit = 100) {
+    try {
+      const result = await query(`
+        SELECT * FROM (
+          SELECT * FROM website_snapshots
+          WHERE monitor_id = $1
+          ORDER BY captured_at DESC, id DESC
+          LIMIT $2
+        ) recent
+        ORDER BY captured_at ASC, id ASC
+      `, [monitorId, limit]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding website snapshots:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebsiteSnapshot;
@@ -4,8 +4,26 @@
 
 const EnrichedLead = require('./EnrichedLead');
 const WebsiteAnalysisCache = require('./WebsiteAnalysisCache');
+const SecurityEvent = require('./SecurityEvent');
+const WebsiteMonitor = require('./WebsiteMonitor');
+const WebsiteSnapshot = require('./WebsiteSnapshot');
+const WebsiteChange = require('./WebsiteChange');
+const FeatureConfig = require('./FeatureConfig');
+const AIUsage = require('./AIUsage');
+const AIResponseCache = require('./AIResponseCache');
+const PromptTemplate = require('./PromptTemplate');
+const Embedding = require('./Embedding');
 
 module.exports = {
   EnrichedLead,
-  WebsiteAnalysisCache
+  WebsiteAnalysisCache,
+  SecurityEvent,
+  WebsiteMonitor,
+  WebsiteSnapshot,
+  WebsiteChange,
+  FeatureConfig,
+  AIUsage,
+  AIResponseCache,
+  PromptTemplate,
+  Embedding
 };
@@ -20,6 +20,13 @@
  * - POST /enrich: Enrich and filter leads (2 credits per batch)
  * - POST /analyze-website: Analyze single website (0.5 credits)
  * - POST /batch-enrich: Process multiple batches (2 credits per batch)
+ * - POST /estimate: Dry-run credit estimate with firmographic rules applied (free)
+ * - POST /lookalikes: Rank leads by embedding similarity to seed companies (2 credits)
+ * - POST /generate-outreach: Grounded outreach drafts for up to 10 enriched leads (2 credits)
+ * - POST /classify-contacts: Persona classification and buyer-role ranking of contacts (1 credit)
+ * - /monitors: Website change monitoring CRUD, change feed and manual checks
+ * - GET /usage: AI token usage and cost report (free)
+ * - /prompt-templates: Organization prompt template overrides, history and rollback (free)
  * - GET /health: Feature health check (free)
  */
 
@@ -28,6 +35,13 @@ const router = express.Router();
 const { requireFeature } = require('../../shared/middleware/feature_guard');
 const { requireCredits } = require('../../shared/middleware/credit_guard');
 const LeadEnrichmentController = require('./controllers/LeadEnrichmentController');
+const MonitorController = require('./controllers/MonitorController');
+const UsageController = require('./controllers/UsageController');
+const PromptTemplateController = require('./controllers/PromptTemplateController');
+const EstimateController = require('./controllers/EstimateController');
+const LookalikeController = require('./controllers/LookalikeController');
+const OutreachController = require('./controllers/OutreachController');
+const ContactController = require('./controllers/ContactController');
 
 // Feature guard middleware - all routes require lead-enrichment feature
 router.use(requireFeature('lead-enrichment'));
@@ -47,14 +61,37 @@ router.use(requireFeature('lead-enrichment'));
  *             type: object
  *             required:
  *               - leads
- *               - topic
  *             properties:
  *               leads:
  *                 type: array
  *                 description: Array of lead/company objects from Apollo, LinkedIn, etc.
  *               topic:
  *                 type: string
- *                 description: Target topic or ICP description for filtering
+ *                 description: Target topic or ICP description for filtering (required unless rubric is given)
+ *               rubric:
+ *                 type: object
+ *                 description: Weighted ICP criteria scored one by one; replaces topic
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   criteria:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required:
+ *                         - type
+ *                         - target
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [industry, company_size, geography, technology, buying_signals, custom]
+ *                         id:
+ *                           type: string
+ *                         target:
+ *                           type: string
+ *                         weight:
+ *                           type: number
+ *                           default: 1
  *               min_relevance_score:
  *                 type: number
  *                 default: 5
@@ -65,6 +102,35 @@ router.use(requireFeature('lead-enrichment'));
  *               enable_ai_analysis:
  *                 type: boolean
  *                 default: true
+ *               batch_ai_analysis:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Score several leads per AI call; set false for one call per lead
+ *               bypass_cache:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore cached AI responses for this request (fresh responses are still cached)
+ *               firmographic_rules:
+ *                 type: array
+ *                 description: Declarative rules over lead fields, applied before scraping and AI (see README)
+ *                 items:
+ *                   type: object
+ *               embedding_similarity:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Add topicSimilarity and seedSimilarity from website embeddings
+ *               seed_domains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Seed company domains for seedSimilarity (with embedding_similarity)
+ *               consensus:
+ *                 description: >
+ *                   true, or { band, samples, min_agreement, second_model: { provider, model } }.
+ *                   Re-score leads near min_relevance_score with more samples (see README)
+ *                 oneOf:
+ *                   - type: boolean
+ *                   - type: object
  */
 router.post('/enrich',
   requireCredits('lead_enrichment', 2),
@@ -88,6 +154,7 @@ router.post('/analyze-website',
  * /api/lead-enrichment/batch-enrich:
  *   post:
  *     summary: Batch enrich multiple lead lists
+ *     description: Each batch takes the /enrich options, including its own firmographic_rules
  *     tags: [Lead Enrichment]
  */
 router.post('/batch-enrich',
@@ -100,7 +167,7 @@ router.post('/batch-enrich',
  * /api/lead-enrichment/generate-intelligence:
  *   post:
  *     summary: Generate AI-powered sales intelligence for a company
- *     description: Create comprehensive sales intelligence summary with business insights
+ *     description: Typed JSON sales intelligence whose claims cite the website page or social post they come from
  *     tags: [Lead Enrichment]
  *     requestBody:
  *       required: true
@@ -120,13 +187,154 @@ router.post('/batch-enrich',
  *                 description: Target ICP or sales context
  *               socialPosts:
  *                 type: array
- *                 description: Optional social media posts for additional context
+ *                 description: Optional social media posts ({ text|caption, url|permalink, platform, timestamp }), citable as sources
+ *               crawl:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Crawl internal pages (about, products, careers...) so they can be cited too
+ *               maxPages:
+ *                 type: integer
+ *                 default: 5
+ *               includeMarkdown:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Add a markdown rendering of the JSON document as `markdown`
  */
 router.post('/generate-intelligence',
   requireCredits('sales_intelligence', 1),
   LeadEnrichmentController.generateSalesIntelligence
 );
 
+/**
+ * @swagger
+ * /api/lead-enrichment/generate-outreach:
+ *   post:
+ *     summary: Draft personalized outreach for enriched leads
+ *     description: Cold email with subject lines, LinkedIn connection note and follow-ups per lead. Drafts may only use facts from the lead's enrichment data and the sender's value proposition; drafts with unsupported claims are rejected.
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - leads
+ *               - sender
+ *             properties:
+ *               leads:
+ *                 type: array
+ *                 description: Up to 10 leads, ideally as returned by /enrich (websiteContent, aiAnalysis)
+ *               sender:
+ *                 type: object
+ *                 required:
+ *                   - value_proposition
+ *                 properties:
+ *                   value_proposition:
+ *                     type: string
+ *                     description: What the sender offers; the only source for claims about the sender
+ *                   name:
+ *                     type: string
+ *                   company:
+ *                     type: string
+ *                   proof_points:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Up to 5 facts the drafts may use (customers, results)
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, linkedin, follow_up]
+ *                 description: Defaults to all three
+ *               tone:
+ *                 type: string
+ *                 enum: [professional, friendly, direct, casual, formal]
+ *                 default: professional
+ *               length:
+ *                 type: string
+ *                 enum: [short, medium, long]
+ *                 default: short
+ *               language:
+ *                 type: string
+ *                 default: English
+ *               follow_ups:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 4
+ *                 default: 2
+ *               scrape_missing:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Scrape the website of leads sent without websiteContent
+ */
+router.post('/generate-outreach',
+  requireCredits('outreach_generation', 2),
+  OutreachController.generateOutreach
+);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/classify-contacts:
+ *   post:
+ *     summary: Classify contacts by seniority and function and rank buyers per account
+ *     description: Normalizes job titles into seniority and function (keyword rules, AI fallback for ambiguous titles), scores each person as decision maker, influencer or not relevant against buyer personas, and ranks contacts within each account.
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contacts
+ *             properties:
+ *               contacts:
+ *                 type: array
+ *                 description: Up to 500 people from Apollo, LinkedIn, etc. (title/headline and organization/company fields)
+ *               personas:
+ *                 type: array
+ *                 description: ICP buyer personas; without them the buyer role follows seniority alone
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - functions
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     functions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [engineering, product, sales, marketing, customer_success, operations, finance, hr, legal, it, general_management]
+ *                     seniority:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [c_level, vp, director, manager, individual_contributor]
+ *                       default: [c_level, vp, director]
+ *                     role:
+ *                       type: string
+ *                       enum: [decision_maker, influencer]
+ *                       default: decision_maker
+ *                     title_keywords:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Title words that count as a function match (e.g. "payments")
+ *               use_ai:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Classify titles the keyword rules can't resolve with the organization's AI model
+ */
+router.post('/classify-contacts',
+  requireCredits('contact_classification', 1),
+  ContactController.classifyContacts
+);
+
 /**
  * @swagger
  * /api/lead-enrichment/filter-posts:
@@ -183,12 +391,241 @@ router.post('/filter-posts',
  *                 type: number
  *                 default: 10
  *                 description: Maximum concurrent scraping operations
+ *               firmographicRules:
+ *                 type: array
+ *                 description: Declarative rules over company fields, applied before scraping (see README)
+ *                 items:
+ *                   type: object
  */
 router.post('/filter-companies',
   requireCredits('company_filtering', 2),
   LeadEnrichmentController.filterCompanies
 );
 
+/**
+ * @swagger
+ * /api/lead-enrichment/estimate:
+ *   post:
+ *     summary: Estimate credits, websites to scrape and AI calls for a request
+ *     description: Applies firmographic rules without any network work. Send the body of the target endpoint plus "endpoint".
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 enum: [enrich, batch-enrich, filter-companies]
+ */
+router.post('/estimate', EstimateController.estimate);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/lookalikes:
+ *   post:
+ *     summary: Rank leads by similarity to seed companies
+ *     description: Embeds website text of the seeds and the leads and ranks leads by cosine similarity. Stored vectors are reused.
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - leads
+ *               - seed_domains
+ *             properties:
+ *               leads:
+ *                 type: array
+ *                 description: Up to 100 leads with website/domain fields
+ *               seed_domains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Domains of the companies to find lookalikes of (max 50)
+ *               topic:
+ *                 type: string
+ *                 description: Optional; adds topicSimilarity to each lead
+ *               min_similarity:
+ *                 type: number
+ *               limit:
+ *                 type: number
+ *               refresh_embeddings:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Scrape and embed again instead of reusing stored vectors
+ */
+router.post('/lookalikes',
+  requireCredits('lookalike_search', 2),
+  LookalikeController.findLookalikes
+);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/monitors:
+ *   post:
+ *     summary: Start monitoring a target account website
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: Website URL or bare domain
+ *               name:
+ *                 type: string
+ *               check_interval_hours:
+ *                 type: number
+ *                 default: 24
+ *                 description: 6 to 720 hours
+ *               max_pages:
+ *                 type: number
+ *                 default: 8
+ *                 description: Pages crawled per check
+ *   get:
+ *     summary: List the organization's monitors
+ *     tags: [Lead Enrichment]
+ */
+router.post('/monitors', MonitorController.createMonitor);
+router.get('/monitors', MonitorController.listMonitors);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/monitors/{id}:
+ *   get:
+ *     summary: Get a monitor
+ *     tags: [Lead Enrichment]
+ *   patch:
+ *     summary: Update name, check interval, page budget or active flag
+ *     tags: [Lead Enrichment]
+ *   delete:
+ *     summary: Delete a monitor with its snapshots and changes
+ *     tags: [Lead Enrichment]
+ */
+router.get('/monitors/:id', MonitorController.getMonitor);
+router.patch('/monitors/:id', MonitorController.updateMonitor);
+router.delete('/monitors/:id', MonitorController.deleteMonitor);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/monitors/{id}/changes:
+ *   get:
+ *     summary: Change feed (trigger events) for a monitored website
+ *     description: Filter with since, change_type and significance query parameters
+ *     tags: [Lead Enrichment]
+ */
+router.get('/monitors/:id/changes', MonitorController.getChanges);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/monitors/{id}/check:
+ *   post:
+ *     summary: Crawl the website now and record changes
+ *     tags: [Lead Enrichment]
+ */
+router.post('/monitors/:id/check',
+  requireCredits('website_monitoring', 0.5),
+  MonitorController.checkMonitor
+);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/usage:
+ *   get:
+ *     summary: AI token usage and cost for the organization
+ *     description: Aggregated by day, model and endpoint by default (group_by=day,model,provider,endpoint,user)
+ *     tags: [Lead Enrichment]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ */
+router.get('/usage', UsageController.getUsage);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/prompt-templates:
+ *   get:
+ *     summary: AI prompt templates with the version in effect for the organization
+ *     tags: [Lead Enrichment]
+ */
+router.get('/prompt-templates', PromptTemplateController.listTemplates);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/prompt-templates/{name}:
+ *   get:
+ *     summary: Built-in text, active version and version history of a template
+ *     tags: [Lead Enrichment]
+ *   post:
+ *     summary: Save a new version of a template and make it active
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_template
+ *             properties:
+ *               user_template:
+ *                 type: string
+ *                 description: Prompt with {{placeholders}}; must keep the template's required placeholders
+ *               system_template:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ */
+router.get('/prompt-templates/:name', PromptTemplateController.getTemplate);
+router.post('/prompt-templates/:name', PromptTemplateController.createVersion);
+
+/**
+ * @swagger
+ * /api/lead-enrichment/prompt-templates/{name}/rollback:
+ *   post:
+ *     summary: Activate an earlier version, or "default" for the built-in template
+ *     tags: [Lead Enrichment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                     enum: [default]
+ */
+router.post('/prompt-templates/:name/rollback', PromptTemplateController.rollback);
+
 /**
  * Feature health check
  */
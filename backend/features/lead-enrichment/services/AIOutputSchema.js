@@ -0,0 +1,443 @@
+/**
+ * AI Output Schemas
+ *
+ * Every structured AI call in CompanyAnalysisService declares one of these
+ * schemas. Responses are parsed, coerced to the declared types and validated;
+ * the resulting error list is what gets sent back to the model for repair.
+ *
+ * Schemas use a small JSON-Schema subset:
+ * type (object | array | string | number | integer | boolean), properties,
+ * required, items, enum, minimum, maximum, minItems, nullable, default.
+ */
+
+const { SENIORITY_LEVELS, FUNCTIONS } = require('./ContactPersonas');
+
+const VALIDATION_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  ERROR: 'error',
+  NOT_CONFIGURED: 'not_configured',
+  // The provider call itself failed (rate limit, outage, timeout) after retries
+  PROVIDER_ERROR: 'provider_error'
+};
+
+const SCHEMAS = {
+  relevanceAnalysis: {
+    type: 'object',
+    required: ['isRelevant', 'confidence', 'score', 'reasoning'],
+    properties: {
+      isRelevant: { type: 'boolean' },
+      confidence: { type: 'integer', minimum: 0, maximum: 100 },
+      score: { type: 'number', minimum: 0, maximum: 10 },
+      reasoning: { type: 'string' },
+      keyMatches: { type: 'array', items: { type: 'string' }, default: [] },
+      concerns: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+  },
+
+  // Envelope only: each result is validated against relevanceAnalysis on its own
+  // so one garbled entry doesn't discard the whole batch
+  relevanceBatch: {
+    type: 'object',
+    required: ['results'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  // Per-criterion scores for an ICP rubric; the weighted total is computed in code (IcpRubric)
+  rubricAnalysis: {
+    type: 'object',
+    required: ['criteria', 'reasoning'],
+    properties: {
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'score', 'evidence'],
+          properties: {
+            id: { type: 'string' },
+            score: { type: 'number', minimum: 0, maximum: 10 },
+            confidence: { type: 'integer', minimum: 0, maximum: 100, default: 50 },
+            evidence: { type: 'string' }
+          }
+        }
+      },
+      reasoning: { type: 'string' },
+      concerns: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+  },
+
+  postIds: {
+    type: 'object',
+    required: ['ids'],
+    properties: {
+      // Post ids may be numbers or strings upstream; compare as strings
+      ids: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  topicVerdict: {
+    type: 'object',
+    required: ['verdict'],
+    properties: {
+      verdict: { type: 'string', enum: ['YES', 'NO'] }
+    }
+  },
+
+  // Claims cite numbered sources; see SalesIntelligence for the citation check
+  salesIntelligence: {
+    type: 'object',
+    required: ['overview', 'relevance', 'recommendedApproach'],
+    properties: {
+      overview: claimSchema(),
+      relevance: {
+        type: 'object',
+        required: ['score', 'rationale'],
+        properties: {
+          score: { type: 'integer', minimum: 0, maximum: 10 },
+          rationale: { type: 'string' },
+          citations: citationsSchema()
+        }
+      },
+      businessSignals: { type: 'array', items: claimSchema(), default: [] },
+      painPoints: { type: 'array', items: claimSchema(), default: [] },
+      recommendedApproach: claimSchema(),
+      personas: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['title', 'rationale'],
+          properties: {
+            title: { type: 'string' },
+            department: { type: 'string', default: '' },
+            rationale: { type: 'string' },
+            citations: citationsSchema()
+          }
+        }
+      },
+      talkingPoints: { type: 'array', items: claimSchema(), default: [] }
+    }
+  },
+
+  // Job titles the ContactPersonas rules could not resolve; null means the model can't tell either
+  titleClassification: {
+    type: 'object',
+    required: ['results'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'seniority', 'function'],
+          properties: {
+            id: { type: 'string' },
+            seniority: { type: 'string', enum: SENIORITY_LEVELS, nullable: true },
+            function: { type: 'string', enum: FUNCTIONS, nullable: true },
+            confidence: { type: 'integer', minimum: 0, maximum: 100, default: 50 }
+          }
+        }
+      }
+    }
+  },
+
+  // Channels that were not requested may be null; see OutreachDrafts for the guardrails
+  outreachDrafts: {
+    type: 'object',
+    properties: {
+      email: {
+        type: 'object',
+        nullable: true,
+        required: ['subjectLines', 'body'],
+        properties: {
+          subjectLines: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          body: { type: 'string' },
+          claims: draftClaimsSchema()
+        }
+      },
+      linkedin: {
+        type: 'object',
+        nullable: true,
+        required: ['note'],
+        properties: {
+          note: { type: 'string' },
+          claims: draftClaimsSchema()
+        }
+      },
+      followUps: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['subject', 'body'],
+          properties: {
+            step: { type: 'integer', minimum: 1 },
+            delayDays: { type: 'integer', minimum: 1, default: 3 },
+            subject: { type: 'string' },
+            body: { type: 'string' },
+            claims: draftClaimsSchema()
+          }
+        }
+      }
+    }
+  }
+};
+
+function citationsSchema() {
+  return {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      required: ['source', 'quote'],
+      properties: {
+        source: { type: 'string' },
+        quote: { type: 'string' }
+      }
+    }
+  };
+}
+
+function draftClaimsSchema() {
+  return {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      required: ['text', 'source', 'quote'],
+      properties: {
+        text: { type: 'string' },
+        source: { type: 'string' },
+        quote: { type: 'string' }
+      }
+    }
+  };
+}
+
+function claimSchema() {
+  return {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string' },
+      citations: citationsSchema()
+    }
+  };
+}
+
+const TRUE_STRINGS = new Set(['true', 'yes', 'y', '1']);
+const FALSE_STRINGS = new Set(['false', 'no', 'n', '0']);
+
+/**
+ * Parse a JSON value out of model output, tolerating code fences and
+ * surrounding prose
+ * @param {string} text - Raw model output
+ * @returns {{ok: boolean, value?: *, error?: string}}
+ */
+function parseJsonResponse(text) {
+  const trimmed = String(text || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return { ok: true, value: JSON.parse(trimmed) };
+  } catch (error) {
+    // Fall back to the outermost object/array in the text
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return { ok: true, value: JSON.parse(trimmed.substring(start, end + 1)) };
+      } catch (innerError) {
+        return { ok: false, error: `Response is not valid JSON: ${innerError.message}` };
+      }
+    }
+    return { ok: false, error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Validate and coerce a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {{valid: boolean, value: *, errors: string[]}} Coerced value and errors
+ */
+function validate(schema, value) {
+  const errors = [];
+  const coerced = validateNode(schema, value, '$', errors);
+  return { valid: errors.length === 0, value: coerced, errors };
+}
+
+function validateNode(schema, value, path, errors) {
+  if (value === null || value === undefined) {
+    if (schema.nullable) return null;
+    errors.push(`${path}: is required`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      return validateObject(schema, value, path, errors);
+    case 'array':
+      return validateArray(schema, value, path, errors);
+    case 'string':
+      return validateString(schema, value, path, errors);
+    case 'number':
+    case 'integer':
+      return validateNumber(schema, value, path, errors);
+    case 'boolean':
+      return validateBoolean(value, path, errors);
+    default:
+      return value;
+  }
+}
+
+function validateObject(schema, value, path, errors) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path}: must be an object`);
+    return value;
+  }
+
+  const result = { ...value };
+  const required = new Set(schema.required || []);
+
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    const propPath = `${path}.${key}`;
+
+    if (value[key] === undefined || value[key] === null) {
+      if (required.has(key) && !propSchema.nullable) {
+        errors.push(`${propPath}: is required`);
+      } else if (propSchema.default !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(propSchema.default));
+      } else if (value[key] === null) {
+        result[key] = null;
+      }
+      continue;
+    }
+
+    result[key] = validateNode(propSchema, value[key], propPath, errors);
+  }
+
+  return result;
+}
+
+function validateArray(schema, value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: must be an array`);
+    return value;
+  }
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${path}: must have at least ${schema.minItems} items`);
+  }
+
+  return schema.items ?
+    value.map((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors)) :
+    value;
+}
+
+function validateString(schema, value, path, errors) {
+  let result = value;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    result = String(value);
+  } else if (typeof value !== 'string') {
+    errors.push(`${path}: must be a string`);
+    return value;
+  }
+
+  if (schema.enum) {
+    const match = schema.enum.find(option => option.toLowerCase() === result.trim().toLowerCase());
+    if (!match) {
+      errors.push(`${path}: must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+      return result;
+    }
+    return match;
+  }
+
+  return result;
+}
+
+function validateNumber(schema, value, path, errors) {
+  let result = value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    result = Number(value.trim().replace(/%$/, ''));
+  }
+
+  if (typeof result !== 'number' || !Number.isFinite(result)) {
+    errors.push(`${path}: must be a number`);
+    return value;
+  }
+
+  if (schema.type === 'integer') {
+    result = Math.round(result);
+  }
+  if (schema.minimum !== undefined && result < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && result > schema.maximum) {
+    errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  return result;
+}
+
+function validateBoolean(value, path, errors) {
+  if (typeof value === 'boolean') return value;
+
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_STRINGS.has(normalized)) return true;
+  if (FALSE_STRINGS.has(normalized)) return false;
+
+  errors.push(`${path}: must be a boolean`);
+  return value;
+}
+
+/**
+ * Follow-up prompt asking the model to fix its previous answer
+ * @param {string} previousResponse - Raw output that failed validation
+ * @param {string[]} errors - Validation errors
+ * @returns {string}
+ */
+function buildRepairPrompt(previousResponse, errors) {
+  return `Your previous response did not match the required JSON format.
+
+Previous response:
+${String(previousResponse || '').substring(0, 2000)}
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY the corrected JSON object.`;
+}
+
+/**
+ * Count validation statuses, e.g. { valid: 40, invalid: 2 }
+ * @param {Array<string>} statuses
+ * @returns {Object}
+ */
+function countValidationStatuses(statuses) {
+  const counts = {};
+  for (const status of statuses) {
+    if (!status) continue;
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  SCHEMAS,
+  VALIDATION_STATUS,
+  parseJsonResponse,
+  validate,
+  buildRepairPrompt,
+  countValidationStatuses
+};
@@ -1,13 +1,62 @@
-const axios = require('axios');
+const StructuredDataExtractor = require('./StructuredDataExtractor');
+const DomainResolver = require('./DomainResolver');
+const { SCRAPE_STATUS, buildStatus, countStatuses } = require('./ScrapeStatus');
+const LLMProviderRegistry = require('./llm/LLMProviderRegistry');
+const ProviderError = require('./llm/ProviderError');
+const RelevanceBatcher = require('./RelevanceBatcher');
+const PromptTemplateStore = require('./PromptTemplateStore');
+const { describeCriteria, scoreRubric, buildCriteriaCheck } = require('./IcpRubric');
+const {
+  SOURCE_TYPES,
+  buildSources,
+  describeSources,
+  buildCitationCheck,
+  resolveCitations
+} = require('./SalesIntelligence');
+const {
+  buildOutreachSources,
+  hasLeadSources,
+  describeChannels,
+  buildOutreachCheck,
+  resolveDrafts
+} = require('./OutreachDrafts');
+const { SENIORITY_LEVELS, FUNCTIONS } = require('./ContactPersonas');
+const {
+  SCHEMAS,
+  VALIDATION_STATUS,
+  parseJsonResponse,
+  validate,
+  buildRepairPrompt
+} = require('./AIOutputSchema');
 
 class CompanyAnalysisService {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
-    this.provider = process.env.AI_PROVIDER || 'openai'; // 'openai' or 'anthropic'
-    this.model = process.env.AI_MODEL || 'gpt-4o-mini';
-    
-    if (!this.apiKey) {
-      console.warn('⚠️ AI API key not configured for company analysis');
+  /**
+   * @param {Object} options
+   * @param {BaseLLMAdapter} options.llm - Adapter to use (e.g. from LLMProviderRegistry.forOrganization)
+   * @param {string} options.provider - Provider name when no adapter is given (default: AI_PROVIDER)
+   * @param {string} options.model - Model name when no adapter is given
+   * @param {UsageTracker} options.usageTracker - Records tokens, latency and cost of every call
+   * @param {ResponseCache} options.responseCache - Cache for deterministic calls (optional)
+   * @param {PromptTemplateStore} options.promptTemplates - Organization prompt templates
+   *   (default: built-in templates only)
+   * @param {number} options.maxRepairAttempts - Follow-up calls when a response fails schema
+   *   validation (default: AI_MAX_REPAIR_ATTEMPTS or 2)
+   */
+  constructor(options = {}) {
+    this.llm = options.llm || LLMProviderRegistry.getShared().create({
+      provider: options.provider,
+      model: options.model
+    });
+    this.provider = this.llm.provider;
+    this.model = this.llm.model;
+    this.usageTracker = options.usageTracker || null;
+    this.responseCache = options.responseCache || null;
+    this.promptTemplates = options.promptTemplates || new PromptTemplateStore();
+    this.maxRepairAttempts = options.maxRepairAttempts ??
+      parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS || '2');
+
+    if (!this.llm.isConfigured()) {
+      console.warn(`⚠️ AI provider "${this.provider}" not configured for company analysis`);
     }
   }
 
@@ -19,95 +68,284 @@ class CompanyAnalysisService {
    * @returns {Promise<Object>} Analysis result
    */
   async analyzeCompanyRelevance(company, websiteContent, topic) {
-    if (!this.apiKey) {
+    if (!this.llm.isConfigured()) {
       return {
         isRelevant: null,
         confidence: 0,
         reasoning: 'AI analysis not configured',
-        score: 0
+        score: 0,
+        validationStatus: VALIDATION_STATUS.NOT_CONFIGURED
       };
     }
 
-    const prompt = this.buildAnalysisPrompt(company, websiteContent, topic);
+    let template = null;
 
     try {
-      const response = await this.callAI(prompt);
-      return this.parseAnalysisResponse(response);
+      const rendered = await this.buildAnalysisPrompt(company, websiteContent, topic);
+      template = rendered.template;
+
+      const result = await this.callStructured({
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        temperature: 0.3,
+        maxTokens: 500,
+        schema: SCHEMAS.relevanceAnalysis
+      });
+      return { ...this.parseAnalysisResponse(result), promptTemplate: template };
     } catch (error) {
       console.error('AI analysis error:', error.message);
+      if (error instanceof ProviderError) {
+        return { ...this.buildProviderFailure(error), promptTemplate: template };
+      }
       return {
         isRelevant: null,
         confidence: 0,
         reasoning: `Analysis failed: ${error.message}`,
-        score: 0
+        score: 0,
+        validationStatus: VALIDATION_STATUS.ERROR,
+        promptTemplate: template
       };
     }
   }
 
   /**
-   * Generate sales intelligence summary for a company
-   * Migrated from vcp_sales_agent summarize_data()
+   * Score a company against a weighted ICP rubric. The model scores each
+   * criterion with evidence; the weighted total is computed in code.
    * @param {Object} company - Company data
-   * @param {string} websiteContent - Scraped website content  
-   * @param {string} topic - Target topic/ICP
-   * @param {Array} socialPosts - Optional social media posts
-   * @returns {Promise<Object>} Sales intelligence summary
+   * @param {string} websiteContent - Scraped website content
+   * @param {Object} rubric - Rubric from IcpRubric.normalizeRubric()
+   * @returns {Promise<Object>} Analysis result with a per-criterion `breakdown`
    */
-  async generateSalesIntelligence(company, websiteContent, topic, socialPosts = []) {
-    if (!this.apiKey) {
+  async analyzeCompanyRubric(company, websiteContent, rubric) {
+    if (!this.llm.isConfigured()) {
       return {
-        summary: 'AI analysis not configured',
-        travelActivity: null,
-        keyInsights: [],
-        businessContext: null,
-        salesNotes: []
+        confidence: 0,
+        reasoning: 'AI analysis not configured',
+        score: 0,
+        breakdown: [],
+        validationStatus: VALIDATION_STATUS.NOT_CONFIGURED
       };
     }
 
-    const companyName = company.name || 'Unknown Company';
-    const companyIndustry = company.industry || topic;
+    let template = null;
 
-    const prompt = `You are a smart and professional sales intelligence analyst.
-Your job is to analyze company information and generate a concise, actionable sales intelligence summary.
+    try {
+      const rendered = await this.promptTemplates.render('rubricAnalysis', {
+        rubricName: rubric.name ? `"${rubric.name}"` : 'below',
+        criteria: describeCriteria(rubric),
+        companyProfile: this.buildCompanyProfile(company, websiteContent)
+      });
+      template = rendered.template;
 
-**Company Information:**
-Name: ${companyName}
-Industry: ${companyIndustry}
-Location: ${company.location || 'Unknown'}
-Size: ${company.estimated_num_employees || 'Unknown'} employees
-Description: ${company.short_description || 'N/A'}
+      const result = await this.callStructured({
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        temperature: 0.3,
+        maxTokens: 300 + rubric.criteria.length * 120,
+        schema: SCHEMAS.rubricAnalysis,
+        check: buildCriteriaCheck(rubric)
+      });
 
-**Website Content:**
-${websiteContent ? websiteContent.substring(0, 2000) : 'No website content available'}
+      if (!result.valid) {
+        console.error('Rubric analysis failed validation:', result.errors.join('; '));
+        return {
+          confidence: 0,
+          reasoning: 'AI response could not be validated',
+          score: null,
+          breakdown: [],
+          validationStatus: VALIDATION_STATUS.INVALID,
+          validationErrors: result.errors,
+          attempts: result.attempts,
+          promptTemplate: template
+        };
+      }
 
-${socialPosts && socialPosts.length > 0 ? `
-**Social Media Activity:**
-${JSON.stringify(socialPosts.slice(0, 5), null, 2)}
-` : ''}
+      const { score, confidence, breakdown } = scoreRubric(rubric, result.value.criteria);
+      return {
+        score,
+        confidence,
+        reasoning: result.value.reasoning,
+        concerns: result.value.concerns,
+        breakdown,
+        validationStatus: VALIDATION_STATUS.VALID,
+        attempts: result.attempts,
+        promptTemplate: template
+      };
+    } catch (error) {
+      console.error('Rubric analysis error:', error.message);
+      if (error instanceof ProviderError) {
+        return { ...this.buildProviderFailure(error), breakdown: [], promptTemplate: template };
+      }
+      return {
+        confidence: 0,
+        reasoning: `Analysis failed: ${error.message}`,
+        score: 0,
+        breakdown: [],
+        validationStatus: VALIDATION_STATUS.ERROR,
+        promptTemplate: template
+      };
+    }
+  }
+
+  /**
+   * Generate sales intelligence for a company: a JSON document whose claims
+   * cite the website pages and social posts they come from
+   * Migrated from vcp_sales_agent summarize_data()
+   * @param {Object} company - Company data
+   * @param {string} websiteContent - Scraped website content (used when options.scraped is absent)
+   * @param {string} topic - Target topic/ICP
+   * @param {Array} socialPosts - Optional social media posts ({ text|caption, url|permalink, platform, timestamp })
+   * @param {Object} options
+   * @param {Object} options.scraped - scrapeWebsite() result; each page becomes a citable source
+   * @param {string} options.websiteUrl - Cited URL for plain websiteContent
+   * @returns {Promise<Object>} Sales intelligence (see SalesIntelligence for the citation format)
+   */
+  async generateSalesIntelligence(company, websiteContent, topic, socialPosts = [], options = {}) {
+    const sources = buildSources({
+      websiteUrl: options.websiteUrl || null,
+      scraped: options.scraped || null,
+      websiteContent,
+      socialPosts
+    });
+    const sourceList = sources.map(({ text, ...source }) => source);
+
+    if (!this.llm.isConfigured()) {
+      return {
+        message: 'AI analysis not configured',
+        relevanceScore: null,
+        sources: sourceList,
+        validationStatus: VALIDATION_STATUS.NOT_CONFIGURED
+      };
+    }
 
-**Target Profile:** ${topic}
+    let template = null;
+
+    try {
+      const posts = describeSources(sources, SOURCE_TYPES.SOCIAL_POST);
+      const rendered = await this.promptTemplates.render('salesIntelligence', {
+        companyName: company.name || 'Unknown Company',
+        industry: company.industry || topic,
+        location: company.location || 'Unknown',
+        employees: company.estimated_num_employees || 'Unknown',
+        description: company.short_description || 'N/A',
+        websiteContent: describeSources(sources, SOURCE_TYPES.WEBSITE) || 'No website content available',
+        socialPosts: posts ? `\n**Social Media Posts:**\n${posts}\n` : '',
+        topic
+      });
+      template = rendered.template;
+
+      const result = await this.callStructured({
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        temperature: 0.7,
+        maxTokens: 2500,
+        schema: SCHEMAS.salesIntelligence,
+        check: buildCitationCheck(sources)
+      });
+      return { ...this.parseSalesIntelligence(result, company, sources), promptTemplate: template };
+    } catch (error) {
+      console.error('Sales intelligence generation error:', error.message);
+      const providerFailed = error instanceof ProviderError;
+      return {
+        message: `Could not generate sales intelligence: ${error.message}`,
+        relevanceScore: null,
+        sources: sourceList,
+        validationStatus: providerFailed ? VALIDATION_STATUS.PROVIDER_ERROR : VALIDATION_STATUS.ERROR,
+        ...(providerFailed && { providerError: error.toJSON() }),
+        promptTemplate: template
+      };
+    }
+  }
+
+  /**
+   * Draft first-touch outreach for one enriched lead, grounded in its enrichment data
+   * @param {Object} lead - Enriched lead (websiteContent, aiAnalysis, technologies...)
+   * @param {Object} options - From OutreachDrafts.normalizeOutreachOptions()
+   * @returns {Promise<Object>} Drafts with resolved claims, or a rejection with the guardrail violations
+   */
+  async generateOutreachDrafts(lead, options) {
+    const sources = buildOutreachSources(lead, options.sender);
+    const sourceList = sources.map(({ text, ...source }) => source);
+    const base = {
+      companyName: lead.name || lead.company_name || null,
+      companyDomain: lead.canonicalDomain || lead.domain || null,
+      sources: sourceList
+    };
 
-Provide a comprehensive sales intelligence analysis with these sections:
+    if (!hasLeadSources(sources)) {
+      return {
+        ...base,
+        message: 'No enrichment data to ground outreach in (no website content or lead profile)',
+        drafts: null,
+        validationStatus: VALIDATION_STATUS.INVALID
+      };
+    }
 
-1. **Company Overview:** Brief summary of what they do and their market position
-2. **Relevance to Target:** How well they match the target profile (0-10 score)
-3. **Key Business Signals:** Any expansion, hiring, or growth indicators
-4. **Pain Points & Opportunities:** Potential needs or challenges they might have
-5. **Recommended Approach:** Best way to engage (timing, messaging, decision makers)
+    if (!this.llm.isConfigured()) {
+      return {
+        ...base,
+        message: 'AI analysis not configured',
+        drafts: null,
+        validationStatus: VALIDATION_STATUS.NOT_CONFIGURED
+      };
+    }
 
-Provide the output in clean markdown format with clear section headers (##).
-Keep it concise but actionable - focus on insights that help close deals.`;
+    let template = null;
 
     try {
-      const response = await this.callAIFlexible(prompt, '', 0.7);
-      return this.parseSalesIntelligence(response, company);
+      const rendered = await this.promptTemplates.render('outreachDraft', {
+        companyName: base.companyName || 'the company',
+        sources: describeSources(sources),
+        senderName: options.sender.name || 'the sender',
+        senderCompany: options.sender.company || 'our company',
+        channels: describeChannels(options),
+        tone: options.tone,
+        language: options.language
+      });
+      template = rendered.template;
+
+      const result = await this.callStructured({
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        temperature: 0.7,
+        maxTokens: 1500 + 300 * options.followUps,
+        schema: SCHEMAS.outreachDrafts,
+        check: buildOutreachCheck(sources, options)
+      });
+
+      if (!result.valid) {
+        console.warn(`🛡️ Outreach drafts for ${base.companyName || base.companyDomain} rejected: ${result.errors.join('; ')}`);
+        return {
+          ...base,
+          message: 'Drafts were rejected by the grounding guardrails',
+          drafts: null,
+          validationStatus: VALIDATION_STATUS.INVALID,
+          validationErrors: result.errors,
+          attempts: result.attempts,
+          promptTemplate: template
+        };
+      }
+
+      const { drafts, claimCount } = resolveDrafts(result.value, sources, options);
+      return {
+        ...base,
+        drafts,
+        claimCount,
+        validationStatus: VALIDATION_STATUS.VALID,
+        attempts: result.attempts,
+        generatedAt: new Date().toISOString(),
+        promptTemplate: template
+      };
     } catch (error) {
-      console.error('Sales intelligence generation error:', error.message);
+      console.error('Outreach draft generation error:', error.message);
+      const providerFailed = error instanceof ProviderError;
       return {
-        summary: `Could not generate sales intelligence: ${error.message}`,
-        relevanceScore: 0,
-        keyInsights: [],
-        salesNotes: []
+        ...base,
+        message: `Could not generate outreach drafts: ${error.message}`,
+        drafts: null,
+        validationStatus: providerFailed ? VALIDATION_STATUS.PROVIDER_ERROR : VALIDATION_STATUS.ERROR,
+        ...(providerFailed && { providerError: error.toJSON() }),
+        promptTemplate: template
       };
     }
   }
@@ -121,27 +359,12 @@ Keep it concise but actionable - focus on insights that help close deals.`;
    * @returns {Promise<Array>} Filtered posts
    */
   async filterPostsByTopic(posts, topic, chunkSize = 20) {
-    if (!this.apiKey || !posts || posts.length === 0) {
+    if (!this.llm.isConfigured() || !posts || posts.length === 0) {
       return posts || [];
     }
 
     console.log(`Filtering ${posts.length} posts for topic: '${topic.substring(0, 100)}...'`);
 
-    const systemPrompt = `You are an AI data filter. The user is searching for posts related to the following keywords and concepts: '${topic}'.
-
-You will be given a list of JSON objects, each with an "id" and a "text".
-Your task is to return a JSON array containing ONLY the "id" numbers (as integers) of the posts that are clearly and explicitly relevant to any of those topics.
-
-Example:
-User topic: "business trips, attending conference, work travel"
-Data: [
-  {"id": 1, "text": "Excited to be at #GDC in San Francisco this week!"},
-  {"id": 2, "text": "Just posted our Q3 earnings, great results!"},
-  {"id": 3, "text": "Packing my bags for the London sales meeting!"}
-]
-
-Your response: [1, 3]`;
-
     const relevantPostIds = new Set();
 
     // Process posts in chunks
@@ -152,191 +375,393 @@ Your response: [1, 3]`;
         text: post.caption || post.text || post.content || ''
       }));
 
-      const userPrompt = `Data:\n${JSON.stringify(simplifiedChunk, null, 2)}`;
       console.log(`  - Filtering chunk ${Math.floor(i / chunkSize) + 1}/${Math.ceil(posts.length / chunkSize)}...`);
 
+      const chunkIds = new Set(simplifiedChunk.map(post => String(post.id)));
+
       try {
-        const response = await this.callAIFlexible(userPrompt, systemPrompt, 0.0);
-        
-        // Parse JSON array from response
-        const startIndex = response.indexOf('[');
-        const endIndex = response.lastIndexOf(']');
-
-        if (startIndex !== -1 && endIndex !== -1) {
-          const jsonString = response.substring(startIndex, endIndex + 1);
-          const ids = JSON.parse(jsonString);
-          if (Array.isArray(ids)) {
-            ids.forEach(id => relevantPostIds.add(id));
-          }
+        const { systemPrompt, prompt } = await this.promptTemplates.render('postFilter', {
+          topic,
+          posts: JSON.stringify(simplifiedChunk, null, 2)
+        });
+
+        const result = await this.callStructured({
+          prompt,
+          systemPrompt,
+          temperature: 0.0,
+          schema: SCHEMAS.postIds,
+          // Only ids from this chunk are acceptable answers
+          check: value => value.ids
+            .filter(id => !chunkIds.has(id))
+            .map(id => `$.ids: ${JSON.stringify(id)} is not an id from the data`)
+        });
+
+        if (result.valid) {
+          result.value.ids.forEach(id => relevantPostIds.add(id));
+        } else {
+          console.warn(`  ⚠️ Chunk ${Math.floor(i / chunkSize) + 1} response failed validation: ${result.errors.join('; ')}`);
         }
       } catch (error) {
         console.error(`Error filtering chunk: ${error.message}`);
       }
     }
 
-    const relevantPosts = posts.filter(post => relevantPostIds.has(post.id));
+    const relevantPosts = posts.filter(post => relevantPostIds.has(String(post.id)));
     console.log(`  ✅ Filtered to ${relevantPosts.length} relevant posts`);
     
     return relevantPosts;
   }
 
   /**
-   * Build prompt for company relevance analysis
+   * Classify job titles the ContactPersonas rules could not resolve
+   * @param {Array<{id: string, title: string}>} items - Titles keyed by a stable id
+   * @param {number} chunkSize - Titles per AI call
+   * @returns {Promise<Map<string, Object>>} { seniority, function, confidence, validationStatus } per id;
+   *   ids of a failed chunk carry its validationStatus and null fields
+   */
+  async classifyTitles(items, chunkSize = 40) {
+    const results = new Map();
+    if (items.length === 0) return results;
+
+    if (!this.llm.isConfigured()) {
+      items.forEach(item => results.set(item.id, this.buildTitleFailure(VALIDATION_STATUS.NOT_CONFIGURED)));
+      return results;
+    }
+
+    console.log(`🏷️ Classifying ${items.length} ambiguous job titles with AI`);
+
+    for (let i = 0; i < items.length; i += chunkSize) {
+      const chunk = items.slice(i, i + chunkSize);
+      const chunkIds = chunk.map(item => item.id);
+
+      try {
+        const { systemPrompt, prompt } = await this.promptTemplates.render('titleClassification', {
+          titles: chunk.map(item => `[${item.id}] ${item.title}`).join('\n'),
+          titleIds: chunkIds.join(', '),
+          seniorityLevels: SENIORITY_LEVELS.join(', '),
+          functions: FUNCTIONS.join(', ')
+        });
+
+        const result = await this.callStructured({
+          prompt,
+          systemPrompt,
+          temperature: 0,
+          maxTokens: 60 * chunk.length + 200,
+          schema: SCHEMAS.titleClassification,
+          // One result per title of this chunk, no others
+          check: value => {
+            const returned = value.results.map(entry => entry.id);
+            return [
+              ...returned.filter(id => !chunkIds.includes(id)).map(id => `$.results: "${id}" is not a title id from the list`),
+              ...chunkIds.filter(id => !returned.includes(id)).map(id => `$.results: missing title id "${id}"`)
+            ];
+          }
+        });
+
+        if (result.valid) {
+          result.value.results.forEach(entry => results.set(entry.id, {
+            seniority: entry.seniority,
+            function: entry.function,
+            confidence: entry.confidence,
+            validationStatus: VALIDATION_STATUS.VALID
+          }));
+        } else {
+          console.warn(`  ⚠️ Title chunk ${Math.floor(i / chunkSize) + 1} failed validation: ${result.errors.join('; ')}`);
+          chunk.forEach(item => results.set(item.id, this.buildTitleFailure(VALIDATION_STATUS.INVALID)));
+        }
+      } catch (error) {
+        console.error(`Error classifying titles: ${error.message}`);
+        const status = error instanceof ProviderError ? VALIDATION_STATUS.PROVIDER_ERROR : VALIDATION_STATUS.ERROR;
+        chunk.forEach(item => results.set(item.id, this.buildTitleFailure(status)));
+      }
+    }
+
+    return results;
+  }
+
+  buildTitleFailure(validationStatus) {
+    return { seniority: null, function: null, confidence: 0, validationStatus };
+  }
+
+  /**
+   * Build prompt for company relevance analysis (relevanceAnalysis template)
+   * @returns {Promise<{systemPrompt: string, prompt: string, template: Object}>}
    */
   buildAnalysisPrompt(company, websiteContent, topic) {
-    return `You are a B2B sales analyst. Analyze if this company matches the target profile.
+    return this.promptTemplates.render('relevanceAnalysis', {
+      topic,
+      companyProfile: this.buildCompanyProfile(company, websiteContent)
+    });
+  }
 
-**Target Profile/Topic:**
-${topic}
+  /**
+   * Build prompt scoring several companies at once (relevanceBatch template)
+   * @param {Array<{id: string, profile: string}>} entries - Company id and buildCompanyProfile() text
+   * @param {string} topic - Target topic
+   * @returns {Promise<{systemPrompt: string, prompt: string, template: Object}>}
+   */
+  buildBatchAnalysisPrompt(entries, topic) {
+    return this.promptTemplates.render('relevanceBatch', {
+      topic,
+      companies: entries
+        .map(entry => `### Company id: ${entry.id}\n${entry.profile}`)
+        .join('\n\n'),
+      companyIds: entries.map(entry => entry.id).join(', ')
+    });
+  }
 
-**Company Information:**
+  /**
+   * Company facts and website content section of a relevance prompt
+   * @param {Object} company - Company data (structuredData, technologies optional)
+   * @param {string} websiteContent - Scraped website content
+   * @param {number} maxContentLength - Website content characters to include
+   * @returns {string}
+   */
+  buildCompanyProfile(company, websiteContent, maxContentLength = 6000) {
+    const structuredFacts = new StructuredDataExtractor().summarize(company.structuredData);
+    const technologies = (company.technologies || [])
+      .filter(t => t.confidence >= 50)
+      .slice(0, 25)
+      .map(t => `${t.name} (${t.category})`)
+      .join(', ');
+
+    return `**Company Information:**
 Name: ${company.name || 'Unknown'}
 Industry: ${company.industry || 'Unknown'}
 Location: ${company.location || 'Unknown'}
 Size: ${company.estimated_num_employees || 'Unknown'} employees
 Description: ${company.short_description || 'N/A'}
-
+${structuredFacts ? `
+**Structured Website Facts (schema.org / OpenGraph):**
+${structuredFacts}
+` : ''}${technologies ? `
+**Detected Website Technologies:**
+${technologies}
+` : ''}
 **Website Content Analysis:**
-${websiteContent ? websiteContent.substring(0, 3000) : 'No website content available'}
-
-**Task:**
-Analyze if this company is a good fit for the target profile. Consider:
-1. Does their business align with the target topic/industry?
-2. Do they have relevant products/services?
-3. Are they likely to need the solution implied by the target profile?
-4. Does their company size/type match the ICP?
-
-**Response Format (JSON only):**
-{
-  "isRelevant": true/false,
-  "confidence": 0-100,
-  "score": 0-10,
-  "reasoning": "Brief explanation (2-3 sentences)",
-  "keyMatches": ["match1", "match2"],
-  "concerns": ["concern1", "concern2"]
-}`;
+${websiteContent ? websiteContent.substring(0, maxContentLength) : 'No website content available'}`;
   }
 
   /**
-   * Call AI provider
+   * Call the configured LLM provider
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.systemPrompt - System prompt (optional)
+   * @param {number} request.temperature - Temperature setting (default: 0.5)
+   * @param {number} request.maxTokens - Max output tokens (default: 2000, clamped per model)
+   * @param {boolean} request.json - Ask for a JSON object response
+   * @param {boolean} request.cache - Use the response cache (default: only at temperature 0)
+   * @returns {Promise<string>} AI response text
    */
-  async callAI(prompt) {
-    if (this.provider === 'openai') {
-      return this.callOpenAI(prompt);
-    } else if (this.provider === 'anthropic') {
-      return this.callAnthropic(prompt);
+  async callAI({ prompt, systemPrompt = '', temperature = 0.5, maxTokens = 2000, json = false, cache }) {
+    const cacheRequest = this.shouldCache(temperature, cache) ?
+      { provider: this.provider, model: this.model, systemPrompt, prompt, temperature, maxTokens, json } :
+      null;
+
+    if (cacheRequest) {
+      const cached = await this.responseCache.get(cacheRequest);
+      if (cached) {
+        return cached.text;
+      }
     }
-    throw new Error('Unsupported AI provider');
-  }
 
-  async callOpenAI(prompt) {
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a B2B sales analyst. Respond only with valid JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 500,
-        response_format: { type: 'json_object' }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.llm.complete({ prompt, systemPrompt, temperature, maxTokens, json });
+      this.usageTracker?.record({
+        provider: result.provider,
+        model: result.model,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens,
+        latencyMs: result.latencyMs
+      });
+
+      if (cacheRequest) {
+        await this.responseCache.set(cacheRequest, result);
       }
-    );
+      return result.text;
+    } catch (error) {
+      this.usageTracker?.record({
+        provider: this.provider,
+        model: this.model,
+        latencyMs: Date.now() - startedAt,
+        success: false
+      });
+      throw error;
+    }
+  }
 
-    return response.data.choices[0].message.content;
+  /**
+   * Whether a call goes through the response cache: explicit `cache` wins,
+   * otherwise only deterministic (temperature 0) calls are cached
+   */
+  shouldCache(temperature, cache) {
+    if (!this.responseCache) return false;
+    return cache ?? temperature === 0;
   }
 
-  async callAnthropic(prompt) {
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: this.model || 'claude-3-haiku-20240307',
-        max_tokens: 500,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      },
-      {
-        headers: {
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
+  /**
+   * Call the LLM for a JSON response that must match a schema. Invalid responses
+   * are sent back with the validation errors, up to maxRepairAttempts times.
+   * @param {Object} request - callAI request plus:
+   * @param {Object} request.schema - Output schema from AIOutputSchema.SCHEMAS
+   * @param {Function} request.check - Extra validation on the coerced value, returns error strings
+   * @returns {Promise<{valid: boolean, value: *, errors: string[], attempts: number}>}
+   */
+  async callStructured({ prompt, systemPrompt = '', temperature = 0.5, maxTokens = 2000, schema, check = null, cache }) {
+    let currentPrompt = prompt;
+    let errors = [];
+    let value = null;
+
+    for (let attempt = 1; attempt <= this.maxRepairAttempts + 1; attempt++) {
+      const response = await this.callAI({ prompt: currentPrompt, systemPrompt, temperature, maxTokens, json: true, cache });
+
+      const parsed = parseJsonResponse(response);
+      if (parsed.ok) {
+        const result = validate(schema, parsed.value);
+        value = result.value;
+        errors = result.errors.length === 0 && check ? check(result.value) : result.errors;
+      } else {
+        value = null;
+        errors = [parsed.error];
+      }
+
+      if (errors.length === 0) {
+        return { valid: true, value, errors, attempts: attempt };
+      }
+
+      // Don't keep serving a response that failed validation
+      if (this.shouldCache(temperature, cache)) {
+        await this.responseCache.delete({
+          provider: this.provider,
+          model: this.model,
+          systemPrompt,
+          prompt: currentPrompt,
+          temperature,
+          maxTokens,
+          json: true
+        });
       }
-    );
 
-    return response.data.content[0].text;
+      if (attempt <= this.maxRepairAttempts) {
+        console.warn(`🔧 AI response failed validation (attempt ${attempt}), requesting repair: ${errors.join('; ')}`);
+        currentPrompt = `${prompt}\n\n${buildRepairPrompt(response, errors)}`;
+      }
+    }
+
+    return { valid: false, value, errors, attempts: this.maxRepairAttempts + 1 };
   }
 
   /**
-   * Parse AI response
+   * Map a structured relevance result to the analysis shape
+   * @param {Object} result - callStructured result
    */
-  parseAnalysisResponse(response) {
-    try {
-      const parsed = JSON.parse(response);
-      return {
-        isRelevant: parsed.isRelevant === true,
-        confidence: parseInt(parsed.confidence) || 0,
-        score: parseFloat(parsed.score) || 0,
-        reasoning: parsed.reasoning || '',
-        keyMatches: parsed.keyMatches || [],
-        concerns: parsed.concerns || []
-      };
-    } catch (error) {
-      console.error('Failed to parse AI response:', error);
+  parseAnalysisResponse(result) {
+    if (!result.valid) {
+      console.error('AI response failed validation:', result.errors.join('; '));
       return {
         isRelevant: null,
         confidence: 0,
-        reasoning: 'Failed to parse AI response',
-        score: 0
+        reasoning: 'AI response could not be validated',
+        score: null,
+        validationStatus: VALIDATION_STATUS.INVALID,
+        validationErrors: result.errors,
+        attempts: result.attempts
       };
     }
+
+    const parsed = result.value;
+    return {
+      isRelevant: parsed.isRelevant,
+      confidence: parsed.confidence,
+      score: parsed.score,
+      reasoning: parsed.reasoning,
+      keyMatches: parsed.keyMatches,
+      concerns: parsed.concerns,
+      validationStatus: VALIDATION_STATUS.VALID,
+      attempts: result.attempts
+    };
+  }
+
+  /**
+   * Analysis for a company the provider could not score. The score is null so
+   * the lead is never mistaken for an irrelevant one.
+   * @param {ProviderError} error
+   */
+  buildProviderFailure(error) {
+    return {
+      isRelevant: null,
+      confidence: 0,
+      reasoning: `AI provider unavailable: ${error.message}`,
+      score: null,
+      validationStatus: VALIDATION_STATUS.PROVIDER_ERROR,
+      providerError: error.toJSON()
+    };
   }
 
   /**
    * Batch analyze multiple companies
    * @param {Array} companies - Array of company objects with website content
    * @param {string} topic - Target topic
+   * @param {Object} options
+   * @param {boolean} options.batch - Score several companies per AI call (see RelevanceBatcher)
+   * @param {Object} options.rubric - Score against this ICP rubric instead of the topic
+   *   (one call per company)
+   * @param {ConsensusScorer} options.consensus - Re-score borderline companies with more samples
    * @returns {Promise<Array>} Analyzed companies with scores
    */
-  async analyzeCompanies(companies, topic) {
-    const results = [];
-    
-    for (const company of companies) {
-      const analysis = await this.analyzeCompanyRelevance(
-        company,
-        company.websiteContent || '',
+  async analyzeCompanies(companies, topic, options = {}) {
+    const { batch = false, rubric = null, consensus = null } = options;
+    let results = [];
+
+    if (rubric) {
+      for (const company of companies) {
+        const analysis = await this.analyzeCompanyRubric(company, company.websiteContent || '', rubric);
+        results.push(this.toAnalyzedCompany(company, analysis));
+      }
+    } else if (batch && companies.length > 1 && this.llm.isConfigured()) {
+      const analyses = await new RelevanceBatcher(this).scoreAll(
+        companies.map((company, index) => ({
+          id: `c${index}`,
+          company,
+          websiteContent: company.websiteContent || ''
+        })),
         topic
       );
-      
-      results.push({
-        ...company,
-        aiAnalysis: analysis,
-        relevanceScore: analysis.score
+
+      companies.forEach((company, index) => {
+        results.push(this.toAnalyzedCompany(company, analyses.get(`c${index}`)));
       });
-      
-      // Small delay to avoid rate limits
-      await new Promise(resolve => setTimeout(resolve, 500));
+    } else {
+      for (const company of companies) {
+        const analysis = await this.analyzeCompanyRelevance(
+          company,
+          company.websiteContent || '',
+          topic
+        );
+
+        results.push(this.toAnalyzedCompany(company, analysis));
+      }
+    }
+
+    if (consensus) {
+      results = await consensus.refineAll(results, (service, company) => rubric ?
+        service.analyzeCompanyRubric(company, company.websiteContent || '', rubric) :
+        service.analyzeCompanyRelevance(company, company.websiteContent || '', topic));
     }
     
     // Sort by relevance score (highest first)
-    return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    return results.sort((a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0));
+  }
+
+  toAnalyzedCompany(company, analysis) {
+    return {
+      ...company,
+      aiAnalysis: analysis,
+      aiAnalysisStatus: analysis.validationStatus,
+      relevanceScore: analysis.score
+    };
   }
 
   /**
@@ -347,38 +772,45 @@ Analyze if this company is a good fit for the target profile. Consider:
    * @param {string} topic - Topic to filter by
    * @param {Object} scraperService - WebsiteScraperService instance
    * @param {number} maxConcurrent - Max concurrent operations (default: 10)
-   * @returns {Promise<Array>} Filtered companies that match topic
+   * @param {Object} scrapeOptions - Options passed to scrapeWebsite (e.g. { crawl, maxPages })
+   * @returns {Promise<{matched: Array, skipped: Array, unverified: Array, failed: Array, statusCounts: Object}>}
+   *   Companies that match topic, companies whose website could not be scraped (with scrape
+   *   status), scraped companies whose AI verdict could not be validated, scraped companies
+   *   the AI provider failed on (with the provider error), and counts per scrape status
    */
-  async filterCompaniesByTopicParallel(companies, topic, scraperService, maxConcurrent = 10) {
+  async filterCompaniesByTopicParallel(companies, topic, scraperService, maxConcurrent = 10, scrapeOptions = {}) {
     if (!companies || companies.length === 0) {
-      return [];
+      return { matched: [], skipped: [], unverified: [], failed: [], statusCounts: {} };
     }
 
     console.log(`\n🔍 Filtering ${companies.length} companies by topic: '${topic}'`);
     console.log(`🚀 Using parallel processing with max ${maxConcurrent} concurrent operations\n`);
 
+    const domainResolver = new DomainResolver();
+
     const processCompany = async (company, index) => {
       const companyName = company.name || company.companyName || 'Unknown';
-      const websiteUrl = company.website || company.website_url || company.domain;
-
-      if (!websiteUrl) {
-        console.log(`[${index + 1}/${companies.length}] ⚠️ ${companyName}: No website URL`);
-        return { company, index, isRelated: null };
+      const target = domainResolver.normalize(domainResolver.getLeadWebsite(company));
+
+      if (!target.valid) {
+        console.log(`[${index + 1}/${companies.length}] ⚠️ ${companyName}: ${target.error}`);
+        const scrapeStatus = domainResolver.getLeadWebsite(company) ?
+          buildStatus(SCRAPE_STATUS.INVALID_URL, { message: target.error }) :
+          buildStatus(SCRAPE_STATUS.MISSING_WEBSITE);
+        return { company, index, isRelated: null, scrapeStatus };
       }
 
-      // Ensure URL has protocol
-      let fullUrl = websiteUrl;
-      if (!fullUrl.startsWith('http://') && !fullUrl.startsWith('https://')) {
-        fullUrl = 'https://' + fullUrl;
-      }
+      const fullUrl = target.url;
+      let scraped = null;
 
       try {
         // Step 1: Scrape website
-        const scraped = await scraperService.scrapeWebsite(fullUrl);
+        scraped = await scraperService.scrapeWebsite(fullUrl, scrapeOptions);
         
-        if (!scraped) {
-          console.log(`[${index + 1}/${companies.length}] ⚠️ ${companyName}: Could not scrape website`);
-          return { company, index, isRelated: null };
+        if (!scraperService.isSuccess(scraped)) {
+          const scrapeStatus = scraped?.status || buildStatus(SCRAPE_STATUS.UNKNOWN_ERROR);
+          console.log(`[${index + 1}/${companies.length}] ⚠️ ${companyName}: Could not scrape website (${scrapeStatus.code})`);
+          return { company, index, isRelated: null, scrapeStatus, url: fullUrl };
         }
 
         // Use extractTextForAnalysis to get properly formatted content
@@ -387,17 +819,32 @@ Analyze if this company is a good fit for the target profile. Consider:
         // Step 2: Check if related to topic using AI
         const isRelated = await this.checkCompanyTopicRelation(fullUrl, websiteContent, topic);
 
-        if (isRelated) {
+        if (isRelated === null) {
+          console.log(`[${index + 1}/${companies.length}] ❓ ${companyName}: AI verdict could not be validated`);
+        } else if (isRelated) {
           console.log(`[${index + 1}/${companies.length}] ✅ ${companyName}: Matches topic!`);
         } else {
           console.log(`[${index + 1}/${companies.length}] ❌ ${companyName}: Does not match topic`);
         }
 
-        return { company, index, isRelated };
+        return {
+          company: { ...company, canonicalDomain: scraped.canonicalDomain || target.domain },
+          index,
+          isRelated,
+          scrapeStatus: scraped.status,
+          url: fullUrl
+        };
 
       } catch (error) {
         console.log(`[${index + 1}/${companies.length}] ❌ ${companyName}: Error - ${error.message}`);
-        return { company, index, isRelated: null };
+        return {
+          company,
+          index,
+          isRelated: null,
+          scrapeStatus: scraped?.status || null,
+          url: fullUrl,
+          aiError: error instanceof ProviderError ? error.toJSON() : null
+        };
       }
     };
 
@@ -414,13 +861,47 @@ Analyze if this company is a good fit for the target profile. Consider:
     }
 
     // Sort by original index and filter matched companies
+    results.sort((a, b) => a.index - b.index);
+
     const filteredCompanies = results
-      .sort((a, b) => a.index - b.index)
       .filter(r => r.isRelated === true)
       .map(r => r.company);
 
+    const skipped = results
+      .filter(r => r.scrapeStatus && r.scrapeStatus.code !== SCRAPE_STATUS.OK)
+      .map(r => ({
+        index: r.index,
+        name: r.company.name || r.company.companyName || null,
+        url: r.url || null,
+        scrapeStatus: r.scrapeStatus
+      }));
+
+    const unverified = results
+      .filter(r => r.isRelated === null && !r.aiError && r.scrapeStatus?.code === SCRAPE_STATUS.OK)
+      .map(r => ({
+        index: r.index,
+        name: r.company.name || r.company.companyName || null,
+        url: r.url || null,
+        validationStatus: VALIDATION_STATUS.INVALID
+      }));
+
+    const failed = results
+      .filter(r => r.aiError)
+      .map(r => ({
+        index: r.index,
+        name: r.company.name || r.company.companyName || null,
+        url: r.url || null,
+        validationStatus: VALIDATION_STATUS.PROVIDER_ERROR,
+        aiError: r.aiError
+      }));
+
+    const statusCounts = countStatuses(results.map(r => r.scrapeStatus));
+
     console.log(`\n✅ Filtered to ${filteredCompanies.length} companies matching topic '${topic}'\n`);
-    return filteredCompanies;
+    if (failed.length > 0) {
+      console.warn(`⚠️ ${failed.length} companies could not be checked because the AI provider failed`);
+    }
+    return { matched: filteredCompanies, skipped, unverified, failed, statusCounts };
   }
 
   /**
@@ -430,7 +911,10 @@ Analyze if this company is a good fit for the target profile. Consider:
    * @param {string} websiteUrl - Company website URL
    * @param {string} websiteContent - Scraped content
    * @param {string} topic - Topic to check against
-   * @returns {Promise<boolean>} True if related, false otherwise
+   * @returns {Promise<boolean|null>} True if related, false if not, null if the
+   *   AI verdict could not be validated
+   * @throws {ProviderError} When the AI provider failed, so the company is not
+   *   counted as unrelated
    */
   async checkCompanyTopicRelation(websiteUrl, websiteContent, topic) {
     if (!websiteContent || !websiteContent.trim()) {
@@ -439,144 +923,89 @@ Analyze if this company is a good fit for the target profile. Consider:
     }
 
     // Truncate content if too long
-    const maxLength = 3000;
+    const maxLength = 6000; // Room for crawled page excerpts
     let content = websiteContent;
     if (content.length > maxLength) {
       content = content.substring(0, maxLength) + '...';
     }
 
-    const systemPrompt = `You are an AI company analyst. Your task is to determine if a company's website indicates that the company is related to a specific topic/industry.
-
-Analyze the website content and determine if the company operates in or is related to the topic: "${topic}".
-
-Consider:
-- Company description and services
-- Industry keywords and terminology
-- Products or services offered
-- Company focus and expertise
-
-Respond with ONLY "YES" if the company is clearly related to the topic, or "NO" if it is not related.
-
-Be strict - only return YES if there is clear evidence the company is related.`;
-
-    const userPrompt = `Website URL: ${websiteUrl}
-Topic: ${topic}
-
-Website Content:
-${content}
+    try {
+      const { systemPrompt, prompt } = await this.promptTemplates.render('topicCheck', {
+        websiteUrl,
+        topic,
+        websiteContent: content
+      });
 
-Is this company related to "${topic}"? Answer YES or NO only.`;
+      const result = await this.callStructured({
+        prompt,
+        systemPrompt,
+        temperature: 0.0,
+        maxTokens: 50,
+        schema: SCHEMAS.topicVerdict
+      });
 
-    try {
-      const response = await this.callAIFlexible(userPrompt, systemPrompt, 0.0);
-      const answer = response.trim().toUpperCase();
+      if (!result.valid) {
+        console.warn(`⚠️ Topic verdict for ${websiteUrl} could not be validated: ${result.errors.join('; ')}`);
+        return null;
+      }
 
-      return answer.includes('YES');
+      return result.value.verdict === 'YES';
 
     } catch (error) {
       console.error(`Error checking company topic relation: ${error.message}`);
+      if (error instanceof ProviderError) {
+        throw error;
+      }
       return false; // Default to false on error (safer to filter out)
     }
   }
 
   /**
-   * Call AI with flexible parameters (OpenAI/Anthropic compatible)
-   * @param {string} prompt - User prompt
-   * @param {string} systemPrompt - System prompt (optional)
-   * @param {number} temperature - Temperature setting (default: 0.5)
-   * @returns {Promise<string>} AI response
+   * Map a structured sales intelligence result to the response shape
+   * @param {Object} result - callStructured result
+   * @param {Object} company - Company data
+   * @param {Array<Object>} sources - From SalesIntelligence.buildSources()
+   * @returns {Object} Sales intelligence with resolved citations and the source list
    */
-  async callAIFlexible(prompt, systemPrompt = '', temperature = 0.5) {
-    if (this.provider === 'openai') {
-      const messages = [];
-      if (systemPrompt) {
-        messages.push({ role: 'system', content: systemPrompt });
-      }
-      messages.push({ role: 'user', content: prompt });
-
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: this.model,
-          messages,
-          temperature,
-          max_tokens: 2000
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      return response.data.choices[0].message.content;
-    } else if (this.provider === 'anthropic') {
-      const response = await axios.post(
-        'https://api.anthropic.com/v1/messages',
-        {
-          model: this.model || 'claude-3-haiku-20240307',
-          max_tokens: 2000,
-          temperature,
-          messages: [{ role: 'user', content: prompt }],
-          ...(systemPrompt && { system: systemPrompt })
-        },
-        {
-          headers: {
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+  parseSalesIntelligence(result, company, sources = []) {
+    const sourceList = sources.map(({ text, ...source }) => source);
 
-      return response.data.content[0].text;
+    if (!result.valid) {
+      console.error('Sales intelligence failed validation:', result.errors.join('; '));
+      return {
+        message: 'Sales intelligence could not be validated',
+        relevanceScore: null,
+        companyName: company.name,
+        companyDomain: company.domain,
+        sources: sourceList,
+        validationStatus: VALIDATION_STATUS.INVALID,
+        validationErrors: result.errors,
+        generatedAt: new Date().toISOString()
+      };
     }
 
-    throw new Error('Unsupported AI provider');
-  }
-
-  /**
-   * Parse sales intelligence response into structured format
-   * @param {string} response - AI response text
-   * @param {Object} company - Company data
-   * @returns {Object} Parsed sales intelligence
-   */
-  parseSalesIntelligence(response, company) {
-    // Extract relevance score if present
-    const scoreMatch = response.match(/score[:\s]+(\d+)/i);
-    const relevanceScore = scoreMatch ? parseInt(scoreMatch[1]) : 5;
-
-    // Extract key sections
-    const sections = {
-      companyOverview: this.extractSection(response, 'Company Overview'),
-      relevanceToTarget: this.extractSection(response, 'Relevance to Target'),
-      businessSignals: this.extractSection(response, 'Key Business Signals'),
-      painPoints: this.extractSection(response, 'Pain Points & Opportunities'),
-      recommendedApproach: this.extractSection(response, 'Recommended Approach')
-    };
+    const { intelligence, stats } = resolveCitations(result.value, sources);
+    if (stats.unverified > 0) {
+      console.warn(`⚠️ ${stats.unverified}/${stats.total} sales intelligence quotes were not found in their sources`);
+    }
 
     return {
-      summary: response,
-      relevanceScore,
       companyName: company.name,
       companyDomain: company.domain,
-      ...sections,
+      relevanceScore: intelligence.relevance.score,
+      overview: intelligence.overview,
+      relevance: intelligence.relevance,
+      businessSignals: intelligence.businessSignals,
+      painPoints: intelligence.painPoints,
+      recommendedApproach: intelligence.recommendedApproach,
+      personas: intelligence.personas,
+      talkingPoints: intelligence.talkingPoints,
+      sources: sourceList,
+      citationStats: stats,
+      validationStatus: VALIDATION_STATUS.VALID,
       generatedAt: new Date().toISOString()
     };
   }
-
-  /**
-   * Extract a specific section from markdown text
-   * @param {string} text - Full markdown text
-   * @param {string} sectionTitle - Section title to extract
-   * @returns {string} Section content
-   */
-  extractSection(text, sectionTitle) {
-    const regex = new RegExp(`#+\\s*${sectionTitle}[:\s]*\\n([\\s\\S]*?)(?=\\n#+|$)`, 'i');
-    const match = text.match(regex);
-    return match ? match[1].trim() : '';
-  }
 }
 
 module.exports = CompanyAnalysisService;
@@ -0,0 +1,201 @@
+const { VALIDATION_STATUS } = require('./AIOutputSchema');
+
+const DEFAULTS = {
+  band: 1.5,
+  samples: 2,
+  minAgreement: 0.75
+};
+const MAX_SAMPLES = 6;
+const MAX_BAND = 5;
+
+/**
+ * Consensus Scorer
+ *
+ * A single relevance call is noisy: the same company can land on either side
+ * of the min_relevance_score cut-off from run to run. Leads whose first score
+ * is within `band` of the threshold are scored again with `samples`
+ * additional calls, spread round-robin over the primary model and an optional
+ * second model. Then:
+ *
+ * - score: median of all valid samples (including the first)
+ * - isRelevant: majority vote of score >= threshold
+ * - confidence: Laplace-smoothed agreement, (majority + 1) / (samples + 2),
+ *   so 3 of 3 agreeing gives 80 and 5 of 5 gives 86; more samples earn more confidence
+ * - unresolved: the majority share is below `minAgreement`
+ *
+ * Consensus config (request body):
+ * { "band": 1.5, "samples": 2, "min_agreement": 0.75,
+ *   "second_model": { "provider": "anthropic", "model": "claude-3-5-haiku-latest" } }
+ */
+class ConsensusScorer {
+  /**
+   * @param {Object} config - From ConsensusScorer.normalize()
+   * @param {Object} options
+   * @param {number} options.threshold - min_relevance_score the decision is made against
+   * @param {Array<CompanyAnalysisService>} options.services - Primary service first, then the second model's
+   */
+  constructor(config, { threshold, services }) {
+    this.config = config;
+    this.threshold = threshold;
+    this.services = services;
+  }
+
+  /**
+   * Validate consensus options from a request
+   * @param {boolean|Object} input - true for defaults, or an options object
+   * @returns {{config: Object|null, errors: string[]}}
+   */
+  static normalize(input) {
+    if (input === undefined || input === null || input === false) {
+      return { config: null, errors: [] };
+    }
+
+    const options = input === true ? {} : input;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      return { config: null, errors: ['consensus must be true or an options object'] };
+    }
+
+    const {
+      band = DEFAULTS.band,
+      samples = DEFAULTS.samples,
+      min_agreement: minAgreement = DEFAULTS.minAgreement,
+      second_model: secondModel = null
+    } = options;
+    const errors = [];
+
+    if (typeof band !== 'number' || band < 0 || band > MAX_BAND) {
+      errors.push(`consensus.band must be a number from 0 to ${MAX_BAND}`);
+    }
+    if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+      errors.push(`consensus.samples must be an integer from 1 to ${MAX_SAMPLES}`);
+    }
+    if (typeof minAgreement !== 'number' || minAgreement <= 0.5 || minAgreement > 1) {
+      errors.push('consensus.min_agreement must be above 0.5 and at most 1');
+    }
+    if (secondModel !== null && (typeof secondModel !== 'object' || Array.isArray(secondModel) ||
+      (!secondModel.provider && !secondModel.model))) {
+      errors.push('consensus.second_model must be an object with a provider and/or model');
+    }
+
+    return errors.length > 0 ?
+      { config: null, errors } :
+      {
+        config: {
+          band,
+          samples,
+          minAgreement,
+          secondModel: secondModel ? { provider: secondModel.provider || null, model: secondModel.model || null } : null
+        },
+        errors: []
+      };
+  }
+
+  /**
+   * Whether a first analysis is close enough to the threshold to re-score
+   */
+  isBorderline(analysis) {
+    return analysis?.validationStatus === VALIDATION_STATUS.VALID &&
+      typeof analysis.score === 'number' &&
+      Math.abs(analysis.score - this.threshold) <= this.config.band;
+  }
+
+  /**
+   * Re-score borderline companies
+   * @param {Array<Object>} companies - Analyzed companies (toAnalyzedCompany shape)
+   * @param {Function} analyze - (service, company) => Promise<analysis>, one sample
+   * @returns {Promise<Array<Object>>} Companies with consensus analyses where re-scored
+   */
+  async refineAll(companies, analyze) {
+    const borderline = companies.filter(company => this.isBorderline(company.aiAnalysis)).length;
+    if (borderline === 0) {
+      return companies;
+    }
+
+    console.log(`🗳️ Re-scoring ${borderline} borderline leads with ${this.config.samples} more samples each`);
+
+    const results = [];
+    for (const company of companies) {
+      if (!this.isBorderline(company.aiAnalysis)) {
+        results.push(company);
+        continue;
+      }
+
+      const analysis = await this.refine(company, analyze);
+      results.push({
+        ...company,
+        aiAnalysis: analysis,
+        aiAnalysisStatus: analysis.validationStatus,
+        relevanceScore: analysis.score
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Take more samples for one company and aggregate them with the first analysis
+   * @returns {Promise<Object>} Analysis with a `consensus` block
+   */
+  async refine(company, analyze) {
+    const first = company.aiAnalysis;
+    const sampleServices = Array.from({ length: this.config.samples }, (_, index) =>
+      // With a second model, alternate starting with it so one extra sample already crosses models
+      this.services.length > 1 ? this.services[(index + 1) % this.services.length] : this.services[0]
+    );
+
+    const extra = await Promise.all(sampleServices.map(async service => ({
+      provider: service.provider,
+      model: service.model,
+      analysis: await analyze(service, company)
+    })));
+
+    const samples = [
+      { provider: this.services[0].provider, model: this.services[0].model, analysis: first },
+      ...extra
+    ];
+    const valid = samples.filter(sample =>
+      sample.analysis.validationStatus === VALIDATION_STATUS.VALID && typeof sample.analysis.score === 'number');
+
+    const scores = valid.map(sample => sample.analysis.score);
+    const median = medianOf(scores);
+    const pass = scores.filter(score => score >= this.threshold).length;
+    const fail = scores.length - pass;
+    const majority = Math.max(pass, fail);
+    const agreement = majority / scores.length;
+
+    // The sample closest to the median supplies the reasoning (and rubric breakdown)
+    const representative = valid.reduce((best, sample) =>
+      Math.abs(sample.analysis.score - median) < Math.abs(best.analysis.score - median) ? sample : best);
+
+    return {
+      ...representative.analysis,
+      score: median,
+      isRelevant: pass > fail ? true : fail > pass ? false : null,
+      confidence: Math.round(((majority + 1) / (scores.length + 2)) * 100),
+      consensus: {
+        threshold: this.threshold,
+        first_score: first.score,
+        median,
+        votes: { pass, fail },
+        agreement: Math.round(agreement * 100) / 100,
+        unresolved: agreement < this.config.minAgreement,
+        spread: Math.round((Math.max(...scores) - Math.min(...scores)) * 10) / 10,
+        samples: samples.map(sample => ({
+          provider: sample.provider,
+          model: sample.model,
+          score: valid.includes(sample) ? sample.analysis.score : null,
+          validationStatus: sample.analysis.validationStatus
+        })),
+        failed_samples: samples.length - valid.length
+      }
+    };
+  }
+}
+
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return Math.round(median * 10) / 10;
+}
+
+module.exports = ConsensusScorer;
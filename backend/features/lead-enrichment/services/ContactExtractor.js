@@ -0,0 +1,302 @@
+/**
+ * Contact Extractor
+ *
+ * Finds contact details on company web pages so SDRs don't have to:
+ * - Emails (mailto links and text, including "name [at] domain [dot] com" obfuscation)
+ * - Phone numbers, normalized to E.164 where the country can be determined
+ * - Postal addresses (schema.org PostalAddress and <address> blocks)
+ * - LinkedIn / X / Facebook / YouTube / GitHub / Instagram profile links
+ *
+ * Every item is tagged with the page it was found on (`source`).
+ */
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}/gi;
+const NON_EMAIL_TLDS = /\.(png|jpe?g|gif|svg|webp|css|js)$/i;
+
+const EMAIL_ROLES = [
+  { role: 'sales', pattern: /^(sales|bizdev|business|partners?|partnerships|demo|enterprise)\b/ },
+  { role: 'support', pattern: /^(support|help|helpdesk|service|customerservice|customercare|care|success)\b/ },
+  { role: 'general', pattern: /^(info|hello|hi|contact|contactus|enquiries|inquiries|office|general|team|mail|admin)\b/ },
+  { role: 'recruiting', pattern: /^(careers?|jobs|hr|recruiting|recruitment|talent|hiring)\b/ },
+  { role: 'press', pattern: /^(press|media|pr|news|communications)\b/ },
+  { role: 'billing', pattern: /^(billing|accounts?|finance|invoices?|payments?|ar|ap)\b/ },
+  { role: 'legal', pattern: /^(privacy|legal|dpo|compliance|gdpr|abuse|security)\b/ },
+  { role: 'no_reply', pattern: /^(no-?reply|do-?not-?reply|mailer-daemon)\b/ }
+];
+
+// International numbers (+44 20 7946 0958, 0049 30 123456) and NANP style ((555) 123-4567)
+const INTERNATIONAL_PHONE_PATTERN = /(?:\+|\b00)\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}\b/g;
+const NANP_PHONE_PATTERN = /(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g;
+
+// Calling codes for countries we commonly see; used to normalize national numbers
+const CALLING_CODES = {
+  US: '1', CA: '1', GB: '44', UK: '44', IE: '353', DE: '49', FR: '33', ES: '34', IT: '39',
+  NL: '31', BE: '32', CH: '41', AT: '43', SE: '46', NO: '47', DK: '45', FI: '358', PL: '48',
+  PT: '351', IN: '91', AU: '61', NZ: '64', SG: '65', AE: '971', SA: '966', QA: '974',
+  KW: '965', BH: '973', OM: '968', EG: '20', ZA: '27', NG: '234', KE: '254', JP: '81',
+  CN: '86', HK: '852', KR: '82', BR: '55', MX: '52', AR: '54', CL: '56', CO: '57', IL: '972',
+  TR: '90', PK: '92', MY: '60', ID: '62', PH: '63', TH: '66', VN: '84'
+};
+
+const COUNTRY_NAMES = {
+  'united states': 'US', 'usa': 'US', 'united states of america': 'US', 'canada': 'CA',
+  'united kingdom': 'GB', 'england': 'GB', 'ireland': 'IE', 'germany': 'DE', 'france': 'FR',
+  'spain': 'ES', 'italy': 'IT', 'netherlands': 'NL', 'india': 'IN', 'australia': 'AU',
+  'singapore': 'SG', 'united arab emirates': 'AE', 'uae': 'AE', 'saudi arabia': 'SA'
+};
+
+const SOCIAL_NETWORKS = [
+  { network: 'linkedin', pattern: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/(company|in|school|showcase)\/[^/?#]+/i },
+  { network: 'x', pattern: /^https?:\/\/(www\.)?(twitter|x)\.com\/(?!intent|share|home|search|hashtag)[A-Za-z0-9_]{1,15}\/?$/i },
+  { network: 'facebook', pattern: /^https?:\/\/([a-z]+\.)?facebook\.com\/(?!sharer|share|dialog|plugins|tr\b)[^?#]+/i },
+  { network: 'youtube', pattern: /^https?:\/\/(www\.)?youtube\.com\/(channel\/|c\/|user\/|@)[^/?#]+/i },
+  { network: 'github', pattern: /^https?:\/\/(www\.)?github\.com\/[A-Za-z0-9-]+\/?$/i },
+  { network: 'instagram', pattern: /^https?:\/\/(www\.)?instagram\.com\/(?!p\/|explore|accounts)[A-Za-z0-9_.]+\/?$/i }
+];
+
+class ContactExtractor {
+  /**
+   * Extract contacts from a page
+   * @param {Function} $ - Cheerio root (before footer/header are stripped)
+   * @param {string} pageUrl - Page URL, recorded as each item's source
+   * @param {Object} structured - Structured data for the page (optional)
+   * @returns {Object} { emails, phones, addresses, socialProfiles }
+   */
+  extract($, pageUrl, structured = null) {
+    const text = this.visibleText($);
+    const organization = structured && structured.organization;
+    const country = this.resolveCountry(organization?.address?.country);
+
+    const hrefs = [];
+    $('a[href]').each((i, el) => hrefs.push(($(el).attr('href') || '').trim()));
+
+    return {
+      emails: this.extractEmails(text, hrefs, organization, pageUrl),
+      phones: this.extractPhones(text, hrefs, organization, country, pageUrl),
+      addresses: this.extractAddresses($, organization, pageUrl),
+      socialProfiles: this.extractSocialProfiles(hrefs, organization, pageUrl)
+    };
+  }
+
+  /**
+   * Merge contacts from several pages, de-duplicating by value (first source wins)
+   * @param {Array<Object>} items - Contacts objects, homepage first
+   * @returns {Object} Merged contacts
+   */
+  merge(items) {
+    const merged = { emails: [], phones: [], addresses: [], socialProfiles: [] };
+    const keys = {
+      emails: item => item.value,
+      phones: item => item.e164 || item.raw,
+      addresses: item => item.value.toLowerCase(),
+      socialProfiles: item => item.url.toLowerCase()
+    };
+
+    for (const contacts of items.filter(Boolean)) {
+      for (const type of Object.keys(merged)) {
+        const seen = new Set(merged[type].map(keys[type]));
+        for (const item of contacts[type] || []) {
+          if (!seen.has(keys[type](item))) {
+            seen.add(keys[type](item));
+            merged[type].push(item);
+          }
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  visibleText($) {
+    const body = $('body').clone();
+    body.find('script, style, noscript, template').remove();
+    // Keep element boundaries so adjacent blocks don't fuse into one token
+    body.find('br, p, div, li, td, span, a').after(' ');
+    return body.text().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Undo common anti-scraping obfuscations: "name [at] domain [dot] com", "name(at)domain.com"
+   */
+  deobfuscate(text) {
+    return text
+      .replace(/\s*[[({]\s*at\s*[\])}]\s*/gi, '@')
+      .replace(/\s*[[({]\s*dot\s*[\])}]\s*/gi, '.');
+  }
+
+  extractEmails(text, hrefs, organization, source) {
+    const candidates = [];
+
+    hrefs.filter(href => /^mailto:/i.test(href)).forEach(href => {
+      const address = this.decodeHref(href.replace(/^mailto:/i, '').split('?')[0]);
+      if (address) candidates.push(address);
+    });
+    candidates.push(...(this.deobfuscate(text).match(EMAIL_PATTERN) || []));
+    if (organization && organization.email) candidates.push(organization.email);
+
+    const seen = new Set();
+    const emails = [];
+
+    for (const candidate of candidates) {
+      const value = candidate.trim().toLowerCase().replace(/^[.]+|[.]+$/g, '');
+      if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,24}$/.test(value)) continue;
+      if (NON_EMAIL_TLDS.test(value) || seen.has(value)) continue;
+
+      seen.add(value);
+      emails.push({ value, role: this.guessEmailRole(value), source });
+    }
+
+    return emails;
+  }
+
+  /**
+   * Guess what an address is for from its local part
+   * @param {string} email - Lowercased email
+   * @returns {string} sales | support | general | recruiting | press | billing | legal | no_reply | personal
+   */
+  guessEmailRole(email) {
+    const local = email.split('@')[0];
+    const match = EMAIL_ROLES.find(r => r.pattern.test(local));
+    return match ? match.role : 'personal';
+  }
+
+  extractPhones(text, hrefs, organization, country, source) {
+    const candidates = [];
+
+    hrefs.filter(href => /^tel:/i.test(href)).forEach(href => {
+      const number = this.decodeHref(href.replace(/^tel:/i, ''));
+      if (number) candidates.push({ raw: number, fromText: false });
+    });
+    if (organization && organization.telephone) {
+      candidates.push({ raw: String(organization.telephone), fromText: false });
+    }
+
+    const textMatches = [...(text.match(INTERNATIONAL_PHONE_PATTERN) || [])];
+    if (!country || CALLING_CODES[country] === '1') {
+      textMatches.push(...(text.match(NANP_PHONE_PATTERN) || []));
+    }
+    candidates.push(...textMatches.map(raw => ({ raw, fromText: true })));
+
+    const seen = new Set();
+    const phones = [];
+
+    for (const { raw, fromText } of candidates) {
+      const cleaned = raw.trim();
+      const e164 = this.toE164(cleaned, country);
+      const key = e164 || cleaned.replace(/\D/g, '');
+
+      // Digit runs in body text ("1,000 2000 3000 4000") only count if they form a valid number
+      if (fromText && !e164) continue;
+      if (key.replace(/\D/g, '').length < 7 || seen.has(key)) continue;
+      seen.add(key);
+
+      phones.push({ raw: cleaned, e164, source });
+    }
+
+    return phones;
+  }
+
+  /**
+   * Percent-decode a mailto:/tel: value
+   * @param {string} value - Href without its scheme
+   * @returns {string|null} Decoded value, or null for malformed escapes
+   */
+  decodeHref(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a phone number to E.164
+   * @param {string} raw - Number as written on the page
+   * @param {string} country - ISO country code for national numbers (optional)
+   * @returns {string|null} E.164 number, or null if the country can't be determined
+   */
+  toE164(raw, country) {
+    // Drop extensions and the "(0)" trunk prefix people write after the country code: +44 (0)20 ...
+    let number = raw.split(/\s*(?:ext\.?|x|#)\s*\d+$/i)[0].replace(/\(0\)/, '').trim();
+
+    if (number.startsWith('00')) number = '+' + number.slice(2);
+
+    if (number.startsWith('+')) {
+      const e164 = '+' + number.replace(/\D/g, '');
+      return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+    }
+
+    const nationalDigits = number.replace(/\D/g, '');
+    const callingCode = CALLING_CODES[country || 'US'];
+
+    if (callingCode === '1') {
+      if (nationalDigits.length === 10) return `+1${nationalDigits}`;
+      if (nationalDigits.length === 11 && nationalDigits.startsWith('1')) return `+${nationalDigits}`;
+      return null;
+    }
+
+    if (callingCode && nationalDigits.startsWith('0') && nationalDigits.length >= 8) {
+      const e164 = `+${callingCode}${nationalDigits.slice(1)}`;
+      return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+    }
+
+    return null;
+  }
+
+  resolveCountry(country) {
+    if (!country) return null;
+    const value = String(country).trim();
+    if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+    return COUNTRY_NAMES[value.toLowerCase()] || null;
+  }
+
+  extractAddresses($, organization, source) {
+    const addresses = [];
+    const seen = new Set();
+
+    const add = (value, parts = null) => {
+      const normalized = value.replace(/\s+/g, ' ').replace(/\s+,/g, ',').trim();
+      if (normalized.length < 10 || normalized.length > 300) return;
+      const key = normalized.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+      addresses.push({ value: normalized, ...(parts && { parts }), source });
+    };
+
+    if (organization && organization.address) {
+      const a = organization.address;
+      add([a.streetAddress, a.locality, [a.region, a.postalCode].filter(Boolean).join(' '), a.country]
+        .filter(Boolean).join(', '), a);
+    }
+
+    $('address').each((i, el) => {
+      const clone = $(el).clone();
+      clone.find('br').replaceWith(', ');
+      add(clone.text());
+    });
+
+    return addresses;
+  }
+
+  extractSocialProfiles(hrefs, organization, source) {
+    const urls = [...hrefs, ...((organization && organization.sameAs) || [])];
+    const seen = new Set();
+    const profiles = [];
+
+    for (const href of urls) {
+      const match = SOCIAL_NETWORKS.find(n => n.pattern.test(href));
+      if (!match) continue;
+
+      const url = href.split(/[?#]/)[0].replace(/\/$/, '').replace(/^http:/i, 'https:');
+      const key = url.toLowerCase().replace(/\/\/(www\.|[a-z]{2}\.)/, '//').replace('twitter.com', 'x.com');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      profiles.push({ network: match.network, url, source });
+    }
+
+    return profiles;
+  }
+}
+
+module.exports = ContactExtractor;
@@ -0,0 +1,362 @@
+/**
+ * Contact Personas
+ *
+ * Person-level enrichment for contacts from Apollo, LinkedIn and similar
+ * sources. Job titles are normalized into a seniority level and a function
+ * by keyword rules; Apollo's own `seniority` and `departments` fields fill
+ * in what the title leaves open. Titles the rules can't resolve (unusual
+ * wording, other languages) are left for an AI fallback.
+ *
+ * Each classified contact is matched against ICP buyer personas and scored
+ * as decision maker, influencer or not relevant, then ranked within its
+ * account.
+ *
+ * Personas shape (request body):
+ * [
+ *   { "name": "Finance leadership", "functions": ["finance"], "seniority": ["c_level", "vp"], "role": "decision_maker" },
+ *   { "name": "Finance ops", "functions": ["finance", "operations"], "seniority": ["director", "manager"],
+ *     "role": "influencer", "title_keywords": ["payments", "treasury"] }
+ * ]
+ */
+
+const DomainResolver = require('./DomainResolver');
+
+// Most senior first; the order is used for comparisons
+const SENIORITY_LEVELS = ['c_level', 'vp', 'director', 'manager', 'individual_contributor'];
+
+const FUNCTIONS = [
+  'engineering',
+  'product',
+  'sales',
+  'marketing',
+  'customer_success',
+  'operations',
+  'finance',
+  'hr',
+  'legal',
+  'it',
+  'general_management'
+];
+
+const BUYER_ROLES = {
+  DECISION_MAKER: 'decision_maker',
+  INFLUENCER: 'influencer',
+  NOT_RELEVANT: 'not_relevant'
+};
+
+const CLASSIFICATION_SOURCES = {
+  RULES: 'rules',
+  AI: 'ai'
+};
+
+const ABBREVIATIONS = [
+  [/&/g, ' and '],
+  [/\bv\.p\.?/g, 'vp'],
+  [/\bsr\.?(?=\s)/g, 'senior'],
+  [/\bjr\.?(?=\s)/g, 'junior'],
+  [/\bmgr\b\.?/g, 'manager'],
+  [/\bdir\b\.?/g, 'director'],
+  [/\bops\b/g, 'operations'],
+  [/\bmktg\b/g, 'marketing'],
+  [/\bbiz ?dev\b/g, 'business development'],
+  [/\bco-founder\b/g, 'cofounder']
+];
+
+// First match wins: "Executive Vice President" is a VP, "Managing Director" and
+// "Executive Director" are C-level. "Owner" is C-level alone or as "Business
+// Owner" / "Co-Owner"; "Product Owner" or "Process Owner" is an individual
+// contributor. "Partner" is a rank only when no other rule matched, so
+// "Partner Manager" is a manager and "Partner Engineer" an individual contributor.
+const SENIORITY_RULES = [
+  ['vp', /\b(vp|svp|evp|avp|vice president|general counsel)\b/],
+  ['c_level', /\b(chief [a-z ]*officer|ceo|cfo|cto|coo|cmo|cio|ciso|cro|cpo|chro|clo|president|founder|cofounder|(?:^|business |co |sole )owner|managing director|executive director|managing partner|general partner)\b/],
+  ['director', /\b(director|head)\b/],
+  ['manager', /\b(manager|supervisor|team lead|team leader|tech lead|controller)\b/],
+  ['individual_contributor', /\b(engineer|developer|programmer|analyst|specialist|associate|representative|consultant|designer|scientist|accountant|coordinator|administrator|architect|intern|assistant|recruiter|advisor|officer|agent|technician|writer|counsel|attorney|sdr|bdr|account executive|owner)\b/],
+  ['c_level', /\bpartner\b/]
+];
+
+// First match wins, so "Sales Engineer" is sales and "Product Marketing Manager" is marketing
+const FUNCTION_RULES = [
+  ['it', /\b(it|information technology|information security|chief information|security|infrastructure|cio|ciso|sysadmin|systems administrator|helpdesk|help desk|network)\b/],
+  ['finance', /\b(finance|financial|cfo|accounting|accountant|controller|treasury|treasurer|fp and a|tax|audit|billing|payroll)\b/],
+  ['sales', /\b(sales|account executive|account manager|business development|account owner|sdr|bdr|cro|chief revenue|revenue operations|partnerships|partner (manager|success|programs?|enablement|relations)|commercial)\b/],
+  ['marketing', /\b(marketing|cmo|growth|brand|demand generation|content|communications|seo)\b/],
+  ['customer_success', /\b(chief customer|customer success|customer support|support|customer experience|customer service|implementation|onboarding)\b/],
+  ['product', /\b(product|ux|ui|design|designer|cpo)\b/],
+  ['engineering', /\b(engineer|engineering|developer|software|devops|sre|cto|technology|technical|tech|r and d|research and development|data scientist|machine learning|qa|platform|architect|programmer)\b/],
+  ['hr', /\b(hr|human resources|people|talent|recruiting|recruiter|chro)\b/],
+  ['legal', /\b(legal|counsel|compliance|attorney|lawyer|clo|privacy)\b/],
+  ['operations', /\b(operations|coo|chief operating|office manager|office administrator|administration|administrative|supply chain|logistics|procurement|purchasing|facilities|fulfillment)\b/],
+  ['general_management', /\b(ceo|chief executive|president|founder|cofounder|(?:^|business |co |sole )owner|managing director|executive director|general manager|partner)\b/]
+];
+
+// Apollo `seniority` values
+const PROFILE_SENIORITY = {
+  c_suite: 'c_level',
+  owner: 'c_level',
+  founder: 'c_level',
+  partner: 'c_level',
+  vp: 'vp',
+  head: 'director',
+  director: 'director',
+  manager: 'manager',
+  senior: 'individual_contributor',
+  entry: 'individual_contributor',
+  intern: 'individual_contributor'
+};
+
+const SENIORITY_POINTS = {
+  c_level: 40,
+  vp: 35,
+  director: 30,
+  manager: 20,
+  individual_contributor: 10
+};
+
+const RULE_CONFIDENCE = 90;
+const PROFILE_CONFIDENCE = 75;
+const MAX_PERSONAS = 10;
+const MAX_KEYWORDS = 20;
+
+/**
+ * Validate buyer personas from a request and fill defaults
+ * @param {Array<Object>} input - Personas (may be empty)
+ * @returns {{personas: Array<Object>|null, errors: string[]}} personas are
+ *   { id, name, functions, seniority, role, titleKeywords }
+ */
+function normalizePersonas(input) {
+  if (!Array.isArray(input)) {
+    return { personas: null, errors: ['personas must be an array'] };
+  }
+  if (input.length > MAX_PERSONAS) {
+    return { personas: null, errors: [`personas can have at most ${MAX_PERSONAS} entries`] };
+  }
+
+  const roles = [BUYER_ROLES.DECISION_MAKER, BUYER_ROLES.INFLUENCER];
+  const errors = [];
+
+  const personas = input.map((persona, index) => {
+    const path = `personas[${index}]`;
+    if (!persona || typeof persona !== 'object') {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const {
+      name = null,
+      functions,
+      seniority = ['c_level', 'vp', 'director'],
+      role = BUYER_ROLES.DECISION_MAKER,
+      title_keywords = []
+    } = persona;
+
+    if (!Array.isArray(functions) || functions.length === 0 || functions.some(fn => !FUNCTIONS.includes(fn))) {
+      errors.push(`${path}.functions must be a non-empty array of ${FUNCTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(seniority) || seniority.length === 0 || seniority.some(level => !SENIORITY_LEVELS.includes(level))) {
+      errors.push(`${path}.seniority must be a non-empty array of ${SENIORITY_LEVELS.join(', ')}`);
+    }
+    if (!roles.includes(role)) {
+      errors.push(`${path}.role must be one of ${roles.join(', ')}`);
+    }
+    if (!Array.isArray(title_keywords) || title_keywords.length > MAX_KEYWORDS ||
+        title_keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      errors.push(`${path}.title_keywords must be an array of at most ${MAX_KEYWORDS} words`);
+    }
+
+    return {
+      id: typeof persona.id === 'string' && persona.id.trim() ? persona.id.trim() : `persona_${index + 1}`,
+      name: typeof name === 'string' && name.trim() ? name.trim().substring(0, 100) : `Persona ${index + 1}`,
+      functions,
+      seniority,
+      role,
+      titleKeywords: Array.isArray(title_keywords) ?
+        title_keywords.filter(keyword => typeof keyword === 'string').map(keyword => normalizeTitle(keyword)) : []
+    };
+  });
+
+  if (errors.length > 0) {
+    return { personas: null, errors };
+  }
+  return { personas, errors: [] };
+}
+
+/**
+ * Job title of a contact from the usual Apollo/LinkedIn fields
+ * @param {Object} contact
+ * @returns {string|null}
+ */
+function getContactTitle(contact) {
+  const title = contact.title || contact.job_title || contact.jobTitle || contact.position || contact.headline;
+  return typeof title === 'string' && title.trim() ? title.trim() : null;
+}
+
+/**
+ * Seniority and function from the title, completed with Apollo's seniority
+ * and departments fields
+ * @param {Object} contact
+ * @returns {{title: string|null, seniority: string|null, function: string|null,
+ *   confidence: number, source: string|null, resolved: boolean}}
+ */
+function classifyContact(contact) {
+  const title = getContactTitle(contact);
+  const normalized = title ? normalizeTitle(title) : '';
+
+  let seniority = matchRule(SENIORITY_RULES, normalized);
+  let fn = matchRule(FUNCTION_RULES, normalized);
+  let confidence = RULE_CONFIDENCE;
+
+  if (!seniority && PROFILE_SENIORITY[contact.seniority]) {
+    seniority = PROFILE_SENIORITY[contact.seniority];
+    confidence = PROFILE_CONFIDENCE;
+  }
+  if (!fn && Array.isArray(contact.departments) && contact.departments.length > 0) {
+    fn = matchRule(FUNCTION_RULES, normalizeTitle(contact.departments.join(' ').replace(/_/g, ' ')));
+    if (fn) confidence = PROFILE_CONFIDENCE;
+  }
+
+  const resolved = !!(seniority && fn);
+  return {
+    title,
+    seniority,
+    function: fn,
+    confidence: resolved ? confidence : 0,
+    source: resolved ? CLASSIFICATION_SOURCES.RULES : null,
+    resolved
+  };
+}
+
+/**
+ * Buyer role and 0-100 score for a classified contact. The score adds up
+ * seniority (up to 40), persona fit (up to 40) and classification confidence
+ * (up to 20).
+ * @param {Object} classification - From classifyContact() or the AI fallback
+ * @param {Array<Object>} personas - From normalizePersonas(); without personas
+ *   the role follows seniority alone
+ * @returns {{buyerRole: string, score: number, matchedPersona: Object|null}}
+ */
+function scoreContact(classification, personas = []) {
+  const { seniority, function: fn } = classification;
+  if (!seniority) {
+    return { buyerRole: BUYER_ROLES.NOT_RELEVANT, score: 0, matchedPersona: null };
+  }
+
+  const score = fit => Math.round(SENIORITY_POINTS[seniority] + fit + classification.confidence * 0.2);
+
+  if (personas.length === 0) {
+    const rank = SENIORITY_LEVELS.indexOf(seniority);
+    const buyerRole = rank <= 1 ? BUYER_ROLES.DECISION_MAKER :
+      rank <= 3 ? BUYER_ROLES.INFLUENCER : BUYER_ROLES.NOT_RELEVANT;
+    return { buyerRole, score: score(fn ? 20 : 0), matchedPersona: null };
+  }
+
+  const title = classification.title ? normalizeTitle(classification.title) : '';
+  let best = { buyerRole: BUYER_ROLES.NOT_RELEVANT, fit: 0, persona: null };
+
+  for (const persona of personas) {
+    const functionMatch = persona.functions.includes(fn) ||
+      persona.titleKeywords.some(keyword => title.includes(keyword));
+    const seniorityMatch = persona.seniority.includes(seniority);
+
+    let candidate = null;
+    if (functionMatch && seniorityMatch) {
+      candidate = { buyerRole: persona.role, fit: 40, persona };
+    } else if (functionMatch && SENIORITY_LEVELS.indexOf(seniority) <= SENIORITY_LEVELS.indexOf('manager')) {
+      candidate = { buyerRole: BUYER_ROLES.INFLUENCER, fit: 20, persona };
+    } else if (seniority === 'c_level' && fn === 'general_management') {
+      // Founders and CEOs weigh in on most purchases without owning the function
+      candidate = { buyerRole: BUYER_ROLES.INFLUENCER, fit: 20, persona };
+    }
+
+    if (candidate && (roleOrder(candidate.buyerRole) < roleOrder(best.buyerRole) ||
+        (candidate.buyerRole === best.buyerRole && candidate.fit > best.fit))) {
+      best = candidate;
+    }
+  }
+
+  return {
+    buyerRole: best.buyerRole,
+    score: score(best.fit),
+    matchedPersona: best.persona ? { id: best.persona.id, name: best.persona.name } : null
+  };
+}
+
+/**
+ * Group scored contacts by account and rank them: decision makers first,
+ * then by score. Accounts keep the order they first appear in.
+ * @param {Array<Object>} contacts - Contacts with buyerRole and buyerRoleScore
+ * @returns {Array<{account: {key: string, name: string|null, domain: string|null}, contacts: Array<Object>}>}
+ */
+function rankByAccount(contacts) {
+  const resolver = new DomainResolver();
+  const accounts = new Map();
+
+  contacts.forEach((contact, index) => {
+    const account = getContactAccount(contact, resolver);
+    if (!accounts.has(account.key)) {
+      accounts.set(account.key, { account, contacts: [] });
+    }
+    accounts.get(account.key).contacts.push({ contact, index });
+  });
+
+  return [...accounts.values()].map(({ account, contacts: members }) => ({
+    account,
+    contacts: members
+      .sort((a, b) => roleOrder(a.contact.buyerRole) - roleOrder(b.contact.buyerRole) ||
+        b.contact.buyerRoleScore - a.contact.buyerRoleScore ||
+        a.index - b.index)
+      .map(({ contact }, rank) => ({ ...contact, accountRank: rank + 1 }))
+  }));
+}
+
+/**
+ * Account a contact belongs to, by company domain or else company name
+ */
+function getContactAccount(contact, resolver = new DomainResolver()) {
+  const organization = contact.organization || {};
+  const website = organization.primary_domain || organization.website_url ||
+    contact.company_domain || contact.company_website || contact.companyUrl || contact.companyWebsite || null;
+  const target = website ? resolver.normalize(website) : null;
+  const domain = target?.valid ? target.domain : null;
+  const name = organization.name || contact.organization_name || contact.company_name || contact.companyName ||
+    (typeof contact.company === 'string' ? contact.company : null) || null;
+
+  return {
+    key: domain || (name ? `name:${name.trim().toLowerCase()}` : 'unknown'),
+    name,
+    domain
+  };
+}
+
+function normalizeTitle(title) {
+  let normalized = ` ${String(title).toLowerCase()} `;
+  // LinkedIn headlines: "Head of Finance at Acme | Speaker"
+  normalized = normalized.split(/\s(?:at|@)\s|\|/)[0];
+  for (const [pattern, replacement] of ABBREVIATIONS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized.replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function matchRule(rules, text) {
+  const rule = text ? rules.find(([, pattern]) => pattern.test(text)) : null;
+  return rule ? rule[0] : null;
+}
+
+function roleOrder(role) {
+  return [BUYER_ROLES.DECISION_MAKER, BUYER_ROLES.INFLUENCER, BUYER_ROLES.NOT_RELEVANT].indexOf(role);
+}
+
+module.exports = {
+  SENIORITY_LEVELS,
+  FUNCTIONS,
+  BUYER_ROLES,
+  CLASSIFICATION_SOURCES,
+  normalizePersonas,
+  getContactTitle,
+  classifyContact,
+  scoreContact,
+  rankByAccount,
+  getContactAccount
+};
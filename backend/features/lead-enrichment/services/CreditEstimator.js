@@ -0,0 +1,148 @@
+const manifest = require('../manifest');
+const FirmographicFilter = require('./FirmographicFilter');
+const ConsensusScorer = require('./ConsensusScorer');
+
+// /enrich and each /batch-enrich batch process at most this many leads
+const MAX_LEADS_PER_REQUEST = 50;
+
+/**
+ * Credit Estimator
+ *
+ * Predicts what a request will cost before it is sent: credits (from the
+ * route prices in the manifest), websites to scrape and AI calls. Leads
+ * rejected by firmographic rules are taken out first. A request whose leads
+ * are all rejected is estimated at 0 credits because it does not need to be
+ * sent at all.
+ *
+ * AI call counts are estimates: batched scoring may split into more calls
+ * when website content is long, and a technology filter (applied after
+ * scraping) can only lower them. Consensus re-scoring depends on how many
+ * first scores land near the threshold, so only its upper bound is given.
+ */
+class CreditEstimator {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBatchSize - Leads per batched scoring call (default: AI_BATCH_MAX_SIZE or 8)
+   */
+  constructor(options = {}) {
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.AI_BATCH_MAX_SIZE || '8');
+  }
+
+  /**
+   * Credits charged for a route
+   * @param {string} path - Route path from the manifest, e.g. '/enrich'
+   */
+  getRouteCredits(path) {
+    const route = manifest.routes.find(entry => entry.path === path);
+    return route ? route.credits : 0;
+  }
+
+  /**
+   * Estimate one /enrich request (or one /batch-enrich batch)
+   * @param {Object} params
+   * @param {Array} params.leads - Leads as they would be sent
+   * @param {FirmographicFilter|null} params.filter - Compiled firmographic rules
+   * @param {boolean} params.enableScraping
+   * @param {boolean} params.enableAI
+   * @param {boolean} params.batch - Batched AI scoring
+   * @param {boolean} params.rubric - Scoring against a rubric (one call per lead)
+   * @param {boolean|Object} params.consensus - Consensus options as sent
+   * @param {string} path - Route whose price applies
+   */
+  estimateEnrich({ leads, filter = null, enableScraping = true, enableAI = true, batch = true, rubric = false, consensus = null }, path = '/enrich') {
+    const screened = this.screen(leads, filter);
+    const processed = Math.min(screened.passed.length, MAX_LEADS_PER_REQUEST);
+
+    let aiCalls = 0;
+    if (enableAI && processed > 0) {
+      aiCalls = batch && !rubric && processed > 1 ?
+        Math.ceil(processed / this.maxBatchSize) :
+        processed;
+    }
+
+    return {
+      credits: processed > 0 ? this.getRouteCredits(path) : 0,
+      leads_total: leads.length,
+      total_excluded_by_rules: screened.rejected.length,
+      excluded_by_rule_counts: screened.rejectedByRule,
+      leads_processed: processed,
+      leads_over_limit: screened.passed.length - processed,
+      websites_to_scrape: enableScraping ? processed : 0,
+      estimated_ai_calls: aiCalls,
+      max_consensus_ai_calls: aiCalls > 0 ? processed * (ConsensusScorer.normalize(consensus).config?.samples || 0) : 0
+    };
+  }
+
+  /**
+   * Estimate a /batch-enrich request: the route price applies per batch that
+   * still has leads after the rules. Batches with invalid rules fail before
+   * any work and are estimated at 0.
+   * @param {Array<Object>} batches - [{ leads, firmographic_rules, enable_website_scraping, ... }]
+   */
+  estimateBatchEnrich(batches) {
+    const perBatch = batches.map((batch, index) => {
+      const batchId = batch.id || index + 1;
+      const { filter, errors } = FirmographicFilter.compile(batch.firmographic_rules);
+      if (errors.length > 0) {
+        return {
+          batch_id: batchId,
+          ...this.estimateEnrich({ leads: [] }),
+          leads_total: Array.isArray(batch.leads) ? batch.leads.length : 0,
+          error: `Invalid firmographic rules: ${errors.join('; ')}`
+        };
+      }
+
+      return { batch_id: batchId, ...this.estimateBatch(batch, filter) };
+    });
+
+    const sum = key => perBatch.reduce((total, entry) => total + entry[key], 0);
+    return {
+      credits: sum('credits'),
+      leads_total: sum('leads_total'),
+      total_excluded_by_rules: sum('total_excluded_by_rules'),
+      leads_processed: sum('leads_processed'),
+      websites_to_scrape: sum('websites_to_scrape'),
+      estimated_ai_calls: sum('estimated_ai_calls'),
+      max_consensus_ai_calls: sum('max_consensus_ai_calls'),
+      batches: perBatch
+    };
+  }
+
+  /**
+   * Estimate a /filter-companies request (one scrape and one AI check per company)
+   */
+  estimateFilterCompanies({ companies, filter = null }) {
+    const screened = this.screen(companies, filter);
+    const remaining = screened.passed.length;
+
+    return {
+      credits: remaining > 0 ? this.getRouteCredits('/filter-companies') : 0,
+      leads_total: companies.length,
+      total_excluded_by_rules: screened.rejected.length,
+      excluded_by_rule_counts: screened.rejectedByRule,
+      leads_processed: remaining,
+      websites_to_scrape: remaining,
+      estimated_ai_calls: remaining
+    };
+  }
+
+  estimateBatch(batch, filter) {
+    return this.estimateEnrich({
+      leads: Array.isArray(batch.leads) ? batch.leads : [],
+      filter,
+      enableScraping: batch.enable_website_scraping !== false,
+      enableAI: batch.enable_ai_analysis !== false && !!(batch.topic || batch.rubric),
+      batch: batch.batch_ai_analysis !== false,
+      rubric: !!batch.rubric,
+      consensus: batch.consensus
+    }, '/batch-enrich');
+  }
+
+  screen(leads, filter) {
+    return filter ? filter.apply(leads) : { passed: leads, passedIndices: [], rejected: [], rejectedByRule: {} };
+  }
+}
+
+CreditEstimator.MAX_LEADS_PER_REQUEST = MAX_LEADS_PER_REQUEST;
+
+module.exports = CreditEstimator;
@@ -0,0 +1,98 @@
+const { domainToASCII } = require('url');
+
+/**
+ * Domain Resolver
+ *
+ * Canonicalizes lead websites so scraped content maps back to the right lead:
+ * - Accepts bare domains (acme.com), full URLs and common junk (whitespace, "www.", mixed case)
+ * - Adds the scheme, converts internationalized domains to punycode
+ * - Strips tracking parameters, fragments and (for lead websites) paths
+ * - Derives the canonical domain from the final URL after redirects
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|gbraid|wbraid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_hsenc|_hsmi|hsa_\w+|ref|ref_src|source|igshid|li_fat_id|trk)$/i;
+
+class DomainResolver {
+  /**
+   * Pick the website field from a lead/company object
+   * @param {Object} lead - Lead from Apollo, LinkedIn, etc.
+   * @returns {string|null} Raw website value
+   */
+  getLeadWebsite(lead) {
+    if (!lead) return null;
+    return lead.website || lead.website_url || lead.domain || null;
+  }
+
+  /**
+   * Normalize a URL or bare domain
+   * @param {string} input - Raw website value
+   * @param {Object} options
+   * @param {boolean} options.keepPath - Keep the path (single-page analysis); lead websites drop it
+   * @returns {{input: string, url: string|null, domain: string|null, valid: boolean, error?: string}}
+   */
+  normalize(input, options = {}) {
+    const raw = typeof input === 'string' ? input.trim() : '';
+
+    if (!raw) {
+      return { input, url: null, domain: null, valid: false, error: 'Website is empty' };
+    }
+
+    let parsed;
+    try {
+      const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw.replace(/^\/+/, '')}`;
+      parsed = new URL(withScheme);
+    } catch (error) {
+      return { input, url: null, domain: null, valid: false, error: 'Website is not a valid URL' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { input, url: null, domain: null, valid: false, error: `Unsupported scheme ${parsed.protocol}` };
+    }
+
+    const hostname = domainToASCII(parsed.hostname.toLowerCase().replace(/\.$/, ''));
+    if (!hostname || !hostname.includes('.')) {
+      return { input, url: null, domain: null, valid: false, error: 'Website has no valid domain' };
+    }
+
+    parsed.hostname = hostname;
+    parsed.username = '';
+    parsed.password = '';
+    parsed.hash = '';
+
+    if (options.keepPath) {
+      for (const key of [...parsed.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+      }
+      parsed.pathname = parsed.pathname.replace(/\/(index|default|home)\.(html?|php|aspx?)$/i, '/');
+    } else {
+      parsed.pathname = '/';
+      parsed.search = '';
+    }
+
+    return {
+      input,
+      url: parsed.toString(),
+      domain: this.toDomain(hostname),
+      valid: true
+    };
+  }
+
+  /**
+   * Canonical domain for a URL: lowercase ASCII host without "www."
+   * @param {string} url - Absolute URL
+   * @returns {string|null}
+   */
+  canonicalDomain(url) {
+    try {
+      return this.toDomain(domainToASCII(new URL(url).hostname.toLowerCase()));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  toDomain(hostname) {
+    return hostname.replace(/^www\d*\./, '');
+  }
+}
+
+module.exports = DomainResolver;
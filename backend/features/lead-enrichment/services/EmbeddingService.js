@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const Embedding = require('../models/Embedding');
+const DomainResolver = require('./DomainResolver');
+
+const DEFAULT_MAX_AGE_DAYS = 30;
+// Website text past this point adds little to what a company does
+const MAX_TEXT_CHARS = 12000;
+// Seed similarity is the mean over this many nearest seeds
+const NEAREST_SEEDS = 3;
+
+/**
+ * Embedding Service
+ *
+ * Turns company website text into vectors and compares them by cosine
+ * similarity, to a topic or to a set of seed companies.
+ *
+ * Vectors are stored per organization and embedding model: by text hash, so
+ * the same text is never embedded twice, and by domain, so a company embedded
+ * recently is not even scraped again. Store failures are treated as misses;
+ * they never fail the request.
+ *
+ * Max age: EMBEDDING_MAX_AGE_DAYS (default 30, 0 disables the store)
+ */
+class EmbeddingService {
+  /**
+   * @param {Object} options
+   * @param {BaseEmbeddingProvider} options.provider
+   * @param {string} options.organizationId - Namespace owner ('global' when absent)
+   * @param {UsageTracker} options.usageTracker - Records tokens and cost of embedding calls
+   * @param {number} options.maxAgeDays - How long stored vectors are reused
+   */
+  constructor({ provider, organizationId = null, usageTracker = null, maxAgeDays } = {}) {
+    this.provider = provider;
+    this.namespace = organizationId ? `org:${organizationId}` : 'global';
+    this.usageTracker = usageTracker;
+    this.maxAgeDays = maxAgeDays ?? parseInt(process.env.EMBEDDING_MAX_AGE_DAYS || String(DEFAULT_MAX_AGE_DAYS));
+    this.counts = { stored: 0, computed: 0, store_errors: 0 };
+  }
+
+  get storeEnabled() {
+    return this.maxAgeDays > 0;
+  }
+
+  /**
+   * Vectors for companies. Companies with a stored vector for their domain are
+   * not scraped; the rest go through `scrape` and are embedded.
+   * @param {Array<Object>} companies - Leads with website/domain fields
+   * @param {Function|null} scrape - async (companies) => scraped companies (with websiteContent);
+   *   null when the companies are already scraped
+   * @param {Object} options - { refresh: ignore stored vectors by domain }
+   * @returns {Promise<Array<{company: Object, domain: string|null, vector: Array<number>|null,
+   *   source: 'stored'|'embedded'|null}>>} In input order; company is the scraped version when scraped
+   * @throws {ProviderError}
+   */
+  async embedCompanies(companies, scrape = null, { refresh = false } = {}) {
+    const domainResolver = new DomainResolver();
+    const domains = companies.map(company => {
+      const target = domainResolver.normalize(domainResolver.getLeadWebsite(company));
+      return target.valid ? target.domain : null;
+    });
+
+    const stored = scrape && !refresh ?
+      await this.findByDomains([...new Set(domains.filter(Boolean))]) :
+      new Map();
+
+    const results = companies.map((company, index) => {
+      const vector = domains[index] ? stored.get(domains[index]) : null;
+      return { company, domain: domains[index], vector: vector || null, source: vector ? 'stored' : null };
+    });
+
+    const pending = results.map((result, index) => index).filter(index => !results[index].vector);
+    if (pending.length === 0) {
+      return results;
+    }
+
+    const scraped = scrape ?
+      await scrape(pending.map(index => companies[index])) :
+      pending.map(index => companies[index]);
+    const vectors = await this.embed(pending.map((index, i) => {
+      const entry = EmbeddingService.companyText(scraped[i]);
+      // Website vectors are stored under the requested domain so the next lookup finds them
+      return entry && entry.kind === 'website' ? { ...entry, domain: domains[index] } : entry;
+    }));
+
+    pending.forEach((index, i) => {
+      results[index] = {
+        company: scraped[i],
+        domain: domains[index],
+        vector: vectors[i],
+        source: vectors[i] ? 'embedded' : null
+      };
+    });
+
+    return results;
+  }
+
+  /**
+   * Vectors for seed companies, given as domains
+   * @param {Array<string>} domains - Seed domains (validated by the caller)
+   * @param {Function} scrape - See embedCompanies()
+   * @param {Object} options - { refresh }
+   * @returns {Promise<{seeds: Array<{domain: string, vector: Array<number>}>, report: Array<Object>}>}
+   *   report lists every seed with whether it could be used
+   */
+  async embedSeeds(domains, scrape, options = {}) {
+    const domainResolver = new DomainResolver();
+    const unique = [...new Set(domains.map(domain => domainResolver.normalize(domain).domain).filter(Boolean))];
+    const results = await this.embedCompanies(unique.map(domain => ({ website: domain })), scrape, options);
+
+    return {
+      seeds: results.filter(seed => seed.vector).map(seed => ({ domain: seed.domain, vector: seed.vector })),
+      report: results.map(seed => ({
+        domain: seed.domain,
+        used: !!seed.vector,
+        source: seed.source,
+        scrapeStatus: seed.vector ? null : seed.company.scrapeStatus || null
+      }))
+    };
+  }
+
+  /**
+   * Vector for a free-text topic or ICP description
+   * @returns {Promise<Array<number>>}
+   */
+  async embedTopic(topic) {
+    const [vector] = await this.embed([{ text: String(topic), kind: 'topic', domain: null }]);
+    return vector;
+  }
+
+  /**
+   * Vectors for texts, reading stored ones first
+   * @param {Array<{text: string, kind: string, domain: string|null}|null>} entries
+   * @returns {Promise<Array<Array<number>|null>>} In input order; null for entries without text
+   * @throws {ProviderError}
+   */
+  async embed(entries) {
+    const items = entries.map(entry => {
+      if (!entry || !entry.text || !entry.text.trim()) return null;
+      const text = entry.text.substring(0, MAX_TEXT_CHARS);
+      return { ...entry, text, hash: crypto.createHash('sha256').update(text).digest('hex') };
+    });
+
+    const unique = new Map();
+    for (const item of items) {
+      if (item && !unique.has(item.hash)) unique.set(item.hash, item);
+    }
+
+    const vectors = await this.readStored([...unique.keys()]);
+    this.counts.stored += vectors.size;
+
+    const missing = [...unique.values()].filter(item => !vectors.has(item.hash));
+    if (missing.length > 0) {
+      const result = await this.callProvider(missing.map(item => item.text));
+      missing.forEach((item, index) => vectors.set(item.hash, result.vectors[index]));
+      this.counts.computed += missing.length;
+
+      await this.writeStored(missing.map((item, index) => ({ ...item, vector: result.vectors[index] })));
+    }
+
+    return items.map(item => item ? vectors.get(item.hash) || null : null);
+  }
+
+  async callProvider(texts) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.provider.embed(texts);
+      this.usageTracker?.record({
+        provider: result.provider,
+        model: result.model,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: 0,
+        latencyMs: result.latencyMs
+      });
+      return result;
+    } catch (error) {
+      this.usageTracker?.record({
+        provider: this.provider.provider,
+        model: this.provider.model,
+        latencyMs: Date.now() - startedAt,
+        success: false
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Stored website vectors by domain
+   * @returns {Promise<Map<string, Array<number>>>}
+   */
+  async findByDomains(domains) {
+    if (!this.storeEnabled || domains.length === 0) return new Map();
+
+    try {
+      const rows = await Embedding.findLatestByDomains(
+        this.namespace, this.provider.provider, this.provider.model, domains, this.maxAgeDays
+      );
+      this.counts.stored += rows.length;
+      return new Map(rows.map(row => [row.domain, row.vector]));
+    } catch (error) {
+      this.counts.store_errors++;
+      return new Map();
+    }
+  }
+
+  async readStored(hashes) {
+    if (!this.storeEnabled || hashes.length === 0) return new Map();
+
+    try {
+      const rows = await Embedding.findByHashes(this.namespace, this.provider.provider, this.provider.model, hashes);
+      return new Map(rows.map(row => [row.content_hash, row.vector]));
+    } catch (error) {
+      this.counts.store_errors++;
+      return new Map();
+    }
+  }
+
+  async writeStored(items) {
+    if (!this.storeEnabled || items.length === 0) return;
+
+    try {
+      await Embedding.createMany(items.map(item => ({
+        namespace: this.namespace,
+        kind: item.kind,
+        domain: item.domain,
+        contentHash: item.hash,
+        provider: this.provider.provider,
+        model: this.provider.model,
+        vector: item.vector
+      })));
+    } catch (error) {
+      this.counts.store_errors++;
+    }
+  }
+
+  /**
+   * Counts for the response metadata
+   */
+  stats() {
+    return {
+      provider: this.provider.provider,
+      model: this.provider.model,
+      store_enabled: this.storeEnabled,
+      ...this.counts
+    };
+  }
+
+  /**
+   * Text that represents a company: its website text, or its profile fields
+   * when the website couldn't be read
+   * @returns {{text: string, kind: 'website'|'profile', domain: string|null}|null}
+   */
+  static companyText(company) {
+    if (company.websiteContent) {
+      return { text: company.websiteContent, kind: 'website', domain: company.canonicalDomain || null };
+    }
+
+    const keywords = Array.isArray(company.keywords) ? company.keywords.join(', ') : company.keywords;
+    const details = [company.industry, company.short_description || company.description, keywords].filter(Boolean);
+    if (details.length === 0) {
+      return null;
+    }
+
+    return {
+      text: [company.name || company.company_name, ...details].filter(Boolean).join('\n'),
+      kind: 'profile',
+      domain: null
+    };
+  }
+
+  /**
+   * Similarity of each vector to the seeds and to the topic
+   * @param {Array<Array<number>|null>} vectors
+   * @param {Object} targets
+   * @param {Array<{domain: string, vector: Array<number>}>} targets.seeds
+   * @param {Array<number>|null} targets.topicVector
+   * @returns {Array<{seedSimilarity: number|null, nearestSeeds: Array, topicSimilarity: number|null}|null>}
+   *   null where there is no vector. seedSimilarity is the mean cosine similarity
+   *   to the nearest seeds, so one close customer counts even when the seeds are diverse.
+   */
+  static score(vectors, { seeds = [], topicVector = null } = {}) {
+    return vectors.map(vector => {
+      if (!vector) return null;
+
+      const nearestSeeds = seeds
+        .map(seed => ({ domain: seed.domain, similarity: EmbeddingService.cosine(vector, seed.vector) }))
+        .filter(seed => seed.similarity !== null)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, NEAREST_SEEDS);
+
+      return {
+        seedSimilarity: nearestSeeds.length > 0 ?
+          round(nearestSeeds.reduce((sum, seed) => sum + seed.similarity, 0) / nearestSeeds.length) : null,
+        nearestSeeds: nearestSeeds.map(seed => ({ ...seed, similarity: round(seed.similarity) })),
+        topicSimilarity: topicVector ? round(EmbeddingService.cosine(vector, topicVector)) : null
+      };
+    });
+  }
+
+  /**
+   * Cosine similarity, null when the vectors can't be compared
+   */
+  static cosine(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return null;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : null;
+  }
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+module.exports = EmbeddingService;
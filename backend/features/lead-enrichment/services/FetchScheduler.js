@@ -0,0 +1,317 @@
+const axios = require('axios');
+const UrlGuard = require('./UrlGuard');
+
+/**
+ * Fetch Scheduler
+ *
+ * Shared politeness layer for every scraping path:
+ * - Parses and caches robots.txt rules (allow/disallow, crawl-delay) per origin
+ * - Enforces per-host concurrency and minimum spacing between requests
+ * - Applies a global concurrency ceiling across all hosts
+ *
+ * Disallowed URLs are rejected with an error whose `code` is 'ROBOTS_DISALLOWED'
+ * so callers can report an explicit skip reason.
+ *
+ * Requests identify themselves with a User-Agent containing the robots token,
+ * so site owners can target the crawler in robots.txt.
+ */
+
+const ROBOTS_TTL_MS = 60 * 60 * 1000; // 1 hour
+const ROBOTS_ERROR_TTL_MS = 5 * 60 * 1000; // Retry unreachable robots.txt after 5 minutes
+const MAX_ROBOTS_BYTES = 500000;
+const MAX_ROBOTS_CACHE_ENTRIES = 5000;
+
+let sharedScheduler = null;
+
+class FetchScheduler {
+  constructor(options = {}) {
+    this.globalConcurrency = options.globalConcurrency || 10;
+    this.perHostConcurrency = options.perHostConcurrency || 2;
+    this.minHostSpacingMs = options.minHostSpacingMs ?? 1000;
+    this.maxCrawlDelayMs = options.maxCrawlDelayMs || 10000; // Ignore absurd crawl-delays
+    this.userAgentToken = (options.userAgentToken || 'lad-lead-enrichment').toLowerCase();
+    this.userAgent = options.userAgent || `Mozilla/5.0 (compatible; ${this.userAgentToken}/1.0)`;
+    this.robotsTimeout = options.robotsTimeout || 5000;
+    this.urlGuard = options.urlGuard || UrlGuard.getShared();
+
+    this.maxRobotsCacheEntries = options.maxRobotsCacheEntries || MAX_ROBOTS_CACHE_ENTRIES;
+    this.robotsCache = new Map(); // origin -> { rules, crawlDelayMs, expiresAt } | Promise, least recently used first
+    this.hosts = new Map(); // host -> { active, nextStartAt }
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Process-wide scheduler shared by all WebsiteScraperService instances
+   * @returns {FetchScheduler}
+   */
+  static getShared() {
+    if (!sharedScheduler) {
+      sharedScheduler = new FetchScheduler({
+        globalConcurrency: parseInt(process.env.SCRAPER_GLOBAL_CONCURRENCY) || 10,
+        perHostConcurrency: parseInt(process.env.SCRAPER_PER_HOST_CONCURRENCY) || 2,
+        minHostSpacingMs: parseInt(process.env.SCRAPER_MIN_HOST_SPACING_MS) || 1000
+      });
+    }
+    return sharedScheduler;
+  }
+
+  /**
+   * Run a fetch task for a URL once robots.txt and politeness limits allow it
+   * @param {string} url - URL that the task will fetch
+   * @param {Function} task - Async function performing the request
+   * @returns {Promise<*>} Task result
+   */
+  async schedule(url, task) {
+    const { allowed, crawlDelayMs } = await this.checkRobots(url);
+
+    if (!allowed) {
+      const error = new Error(`Disallowed by robots.txt: ${url}`);
+      error.code = 'ROBOTS_DISALLOWED';
+      throw error;
+    }
+
+    const host = new URL(url).host;
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host, task, crawlDelayMs, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start every queued task whose host and the global pool have capacity
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let nextWakeAt = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.active < this.globalConcurrency; i++) {
+      const item = this.queue[i];
+      const host = this.getHostState(item.host);
+
+      if (host.active >= this.perHostConcurrency) continue;
+
+      if (host.nextStartAt > now) {
+        nextWakeAt = Math.min(nextWakeAt, host.nextStartAt);
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      i--;
+      this.run(item, host, now);
+    }
+
+    if (this.queue.length > 0 && nextWakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.pump(), Math.max(0, nextWakeAt - Date.now()));
+    }
+  }
+
+  async run(item, host, now) {
+    this.active++;
+    host.active++;
+    host.nextStartAt = now + Math.max(this.minHostSpacingMs, item.crawlDelayMs);
+
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      this.active--;
+      host.active--;
+      if (host.active === 0 && host.nextStartAt <= Date.now()) {
+        this.hosts.delete(item.host);
+      }
+      this.pump();
+    }
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Check a URL against its origin's robots.txt
+   * @param {string} url - URL to check
+   * @returns {Promise<{allowed: boolean, crawlDelayMs: number}>}
+   */
+  async checkRobots(url) {
+    const parsed = new URL(url);
+    const robots = await this.getRobots(parsed.origin);
+    const path = parsed.pathname + parsed.search;
+
+    return {
+      allowed: this.isPathAllowed(robots.rules, path),
+      crawlDelayMs: robots.crawlDelayMs
+    };
+  }
+
+  /**
+   * Get cached robots rules for an origin, fetching them if needed.
+   * Concurrent callers share the same in-flight fetch.
+   */
+  async getRobots(origin) {
+    const cached = this.robotsCache.get(origin);
+
+    if (cached instanceof Promise) return cached;
+    if (cached && cached.expiresAt > Date.now()) {
+      this.cacheRobots(origin, cached);
+      return cached;
+    }
+
+    const pending = this.fetchRobots(origin).then(robots => {
+      this.cacheRobots(origin, robots);
+      return robots;
+    });
+    this.cacheRobots(origin, pending);
+
+    return pending;
+  }
+
+  /**
+   * Store an entry as the most recently used one. Past the size limit, expired
+   * entries are dropped first, then the least recently used ones.
+   */
+  cacheRobots(origin, entry) {
+    this.robotsCache.delete(origin);
+    this.robotsCache.set(origin, entry);
+    if (this.robotsCache.size <= this.maxRobotsCacheEntries) return;
+
+    const now = Date.now();
+    for (const [key, value] of this.robotsCache) {
+      if (!(value instanceof Promise) && value.expiresAt <= now) this.robotsCache.delete(key);
+    }
+    for (const key of this.robotsCache.keys()) {
+      if (this.robotsCache.size <= this.maxRobotsCacheEntries) break;
+      this.robotsCache.delete(key);
+    }
+  }
+
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: this.robotsTimeout,
+        maxContentLength: MAX_ROBOTS_BYTES,
+        responseType: 'text',
+        validateStatus: () => true,
+        ...this.urlGuard.axiosOptions()
+      });
+
+      // 4xx: no usable robots.txt, everything allowed
+      if (response.status >= 400 && response.status < 500) {
+        return { rules: [], crawlDelayMs: 0, expiresAt: Date.now() + ROBOTS_TTL_MS };
+      }
+
+      // 5xx: treat as full disallow for a short while
+      if (response.status >= 500) {
+        return {
+          rules: [{ allow: false, pattern: '/' }],
+          crawlDelayMs: 0,
+          expiresAt: Date.now() + ROBOTS_ERROR_TTL_MS
+        };
+      }
+
+      const { rules, crawlDelay } = this.parseRobots(String(response.data || ''));
+      return {
+        rules,
+        crawlDelayMs: Math.min(crawlDelay * 1000, this.maxCrawlDelayMs),
+        expiresAt: Date.now() + ROBOTS_TTL_MS
+      };
+    } catch (error) {
+      // Unreachable robots.txt: let the page fetch itself surface the failure
+      return { rules: [], crawlDelayMs: 0, expiresAt: Date.now() + ROBOTS_ERROR_TTL_MS };
+    }
+  }
+
+  /**
+   * Parse robots.txt, keeping the groups for our user agent token or else the
+   * '*' groups. Agents are matched on the full product token, ignoring case
+   * and any version ("lad-lead-enrichment/1.0"), as RFC 9309 specifies.
+   * @param {string} text - robots.txt body
+   * @returns {{rules: Array<{allow: boolean, pattern: string}>, crawlDelay: number}}
+   */
+  parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: 0 };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means "allow everything"
+        if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+      } else if (field === 'crawl-delay') {
+        current.crawlDelay = parseFloat(value) || 0;
+      }
+    }
+
+    // Several groups for the same agent are combined
+    const ours = groups.filter(g => g.agents.some(a => a.split('/')[0].trim() === this.userAgentToken));
+    const matched = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+
+    return {
+      rules: matched.flatMap(g => g.rules),
+      crawlDelay: Math.max(0, ...matched.map(g => g.crawlDelay))
+    };
+  }
+
+  /**
+   * Longest matching rule wins; Allow wins ties. Supports '*' and '$' wildcards.
+   */
+  isPathAllowed(rules, path) {
+    let best = null;
+
+    for (const rule of rules) {
+      if (!this.matchesPattern(rule.pattern, path)) continue;
+
+      if (!best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+
+  matchesPattern(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+}
+
+module.exports = FetchScheduler;
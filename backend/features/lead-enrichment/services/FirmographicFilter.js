@@ -0,0 +1,257 @@
+/**
+ * Firmographic Filter
+ *
+ * Declarative rules over lead fields (Apollo, LinkedIn, ...) that reject leads
+ * before any scraping or AI work. Every rule names one field and one check:
+ *
+ *   { "field": "country", "in": ["Germany", "Austria"] }
+ *   { "field": "industry", "not_in": ["staffing & recruiting"] }
+ *   { "field": "estimated_num_employees", "min": 50, "max": 500 }
+ *   { "field": "name", "matches": "bank|insur" }
+ *   { "field": "name", "not_matches": "recruit" }
+ *   { "field": "website_url", "exists": true }
+ *
+ * `field` is a dot path ("organization.country") or a list of paths, where
+ * the first one present is used. A lead passes when it passes every rule.
+ * When the field is missing, value checks pass by default; set
+ * "on_missing": "reject" to reject instead.
+ *
+ * `matches` patterns run on LinearRegex rather than RegExp, so a pattern from
+ * a request can't make matching slow.
+ */
+
+const LinearRegex = require('./LinearRegex');
+
+const OPERATORS = ['in', 'not_in', 'min', 'max', 'matches', 'not_matches', 'exists'];
+
+const MAX_RULES = 25;
+const MAX_LIST_SIZE = 500;
+// Values longer than this are cut before pattern matching
+const MAX_MATCH_INPUT = 1000;
+
+class FirmographicFilter {
+  /**
+   * @param {Array<Object>} rules - Rules compiled by FirmographicFilter.compile()
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Validate rules from a request
+   * @param {Array<Object>} input - Rule objects
+   * @returns {{filter: FirmographicFilter|null, errors: string[]}} filter is null when no rules are given
+   */
+  static compile(input) {
+    if (input === undefined || input === null) {
+      return { filter: null, errors: [] };
+    }
+    if (!Array.isArray(input)) {
+      return { filter: null, errors: ['firmographic rules must be an array'] };
+    }
+    if (input.length > MAX_RULES) {
+      return { filter: null, errors: [`At most ${MAX_RULES} firmographic rules are allowed`] };
+    }
+
+    const errors = [];
+    const rules = input.map((rule, index) => compileRule(rule, index, errors));
+
+    return errors.length > 0 ?
+      { filter: null, errors } :
+      { filter: new FirmographicFilter(rules), errors: [] };
+  }
+
+  /**
+   * Split leads into passed and rejected
+   * @param {Array<Object>} leads
+   * @returns {{passed: Array<Object>, passedIndices: Array<number>,
+   *   rejected: Array<{index: number, name: string|null, rule: Object, value: *}>,
+   *   rejectedByRule: Object}} passedIndices are input positions of the passed leads;
+   *   rejectedByRule counts rejections per rule id
+   */
+  apply(leads) {
+    const passed = [];
+    const passedIndices = [];
+    const rejected = [];
+    const rejectedByRule = {};
+
+    leads.forEach((lead, index) => {
+      const failure = this.evaluate(lead);
+      if (!failure) {
+        passed.push(lead);
+        passedIndices.push(index);
+        return;
+      }
+
+      rejectedByRule[failure.rule.id] = (rejectedByRule[failure.rule.id] || 0) + 1;
+      rejected.push({
+        index,
+        name: lead.name || lead.company_name || lead.companyName || null,
+        ...failure
+      });
+    });
+
+    return { passed, passedIndices, rejected, rejectedByRule };
+  }
+
+  /**
+   * First rule the lead fails
+   * @returns {{rule: {id: string, description: string}, field: string|null, value: *}|null}
+   */
+  evaluate(lead) {
+    for (const rule of this.rules) {
+      const { path, value } = readField(lead, rule.fields);
+      if (!rule.test(value)) {
+        return {
+          rule: { id: rule.id, description: rule.description },
+          field: path,
+          value: value === undefined ? null : value
+        };
+      }
+    }
+    return null;
+  }
+}
+
+function compileRule(rule, index, errors) {
+  const path = `rules[${index}]`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const fields = (Array.isArray(rule.field) ? rule.field : [rule.field])
+    .filter(field => typeof field === 'string' && field.trim())
+    .map(field => field.trim());
+  if (fields.length === 0) {
+    errors.push(`${path}.field must be a field name or a list of field names`);
+    return null;
+  }
+
+  const operators = OPERATORS.filter(operator => rule[operator] !== undefined);
+  const isRange = operators.length > 0 && operators.every(operator => operator === 'min' || operator === 'max');
+  if (operators.length === 0 || (operators.length > 1 && !isRange)) {
+    errors.push(`${path} must have exactly one of in, not_in, min/max, matches, not_matches, exists`);
+    return null;
+  }
+
+  const onMissing = rule.on_missing || 'pass';
+  if (onMissing !== 'pass' && onMissing !== 'reject') {
+    errors.push(`${path}.on_missing must be "pass" or "reject"`);
+    return null;
+  }
+
+  const fieldLabel = fields.join('|');
+  const missing = () => onMissing === 'pass';
+  let test;
+  let description;
+
+  if (isRange) {
+    const { min = null, max = null } = rule;
+    if ((min !== null && typeof min !== 'number') || (max !== null && typeof max !== 'number') ||
+      (min !== null && max !== null && min > max)) {
+      errors.push(`${path}: min and max must be numbers with min <= max`);
+      return null;
+    }
+
+    test = value => {
+      const number = toNumber(value);
+      if (number === null) return missing();
+      return (min === null || number >= min) && (max === null || number <= max);
+    };
+    description = `${fieldLabel} ${min !== null && max !== null ? `between ${min} and ${max}` : min !== null ? `>= ${min}` : `<= ${max}`}`;
+  } else {
+    const operator = operators[0];
+    const operand = rule[operator];
+
+    if (operator === 'in' || operator === 'not_in') {
+      if (!Array.isArray(operand) || operand.length === 0 || operand.length > MAX_LIST_SIZE) {
+        errors.push(`${path}.${operator} must be a non-empty list of at most ${MAX_LIST_SIZE} values`);
+        return null;
+      }
+      const listed = new Set(operand.map(normalize));
+      const include = operator === 'in';
+
+      test = value => {
+        const values = toList(value);
+        if (values.length === 0) return missing();
+        const hit = values.some(item => listed.has(normalize(item)));
+        return include ? hit : !hit;
+      };
+      description = `${fieldLabel} ${include ? 'in' : 'not in'} [${operand.slice(0, 10).join(', ')}${operand.length > 10 ? ', ...' : ''}]`;
+    } else if (operator === 'matches' || operator === 'not_matches') {
+      const flags = rule.flags === undefined ? 'i' : rule.flags;
+      if (flags !== 'i' && flags !== '') {
+        errors.push(`${path}.flags must be "i" (the default, ignore case) or ""`);
+        return null;
+      }
+
+      const { regex, errors: patternErrors } = LinearRegex.compile(operand, { ignoreCase: flags === 'i' });
+      if (!regex) {
+        errors.push(`${path}.${operator} is not a supported regular expression: ${patternErrors.join('; ')}`);
+        return null;
+      }
+      const positive = operator === 'matches';
+
+      test = value => {
+        const values = toList(value);
+        if (values.length === 0) return missing();
+        const hit = values.some(item => regex.test(String(item).substring(0, MAX_MATCH_INPUT)));
+        return positive ? hit : !hit;
+      };
+      description = `${fieldLabel} ${positive ? 'matches' : 'does not match'} /${operand}/`;
+    } else {
+      if (typeof operand !== 'boolean') {
+        errors.push(`${path}.exists must be true or false`);
+        return null;
+      }
+
+      test = value => (toList(value).length > 0) === operand;
+      description = `${fieldLabel} ${operand ? 'is present' : 'is absent'}`;
+    }
+  }
+
+  return {
+    id: typeof rule.id === 'string' && rule.id.trim() ? rule.id.trim() : `rule_${index + 1}`,
+    description,
+    fields,
+    test
+  };
+}
+
+/**
+ * First present value among the rule's field paths
+ * @returns {{path: string|null, value: *}}
+ */
+function readField(lead, fields) {
+  for (const path of fields) {
+    const value = path.split('.').reduce((current, key) =>
+      current !== null && current !== undefined && typeof current === 'object' ? current[key] : undefined, lead);
+    if (toList(value).length > 0) {
+      return { path, value };
+    }
+  }
+  return { path: null, value: undefined };
+}
+
+/**
+ * Scalar or array value as a list of non-empty scalars
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter(item =>
+    item !== null && item !== undefined && typeof item !== 'object' && String(item).trim() !== '');
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const number = parseFloat(value.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+module.exports = FirmographicFilter;
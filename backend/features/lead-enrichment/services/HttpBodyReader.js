@@ -0,0 +1,231 @@
+const zlib = require('zlib');
+
+/**
+ * HTTP Body Reader
+ *
+ * Reads a streamed axios response (responseType: 'stream', decompress: false)
+ * up to a byte budget instead of failing on large pages:
+ * - gzip, deflate and brotli bodies are decompressed here; the budget counts decoded bytes
+ * - Reading stops at the budget and the partial body is kept (`truncated: true`)
+ * - Charset is detected from the BOM, the Content-Type header, then <meta charset>,
+ *   and decoded with TextDecoder (UTF-8, Windows-1252, Shift_JIS, EUC-KR, GBK, ...)
+ */
+
+// How far into the document to look for <meta charset> (the HTML spec prescans 1024 bytes)
+const META_PRESCAN_BYTES = 4096;
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+// Labels servers send that TextDecoder does not know under that name
+const CHARSET_ALIASES = {
+  'x-sjis': 'shift_jis',
+  'ms932': 'shift_jis',
+  'cp932': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'x-euc-jp': 'euc-jp',
+  'gb2312': 'gbk',
+  'ks_c_5601-1987': 'euc-kr',
+  'utf8': 'utf-8'
+};
+
+class HttpBodyReader {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBytes - Default byte budget (decoded bytes)
+   * @param {number} options.timeout - Max time to read the body in ms
+   */
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || 512 * 1024;
+    this.timeout = options.timeout || 15000;
+  }
+
+  /**
+   * Check whether a Content-Type is acceptable before reading the body
+   * @param {string} contentType - Content-Type header value
+   * @param {string} expect - 'html' or 'xml'
+   * @returns {boolean} True if the body should be read
+   */
+  isAcceptedContentType(contentType, expect = 'html') {
+    if (!contentType) return true;
+    const type = String(contentType).split(';')[0].trim().toLowerCase();
+
+    if (expect === 'xml') {
+      return /xml|text\/plain/.test(type);
+    }
+    return type === 'text/html' || type === 'application/xhtml+xml';
+  }
+
+  /**
+   * Read and decode a streamed response body
+   * @param {Object} response - Axios response with a readable stream as `data`
+   * @param {Object} options
+   * @param {number} options.maxBytes - Byte budget for this response
+   * @returns {Promise<{body: string, truncated: boolean, bytesRead: number, encoding: string}>}
+   */
+  async read(response, options = {}) {
+    const maxBytes = options.maxBytes || this.maxBytes;
+    const { buffer, truncated } = await this.readBuffer(response, maxBytes);
+    const { body, encoding } = this.decode(buffer, response.headers || {});
+
+    return { body, truncated, bytesRead: buffer.length, encoding };
+  }
+
+  /**
+   * Collect (decompressed) bytes from the response stream up to the budget
+   * @returns {Promise<{buffer: Buffer, truncated: boolean}>}
+   */
+  readBuffer(response, maxBytes) {
+    const source = response.data;
+    const stream = this.decompress(source, response.headers || {});
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let length = 0;
+      let settled = false;
+
+      const finish = (error, truncated) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+
+        if (truncated || error) {
+          source.destroy();
+          if (stream !== source) stream.destroy();
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ buffer: Buffer.concat(chunks, length), truncated });
+        }
+      };
+
+      const timer = setTimeout(() => {
+        const error = new Error(`Body read timeout of ${this.timeout}ms exceeded`);
+        error.code = 'ETIMEDOUT';
+        finish(error);
+      }, this.timeout);
+
+      stream.on('data', chunk => {
+        if (settled) return;
+        const remaining = maxBytes - length;
+
+        if (chunk.length >= remaining) {
+          chunks.push(chunk.subarray(0, remaining));
+          length += remaining;
+          finish(null, true);
+          return;
+        }
+
+        chunks.push(chunk);
+        length += chunk.length;
+      });
+
+      stream.on('end', () => finish(null, false));
+
+      stream.on('error', error => {
+        // A corrupt or cut-off compressed stream still leaves usable HTML behind
+        if (length > 0 && error.code && error.code.startsWith('Z_')) {
+          finish(null, true);
+        } else {
+          finish(error);
+        }
+      });
+
+      if (stream !== source) {
+        source.on('error', error => finish(error));
+      }
+    });
+  }
+
+  /**
+   * Pipe the raw stream through a decompressor matching Content-Encoding
+   * @returns {Stream} Decoded stream
+   */
+  decompress(source, headers) {
+    const encoding = String(headers['content-encoding'] || '').trim().toLowerCase();
+
+    let decoder = null;
+    if (encoding === 'gzip' || encoding === 'x-gzip') {
+      decoder = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } else if (encoding === 'deflate') {
+      decoder = zlib.createInflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } else if (encoding === 'br') {
+      decoder = zlib.createBrotliDecompress({ finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+    }
+
+    return decoder ? source.pipe(decoder) : source;
+  }
+
+  /**
+   * Decode bytes to a string using the detected charset
+   * @param {Buffer} buffer - Body bytes
+   * @param {Object} headers - Response headers
+   * @returns {{body: string, encoding: string}}
+   */
+  decode(buffer, headers = {}) {
+    const bom = BOMS.find(candidate => candidate.bytes.every((byte, i) => buffer[i] === byte));
+    if (bom) {
+      return { body: this.decodeAs(buffer.subarray(bom.bytes.length), bom.encoding), encoding: bom.encoding };
+    }
+
+    const candidates = [
+      this.charsetFromContentType(headers['content-type']),
+      this.charsetFromMeta(buffer)
+    ].filter(Boolean);
+
+    for (const charset of candidates) {
+      const encoding = this.resolveEncoding(charset);
+      if (encoding) {
+        return { body: this.decodeAs(buffer, encoding), encoding };
+      }
+    }
+
+    // Undeclared: prefer UTF-8 if the bytes are valid UTF-8, otherwise the legacy web default
+    try {
+      const body = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+      return { body, encoding: 'utf-8' };
+    } catch (error) {
+      return { body: this.decodeAs(buffer, 'windows-1252'), encoding: 'windows-1252' };
+    }
+  }
+
+  decodeAs(buffer, encoding) {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+
+  charsetFromContentType(contentType) {
+    const match = /charset\s*=\s*["']?([\w.:-]+)/i.exec(String(contentType || ''));
+    return match ? match[1] : null;
+  }
+
+  charsetFromMeta(buffer) {
+    const head = buffer.subarray(0, META_PRESCAN_BYTES).toString('latin1');
+    const match = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Map a charset label to a TextDecoder encoding, or null if unsupported
+   * @param {string} charset - Label from a header or meta tag
+   * @returns {string|null}
+   */
+  resolveEncoding(charset) {
+    const label = charset.trim().toLowerCase();
+    const alias = CHARSET_ALIASES[label] || label;
+
+    try {
+      const encoding = new TextDecoder(alias).encoding;
+      // A page that declares UTF-16 in ASCII-compatible markup is really UTF-8
+      return encoding.startsWith('utf-16') ? 'utf-8' : encoding;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = HttpBodyReader;
@@ -0,0 +1,198 @@
+/**
+ * ICP Rubric
+ *
+ * An ideal customer profile expressed as weighted criteria. The model scores
+ * each criterion 0-10 with evidence; the weighted total is computed here so it
+ * is reproducible and can be tuned by changing weights alone.
+ *
+ * Rubric shape (request body):
+ * {
+ *   "name": "Mid-market SaaS in DACH",
+ *   "criteria": [
+ *     { "type": "industry", "target": "B2B SaaS", "weight": 3 },
+ *     { "type": "company_size", "target": "50-500 employees", "weight": 2 },
+ *     { "type": "custom", "id": "regulated", "target": "Sells to banks or insurers", "weight": 1 }
+ *   ]
+ * }
+ */
+
+const CRITERION_TYPES = {
+  INDUSTRY: 'industry',
+  COMPANY_SIZE: 'company_size',
+  GEOGRAPHY: 'geography',
+  TECHNOLOGY: 'technology',
+  BUYING_SIGNALS: 'buying_signals',
+  CUSTOM: 'custom'
+};
+
+const CRITERION_LABELS = {
+  industry: 'Industry fit',
+  company_size: 'Company size band',
+  geography: 'Geography',
+  technology: 'Technology',
+  buying_signals: 'Buying signals',
+  custom: 'Custom criterion'
+};
+
+const MAX_CRITERIA = 12;
+const MAX_TARGET_LENGTH = 500;
+const MAX_WEIGHT = 100;
+const ID_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Validate a rubric from a request and fill defaults
+ * @param {Object} input - Rubric object
+ * @returns {{rubric: Object|null, errors: string[]}} rubric is
+ *   { name, criteria: [{ id, type, label, target, weight }] }
+ */
+function normalizeRubric(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rubric: null, errors: ['rubric must be an object with a "criteria" array'] };
+  }
+
+  const { name = null, criteria } = input;
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return { rubric: null, errors: ['rubric.criteria must be a non-empty array'] };
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    return { rubric: null, errors: [`rubric.criteria can have at most ${MAX_CRITERIA} entries`] };
+  }
+
+  const types = Object.values(CRITERION_TYPES);
+  const errors = [];
+  const ids = new Set();
+
+  const normalized = criteria.map((criterion, index) => {
+    const path = `rubric.criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const { type, target, weight = 1 } = criterion;
+    if (!types.includes(type)) {
+      errors.push(`${path}.type must be one of ${types.join(', ')}`);
+      return null;
+    }
+
+    const id = criterion.id || (type === CRITERION_TYPES.CUSTOM ? `custom_${index + 1}` : type);
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      errors.push(`${path}.id must be lowercase letters, digits or underscores (max 40)`);
+    } else if (ids.has(id)) {
+      errors.push(`${path}.id "${id}" is used twice; give repeated criteria their own id`);
+    }
+    ids.add(id);
+
+    if (typeof target !== 'string' || !target.trim()) {
+      errors.push(`${path}.target must describe what a good fit looks like`);
+    } else if (target.length > MAX_TARGET_LENGTH) {
+      errors.push(`${path}.target must be at most ${MAX_TARGET_LENGTH} characters`);
+    }
+
+    if (typeof weight !== 'number' || !(weight > 0) || weight > MAX_WEIGHT) {
+      errors.push(`${path}.weight must be a number above 0 and at most ${MAX_WEIGHT}`);
+    }
+
+    return {
+      id,
+      type,
+      label: typeof criterion.label === 'string' && criterion.label.trim() ?
+        criterion.label.trim().substring(0, 100) : CRITERION_LABELS[type],
+      target: typeof target === 'string' ? target.trim() : target,
+      weight
+    };
+  });
+
+  if (errors.length > 0) {
+    return { rubric: null, errors };
+  }
+
+  return {
+    rubric: { name: typeof name === 'string' && name.trim() ? name.trim() : null, criteria: normalized },
+    errors: []
+  };
+}
+
+/**
+ * Criteria section of the rubric prompt. Weights are left out on purpose:
+ * the model scores each criterion on its own merits.
+ * @param {Object} rubric - Normalized rubric
+ * @returns {string}
+ */
+function describeCriteria(rubric) {
+  return rubric.criteria
+    .map(criterion => `- id: ${criterion.id} (${criterion.label})\n  Good fit: ${criterion.target}`)
+    .join('\n');
+}
+
+/**
+ * Combine per-criterion scores into the weighted total
+ * @param {Object} rubric - Normalized rubric
+ * @param {Array<{id: string, score: number, evidence: string, confidence: number}>} results - Model output
+ * @returns {{score: number, confidence: number, breakdown: Array}} score on the 0-10 scale
+ */
+function scoreRubric(rubric, results) {
+  const byId = new Map(results.map(result => [result.id, result]));
+  const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+  const breakdown = rubric.criteria.map(criterion => {
+    const result = byId.get(criterion.id);
+    const share = criterion.weight / totalWeight;
+    return {
+      id: criterion.id,
+      type: criterion.type,
+      label: criterion.label,
+      target: criterion.target,
+      weight: criterion.weight,
+      score: result.score,
+      confidence: result.confidence,
+      evidence: result.evidence,
+      contribution: round(result.score * share, 2)
+    };
+  });
+
+  return {
+    score: round(breakdown.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight, 1),
+    confidence: Math.round(breakdown.reduce((sum, entry) => sum + entry.confidence * entry.weight, 0) / totalWeight),
+    breakdown
+  };
+}
+
+/**
+ * Errors for criteria the model skipped, repeated or invented
+ * @param {Object} rubric - Normalized rubric
+ * @returns {Function} check(value) for callStructured
+ */
+function buildCriteriaCheck(rubric) {
+  const expected = rubric.criteria.map(criterion => criterion.id);
+
+  return value => {
+    const errors = [];
+    const counts = new Map();
+    for (const result of value.criteria) {
+      counts.set(result.id, (counts.get(result.id) || 0) + 1);
+    }
+
+    for (const id of expected) {
+      if (!counts.has(id)) errors.push(`$.criteria: missing criterion "${id}"`);
+      else if (counts.get(id) > 1) errors.push(`$.criteria: criterion "${id}" appears more than once`);
+    }
+    for (const id of counts.keys()) {
+      if (!expected.includes(id)) errors.push(`$.criteria: "${id}" is not a rubric criterion`);
+    }
+    return errors;
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  CRITERION_TYPES,
+  normalizeRubric,
+  describeCriteria,
+  scoreRubric,
+  buildCriteriaCheck
+};
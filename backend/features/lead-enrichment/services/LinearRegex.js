@@ -0,0 +1,362 @@
+/**
+ * Linear Regex
+ *
+ * Regular expressions from requests, matched in time linear in the input.
+ * JavaScript's RegExp backtracks, so a pattern like (a+)+$ can take
+ * exponential time; here the pattern is compiled to an NFA (Thompson's
+ * construction) and every state is advanced in lockstep, one character at
+ * a time, which can't blow up.
+ *
+ * Supported syntax: literals, `.`, classes ([a-z], [^0-9]), \d \w \s and
+ * their negations, \b \B, ^ and $, groups ((...), (?:...)), alternation and
+ * the quantifiers * + ? {n} {n,} {n,m} (lazy forms match the same). Back
+ * references and lookarounds can't be matched in linear time and are
+ * rejected when compiling.
+ *
+ *   const { regex, errors } = LinearRegex.compile('recruit|staff(ing)?', { ignoreCase: true });
+ *   regex.test('Acme Staffing GmbH'); // true
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+// Counted repetitions are expanded into copies, so both are bounded
+const MAX_REPEAT = 100;
+const MAX_STATES = 2000;
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+const CLASS_ESCAPES = {
+  d: ch => ch >= '0' && ch <= '9',
+  w: ch => WORD_CHAR.test(ch),
+  s: ch => /\s/.test(ch)
+};
+const CHAR_ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v' };
+const COUNT = /^\{(\d+)(,(\d*))?\}/;
+
+class LinearRegex {
+  /**
+   * @param {Array<Object>} states - NFA states; states[start] is the entry
+   * @param {number} start
+   */
+  constructor(states, start, source) {
+    this.states = states;
+    this.start = start;
+    this.source = source;
+  }
+
+  /**
+   * Parse and compile a pattern
+   * @param {string} source - Pattern without delimiters
+   * @param {Object} options
+   * @param {boolean} options.ignoreCase
+   * @returns {{regex: LinearRegex|null, errors: string[]}}
+   */
+  static compile(source, options = {}) {
+    if (typeof source !== 'string' || !source || source.length > MAX_PATTERN_LENGTH) {
+      return { regex: null, errors: [`must be a pattern of at most ${MAX_PATTERN_LENGTH} characters`] };
+    }
+
+    try {
+      const parser = new Parser([...source], !!options.ignoreCase);
+      const tree = parser.parseAlternation();
+      if (!parser.done()) {
+        throw new SyntaxError(`unmatched ")" at position ${parser.pos}`);
+      }
+
+      const states = [{ type: 'match' }];
+      const start = build(tree, 0, states);
+      return { regex: new LinearRegex(states, start, source), errors: [] };
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      return { regex: null, errors: [error.message] };
+    }
+  }
+
+  /**
+   * Whether the pattern matches anywhere in the text
+   * @param {string} text
+   * @returns {boolean}
+   */
+  test(text) {
+    const chars = [...String(text)];
+    let current = [];
+    let seen = new Set();
+
+    for (let pos = 0; pos <= chars.length; pos++) {
+      // Unanchored search: a match may start at any position
+      if (this.follow(this.start, chars, pos, current, seen)) return true;
+      if (pos === chars.length) break;
+
+      const next = [];
+      const nextSeen = new Set();
+      for (const index of current) {
+        const state = this.states[index];
+        if (state.matches(chars[pos]) && this.follow(state.out, chars, pos + 1, next, nextSeen)) {
+          return true;
+        }
+      }
+      current = next;
+      seen = nextSeen;
+    }
+
+    return false;
+  }
+
+  /**
+   * Add a state and everything reachable from it without reading a character;
+   * character states are collected in `list`
+   * @returns {boolean} Whether the match state was reached
+   */
+  follow(index, chars, pos, list, seen) {
+    const stack = [index];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (seen.has(current)) continue;
+      seen.add(current);
+
+      const state = this.states[current];
+      if (state.type === 'match') return true;
+      if (state.type === 'char') {
+        list.push(current);
+      } else if (state.type === 'split') {
+        stack.push(state.alt, state.out);
+      } else if (checkAssertion(state.kind, chars, pos)) {
+        stack.push(state.out);
+      }
+    }
+    return false;
+  }
+}
+
+class Parser {
+  constructor(chars, ignoreCase) {
+    this.chars = chars;
+    this.pos = 0;
+    this.ignoreCase = ignoreCase;
+  }
+
+  done() {
+    return this.pos >= this.chars.length;
+  }
+
+  peek() {
+    return this.chars[this.pos];
+  }
+
+  parseAlternation() {
+    const options = [this.parseSequence()];
+    while (this.peek() === '|') {
+      this.pos++;
+      options.push(this.parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alt', options };
+  }
+
+  parseSequence() {
+    const items = [];
+    while (!this.done() && this.peek() !== '|' && this.peek() !== ')') {
+      const atom = this.parseAtom();
+      items.push(this.parseQuantifier(atom));
+    }
+    return { type: 'seq', items };
+  }
+
+  parseAtom() {
+    const ch = this.chars[this.pos++];
+
+    if (ch === '(') {
+      if (this.peek() === '?') {
+        if (this.chars[this.pos + 1] !== ':') {
+          throw new SyntaxError('lookarounds and named groups are not supported');
+        }
+        this.pos += 2;
+      }
+      const inner = this.parseAlternation();
+      if (this.peek() !== ')') throw new SyntaxError('missing ")"');
+      this.pos++;
+      return inner;
+    }
+    if (ch === '[') return this.parseClass();
+    if (ch === '.') return this.char(value => value !== '\n' && value !== '\r');
+    if (ch === '^') return { type: 'assert', kind: 'start' };
+    if (ch === '$') return { type: 'assert', kind: 'end' };
+    if ('*+?'.includes(ch) || (ch === '{' && this.atCount(this.pos - 1))) {
+      throw new SyntaxError(`nothing to repeat at position ${this.pos - 1}`);
+    }
+    if (ch === '\\') {
+      const escaped = this.chars[this.pos++];
+      if (escaped === 'b' || escaped === 'B') {
+        return { type: 'assert', kind: escaped === 'b' ? 'word' : 'not_word' };
+      }
+      return this.char(this.parseEscape(escaped));
+    }
+
+    const literal = this.fold(ch);
+    return this.char(value => value === literal);
+  }
+
+  /**
+   * Test for an escape outside or inside a class (\d, \W, \., \n...)
+   */
+  parseEscape(escaped) {
+    if (escaped === undefined) throw new SyntaxError('pattern ends with "\\"');
+    const lower = escaped.toLowerCase();
+    if (CLASS_ESCAPES[lower]) {
+      const test = CLASS_ESCAPES[lower];
+      return escaped === lower ? test : value => !test(value);
+    }
+    if (/[1-9]/.test(escaped)) throw new SyntaxError('back references are not supported');
+    if (CHAR_ESCAPES[escaped]) {
+      const literal = CHAR_ESCAPES[escaped];
+      return value => value === literal;
+    }
+    if (/[\p{L}\p{N}]/u.test(escaped)) throw new SyntaxError(`unsupported escape "\\${escaped}"`);
+
+    const literal = this.fold(escaped);
+    return value => value === literal;
+  }
+
+  parseClass() {
+    const negated = this.peek() === '^';
+    if (negated) this.pos++;
+
+    const tests = [];
+    let first = true;
+    while (this.peek() !== ']' || first) {
+      if (this.done()) throw new SyntaxError('missing "]"');
+      first = false;
+
+      let ch = this.chars[this.pos++];
+      if (ch === '\\') {
+        tests.push(this.parseEscape(this.chars[this.pos++]));
+        continue;
+      }
+      if (this.peek() === '-' && this.chars[this.pos + 1] !== ']' && this.chars[this.pos + 1] !== undefined) {
+        this.pos++;
+        let end = this.chars[this.pos++];
+        if (end === '\\') {
+          end = CHAR_ESCAPES[this.peek()] || this.peek();
+          this.pos++;
+        }
+        if (end < ch) throw new SyntaxError(`range out of order [${ch}-${end}]`);
+        const low = ch;
+        tests.push(value => value >= low && value <= end);
+        continue;
+      }
+      ch = this.fold(ch);
+      tests.push(value => value === ch);
+    }
+    this.pos++;
+
+    const listed = value => tests.some(test => test(value));
+    const inClass = this.ignoreCase ?
+      value => listed(value) || listed(value.toLowerCase()) || listed(value.toUpperCase()) :
+      listed;
+    return { type: 'char', test: negated ? value => !inClass(value) : inClass };
+  }
+
+  parseQuantifier(atom) {
+    const ch = this.peek();
+    let min;
+    let max;
+
+    if (ch === '*' || ch === '+' || ch === '?') {
+      this.pos++;
+      min = ch === '+' ? 1 : 0;
+      max = ch === '?' ? 1 : Infinity;
+    } else if (ch === '{' && this.atCount(this.pos)) {
+      const match = COUNT.exec(this.chars.slice(this.pos, this.pos + 12).join(''));
+      this.pos += match[0].length;
+      min = parseInt(match[1]);
+      max = match[2] === undefined ? min : match[3] === '' ? Infinity : parseInt(match[3]);
+      if (min > max || min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) {
+        throw new SyntaxError(`repetition counts must be in order and at most ${MAX_REPEAT}`);
+      }
+    } else {
+      return atom;
+    }
+
+    if (atom.type === 'assert') throw new SyntaxError('an anchor can not be repeated');
+    // Lazy quantifiers match the same strings
+    if (this.peek() === '?') this.pos++;
+    if (this.peek() === '*' || this.peek() === '+' || this.peek() === '?' || this.atCount(this.pos)) {
+      throw new SyntaxError(`nothing to repeat at position ${this.pos}`);
+    }
+
+    return { type: 'repeat', node: atom, min, max };
+  }
+
+  /**
+   * Whether a counted repetition such as {2,5} starts at a position; any other
+   * "{" is a literal
+   */
+  atCount(pos) {
+    return this.chars[pos] === '{' && COUNT.test(this.chars.slice(pos, pos + 12).join(''));
+  }
+
+  /**
+   * Character node; literals are compared case-folded when ignoring case
+   */
+  char(test) {
+    return { type: 'char', test: this.ignoreCase ? value => test(value.toLowerCase()) : test };
+  }
+
+  fold(ch) {
+    return this.ignoreCase ? ch.toLowerCase() : ch;
+  }
+}
+
+/**
+ * Add the states for a node in front of `next`, back to front
+ * @returns {number} Entry state of the node
+ */
+function build(node, next, states) {
+  const add = state => {
+    if (states.length >= MAX_STATES) {
+      throw new SyntaxError('pattern is too large');
+    }
+    states.push(state);
+    return states.length - 1;
+  };
+
+  switch (node.type) {
+    case 'char':
+      return add({ type: 'char', matches: node.test, out: next });
+    case 'assert':
+      return add({ type: 'assert', kind: node.kind, out: next });
+    case 'seq':
+      return node.items.reduceRight((out, item) => build(item, out, states), next);
+    case 'alt':
+      return node.options.slice(1).reduce(
+        (entry, option) => add({ type: 'split', out: entry, alt: build(option, next, states) }),
+        build(node.options[0], next, states)
+      );
+    case 'repeat': {
+      let entry = next;
+      if (node.max === Infinity) {
+        const loop = add({ type: 'split', out: null, alt: next });
+        states[loop].out = build(node.node, loop, states);
+        entry = loop;
+      } else {
+        for (let i = node.min; i < node.max; i++) {
+          entry = add({ type: 'split', out: build(node.node, entry, states), alt: next });
+        }
+      }
+      for (let i = 0; i < node.min; i++) {
+        entry = build(node.node, entry, states);
+      }
+      return entry;
+    }
+    default:
+      throw new Error(`Unknown node type ${node.type}`);
+  }
+}
+
+function checkAssertion(kind, chars, pos) {
+  if (kind === 'start') return pos === 0;
+  if (kind === 'end') return pos === chars.length;
+
+  const before = pos > 0 && WORD_CHAR.test(chars[pos - 1]);
+  const after = pos < chars.length && WORD_CHAR.test(chars[pos]);
+  return kind === 'word' ? before !== after : before === after;
+}
+
+module.exports = LinearRegex;
@@ -0,0 +1,397 @@
+/**
+ * Outreach Drafts
+ *
+ * Grounding and guardrails for /generate-outreach. The model only sees the
+ * lead's enrichment data as numbered sources (W1... website pages, L1 the lead
+ * profile and AI analysis, S1 the sender's value proposition) and has to list
+ * every fact it uses in a message as a claim { text, source, quote }.
+ *
+ * The check rejects a draft when a claim cites an unknown source or a quote
+ * that is not in the source, when a claim's text is not in the message, when
+ * a figure or a name appears that no source contains, and when a requested
+ * channel is missing or too long. Failed drafts go through the repair loop;
+ * drafts that never pass are not returned.
+ *
+ * Names are found by capitalization. In English that is any capitalized word
+ * inside a sentence; other languages capitalize more (German nouns, formal
+ * "Sie"), so there only mixed-case words and acronyms ("HubSpot", "AWS") count.
+ *
+ * Options shape (request body):
+ * {
+ *   "sender": { "value_proposition": "...", "name": "Ana", "company": "Ledgerly", "proof_points": ["..."] },
+ *   "channels": ["email", "linkedin", "follow_up"],
+ *   "tone": "professional",
+ *   "length": "short",
+ *   "language": "English",
+ *   "follow_ups": 2
+ * }
+ */
+
+const { SOURCE_TYPES, buildSources, quoteAppearsIn, MIN_QUOTE_WORDS } = require('./SalesIntelligence');
+
+const CHANNELS = {
+  EMAIL: 'email',
+  LINKEDIN: 'linkedin',
+  FOLLOW_UP: 'follow_up'
+};
+
+const TONES = ['professional', 'friendly', 'direct', 'casual', 'formal'];
+
+// Target words per email body; a body may run 25% over before it is rejected
+const LENGTH_WORDS = {
+  short: 80,
+  medium: 140,
+  long: 220
+};
+
+const LINKEDIN_NOTE_LIMIT = 300;
+const MAX_FOLLOW_UPS = 4;
+const MAX_VALUE_PROPOSITION_LENGTH = 1000;
+const MAX_PROOF_POINTS = 5;
+const MAX_LANGUAGE_LENGTH = 40;
+const PROFILE_CHARS = 1500;
+
+// Capitalized words a message may use without a source
+const COMMON_NAMES = new Set([
+  'i', 'linkedin', 'ps', 'ceo', 'cfo', 'cto', 'coo', 'cmo', 'cro', 'vp', 'ai', 'api', 'apis',
+  'b2b', 'b2c', 'saas', 'crm', 'erp', 'roi', 'q1', 'q2', 'q3', 'q4',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'
+]);
+
+/**
+ * Validate outreach options from a request and fill defaults
+ * @param {Object} input - { sender, channels, tone, length, language, follow_ups }
+ * @returns {{options: Object|null, errors: string[]}} options is
+ *   { sender: { valueProposition, name, company, proofPoints }, channels, tone, length, language, followUps }
+ */
+function normalizeOutreachOptions(input = {}) {
+  const {
+    sender,
+    channels = Object.values(CHANNELS),
+    tone = 'professional',
+    length = 'short',
+    language = 'English',
+    follow_ups = 2
+  } = input;
+  const errors = [];
+
+  if (!sender || typeof sender !== 'object' || Array.isArray(sender)) {
+    return { options: null, errors: ['sender must be an object with a "value_proposition"'] };
+  }
+
+  const { value_proposition, name = null, company = null, proof_points = [] } = sender;
+  if (typeof value_proposition !== 'string' || !value_proposition.trim()) {
+    errors.push('sender.value_proposition must describe what you offer');
+  } else if (value_proposition.length > MAX_VALUE_PROPOSITION_LENGTH) {
+    errors.push(`sender.value_proposition must be at most ${MAX_VALUE_PROPOSITION_LENGTH} characters`);
+  }
+  if (!Array.isArray(proof_points) || proof_points.length > MAX_PROOF_POINTS ||
+      proof_points.some(point => typeof point !== 'string')) {
+    errors.push(`sender.proof_points must be an array of at most ${MAX_PROOF_POINTS} strings`);
+  }
+
+  const channelNames = Object.values(CHANNELS);
+  if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !channelNames.includes(channel))) {
+    errors.push(`channels must be a non-empty array of ${channelNames.join(', ')}`);
+  }
+  if (!TONES.includes(tone)) {
+    errors.push(`tone must be one of ${TONES.join(', ')}`);
+  }
+  if (!LENGTH_WORDS[length]) {
+    errors.push(`length must be one of ${Object.keys(LENGTH_WORDS).join(', ')}`);
+  }
+  if (typeof language !== 'string' || !language.trim() || language.length > MAX_LANGUAGE_LENGTH) {
+    errors.push(`language must be a language name or code of at most ${MAX_LANGUAGE_LENGTH} characters`);
+  }
+
+  const wantsFollowUps = Array.isArray(channels) && channels.includes(CHANNELS.FOLLOW_UP);
+  if (wantsFollowUps && (!Number.isInteger(follow_ups) || follow_ups < 1 || follow_ups > MAX_FOLLOW_UPS)) {
+    errors.push(`follow_ups must be an integer from 1 to ${MAX_FOLLOW_UPS}`);
+  }
+
+  if (errors.length > 0) {
+    return { options: null, errors };
+  }
+
+  return {
+    options: {
+      sender: {
+        valueProposition: value_proposition.trim(),
+        name: typeof name === 'string' && name.trim() ? name.trim().substring(0, 100) : null,
+        company: typeof company === 'string' && company.trim() ? company.trim().substring(0, 100) : null,
+        proofPoints: proof_points.map(point => point.trim()).filter(Boolean)
+      },
+      channels: [...new Set(channels)],
+      tone,
+      length,
+      language: language.trim(),
+      followUps: wantsFollowUps ? follow_ups : 0
+    },
+    errors: []
+  };
+}
+
+/**
+ * Number the lead's enrichment data and the sender's offer as citable sources
+ * @param {Object} lead - Enriched lead (websiteContent, aiAnalysis, technologies...)
+ * @param {Object} sender - options.sender from normalizeOutreachOptions()
+ * @returns {Array<{id: string, type: string, url: string|null, title: string|null, text: string}>}
+ */
+function buildOutreachSources(lead, sender) {
+  const sources = buildSources({
+    websiteUrl: lead.websiteUrl || lead.website || lead.website_url || null,
+    websiteContent: lead.websiteContent || ''
+  });
+
+  const profile = describeLeadProfile(lead);
+  if (profile) {
+    sources.push({
+      id: 'L1',
+      type: SOURCE_TYPES.LEAD_PROFILE,
+      url: null,
+      title: lead.name || lead.company_name || null,
+      text: profile.substring(0, PROFILE_CHARS)
+    });
+  }
+
+  sources.push({
+    id: 'S1',
+    type: SOURCE_TYPES.SENDER,
+    url: null,
+    title: sender.company,
+    text: [sender.valueProposition, ...sender.proofPoints].join('\n')
+  });
+
+  return sources;
+}
+
+/**
+ * Whether any source describes the lead (not just the sender)
+ */
+function hasLeadSources(sources) {
+  return sources.some(source => source.type !== SOURCE_TYPES.SENDER);
+}
+
+/**
+ * Prompt instructions for the requested channels
+ * @param {Object} options - From normalizeOutreachOptions()
+ * @returns {string}
+ */
+function describeChannels(options) {
+  const words = LENGTH_WORDS[options.length];
+  const lines = [];
+
+  if (options.channels.includes(CHANNELS.EMAIL)) {
+    lines.push(`- "email": a cold email of at most ${words} words, with 2-3 subject line options`);
+  }
+  if (options.channels.includes(CHANNELS.LINKEDIN)) {
+    lines.push(`- "linkedin": a LinkedIn connection note of at most ${LINKEDIN_NOTE_LIMIT} characters`);
+  }
+  if (options.channels.includes(CHANNELS.FOLLOW_UP)) {
+    lines.push(`- "followUps": exactly ${options.followUps} follow-up emails of at most ${Math.round(words * 0.6)} words, ` +
+      'each adding a new angle instead of repeating the first email');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Guardrails for callStructured: requested channels present and within limits,
+ * every claim in its message and backed by a quote from a listed source, no
+ * unsupported figures or names
+ * @param {Array<Object>} sources - From buildOutreachSources()
+ * @param {Object} options - From normalizeOutreachOptions()
+ * @returns {Function} value => error strings
+ */
+function buildOutreachCheck(sources, options) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const sourceFigures = new Set(sources.flatMap(source => findFigures(source.text)));
+  const knownWords = new Set([
+    ...sources.flatMap(source => [source.text, source.title]),
+    options.sender.name,
+    options.sender.company
+  ].flatMap(text => findWords(text).map(({ word }) => word.toLowerCase())));
+  const english = /^en(glish)?\b/i.test(options.language);
+  const maxWords = Math.round(LENGTH_WORDS[options.length] * 1.25);
+
+  return value => {
+    const errors = [];
+
+    if (options.channels.includes(CHANNELS.EMAIL)) {
+      if (!value.email) {
+        errors.push('$.email: is required');
+      } else if (countWords(value.email.body) > maxWords) {
+        errors.push(`$.email.body: has ${countWords(value.email.body)} words, keep it under ${maxWords}`);
+      }
+    }
+    if (options.channels.includes(CHANNELS.LINKEDIN)) {
+      if (!value.linkedin) {
+        errors.push('$.linkedin: is required');
+      } else if (value.linkedin.note.length > LINKEDIN_NOTE_LIMIT) {
+        errors.push(`$.linkedin.note: has ${value.linkedin.note.length} characters, the limit is ${LINKEDIN_NOTE_LIMIT}`);
+      }
+    }
+    if (options.channels.includes(CHANNELS.FOLLOW_UP) && (value.followUps || []).length !== options.followUps) {
+      errors.push(`$.followUps: must have exactly ${options.followUps} entries`);
+    }
+
+    forEachDraft(value, options, (draft, path) => {
+      const claims = draft.claims || [];
+      const message = ` ${draftText(draft).flatMap(text => findWords(text).map(({ word }) => word.toLowerCase())).join(' ')} `;
+
+      claims.forEach((claim, index) => {
+        const claimText = findWords(claim.text).map(({ word }) => word.toLowerCase()).join(' ');
+        if (!claimText || !message.includes(` ${claimText} `)) {
+          errors.push(`${path}.claims[${index}].text: not found in the message; copy the words the message uses for the fact`);
+        }
+
+        const source = byId.get(String(claim.source).trim().toUpperCase());
+        if (!source) {
+          errors.push(`${path}.claims[${index}].source: "${claim.source}" is not a listed source`);
+        } else if (!quoteAppearsIn(claim.quote, source.text)) {
+          errors.push(`${path}.claims[${index}].quote: not found in ${source.id}; copy at least ${MIN_QUOTE_WORDS} consecutive words or a whole line exactly, or drop the claim`);
+        }
+      });
+
+      if (!claims.some(claim => byId.get(String(claim.source).trim().toUpperCase())?.type !== SOURCE_TYPES.SENDER)) {
+        errors.push(`${path}: must make at least one claim about the recipient's company, backed by a source`);
+      }
+
+      const unsupported = draftText(draft).flatMap(findFigures).filter(figure => !sourceFigures.has(figure));
+      if (unsupported.length > 0) {
+        errors.push(`${path}: uses figures that appear in no source (${[...new Set(unsupported)].join(', ')})`);
+      }
+
+      const unknownNames = draftText(draft).flatMap(text => findNames(text, english))
+        .filter(name => !knownWords.has(name.toLowerCase()) && !COMMON_NAMES.has(name.toLowerCase()));
+      if (unknownNames.length > 0) {
+        errors.push(`${path}: names ${[...new Set(unknownNames)].join(', ')}, which appear in no source; use only names from the sources`);
+      }
+    });
+
+    return errors;
+  };
+}
+
+/**
+ * Keep only the requested channels and resolve each claim to its source
+ * @param {Object} value - Output that passed buildOutreachCheck()
+ * @param {Array<Object>} sources
+ * @param {Object} options - From normalizeOutreachOptions()
+ * @returns {{drafts: Object, claimCount: number}}
+ */
+function resolveDrafts(value, sources, options) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const drafts = {
+    email: options.channels.includes(CHANNELS.EMAIL) ? value.email : null,
+    linkedin: options.channels.includes(CHANNELS.LINKEDIN) ? value.linkedin : null,
+    followUps: options.channels.includes(CHANNELS.FOLLOW_UP) ? value.followUps : []
+  };
+  const resolved = JSON.parse(JSON.stringify(drafts));
+  let claimCount = 0;
+
+  forEachDraft(resolved, options, draft => {
+    draft.claims = (draft.claims || []).map(claim => {
+      const source = byId.get(String(claim.source).trim().toUpperCase());
+      claimCount++;
+      return {
+        text: claim.text,
+        sourceId: source.id,
+        type: source.type,
+        url: source.url,
+        snippet: claim.quote
+      };
+    });
+  });
+
+  return { drafts: resolved, claimCount };
+}
+
+/**
+ * Enrichment fields as plain text for the L1 source
+ */
+function describeLeadProfile(lead) {
+  const analysis = lead.aiAnalysis || {};
+  const location = lead.location || [lead.city, lead.state, lead.country].filter(Boolean).join(', ');
+  const technologies = (lead.technologies || []).map(technology => technology.name || technology).filter(Boolean);
+
+  return [
+    lead.name || lead.company_name ? `Company: ${lead.name || lead.company_name}` : null,
+    lead.industry ? `Industry: ${lead.industry}` : null,
+    location ? `Location: ${location}` : null,
+    lead.estimated_num_employees ? `Employees: ${lead.estimated_num_employees}` : null,
+    lead.short_description ? `Description: ${lead.short_description}` : null,
+    technologies.length > 0 ? `Technologies: ${technologies.join(', ')}` : null,
+    (analysis.keyMatches || []).length > 0 ? `Key matches: ${analysis.keyMatches.join('; ')}` : null,
+    analysis.reasoning ? `Analysis: ${analysis.reasoning}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Call fn for each requested draft: the email, the LinkedIn note and each follow-up
+ */
+function forEachDraft(value, options, fn) {
+  if (options.channels.includes(CHANNELS.EMAIL) && value.email) fn(value.email, '$.email');
+  if (options.channels.includes(CHANNELS.LINKEDIN) && value.linkedin) fn(value.linkedin, '$.linkedin');
+  if (options.channels.includes(CHANNELS.FOLLOW_UP)) {
+    (value.followUps || []).forEach((draft, index) => fn(draft, `$.followUps[${index}]`));
+  }
+}
+
+function draftText(draft) {
+  return [...(draft.subjectLines || []), draft.subject, draft.body, draft.note].filter(Boolean);
+}
+
+/**
+ * Figures worth checking: numbers with two or more digits, or with a percent,
+ * currency or magnitude sign ("40%", "$2M", "1,200"); single digits are left
+ * alone so "3 ideas" or "2 minutes" don't need a source
+ */
+function findFigures(text) {
+  const matches = String(text || '').match(/[$€£]?\d[\d,.]*\s?(?:%|[kmb]\b|million|billion)?/gi) || [];
+  return matches
+    .map(match => match.toLowerCase().replace(/[,\s]/g, '').replace(/\.$/, ''))
+    .filter(figure => /\d{2,}/.test(figure.replace(/\./g, '')) || /[%$€£kmb]|million|billion/.test(figure));
+}
+
+/**
+ * Words with their offsets; a possessive "'s" is dropped, so "PayBridge's" is "PayBridge"
+ */
+function findWords(text) {
+  return [...String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu)]
+    .map(match => ({ word: match[0].replace(/['’]s$/i, ''), index: match.index }));
+}
+
+/**
+ * Words that look like names: capitalized words that don't start a sentence or
+ * line (English only), and mixed-case words or acronyms anywhere
+ */
+function findNames(text, english) {
+  const value = String(text || '');
+  return findWords(value)
+    .filter(({ word, index }) => {
+      if (/\p{Lu}/u.test(word.substring(1))) return true;
+      if (!english || !/^\p{Lu}/u.test(word)) return false;
+      const before = value.substring(0, index).replace(/[ \t"'“”‘’([*•–—-]+$/u, '');
+      return before !== '' && !/[.!?:\n]$/.test(before);
+    })
+    .map(({ word }) => word);
+}
+
+function countWords(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+module.exports = {
+  CHANNELS,
+  TONES,
+  LENGTH_WORDS,
+  normalizeOutreachOptions,
+  buildOutreachSources,
+  hasLeadSources,
+  describeChannels,
+  buildOutreachCheck,
+  resolveDrafts
+};
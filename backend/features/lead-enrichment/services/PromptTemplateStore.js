@@ -0,0 +1,98 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const { getDefinition, renderTemplate } = require('./PromptTemplates');
+
+/**
+ * Prompt Template Store
+ *
+ * Per-request resolution of prompt templates: the organization's active
+ * override when there is one, otherwise the built-in template. Each template
+ * is resolved once per request so every call in it uses the same version, and
+ * the versions used are reported with the results.
+ *
+ * A failed lookup falls back to the built-in template; it never fails the AI call.
+ */
+class PromptTemplateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.organizationId - Owner of the overrides (built-ins only when absent)
+   * @param {Object} options.overrides - In-memory templates that take precedence over stored ones,
+   *   { [name]: { system, user, version? } } (used by the evaluation harness; validate first)
+   */
+  constructor({ organizationId = null, overrides = null } = {}) {
+    this.organizationId = organizationId;
+    this.overrides = overrides || {};
+    this.resolved = new Map();
+    this.used = {};
+  }
+
+  /**
+   * Template to use for an operation
+   * @param {string} name - Key of PROMPT_TEMPLATES
+   * @returns {Promise<{name: string, version: number, source: string, system: string, user: string}>}
+   *   source is 'default' (built-in), 'organization' or 'override'
+   */
+  resolve(name) {
+    if (!getDefinition(name)) {
+      return Promise.reject(new Error(`Unknown prompt template "${name}"`));
+    }
+
+    // Cache the promise so parallel callers share one lookup
+    if (!this.resolved.has(name)) {
+      this.resolved.set(name, this.load(name));
+    }
+    return this.resolved.get(name);
+  }
+
+  async load(name) {
+    const local = this.overrides[name];
+    if (local) {
+      return { name, version: local.version || 0, source: 'override', system: local.system || '', user: local.user };
+    }
+
+    if (this.organizationId) {
+      try {
+        const override = await PromptTemplate.findActive(this.organizationId, name);
+        if (override) {
+          return {
+            name,
+            version: override.version,
+            source: 'organization',
+            system: override.system_template,
+            user: override.user_template
+          };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not load prompt template "${name}", using the built-in one:`, error.message);
+      }
+    }
+
+    const builtIn = getDefinition(name);
+    return { name, version: builtIn.version, source: 'default', system: builtIn.system, user: builtIn.user };
+  }
+
+  /**
+   * Resolve and fill a template
+   * @param {string} name - Key of PROMPT_TEMPLATES
+   * @param {Object} variables - Placeholder values
+   * @returns {Promise<{systemPrompt: string, prompt: string, template: {name: string, version: number, source: string}}>}
+   */
+  async render(name, variables) {
+    const template = await this.resolve(name);
+    this.used[name] = { version: template.version, source: template.source };
+
+    return {
+      ...renderTemplate(name, template, variables),
+      template: { name, version: template.version, source: template.source }
+    };
+  }
+
+  /**
+   * Versions rendered so far, for the response metadata
+   * @returns {Object} { [name]: { version, source } }
+   */
+  usedVersions() {
+    return { ...this.used };
+  }
+}
+
+module.exports = PromptTemplateStore;
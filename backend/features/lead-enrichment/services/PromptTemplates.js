@@ -0,0 +1,367 @@
+/**
+ * Prompt Templates
+ *
+ * Built-in prompt templates, one per AI operation. Organizations can override
+ * any of them (see PromptTemplateStore); overrides must keep the required
+ * placeholders so the data and the expected JSON format still reach the model.
+ *
+ * Placeholders use {{variable}} syntax. {{responseFormat}} is always filled by
+ * the code with the JSON shape the output schema expects.
+ */
+
+const RELEVANCE_FORMAT = `{
+  "isRelevant": true/false,
+  "confidence": 0-100,
+  "score": 0-10,
+  "reasoning": "Brief explanation (2-3 sentences)",
+  "keyMatches": ["match1", "match2"],
+  "concerns": ["concern1", "concern2"]
+}`;
+
+const RUBRIC_FORMAT = `{
+  "criteria": [
+    {
+      "id": "criterion id from the list",
+      "score": 0-10,
+      "confidence": 0-100,
+      "evidence": "What in the company data supports this score (1-2 sentences)"
+    }
+  ],
+  "reasoning": "Overall assessment (2-3 sentences)",
+  "concerns": ["concern1", "concern2"]
+}`;
+
+const SALES_INTELLIGENCE_FORMAT = `{
+  "overview": { "text": "What they do and their market position (2-3 sentences)", "citations": [...] },
+  "relevance": { "score": 0-10, "rationale": "Why they do or don't match the target profile", "citations": [...] },
+  "businessSignals": [{ "text": "Expansion, hiring, funding or growth indicator", "citations": [...] }],
+  "painPoints": [{ "text": "Need or challenge they likely have", "citations": [...] }],
+  "recommendedApproach": { "text": "Best way to engage: timing, channel, messaging", "citations": [...] },
+  "personas": [{ "title": "Decision-maker role to contact", "department": "Department", "rationale": "Why this role cares", "citations": [...] }],
+  "talkingPoints": [{ "text": "Specific point to raise in outreach", "citations": [...] }]
+}
+
+Each citation is { "source": "W1", "quote": "exact words copied from that source" }.
+A quote is at least 4 consecutive words, or one whole line of the source, copied without "..." gaps.
+Every overview, relevance, business signal, pain point and talking point must cite at least one source.
+Only cite sources listed above; leave a list empty rather than making up a claim.`;
+
+const OUTREACH_FORMAT = `{
+  "email": { "subjectLines": ["Subject option 1", "Subject option 2"], "body": "Email text", "claims": [...] },
+  "linkedin": { "note": "Connection note", "claims": [...] },
+  "followUps": [{ "step": 1, "delayDays": 3, "subject": "Subject", "body": "Follow-up text", "claims": [...] }]
+}
+
+Each claim is { "text": "the words of the message that state the fact", "source": "W1", "quote": "exact words copied from that source" }.
+A quote is at least 4 consecutive words, or one whole line of the source, copied without "..." gaps.
+List a claim for every fact about the recipient's company or the sender's offer that a message uses,
+and make at least one claim about the recipient's company in every message.
+Use no facts, names, numbers or results that are not in the sources. Set channels that were not requested to null.`;
+
+const TITLE_CLASSIFICATION_FORMAT = `{
+  "results": [
+    { "id": "title id from the list", "seniority": "one of the seniority levels or null", "function": "one of the functions or null", "confidence": 0-100 }
+  ]
+}`;
+
+const PROMPT_TEMPLATES = {
+  relevanceAnalysis: {
+    description: 'Scores one company against the target profile',
+    version: 1,
+    variables: ['topic', 'companyProfile', 'responseFormat'],
+    required: ['topic', 'companyProfile', 'responseFormat'],
+    responseFormat: RELEVANCE_FORMAT,
+    system: 'You are a B2B sales analyst. Respond only with valid JSON.',
+    user: `You are a B2B sales analyst. Analyze if this company matches the target profile.
+
+**Target Profile/Topic:**
+{{topic}}
+
+{{companyProfile}}
+
+**Task:**
+Analyze if this company is a good fit for the target profile. Consider:
+1. Does their business align with the target topic/industry?
+2. Do they have relevant products/services?
+3. Are they likely to need the solution implied by the target profile?
+4. Does their company size/type match the ICP?
+
+**Response Format (JSON only):**
+{{responseFormat}}`
+  },
+
+  relevanceBatch: {
+    description: 'Scores several companies against the target profile in one call (batched /enrich)',
+    version: 1,
+    variables: ['topic', 'companies', 'companyIds', 'responseFormat'],
+    required: ['topic', 'companies', 'companyIds', 'responseFormat'],
+    responseFormat: RELEVANCE_FORMAT,
+    system: 'You are a B2B sales analyst. Respond only with valid JSON.',
+    user: `You are a B2B sales analyst. Analyze if each company below matches the target profile.
+
+**Target Profile/Topic:**
+{{topic}}
+
+**Companies:**
+
+{{companies}}
+
+**Task:**
+Analyze each company independently. Consider:
+1. Does their business align with the target topic/industry?
+2. Do they have relevant products/services?
+3. Are they likely to need the solution implied by the target profile?
+4. Does their company size/type match the ICP?
+
+**Response Format (JSON only):**
+{ "results": [ ...one object per company... ] }
+
+Each result has "id" (the company id above) plus these fields:
+{{responseFormat}}
+
+Return exactly one result for each of these company ids: {{companyIds}}.`
+  },
+
+  rubricAnalysis: {
+    description: 'Scores one company on each criterion of an ICP rubric (/enrich with rubric)',
+    version: 1,
+    variables: ['rubricName', 'criteria', 'companyProfile', 'responseFormat'],
+    required: ['criteria', 'companyProfile', 'responseFormat'],
+    responseFormat: RUBRIC_FORMAT,
+    system: 'You are a B2B sales analyst. Respond only with valid JSON.',
+    user: `You are a B2B sales analyst. Score this company against each criterion of the ideal customer profile {{rubricName}}.
+
+**Criteria:**
+{{criteria}}
+
+{{companyProfile}}
+
+**Task:**
+Score every criterion independently from 0 (clearly not a fit) to 10 (clearly a fit).
+Base each score only on evidence in the company data and quote or paraphrase that evidence.
+If there is no evidence for a criterion, give a low score, a low confidence and say so in the evidence.
+
+**Response Format (JSON only), one entry per criterion id:**
+{{responseFormat}}`
+  },
+
+  salesIntelligence: {
+    description: 'Sales intelligence for one company, with cited sources',
+    version: 2,
+    variables: ['companyName', 'industry', 'location', 'employees', 'description',
+      'websiteContent', 'socialPosts', 'topic', 'responseFormat'],
+    required: ['companyName', 'websiteContent', 'topic', 'responseFormat'],
+    responseFormat: SALES_INTELLIGENCE_FORMAT,
+    system: '',
+    user: `You are a smart and professional sales intelligence analyst.
+Your job is to analyze company information and generate a concise, actionable sales intelligence summary.
+
+**Company Information:**
+Name: {{companyName}}
+Industry: {{industry}}
+Location: {{location}}
+Size: {{employees}} employees
+Description: {{description}}
+
+**Website Pages:**
+{{websiteContent}}
+
+{{socialPosts}}
+
+**Target Profile:** {{topic}}
+
+Provide a sales intelligence analysis as a JSON object in this format:
+
+{{responseFormat}}
+
+Use plain text, not markdown. Keep it concise but actionable - focus on insights that help close deals.`
+  },
+
+  outreachDraft: {
+    description: 'First-touch outreach drafts for one enriched lead, grounded in cited sources',
+    version: 1,
+    variables: ['companyName', 'sources', 'senderName', 'senderCompany', 'channels', 'tone', 'language', 'responseFormat'],
+    required: ['sources', 'channels', 'responseFormat'],
+    responseFormat: OUTREACH_FORMAT,
+    system: 'You are an experienced B2B sales development rep. You write short, specific outreach and never invent facts. Respond only with valid JSON.',
+    user: `Write first-touch outreach from {{senderName}} at {{senderCompany}} to {{companyName}}.
+
+**Sources:**
+{{sources}}
+
+S1 is what the sender offers. Everything else is what we know about {{companyName}}.
+
+**Write these messages:**
+{{channels}}
+
+Tone: {{tone}}. Language: {{language}}.
+Open with something specific to {{companyName}} from the sources, connect it to the sender's offer,
+and end with one low-effort call to action. Use plain text, no markdown and no placeholders like [Name].
+
+**Response Format (JSON only):**
+{{responseFormat}}`
+  },
+
+  titleClassification: {
+    description: 'Seniority and function for job titles the keyword rules could not classify (/classify-contacts)',
+    version: 1,
+    variables: ['titles', 'titleIds', 'seniorityLevels', 'functions', 'responseFormat'],
+    required: ['titles', 'titleIds', 'responseFormat'],
+    responseFormat: TITLE_CLASSIFICATION_FORMAT,
+    system: 'You are a B2B sales operations analyst who normalizes job titles. Respond only with valid JSON.',
+    user: `Classify each job title below by seniority and function. Titles may be in any language,
+abbreviated, or LinkedIn headlines with extra text.
+
+**Seniority levels:** {{seniorityLevels}}
+**Functions:** {{functions}}
+
+Founders, owners and managing directors are c_level with function general_management.
+Use null when a title does not reveal the seniority or the function, and lower the confidence
+when you are guessing.
+
+**Titles:**
+{{titles}}
+
+**Response Format (JSON only):**
+{{responseFormat}}
+
+Return exactly one result for each of these title ids: {{titleIds}}.`
+  },
+
+  postFilter: {
+    description: 'Picks the social posts relevant to a topic (/filter-posts)',
+    version: 1,
+    variables: ['topic', 'posts'],
+    required: ['topic', 'posts'],
+    system: `You are an AI data filter. The user is searching for posts related to the following keywords and concepts: '{{topic}}'.
+
+You will be given a list of JSON objects, each with an "id" and a "text".
+Your task is to return a JSON object whose "ids" array contains ONLY the "id" values of the posts that are clearly and explicitly relevant to any of those topics.
+
+Example:
+User topic: "business trips, attending conference, work travel"
+Data: [
+  {"id": 1, "text": "Excited to be at #GDC in San Francisco this week!"},
+  {"id": 2, "text": "Just posted our Q3 earnings, great results!"},
+  {"id": 3, "text": "Packing my bags for the London sales meeting!"}
+]
+
+Your response: {"ids": [1, 3]}`,
+    user: `Data:
+{{posts}}`
+  },
+
+  topicCheck: {
+    description: 'YES/NO check whether a company website relates to a topic (/filter-companies)',
+    version: 1,
+    variables: ['websiteUrl', 'topic', 'websiteContent'],
+    required: ['topic', 'websiteContent'],
+    system: `You are an AI company analyst. Your task is to determine if a company's website indicates that the company is related to a specific topic/industry.
+
+Analyze the website content and determine if the company operates in or is related to the topic: "{{topic}}".
+
+Consider:
+- Company description and services
+- Industry keywords and terminology
+- Products or services offered
+- Company focus and expertise
+
+Respond with ONLY a JSON object: {"verdict": "YES"} if the company is clearly related to the topic, or {"verdict": "NO"} if it is not related.
+
+Be strict - only return YES if there is clear evidence the company is related.`,
+    user: `Website URL: {{websiteUrl}}
+Topic: {{topic}}
+
+Website Content:
+{{websiteContent}}
+
+Is this company related to "{{topic}}"? Answer {"verdict": "YES"} or {"verdict": "NO"} only.`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Keeps a single override from blowing up every prompt it is used in
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * Built-in definition of a template
+ * @param {string} name
+ * @returns {Object|null} null for unknown names
+ */
+function getDefinition(name) {
+  return Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, name) ? PROMPT_TEMPLATES[name] : null;
+}
+
+/**
+ * Placeholder names used in a template string
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function findPlaceholders(text) {
+  return [...new Set([...String(text || '').matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+/**
+ * Check an override before it is stored
+ * @param {string} name - Template name (key of PROMPT_TEMPLATES)
+ * @param {{system: string, user: string}} template
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateTemplate(name, { system = '', user = '' }) {
+  const definition = getDefinition(name);
+  if (!definition) {
+    return [`Unknown template "${name}"`];
+  }
+
+  const errors = [];
+  if (typeof system !== 'string' || typeof user !== 'string') {
+    return ['Templates must be strings'];
+  }
+  if (!user.trim()) {
+    errors.push('The user template must not be empty');
+  }
+  if (system.length + user.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Templates must be at most ${MAX_TEMPLATE_LENGTH} characters in total`);
+  }
+
+  const used = findPlaceholders(`${system}\n${user}`);
+  const unknown = used.filter(variable => !definition.variables.includes(variable));
+  if (unknown.length > 0) {
+    errors.push(`Unknown placeholder(s): ${unknown.map(v => `{{${v}}}`).join(', ')}. Available: ${definition.variables.map(v => `{{${v}}}`).join(', ')}`);
+  }
+
+  const missing = definition.required.filter(variable => !used.includes(variable));
+  if (missing.length > 0) {
+    errors.push(`Missing required placeholder(s): ${missing.map(v => `{{${v}}}`).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} name - Template name (supplies the default responseFormat)
+ * @param {{system: string, user: string}} template
+ * @param {Object} variables - Values by placeholder name; missing values render empty
+ * @returns {{systemPrompt: string, prompt: string}}
+ */
+function renderTemplate(name, template, variables = {}) {
+  const values = { responseFormat: getDefinition(name)?.responseFormat, ...variables };
+  const fill = text => String(text || '').replace(PLACEHOLDER, (match, variable) =>
+    values[variable] === undefined || values[variable] === null ? '' : String(values[variable])
+  );
+
+  return {
+    systemPrompt: fill(template.system),
+    prompt: fill(template.user)
+  };
+}
+
+module.exports = {
+  PROMPT_TEMPLATES,
+  getDefinition,
+  findPlaceholders,
+  validateTemplate,
+  renderTemplate
+};
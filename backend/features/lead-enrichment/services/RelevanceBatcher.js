@@ -0,0 +1,176 @@
+const { SCHEMAS, VALIDATION_STATUS, validate } = require('./AIOutputSchema');
+const ProviderError = require('./llm/ProviderError');
+
+// Output tokens reserved per company in a batch response
+const OUTPUT_TOKENS_PER_COMPANY = 250;
+// Instructions, topic and response format around the company profiles
+const PROMPT_OVERHEAD_TOKENS = 600;
+
+/**
+ * Relevance Batcher
+ *
+ * Scores several companies per LLM call instead of one call each. Companies
+ * are packed greedily into batches bounded by:
+ * - the input token budget (AI_BATCH_MAX_INPUT_TOKENS, capped by the model's context window)
+ * - the model's output token limit (OUTPUT_TOKENS_PER_COMPANY per company)
+ * - AI_BATCH_MAX_SIZE companies
+ *
+ * Companies with long website content therefore end up in smaller batches.
+ * Any company the batch response dropped, duplicated or garbled is re-scored
+ * with a single-company call. When the provider itself fails (after the
+ * adapter's retries) the whole batch is marked provider_error instead, so an
+ * outage doesn't turn into one extra call per company.
+ */
+class RelevanceBatcher {
+  /**
+   * @param {CompanyAnalysisService} analysisService - Provides the LLM, prompts and single-company fallback
+   * @param {Object} options
+   * @param {number} options.maxBatchSize - Max companies per call (default: AI_BATCH_MAX_SIZE or 8)
+   * @param {number} options.maxInputTokens - Input token budget per call (default: AI_BATCH_MAX_INPUT_TOKENS or 12000)
+   */
+  constructor(analysisService, options = {}) {
+    this.analysisService = analysisService;
+    this.llm = analysisService.llm;
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.AI_BATCH_MAX_SIZE || '8');
+    this.maxInputTokens = options.maxInputTokens || parseInt(process.env.AI_BATCH_MAX_INPUT_TOKENS || '12000');
+  }
+
+  /**
+   * Score companies, batching where possible
+   * @param {Array<{id: string, company: Object, websiteContent: string}>} items - Companies keyed by a stable id
+   * @param {string} topic - Target topic
+   * @returns {Promise<Map<string, Object>>} Analysis per id (same shape as analyzeCompanyRelevance)
+   */
+  async scoreAll(items, topic) {
+    const entries = items.map(item => {
+      const profile = this.analysisService.buildCompanyProfile(item.company, item.websiteContent);
+      return { ...item, profile, tokens: this.llm.estimateTokens(profile) };
+    });
+
+    const batches = this.planBatches(entries);
+    console.log(`🧮 Scoring ${items.length} companies in ${batches.length} AI calls`);
+
+    const analyses = new Map();
+    for (const batch of batches) {
+      const batchResults = batch.length > 1 ? await this.scoreBatch(batch, topic) : new Map();
+
+      for (const entry of batch) {
+        let analysis = batchResults.get(entry.id);
+        if (!analysis) {
+          // Not in the batch response (or a batch of one): score on its own
+          analysis = await this.analysisService.analyzeCompanyRelevance(entry.company, entry.websiteContent, topic);
+          analysis.mode = 'single';
+        }
+        analyses.set(entry.id, analysis);
+      }
+    }
+
+    return analyses;
+  }
+
+  /**
+   * Greedily pack entries into batches within the token and size limits
+   * @param {Array<{tokens: number}>} entries
+   * @returns {Array<Array>} Batches in input order
+   */
+  planBatches(entries) {
+    const { maxContextTokens, maxOutputTokens } = this.llm.capabilities;
+    const maxBySize = Math.max(1, Math.min(
+      this.maxBatchSize,
+      Math.floor(maxOutputTokens / OUTPUT_TOKENS_PER_COMPANY)
+    ));
+
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const entry of entries) {
+      const outputTokens = (current.length + 1) * OUTPUT_TOKENS_PER_COMPANY;
+      const inputBudget = Math.min(this.maxInputTokens, maxContextTokens - outputTokens) - PROMPT_OVERHEAD_TOKENS;
+
+      if (current.length > 0 && (current.length >= maxBySize || currentTokens + entry.tokens > inputBudget)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+
+      current.push(entry);
+      currentTokens += entry.tokens;
+    }
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  /**
+   * Score one batch
+   * @returns {Promise<Map<string, Object>>} Valid (or provider-failed) analyses by id; missing ids need a fallback
+   */
+  async scoreBatch(batch, topic) {
+    const results = new Map();
+    const ids = new Set(batch.map(entry => entry.id));
+    let template = null;
+
+    try {
+      const rendered = await this.analysisService.buildBatchAnalysisPrompt(batch, topic);
+      template = rendered.template;
+
+      const response = await this.analysisService.callStructured({
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        temperature: 0.3,
+        maxTokens: batch.length * OUTPUT_TOKENS_PER_COMPANY + 200,
+        schema: SCHEMAS.relevanceBatch
+      });
+
+      if (!response.valid) {
+        console.warn(`⚠️ Batch of ${batch.length} failed validation, falling back to single calls`);
+        return results;
+      }
+
+      const seen = new Set();
+      for (const item of response.value.results) {
+        if (!ids.has(item.id)) continue;
+
+        // A duplicated id is ambiguous; re-score that company on its own
+        if (seen.has(item.id)) {
+          results.delete(item.id);
+          continue;
+        }
+        seen.add(item.id);
+
+        const { id, ...fields } = item;
+        const checked = validate(SCHEMAS.relevanceAnalysis, fields);
+        if (checked.valid) {
+          results.set(id, {
+            ...checked.value,
+            validationStatus: VALIDATION_STATUS.VALID,
+            attempts: response.attempts,
+            mode: 'batch',
+            promptTemplate: template
+          });
+        }
+      }
+
+      const missing = batch.length - results.size;
+      if (missing > 0) {
+        console.warn(`⚠️ Batch response dropped or garbled ${missing}/${batch.length} companies, re-scoring individually`);
+      }
+    } catch (error) {
+      console.error('Batch AI analysis error:', error.message);
+      results.clear();
+
+      if (error instanceof ProviderError) {
+        for (const entry of batch) {
+          results.set(entry.id, { ...this.analysisService.buildProviderFailure(error), mode: 'batch', promptTemplate: template });
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = RelevanceBatcher;
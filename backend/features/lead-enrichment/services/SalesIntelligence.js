@@ -0,0 +1,252 @@
+/**
+ * Sales Intelligence
+ *
+ * Evidence handling for /generate-intelligence. The model sees its inputs
+ * as numbered sources (W1, W2... for website pages, P1, P2... for social
+ * posts) and must cite a source id and a verbatim quote for every claim.
+ * Citations are resolved here to the source's type and URL, and each quote
+ * is checked against the source text, so an invented quote shows up as
+ * `verified: false` instead of passing as evidence.
+ *
+ * The markdown summary is a view rendered from the JSON document on request.
+ */
+
+const MAX_PAGES = 6;
+const HOME_PAGE_CHARS = 2500;
+const PAGE_CHARS = 1200;
+const MAX_POSTS = 10;
+const POST_CHARS = 500;
+
+// Shorter quotes match too easily by chance; they count only as a whole source line
+const MIN_QUOTE_WORDS = 4;
+
+const SOURCE_TYPES = {
+  WEBSITE: 'website',
+  SOCIAL_POST: 'social_post',
+  // Used by outreach drafts (see OutreachDrafts)
+  LEAD_PROFILE: 'lead_profile',
+  SENDER: 'sender'
+};
+
+const SOURCE_LABELS = {
+  [SOURCE_TYPES.WEBSITE]: 'Website page',
+  [SOURCE_TYPES.SOCIAL_POST]: 'Social post',
+  [SOURCE_TYPES.LEAD_PROFILE]: 'Lead profile',
+  [SOURCE_TYPES.SENDER]: 'Sender'
+};
+
+// Claim sections that must cite at least one source when there are sources
+const CITED_SECTIONS = ['overview', 'relevance', 'businessSignals', 'painPoints', 'talkingPoints'];
+
+/**
+ * Number the website pages and social posts the model may cite
+ * @param {Object} inputs
+ * @param {string} inputs.websiteUrl - Company website, used when only plain content is given
+ * @param {Object} inputs.scraped - scrapeWebsite() result (single page or crawl)
+ * @param {string} inputs.websiteContent - Plain website text (when there is no scrape result)
+ * @param {Array<Object>} inputs.socialPosts - Posts with text/caption and url/permalink
+ * @returns {Array<{id: string, type: string, url: string|null, title: string|null, text: string}>}
+ */
+function buildSources({ websiteUrl = null, scraped = null, websiteContent = '', socialPosts = [] } = {}) {
+  const sources = [];
+
+  if (scraped) {
+    const home = {
+      url: scraped.finalUrl || scraped.url || websiteUrl,
+      title: scraped.title,
+      text: [scraped.title, scraped.description, scraped.headings, scraped.content].filter(Boolean).join('\n')
+    };
+    const pages = (scraped.pages || []).slice(1, MAX_PAGES).map(page => ({
+      url: page.url,
+      title: page.title,
+      text: [page.title, page.headings, page.content].filter(Boolean).join('\n')
+    }));
+
+    [home, ...pages].forEach((page, index) => {
+      sources.push({
+        id: `W${index + 1}`,
+        type: SOURCE_TYPES.WEBSITE,
+        url: page.url || null,
+        title: page.title || null,
+        text: String(page.text || '').substring(0, index === 0 ? HOME_PAGE_CHARS : PAGE_CHARS)
+      });
+    });
+  } else if (websiteContent && websiteContent.trim()) {
+    sources.push({
+      id: 'W1',
+      type: SOURCE_TYPES.WEBSITE,
+      url: websiteUrl,
+      title: null,
+      text: websiteContent.substring(0, HOME_PAGE_CHARS)
+    });
+  }
+
+  (Array.isArray(socialPosts) ? socialPosts : [])
+    .filter(post => post && (post.text || post.caption))
+    .slice(0, MAX_POSTS)
+    .forEach((post, index) => {
+      sources.push({
+        id: `P${index + 1}`,
+        type: SOURCE_TYPES.SOCIAL_POST,
+        url: post.url || post.permalink || null,
+        title: [post.platform, post.timestamp || post.date].filter(Boolean).join(', ') || null,
+        text: String(post.text || post.caption).substring(0, POST_CHARS)
+      });
+    });
+
+  return sources;
+}
+
+/**
+ * Sources as prompt text
+ * @param {Array<Object>} sources - From buildSources()
+ * @param {string} type - Only sources of this type (all when omitted)
+ */
+function describeSources(sources, type = null) {
+  return sources
+    .filter(source => !type || source.type === type)
+    .map(source => `[${source.id}] ${SOURCE_LABELS[source.type]}` +
+      `${source.url ? ` ${source.url}` : ''}${source.title ? ` (${source.title})` : ''}\n${source.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Extra validation for callStructured: citations must name a listed source,
+ * and claims must cite one when there is anything to cite
+ * @param {Array<Object>} sources
+ * @returns {Function} value => error strings
+ */
+function buildCitationCheck(sources) {
+  const ids = new Set(sources.map(source => source.id));
+
+  return value => {
+    const errors = [];
+
+    forEachClaim(value, (claim, path, section) => {
+      (claim.citations || []).forEach((citation, index) => {
+        if (!ids.has(String(citation.source).trim().toUpperCase())) {
+          errors.push(`${path}.citations[${index}].source: "${citation.source}" is not a listed source`);
+        }
+      });
+
+      if (ids.size > 0 && CITED_SECTIONS.includes(section) && (claim.citations || []).length === 0) {
+        errors.push(`${path}: must cite at least one source`);
+      }
+    });
+
+    return errors;
+  };
+}
+
+/**
+ * Replace { source, quote } citations with the source's type and URL, and
+ * whether the quote really appears in the source
+ * @param {Object} value - Validated model output
+ * @param {Array<Object>} sources
+ * @returns {{intelligence: Object, stats: {total: number, verified: number, unverified: number}}}
+ */
+function resolveCitations(value, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const intelligence = JSON.parse(JSON.stringify(value));
+  const stats = { total: 0, verified: 0, unverified: 0 };
+
+  forEachClaim(intelligence, claim => {
+    claim.citations = (claim.citations || []).map(citation => {
+      const source = byId.get(String(citation.source).trim().toUpperCase());
+      const verified = quoteAppearsIn(citation.quote, source.text);
+
+      stats.total++;
+      stats[verified ? 'verified' : 'unverified']++;
+      return {
+        sourceId: source.id,
+        type: source.type,
+        url: source.url,
+        snippet: citation.quote,
+        verified
+      };
+    });
+  });
+
+  return { intelligence, stats };
+}
+
+/**
+ * Markdown view of an intelligence document; citations become [n] references
+ * to a numbered source list
+ * @param {Object} intelligence - Result of generateSalesIntelligence()
+ * @returns {string}
+ */
+function renderMarkdown(intelligence) {
+  const sources = intelligence.sources || [];
+  const numbers = new Map(sources.map((source, index) => [source.id, index + 1]));
+  const refs = claim => {
+    const cited = [...new Set((claim?.citations || []).map(citation => numbers.get(citation.sourceId)))];
+    return cited.length > 0 ? ` ${cited.map(number => `[${number}]`).join('')}` : '';
+  };
+  const list = items => items.map(item => `- ${item.text}${refs(item)}`).join('\n');
+
+  const sections = [
+    ['Company Overview', intelligence.overview && `${intelligence.overview.text}${refs(intelligence.overview)}`],
+    ['Relevance to Target', intelligence.relevance &&
+      `**Score: ${intelligence.relevance.score}/10**\n\n${intelligence.relevance.rationale}${refs(intelligence.relevance)}`],
+    ['Key Business Signals', (intelligence.businessSignals || []).length > 0 && list(intelligence.businessSignals)],
+    ['Pain Points & Opportunities', (intelligence.painPoints || []).length > 0 && list(intelligence.painPoints)],
+    ['Recommended Approach', intelligence.recommendedApproach &&
+      `${intelligence.recommendedApproach.text}${refs(intelligence.recommendedApproach)}`],
+    ['Decision Makers', (intelligence.personas || []).length > 0 && intelligence.personas
+      .map(persona => `- **${persona.title}**${persona.department ? ` (${persona.department})` : ''}: ${persona.rationale}${refs(persona)}`)
+      .join('\n')],
+    ['Talking Points', (intelligence.talkingPoints || []).length > 0 && list(intelligence.talkingPoints)],
+    ['Sources', sources.length > 0 && sources
+      .map((source, index) => `${index + 1}. ${source.type === SOURCE_TYPES.WEBSITE ? 'Website' : 'Social post'}: ` +
+        `${source.url || 'no URL'}${source.title ? ` (${source.title})` : ''}`)
+      .join('\n')]
+  ];
+
+  return sections
+    .filter(([, content]) => content)
+    .map(([title, content]) => `## ${title}\n${content}`)
+    .join('\n\n');
+}
+
+/**
+ * Call fn for every claim object: overview, relevance, approach and each list entry
+ */
+function forEachClaim(value, fn) {
+  for (const section of ['overview', 'relevance', 'recommendedApproach']) {
+    if (value[section]) fn(value[section], `$.${section}`, section);
+  }
+  for (const section of ['businessSignals', 'painPoints', 'personas', 'talkingPoints']) {
+    (value[section] || []).forEach((item, index) => fn(item, `$.${section}[${index}]`, section));
+  }
+}
+
+/**
+ * Whether a quote appears in a text as a run of whole words, ignoring case,
+ * whitespace and punctuation. The quote needs MIN_QUOTE_WORDS words unless it
+ * is a whole line of the text; an ellipsis gap never matches.
+ */
+function quoteAppearsIn(quote, text) {
+  if (/\.\.\.|…/.test(String(quote || ''))) return false;
+
+  const words = value => String(value || '').toLowerCase().replace(/[‘’]/g, "'")
+    .match(/[\p{L}\p{N}]+(?:['.,][\p{L}\p{N}]+)*/gu) || [];
+  const needle = words(quote).join(' ');
+  if (!needle) return false;
+
+  if (needle.split(' ').length < MIN_QUOTE_WORDS) {
+    return String(text || '').split('\n').some(line => words(line).join(' ') === needle);
+  }
+  return ` ${words(text).join(' ')} `.includes(` ${needle} `);
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  buildSources,
+  describeSources,
+  buildCitationCheck,
+  resolveCitations,
+  renderMarkdown,
+  quoteAppearsIn,
+  MIN_QUOTE_WORDS
+};
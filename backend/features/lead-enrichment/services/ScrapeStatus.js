@@ -0,0 +1,222 @@
+/**
+ * Scrape Status Taxonomy
+ *
+ * Every scrape result carries a `status` code instead of collapsing failures
+ * into null, plus retry hints so callers can decide what to re-queue.
+ */
+
+const SCRAPE_STATUS = {
+  OK: 'ok',
+  DNS_ERROR: 'dns_error',
+  TIMEOUT: 'timeout',
+  CONNECTION_ERROR: 'connection_error',
+  HTTP_4XX: 'http_4xx',
+  HTTP_5XX: 'http_5xx',
+  BLOCKED_BY_BOT_PROTECTION: 'blocked_by_bot_protection',
+  PARKED_OR_FOR_SALE: 'parked_or_for_sale',
+  TOO_LARGE: 'too_large',
+  NON_HTML: 'non_html',
+  ROBOTS_DISALLOWED: 'robots_disallowed',
+  BLOCKED_BY_URL_POLICY: 'blocked_by_url_policy',
+  TOO_MANY_REDIRECTS: 'too_many_redirects',
+  INVALID_URL: 'invalid_url',
+  MISSING_WEBSITE: 'missing_website',
+  UNKNOWN_ERROR: 'unknown_error'
+};
+
+// Default retry hints per status; retryAfterSeconds is a suggestion, not a guarantee
+const RETRY_HINTS = {
+  ok: { retryable: false, retryAfterSeconds: null, hint: null },
+  dns_error: { retryable: false, retryAfterSeconds: null, hint: 'Domain does not resolve; check the website on the lead' },
+  timeout: { retryable: true, retryAfterSeconds: 60, hint: 'Site responded too slowly; retry later' },
+  connection_error: { retryable: true, retryAfterSeconds: 300, hint: 'Connection refused, reset or TLS failure' },
+  http_4xx: { retryable: false, retryAfterSeconds: null, hint: 'Page missing or access denied' },
+  http_5xx: { retryable: true, retryAfterSeconds: 300, hint: 'Site returned a server error; retry later' },
+  blocked_by_bot_protection: { retryable: false, retryAfterSeconds: null, hint: 'Bot wall (e.g. Cloudflare challenge); needs a browser-based fetch' },
+  parked_or_for_sale: { retryable: false, retryAfterSeconds: null, hint: 'Domain is parked or for sale; company website is likely elsewhere' },
+  too_large: { retryable: false, retryAfterSeconds: null, hint: 'Response exceeds the size limit' },
+  non_html: { retryable: false, retryAfterSeconds: null, hint: 'URL does not serve an HTML page' },
+  robots_disallowed: { retryable: false, retryAfterSeconds: null, hint: 'Disallowed by robots.txt' },
+  blocked_by_url_policy: { retryable: false, retryAfterSeconds: null, hint: 'URL points to a private, internal or non-standard address' },
+  too_many_redirects: { retryable: false, retryAfterSeconds: null, hint: 'Redirect chain is too long or loops' },
+  invalid_url: { retryable: false, retryAfterSeconds: null, hint: 'Website value is not a valid http(s) URL or domain' },
+  missing_website: { retryable: false, retryAfterSeconds: null, hint: 'Lead has no website or domain' },
+  unknown_error: { retryable: true, retryAfterSeconds: 300, hint: 'Unexpected scraping error' }
+};
+
+const BOT_PROTECTION_MARKERS = [
+  /<title>\s*(just a moment|attention required|access denied|please wait)/i,
+  /cf-browser-verification|cf-chl-|challenge-platform|__cf_chl_/i,
+  /px-captcha|perimeterx/i,
+  /datadome|dd\.datadome/i,
+  /sucuri website firewall|incapsula incident|_incapsula_resource/i,
+  /distil_r_captcha|are you a robot|verify you are (a )?human/i
+];
+
+const PARKED_MARKERS = [
+  /this domain (name )?(is|may be) for sale/i,
+  /buy this domain|domain is for sale|make an offer on this domain/i,
+  /\b(sedoparking|parkingcrew|bodis\.com|above\.com|dan\.com|afternic|hugedomains|undeveloped\.com)\b/i,
+  /domain (has been )?(parked|registered) (free )?(by|at|with)/i,
+  /this (web )?page is parked/i
+];
+
+/**
+ * Error thrown by the scraper with a taxonomy status attached
+ */
+class ScrapeError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Build a status object for a code
+ * @param {string} status - SCRAPE_STATUS value
+ * @param {Object} details - { message, httpStatus, retryAfterSeconds }
+ * @returns {{code, retryable, retryAfterSeconds, hint, message, httpStatus}}
+ */
+function buildStatus(status, details = {}) {
+  const hints = RETRY_HINTS[status] || RETRY_HINTS.unknown_error;
+
+  return {
+    code: status,
+    retryable: details.retryable ?? hints.retryable,
+    retryAfterSeconds: details.retryAfterSeconds ?? hints.retryAfterSeconds,
+    hint: hints.hint,
+    message: details.message || null,
+    httpStatus: details.httpStatus || null
+  };
+}
+
+/**
+ * Map a fetch error (axios, DNS, scheduler or ScrapeError) to a taxonomy status
+ * @param {Error} error
+ * @returns {{status: string, details: Object}}
+ */
+function classifyError(error) {
+  if (error instanceof ScrapeError) {
+    return { status: error.status, details: { message: error.message, ...error.details } };
+  }
+
+  const message = error.message || String(error);
+
+  if (error.code === 'ROBOTS_DISALLOWED') {
+    return { status: SCRAPE_STATUS.ROBOTS_DISALLOWED, details: { message } };
+  }
+
+  // UrlGuard errors raised inside axios (agent lookup, redirects) arrive wrapped
+  const blocked = findCause(error, cause => cause.code === 'ERR_URL_BLOCKED');
+  if (blocked) {
+    return { status: SCRAPE_STATUS.BLOCKED_BY_URL_POLICY, details: { message: blocked.message, ...blocked.details } };
+  }
+
+  if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+    return { status: SCRAPE_STATUS.TOO_MANY_REDIRECTS, details: { message } };
+  }
+
+  if (error.response) {
+    const httpStatus = error.response.status;
+    const body = typeof error.response.data === 'string' ? error.response.data.substring(0, 20000) : '';
+    const headers = error.response.headers || {};
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+
+    if ([401, 403, 429, 503].includes(httpStatus) && isBotProtection(body, headers)) {
+      return { status: SCRAPE_STATUS.BLOCKED_BY_BOT_PROTECTION, details: { message, httpStatus } };
+    }
+
+    if (httpStatus >= 500) {
+      return { status: SCRAPE_STATUS.HTTP_5XX, details: { message, httpStatus, retryAfterSeconds: retryAfter } };
+    }
+
+    // Request timeouts and rate limits are worth retrying; other 4xx are not
+    const retryable = httpStatus === 408 || httpStatus === 429;
+    return {
+      status: SCRAPE_STATUS.HTTP_4XX,
+      details: { message, httpStatus, retryable, retryAfterSeconds: retryable ? (retryAfter ?? 60) : null }
+    };
+  }
+
+  if (['ENOTFOUND', 'EAI_AGAIN', 'ENODATA', 'ESERVFAIL'].includes(error.code)) {
+    return { status: SCRAPE_STATUS.DNS_ERROR, details: { message, retryable: error.code === 'EAI_AGAIN' } };
+  }
+
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(error.code) || /timeout/i.test(message)) {
+    return { status: SCRAPE_STATUS.TIMEOUT, details: { message } };
+  }
+
+  if (/maxContentLength/i.test(message)) {
+    return { status: SCRAPE_STATUS.TOO_LARGE, details: { message } };
+  }
+
+  if (['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROTO'].includes(error.code) ||
+      /certificate|ssl|tls/i.test(message)) {
+    return { status: SCRAPE_STATUS.CONNECTION_ERROR, details: { message } };
+  }
+
+  return { status: SCRAPE_STATUS.UNKNOWN_ERROR, details: { message } };
+}
+
+/**
+ * Inspect a successfully fetched page for bot walls and parked domains
+ * @param {string} html - Page HTML
+ * @param {Object} headers - Response headers
+ * @returns {string|null} Status code, or null if the page looks like real content
+ */
+function classifyContent(html, headers = {}) {
+  const sample = String(html || '').substring(0, 50000);
+
+  if (isBotProtection(sample, headers) && sample.length < 30000) {
+    return SCRAPE_STATUS.BLOCKED_BY_BOT_PROTECTION;
+  }
+
+  if (PARKED_MARKERS.some(pattern => pattern.test(sample))) {
+    return SCRAPE_STATUS.PARKED_OR_FOR_SALE;
+  }
+
+  return null;
+}
+
+function findCause(error, predicate) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (predicate(current)) return current;
+  }
+  return null;
+}
+
+function isBotProtection(body, headers = {}) {
+  if (headers['cf-mitigated'] === 'challenge') return true;
+  return BOT_PROTECTION_MARKERS.some(pattern => pattern.test(body));
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseInt(value, 10);
+  if (!isNaN(seconds)) return seconds;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+/**
+ * Count results per status code
+ * @param {Array<Object>} statuses - Status objects ({ code })
+ * @returns {Object} e.g. { ok: 12, timeout: 2 }
+ */
+function countStatuses(statuses) {
+  return statuses.filter(Boolean).reduce((counts, status) => {
+    counts[status.code] = (counts[status.code] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+module.exports = {
+  SCRAPE_STATUS,
+  ScrapeError,
+  buildStatus,
+  classifyError,
+  classifyContent,
+  countStatuses
+};
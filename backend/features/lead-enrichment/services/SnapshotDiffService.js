@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+
+/**
+ * Snapshot Diff Service
+ *
+ * Turns a crawl result into a compact, comparable snapshot and computes
+ * semantic differences between two snapshots. Pure and offline: diffs run
+ * against stored snapshots and never fetch anything.
+ *
+ * Detected change types:
+ * - new_product_page / removed_product_page / new_product
+ * - pricing_change
+ * - new_job_opening / job_opening_closed
+ * - leadership_change
+ * - messaging_change (title, description or headline reworded, not just restyled)
+ * - technology_added / technology_removed
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+const CHANGE_TYPES = {
+  NEW_PRODUCT_PAGE: 'new_product_page',
+  REMOVED_PRODUCT_PAGE: 'removed_product_page',
+  NEW_PRODUCT: 'new_product',
+  PRICING_CHANGE: 'pricing_change',
+  NEW_JOB_OPENING: 'new_job_opening',
+  JOB_OPENING_CLOSED: 'job_opening_closed',
+  LEADERSHIP_CHANGE: 'leadership_change',
+  MESSAGING_CHANGE: 'messaging_change',
+  TECHNOLOGY_ADDED: 'technology_added',
+  TECHNOLOGY_REMOVED: 'technology_removed'
+};
+
+// Messaging is "changed" when word overlap drops below this (Jaccard similarity)
+const MESSAGING_SIMILARITY_THRESHOLD = 0.6;
+const MIN_TECHNOLOGY_CONFIDENCE = 50;
+
+const PRICE_PATTERN = /(?:[$€£¥₹]\s?\d[\d,]*(?:\.\d{1,2})?|\d[\d,]*(?:\.\d{1,2})?\s?(?:USD|EUR|GBP|INR))(?:\s?(?:\/|per)\s?(?:month|mo|year|yr|user|seat|agent))?/gi;
+const ROLE_PATTERN = /\b(engineer|developer|manager|designer|analyst|director|scientist|specialist|consultant|architect|representative|executive|coordinator|administrator|accountant|recruiter|intern|lead|head of|vp|marketer|writer|strategist|associate)\b/i;
+const LEADER_TITLE = '(?:co-?founder|founder|ceo|cto|cfo|coo|cmo|cro|cpo|president|chairman|managing director|chief [a-z]+ officer|vp(?: of)? [a-z]+|vice president(?: of [a-z]+)?|head of [a-z]+)';
+const PERSON_NAME = "[A-Z][a-z'’-]+(?: [A-Z]\\.)?(?: [A-Z][a-z'’-]+){1,2}";
+// Names are matched case-sensitively (capitalized words), titles case-insensitively
+const NAME_THEN_TITLE = new RegExp(`(${PERSON_NAME}),?\\s+(?:is\\s+(?:our|the)\\s+)?`, 'g');
+const TITLE_AT_START = new RegExp(`^${LEADER_TITLE}\\b`, 'i');
+const TITLE_ANYWHERE = new RegExp(`\\b${LEADER_TITLE}\\b`, 'gi');
+const NAME_AT_START = new RegExp(`^[,:\\s–-]+(${PERSON_NAME})`);
+
+class SnapshotDiffService {
+  /**
+   * Build a snapshot from a scrape or crawl result
+   * @param {Object} scraped - Successful result from WebsiteScraperService
+   * @returns {Object} Snapshot (stored as JSONB); `contentHash` identifies identical snapshots
+   */
+  buildSnapshot(scraped) {
+    const pages = scraped.pages || [{
+      url: scraped.finalUrl || scraped.url,
+      category: 'home',
+      title: scraped.title,
+      description: scraped.description,
+      headings: scraped.headings,
+      content: scraped.content
+    }];
+    const home = pages.find(page => page.category === 'home') || pages[0];
+    const pricingPages = pages.filter(page => page.category === 'pricing');
+    const careersPages = pages.filter(page => page.category === 'careers');
+    const aboutPages = pages.filter(page => ['about', 'home'].includes(page.category));
+    const discovered = scraped.discoveredPages || {};
+
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      url: scraped.finalUrl || scraped.url,
+      domain: scraped.canonicalDomain || null,
+      messaging: {
+        title: clean(home.title),
+        description: clean(home.description),
+        headline: splitHeadings(home.headings)[0] || ''
+      },
+      pages: pages.map(page => ({
+        path: toPath(page.url),
+        category: page.category,
+        title: clean(page.title),
+        contentHash: hash(page.content || '')
+      })),
+      // Product pages and job openings are partly listed from the sitemap
+      sitemapRead: !!scraped.sitemapRead,
+      productPages: unique([
+        ...(discovered.products || []),
+        ...pages.filter(page => page.category === 'products').map(page => page.url)
+      ].map(toPath)),
+      products: unique((scraped.structured?.products || []).map(product => product.name).filter(Boolean)),
+      pricing: {
+        prices: unique(pricingPages.flatMap(page => extractPrices(page.content))).sort(),
+        plans: unique(pricingPages.flatMap(page => splitHeadings(page.headings)))
+          .filter(heading => heading.length <= 40)
+      },
+      jobs: unique([
+        ...careersPages.flatMap(page => splitHeadings(page.headings)).filter(heading => ROLE_PATTERN.test(heading)),
+        ...(discovered.careers || []).map(jobFromUrl).filter(Boolean)
+      ]),
+      leadership: unique(aboutPages.flatMap(page => extractLeaders(
+        `${splitHeadings(page.headings).join('. ')}. ${page.content || ''}`
+      ))),
+      technologies: unique((scraped.technologies || [])
+        .filter(technology => technology.confidence >= MIN_TECHNOLOGY_CONFIDENCE)
+        .map(technology => technology.name))
+        .sort()
+    };
+
+    // Capture time is excluded so unchanged sites hash identically
+    snapshot.contentHash = hash(JSON.stringify(snapshot));
+    return snapshot;
+  }
+
+  /**
+   * Compute semantic changes between two snapshots
+   * @param {Object} previous - Older snapshot
+   * @param {Object} current - Newer snapshot
+   * @returns {Array<{changeType, significance, summary, details}>}
+   */
+  diff(previous, current) {
+    if (!previous || !current || previous.contentHash === current.contentHash) {
+      return [];
+    }
+
+    // Lists extracted from specific pages are only compared when both crawls reached the
+    // same source pages; a page missing from one crawl is a crawl gap, not a change
+    const sameSources = categories => sourcePaths(previous, categories) === sourcePaths(current, categories);
+    // Likewise when the sitemap was read for one crawl but failed for the other
+    const sameSitemap = !!previous.sitemapRead === !!current.sitemapRead;
+
+    return [
+      ...(sameSitemap ? this.diffSet(previous.productPages, current.productPages, {
+        added: CHANGE_TYPES.NEW_PRODUCT_PAGE,
+        removed: CHANGE_TYPES.REMOVED_PRODUCT_PAGE,
+        significance: 'high',
+        label: 'product page'
+      }) : []),
+      // Structured data is merged from every crawled page
+      ...(sameSources(null) ? this.diffSet(previous.products, current.products, {
+        added: CHANGE_TYPES.NEW_PRODUCT,
+        significance: 'high',
+        label: 'product'
+      }) : []),
+      ...this.diffPricing(previous.pricing, current.pricing),
+      ...(sameSources(['careers']) && sameSitemap ? this.diffSet(previous.jobs, current.jobs, {
+        added: CHANGE_TYPES.NEW_JOB_OPENING,
+        removed: CHANGE_TYPES.JOB_OPENING_CLOSED,
+        significance: 'medium',
+        label: 'job opening'
+      }) : []),
+      ...(sameSources(['about']) ? this.diffLeadership(previous.leadership, current.leadership) : []),
+      ...this.diffMessaging(previous.messaging, current.messaging),
+      ...this.diffSet(previous.technologies, current.technologies, {
+        added: CHANGE_TYPES.TECHNOLOGY_ADDED,
+        removed: CHANGE_TYPES.TECHNOLOGY_REMOVED,
+        significance: 'low',
+        label: 'technology'
+      })
+    ];
+  }
+
+  /**
+   * One change per added/removed item of a list
+   */
+  diffSet(before = [], after = [], { added, removed, significance, label }) {
+    const beforeKeys = new Set(before.map(normalizeKey));
+    const afterKeys = new Set(after.map(normalizeKey));
+    const changes = [];
+
+    if (added) {
+      for (const item of after.filter(value => !beforeKeys.has(normalizeKey(value)))) {
+        changes.push({ changeType: added, significance, summary: `New ${label}: ${item}`, details: { value: item } });
+      }
+    }
+
+    if (removed) {
+      for (const item of before.filter(value => !afterKeys.has(normalizeKey(value)))) {
+        changes.push({ changeType: removed, significance, summary: `Removed ${label}: ${item}`, details: { value: item } });
+      }
+    }
+
+    return changes;
+  }
+
+  diffPricing(before = {}, after = {}) {
+    const beforePrices = before.prices || [];
+    const afterPrices = after.prices || [];
+
+    // No pricing page in one of the snapshots is a crawl gap, not a price change
+    if (beforePrices.length === 0 || afterPrices.length === 0) return [];
+
+    const added = afterPrices.filter(price => !beforePrices.includes(price));
+    const removed = beforePrices.filter(price => !afterPrices.includes(price));
+    if (added.length === 0 && removed.length === 0) return [];
+
+    return [{
+      changeType: CHANGE_TYPES.PRICING_CHANGE,
+      significance: 'high',
+      summary: `Pricing changed: ${[...removed.map(p => `-${p}`), ...added.map(p => `+${p}`)].join(', ')}`,
+      details: {
+        before: beforePrices,
+        after: afterPrices,
+        added,
+        removed,
+        plansBefore: before.plans || [],
+        plansAfter: after.plans || []
+      }
+    }];
+  }
+
+  diffLeadership(before = [], after = []) {
+    const names = list => new Map(list.map(entry => [normalizeKey(entry.name), entry]));
+    const beforeByName = names(before);
+    const afterByName = names(after);
+    const changes = [];
+
+    for (const [key, entry] of afterByName) {
+      const previous = beforeByName.get(key);
+      if (!previous) {
+        changes.push({
+          changeType: CHANGE_TYPES.LEADERSHIP_CHANGE,
+          significance: 'high',
+          summary: `New leader: ${entry.name} (${entry.title})`,
+          details: { change: 'added', ...entry }
+        });
+      } else if (normalizeKey(previous.title) !== normalizeKey(entry.title)) {
+        changes.push({
+          changeType: CHANGE_TYPES.LEADERSHIP_CHANGE,
+          significance: 'medium',
+          summary: `${entry.name} is now ${entry.title} (was ${previous.title})`,
+          details: { change: 'title_changed', name: entry.name, title: entry.title, previousTitle: previous.title }
+        });
+      }
+    }
+
+    for (const [key, entry] of beforeByName) {
+      if (!afterByName.has(key)) {
+        changes.push({
+          changeType: CHANGE_TYPES.LEADERSHIP_CHANGE,
+          significance: 'high',
+          summary: `Leader no longer listed: ${entry.name} (${entry.title})`,
+          details: { change: 'removed', ...entry }
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  diffMessaging(before = {}, after = {}) {
+    const changes = [];
+
+    for (const field of ['headline', 'title', 'description']) {
+      const previous = before[field] || '';
+      const next = after[field] || '';
+      if (!previous || !next) continue;
+
+      const similarity = this.similarity(previous, next);
+      if (similarity < MESSAGING_SIMILARITY_THRESHOLD) {
+        changes.push({
+          changeType: CHANGE_TYPES.MESSAGING_CHANGE,
+          significance: field === 'description' ? 'low' : 'medium',
+          summary: `Homepage ${field} changed: "${next}"`,
+          details: { field, before: previous, after: next, similarity: Math.round(similarity * 100) / 100 }
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Word-set Jaccard similarity, ignoring case, punctuation and word order
+   * @returns {number} 0-1
+   */
+  similarity(a, b) {
+    const words = text => new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const setA = words(a);
+    const setB = words(b);
+    if (setA.size === 0 && setB.size === 0) return 1;
+
+    const intersection = [...setA].filter(word => setB.has(word)).length;
+    return intersection / (setA.size + setB.size - intersection);
+  }
+}
+
+function clean(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function splitHeadings(headings) {
+  if (Array.isArray(headings)) return headings.map(clean).filter(Boolean);
+  return String(headings || '').split(' | ').map(clean).filter(Boolean);
+}
+
+function toPath(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.replace(/\/$/, '') || '/';
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Paths of the snapshot's crawled pages in the given categories (all pages for null),
+ * as a comparable key
+ */
+function sourcePaths(snapshot, categories) {
+  return (snapshot.pages || [])
+    .filter(page => !categories || categories.includes(page.category))
+    .map(page => page.path)
+    .sort()
+    .join('\n');
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = normalizeKey(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function normalizeKey(value) {
+  if (value && typeof value === 'object') return normalizeKey(value.name);
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function extractPrices(content) {
+  return (String(content || '').match(PRICE_PATTERN) || [])
+    .map(price => price.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Job title from a careers URL slug, e.g. /careers/senior-backend-engineer
+ */
+function jobFromUrl(url) {
+  const segments = toPath(url).split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+
+  let slug;
+  try {
+    slug = decodeURIComponent(segments[segments.length - 1]);
+  } catch (error) {
+    // Malformed escapes such as /careers/100%-remote-engineer
+    return null;
+  }
+
+  const title = slug
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\d+\b/g, '')
+    .trim();
+  if (!ROLE_PATTERN.test(title)) return null;
+
+  return title.replace(/\b\w/g, char => char.toUpperCase());
+}
+
+/**
+ * People with leadership titles: "Jane Doe, CEO" or "CEO: Jane Doe"
+ */
+function extractLeaders(text) {
+  const leaders = [];
+
+  for (const match of text.matchAll(NAME_THEN_TITLE)) {
+    const title = TITLE_AT_START.exec(text.substring(match.index + match[0].length));
+    if (title && !TITLE_AT_START.test(match[1])) {
+      leaders.push({ name: clean(match[1]), title: clean(title[0]) });
+    }
+  }
+
+  for (const match of text.matchAll(TITLE_ANYWHERE)) {
+    const name = NAME_AT_START.exec(text.substring(match.index + match[0].length));
+    if (name && !TITLE_AT_START.test(name[1])) {
+      leaders.push({ name: clean(name[1]), title: clean(match[0]) });
+    }
+  }
+
+  return leaders;
+}
+
+SnapshotDiffService.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = SnapshotDiffService;
@@ -0,0 +1,339 @@
+/**
+ * Structured Data Extractor
+ *
+ * Pulls cheap, reliable company facts out of page markup:
+ * - schema.org JSON-LD and microdata (Organization, LocalBusiness, Product, PostalAddress, sameAs)
+ * - OpenGraph and Twitter card metadata
+ * - Favicon, touch icon and logo URLs
+ *
+ * Must run on the raw document, before script tags are stripped.
+ */
+
+const ORGANIZATION_TYPES = new Set([
+  'organization', 'corporation', 'localbusiness', 'professionalservice', 'store',
+  'onlinestore', 'onlinebusiness', 'ngo', 'educationalorganization',
+  'medicalorganization', 'governmentorganization', 'newsmediaorganization',
+  'sportsorganization', 'airline', 'consortium', 'fundingscheme', 'researchorganization'
+]);
+
+const PRODUCT_TYPES = new Set(['product', 'softwareapplication', 'service', 'webapplication']);
+
+const MAX_PRODUCTS = 10;
+
+class StructuredDataExtractor {
+  /**
+   * Extract normalized structured data from a page
+   * @param {Function} $ - Cheerio root (scripts still present)
+   * @param {string} pageUrl - Page URL used to resolve relative links
+   * @returns {Object} { organization, products, openGraph, twitter, icons }
+   */
+  extract($, pageUrl) {
+    const nodes = [...this.parseJsonLd($), ...this.parseMicrodata($)];
+
+    const organizationNode = nodes.find(node => this.hasType(node, ORGANIZATION_TYPES));
+    const products = nodes
+      .filter(node => this.hasType(node, PRODUCT_TYPES))
+      .slice(0, MAX_PRODUCTS)
+      .map(node => this.normalizeProduct(node, pageUrl));
+
+    const organization = organizationNode ? this.normalizeOrganization(organizationNode, pageUrl) : null;
+
+    return {
+      organization,
+      products,
+      openGraph: this.extractMetaGroup($, 'property', 'og:'),
+      twitter: this.extractMetaGroup($, 'name', 'twitter:'),
+      icons: this.extractIcons($, pageUrl, organization)
+    };
+  }
+
+  /**
+   * Merge structured data from several pages of one site; earlier pages win per field
+   * @param {Array<Object>} items - Structured objects, homepage first
+   * @returns {Object|null} Merged structured object
+   */
+  merge(items) {
+    const present = items.filter(Boolean);
+    if (present.length === 0) return null;
+
+    const organizations = present.map(s => s.organization).filter(Boolean);
+    let organization = null;
+    if (organizations.length > 0) {
+      organization = organizations.reduce((merged, org) => {
+        for (const [key, value] of Object.entries(org)) {
+          if (key === 'sameAs') {
+            merged.sameAs = [...new Set([...(merged.sameAs || []), ...value])];
+          } else if (merged[key] === undefined || merged[key] === null) {
+            merged[key] = value;
+          }
+        }
+        return merged;
+      }, {});
+    }
+
+    const seenProducts = new Set();
+    const products = present.flatMap(s => s.products || []).filter(product => {
+      const key = (product.name || '').toLowerCase();
+      if (!key || seenProducts.has(key)) return false;
+      seenProducts.add(key);
+      return true;
+    }).slice(0, MAX_PRODUCTS);
+
+    return {
+      organization,
+      products,
+      openGraph: present[0].openGraph,
+      twitter: present[0].twitter,
+      icons: present[0].icons
+    };
+  }
+
+  /**
+   * Short fact sheet for AI prompts
+   * @param {Object} structured - Output of extract()/merge()
+   * @returns {string} One fact per line, empty if nothing useful
+   */
+  summarize(structured) {
+    if (!structured) return '';
+
+    const lines = [];
+    const org = structured.organization;
+
+    if (org) {
+      if (org.legalName || org.name) lines.push(`Legal name: ${org.legalName || org.name}`);
+      if (org.type) lines.push(`Entity type: ${org.type}`);
+      if (org.foundingDate) lines.push(`Founded: ${org.foundingDate}`);
+      if (org.numberOfEmployees) lines.push(`Employees: ${org.numberOfEmployees}`);
+      if (org.address) {
+        const address = [org.address.locality, org.address.region, org.address.country]
+          .filter(Boolean).join(', ');
+        if (address) lines.push(`Location: ${address}`);
+      }
+      if (org.description) lines.push(`Self-description: ${org.description.substring(0, 300)}`);
+      if (org.sameAs && org.sameAs.length > 0) lines.push(`Profiles: ${org.sameAs.join(', ')}`);
+    }
+
+    if (structured.products && structured.products.length > 0) {
+      lines.push(`Products: ${structured.products.map(p => p.name).filter(Boolean).join(', ')}`);
+    }
+
+    if (structured.openGraph && structured.openGraph.site_name && !(org && org.name)) {
+      lines.push(`Site name: ${structured.openGraph.site_name}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Parse all JSON-LD blocks into a flat list of nodes (expands @graph and nested entities)
+   */
+  parseJsonLd($) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      const raw = $(el).contents().text().trim();
+      if (!raw) return;
+
+      try {
+        this.collectNodes(JSON.parse(raw), nodes, 0);
+      } catch (error) {
+        // Many sites ship invalid JSON-LD; ignore the block
+      }
+    });
+
+    return nodes;
+  }
+
+  collectNodes(value, nodes, depth) {
+    if (!value || typeof value !== 'object' || depth > 5) return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectNodes(item, nodes, depth + 1));
+      return;
+    }
+
+    if (value['@type']) nodes.push(value);
+    if (value['@graph']) this.collectNodes(value['@graph'], nodes, depth + 1);
+
+    // Organizations often appear only as a publisher/brand/provider of another entity
+    ['publisher', 'brand', 'provider', 'manufacturer', 'author', 'mainEntity'].forEach(key => {
+      if (value[key] && typeof value[key] === 'object') {
+        this.collectNodes(value[key], nodes, depth + 1);
+      }
+    });
+  }
+
+  /**
+   * Parse top-level microdata items into JSON-LD-like nodes
+   */
+  parseMicrodata($) {
+    const nodes = [];
+
+    $('[itemscope][itemtype]').each((i, el) => {
+      if ($(el).parents('[itemscope]').length > 0) return;
+      nodes.push(this.readMicrodataItem($, el, 0));
+    });
+
+    return nodes;
+  }
+
+  readMicrodataItem($, el, depth) {
+    const itemtype = $(el).attr('itemtype') || '';
+    const node = { '@type': itemtype.split(/\s+/)[0].split('/').pop() };
+
+    $(el).find('[itemprop]').each((i, propEl) => {
+      // Only direct properties of this item, not of nested items
+      const owner = $(propEl).parents('[itemscope]').first();
+      if (owner.length === 0 || owner[0] !== el) return;
+
+      const name = $(propEl).attr('itemprop');
+      let value;
+
+      if ($(propEl).is('[itemscope]')) {
+        value = depth < 3 ? this.readMicrodataItem($, propEl, depth + 1) : null;
+      } else {
+        value = $(propEl).attr('content') || $(propEl).attr('href') ||
+                $(propEl).attr('src') || $(propEl).attr('datetime') ||
+                $(propEl).text().replace(/\s+/g, ' ').trim();
+      }
+
+      if (value === null || value === '') return;
+
+      if (node[name] === undefined) {
+        node[name] = value;
+      } else {
+        node[name] = [].concat(node[name], value);
+      }
+    });
+
+    return node;
+  }
+
+  hasType(node, types) {
+    return [].concat(node['@type'] || [])
+      .some(type => types.has(String(type).split('/').pop().toLowerCase()));
+  }
+
+  normalizeOrganization(node, pageUrl) {
+    const address = [].concat(node.address || [])[0];
+    const employees = node.numberOfEmployees;
+
+    return {
+      type: [].concat(node['@type'])[0],
+      name: this.text(node.name),
+      legalName: this.text(node.legalName),
+      url: this.resolveUrl(this.text(node.url), pageUrl),
+      logo: this.resolveUrl(this.imageUrl(node.logo), pageUrl),
+      description: this.text(node.description),
+      foundingDate: this.text(node.foundingDate),
+      numberOfEmployees: employees && typeof employees === 'object' ?
+        this.text(employees.value) || [employees.minValue, employees.maxValue].filter(Boolean).join('-') || null :
+        this.text(employees),
+      email: this.text(node.email)?.replace(/^mailto:/i, '') || null,
+      telephone: this.text(node.telephone),
+      address: address ? this.normalizeAddress(address) : null,
+      sameAs: [].concat(node.sameAs || []).map(url => this.text(url)).filter(Boolean)
+    };
+  }
+
+  normalizeAddress(address) {
+    if (typeof address === 'string') {
+      return { streetAddress: address, locality: null, region: null, postalCode: null, country: null };
+    }
+
+    const country = address.addressCountry;
+
+    return {
+      streetAddress: this.text(address.streetAddress),
+      locality: this.text(address.addressLocality),
+      region: this.text(address.addressRegion),
+      postalCode: this.text(address.postalCode),
+      country: country && typeof country === 'object' ? this.text(country.name) : this.text(country)
+    };
+  }
+
+  normalizeProduct(node, pageUrl) {
+    const offer = [].concat(node.offers || [])[0];
+    const brand = node.brand;
+
+    return {
+      type: [].concat(node['@type'])[0],
+      name: this.text(node.name),
+      description: this.text(node.description)?.substring(0, 300) || null,
+      brand: brand && typeof brand === 'object' ? this.text(brand.name) : this.text(brand),
+      url: this.resolveUrl(this.text(node.url), pageUrl),
+      price: offer && typeof offer === 'object' ? this.text(offer.price || offer.lowPrice) : null,
+      priceCurrency: offer && typeof offer === 'object' ? this.text(offer.priceCurrency) : null
+    };
+  }
+
+  /**
+   * Collect <meta> tags sharing a prefix, keyed without the prefix (og:site_name -> site_name)
+   */
+  extractMetaGroup($, attribute, prefix) {
+    const group = {};
+
+    $(`meta[${attribute}^="${prefix}"]`).each((i, el) => {
+      const key = $(el).attr(attribute).slice(prefix.length).replace(/:/g, '_');
+      const content = ($(el).attr('content') || '').trim();
+      if (key && content && group[key] === undefined) {
+        group[key] = content;
+      }
+    });
+
+    // Some sites use name= for OpenGraph and property= for Twitter
+    if (Object.keys(group).length === 0) {
+      const other = attribute === 'property' ? 'name' : 'property';
+      $(`meta[${other}^="${prefix}"]`).each((i, el) => {
+        const key = $(el).attr(other).slice(prefix.length).replace(/:/g, '_');
+        const content = ($(el).attr('content') || '').trim();
+        if (key && content && group[key] === undefined) {
+          group[key] = content;
+        }
+      });
+    }
+
+    return group;
+  }
+
+  extractIcons($, pageUrl, organization) {
+    const favicon = $('link[rel~="icon"]').first().attr('href') ||
+                    $('link[rel="shortcut icon"]').first().attr('href') ||
+                    '/favicon.ico';
+    const appleTouchIcon = $('link[rel~="apple-touch-icon"]').first().attr('href') || null;
+
+    return {
+      favicon: this.resolveUrl(favicon, pageUrl),
+      appleTouchIcon: this.resolveUrl(appleTouchIcon, pageUrl),
+      logo: (organization && organization.logo) ||
+            this.resolveUrl($('meta[property="og:logo"]').attr('content'), pageUrl) ||
+            null
+    };
+  }
+
+  imageUrl(value) {
+    if (!value) return null;
+    if (Array.isArray(value)) return this.imageUrl(value[0]);
+    if (typeof value === 'object') return this.text(value.url || value.contentUrl);
+    return this.text(value);
+  }
+
+  text(value) {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) return this.text(value[0]);
+    if (typeof value === 'object') return this.text(value['@value'] || value.name || null);
+    const str = String(value).replace(/\s+/g, ' ').trim();
+    return str || null;
+  }
+
+  resolveUrl(value, pageUrl) {
+    if (!value) return null;
+    try {
+      return new URL(value, pageUrl).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = StructuredDataExtractor;
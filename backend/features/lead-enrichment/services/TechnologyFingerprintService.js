@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Technology Fingerprint Service
+ *
+ * Detects the technologies a website runs from signals the scraper already has:
+ * script src URLs, inline script globals, meta tags (generator etc.), response
+ * headers, cookies, DOM markers and raw HTML patterns.
+ *
+ * Signatures live in services/signatures/technologies.json. Set
+ * TECH_SIGNATURES_PATH to a JSON file in the same format to add or override
+ * signatures without a deploy; call reloadSignatures() to pick up changes.
+ */
+
+const BUNDLED_SIGNATURES_PATH = path.join(__dirname, 'signatures', 'technologies.json');
+
+// Default confidence contributed by each kind of matching signal (0-100)
+const SIGNAL_CONFIDENCE = {
+  headers: 90,
+  meta: 95,
+  cookies: 80,
+  scripts: 80,
+  dom: 70,
+  globals: 60,
+  html: 50
+};
+
+const FILTER_LISTS = ['include_any', 'include_all', 'exclude'];
+const MAX_FILTER_TERMS = 50;
+
+let cachedSignatures = null;
+
+class TechnologyFingerprintService {
+  constructor() {
+    this.signatures = TechnologyFingerprintService.loadSignatures();
+  }
+
+  /**
+   * Load bundled signatures merged with the optional TECH_SIGNATURES_PATH file.
+   * Patterns are compiled once per process.
+   * @returns {{version: string, technologies: Object}}
+   */
+  static loadSignatures() {
+    if (cachedSignatures) return cachedSignatures;
+
+    const bundled = JSON.parse(fs.readFileSync(BUNDLED_SIGNATURES_PATH, 'utf8'));
+    let technologies = { ...bundled.technologies };
+    let version = bundled.version;
+
+    if (process.env.TECH_SIGNATURES_PATH) {
+      try {
+        const custom = JSON.parse(fs.readFileSync(process.env.TECH_SIGNATURES_PATH, 'utf8'));
+        technologies = { ...technologies, ...custom.technologies };
+        version = `${version}+${custom.version || 'custom'}`;
+      } catch (error) {
+        console.error('Failed to load custom technology signatures:', error.message);
+      }
+    }
+
+    cachedSignatures = {
+      version,
+      technologies: Object.fromEntries(
+        Object.entries(technologies).map(([name, signature]) => [name, compileSignature(signature)])
+      )
+    };
+
+    return cachedSignatures;
+  }
+
+  /**
+   * Drop cached signatures so the next instance re-reads the signature files
+   */
+  static reloadSignatures() {
+    cachedSignatures = null;
+    return TechnologyFingerprintService.loadSignatures();
+  }
+
+  /**
+   * Validate a request's technology_filter
+   * @param {*} input - { include_any, include_all, exclude, min_confidence } or null
+   * @returns {{filter: Object|null, errors: Array<string>}}
+   */
+  static normalizeFilter(input) {
+    if (input === undefined || input === null) {
+      return { filter: null, errors: [] };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { filter: null, errors: ['technology_filter must be an object'] };
+    }
+
+    const errors = [];
+    const filter = {};
+
+    for (const key of Object.keys(input)) {
+      if (!FILTER_LISTS.includes(key) && key !== 'min_confidence') {
+        errors.push(`technology_filter.${key} is not a supported option`);
+      }
+    }
+
+    for (const key of FILTER_LISTS) {
+      const terms = input[key] ?? [];
+      if (!Array.isArray(terms) || terms.length > MAX_FILTER_TERMS ||
+          terms.some(term => typeof term !== 'string' || !term.trim())) {
+        errors.push(`technology_filter.${key} must be an array of at most ${MAX_FILTER_TERMS} non-empty strings`);
+        continue;
+      }
+      filter[key] = terms.map(term => term.trim());
+    }
+
+    const minConfidence = input.min_confidence ?? 50;
+    if (typeof minConfidence !== 'number' || !Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+      errors.push('technology_filter.min_confidence must be a number from 0 to 100');
+    }
+    filter.min_confidence = minConfidence;
+
+    return errors.length > 0 ? { filter: null, errors } : { filter, errors };
+  }
+
+  /**
+   * Detect technologies on a page
+   * @param {Object} params
+   * @param {Function} params.$ - Cheerio root (scripts still present)
+   * @param {string} params.html - Raw HTML
+   * @param {Object} params.headers - Response headers (lowercase keys)
+   * @returns {Array<{name, category, confidence, evidence}>} Sorted by confidence
+   */
+  detect({ $, html = '', headers = {} }) {
+    const signals = this.collectSignals($, html, headers);
+    const detected = new Map();
+
+    for (const [name, signature] of Object.entries(this.signatures.technologies)) {
+      const evidence = this.matchSignature(signature, signals);
+      if (evidence.length === 0) continue;
+
+      // Independent signals reinforce each other: 1 - Π(1 - c)
+      const miss = evidence.reduce((product, e) => product * (1 - e.confidence / 100), 1);
+      detected.set(name, {
+        name,
+        category: signature.category,
+        confidence: Math.round((1 - miss) * 100),
+        evidence: evidence.map(e => e.signal)
+      });
+    }
+
+    // Implied technologies (Next.js -> React) inherit a slightly lower confidence
+    for (const technology of [...detected.values()]) {
+      for (const implied of this.signatures.technologies[technology.name].implies || []) {
+        if (detected.has(implied) || !this.signatures.technologies[implied]) continue;
+        detected.set(implied, {
+          name: implied,
+          category: this.signatures.technologies[implied].category,
+          confidence: Math.max(technology.confidence - 10, 0),
+          evidence: [`implied by ${technology.name}`]
+        });
+      }
+    }
+
+    return [...detected.values()].sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Merge detections from several pages, keeping the highest confidence per technology
+   * @param {Array<Array>} lists - Detection lists
+   * @returns {Array} Merged detections
+   */
+  merge(lists) {
+    const merged = new Map();
+
+    for (const technology of lists.filter(Boolean).flat()) {
+      const existing = merged.get(technology.name);
+      if (!existing || technology.confidence > existing.confidence) {
+        merged.set(technology.name, technology);
+      }
+    }
+
+    return [...merged.values()].sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Check detections against a hard technology filter.
+   * Terms match a technology name or, with a "category:" prefix, a category.
+   * @param {Array} technologies - Detections for a lead
+   * @param {Object} filter - { include_any, include_all, exclude, min_confidence }
+   * @returns {{passed: boolean, matched: Array<string>, reason: string|null}}
+   */
+  applyFilter(technologies, filter = {}) {
+    const minConfidence = filter.min_confidence ?? 50;
+    const present = (technologies || []).filter(t => t.confidence >= minConfidence);
+
+    const matches = term => present.filter(t => {
+      const value = String(term).toLowerCase();
+      return value.startsWith('category:') ?
+        t.category === value.slice('category:'.length) :
+        t.name.toLowerCase() === value;
+    });
+
+    const excluded = (filter.exclude || []).filter(term => matches(term).length > 0);
+    if (excluded.length > 0) {
+      return { passed: false, matched: [], reason: `Uses excluded technology: ${excluded.join(', ')}` };
+    }
+
+    const includeAll = filter.include_all || [];
+    const missing = includeAll.filter(term => matches(term).length === 0);
+    if (missing.length > 0) {
+      return { passed: false, matched: [], reason: `Missing required technology: ${missing.join(', ')}` };
+    }
+
+    const includeAny = filter.include_any || [];
+    const anyMatched = includeAny.flatMap(term => matches(term).map(t => t.name));
+    if (includeAny.length > 0 && anyMatched.length === 0) {
+      return { passed: false, matched: [], reason: `None of: ${includeAny.join(', ')}` };
+    }
+
+    const matched = [...new Set([...includeAll.flatMap(term => matches(term).map(t => t.name)), ...anyMatched])];
+    return { passed: true, matched, reason: null };
+  }
+
+  collectSignals($, html, headers) {
+    const scripts = [];
+    const inlineScripts = [];
+    const meta = {};
+
+    $('script').each((i, el) => {
+      const src = $(el).attr('src');
+      if (src) {
+        scripts.push(src);
+      } else {
+        inlineScripts.push($(el).html() || '');
+      }
+    });
+
+    // Preloads and stylesheets often reveal the same CDNs as scripts
+    $('link[href]').each((i, el) => {
+      const rel = ($(el).attr('rel') || '').toLowerCase();
+      if (/preload|modulepreload|prefetch|stylesheet|preconnect|dns-prefetch/.test(rel)) {
+        scripts.push($(el).attr('href'));
+      }
+    });
+
+    $('meta[name], meta[property]').each((i, el) => {
+      const key = ($(el).attr('name') || $(el).attr('property')).toLowerCase();
+      if (meta[key] === undefined) meta[key] = $(el).attr('content') || '';
+    });
+
+    const setCookie = [].concat(headers['set-cookie'] || []);
+    const cookies = setCookie.map(cookie => cookie.split('=')[0].trim());
+
+    const normalizedHeaders = {};
+    for (const [key, value] of Object.entries(headers)) {
+      if (key.toLowerCase() === 'set-cookie') continue;
+      normalizedHeaders[key.toLowerCase()] = [].concat(value).join(', ');
+    }
+
+    return {
+      $,
+      scripts,
+      inlineScript: inlineScripts.join('\n').substring(0, 200000),
+      meta,
+      headers: normalizedHeaders,
+      cookies,
+      html: String(html || '').substring(0, 500000)
+    };
+  }
+
+  matchSignature(signature, signals) {
+    const evidence = [];
+    const add = (type, signal) => evidence.push({
+      signal,
+      confidence: signature.confidence || SIGNAL_CONFIDENCE[type]
+    });
+
+    for (const pattern of signature.scripts) {
+      const src = signals.scripts.find(s => pattern.test(s));
+      if (src) {
+        add('scripts', `script: ${src.substring(0, 120)}`);
+        break;
+      }
+    }
+
+    for (const [name, pattern] of signature.meta) {
+      if (signals.meta[name] !== undefined && pattern.test(signals.meta[name])) {
+        add('meta', `meta ${name}: ${signals.meta[name].substring(0, 80)}`);
+      }
+    }
+
+    for (const [name, pattern] of signature.headers) {
+      if (signals.headers[name] !== undefined && pattern.test(signals.headers[name])) {
+        add('headers', `header ${name}`);
+      }
+    }
+
+    for (const pattern of signature.cookies) {
+      const cookie = signals.cookies.find(c => pattern.test(c));
+      if (cookie) add('cookies', `cookie ${cookie}`);
+    }
+
+    for (const global of signature.globals) {
+      if (global.pattern.test(signals.inlineScript)) {
+        add('globals', `global ${global.name}`);
+        break;
+      }
+    }
+
+    for (const selector of signature.dom) {
+      try {
+        if (signals.$(selector).length > 0) {
+          add('dom', `dom ${selector}`);
+          break;
+        }
+      } catch (error) {
+        // Invalid selector in a custom signature file
+      }
+    }
+
+    for (const pattern of signature.html) {
+      if (pattern.test(signals.html)) {
+        add('html', `html /${pattern.source}/`);
+        break;
+      }
+    }
+
+    return evidence;
+  }
+}
+
+function compileSignature(signature) {
+  const regex = value => new RegExp(value, 'i');
+  const escapeName = name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return {
+    category: signature.category || 'other',
+    confidence: signature.confidence,
+    implies: signature.implies || [],
+    scripts: (signature.scripts || []).map(regex),
+    html: (signature.html || []).map(regex),
+    dom: signature.dom || [],
+    meta: Object.entries(signature.meta || {}).map(([name, value]) => [name.toLowerCase(), regex(value)]),
+    headers: Object.entries(signature.headers || {}).map(([name, value]) => [name.toLowerCase(), regex(value)]),
+    cookies: Object.keys(signature.cookies || {}).map(name => new RegExp(`^${name}`, 'i')),
+    // Globals are detected statically: references like `window.Shopify`, `Shopify.x` or `Shopify =`
+    globals: (signature.globals || []).map(name => ({
+      name,
+      pattern: new RegExp(`(?:window\\.|\\b)${escapeName(name)}\\s*(?:[.=[(]|\\|\\|)`)
+    }))
+  };
+}
+
+module.exports = TechnologyFingerprintService;
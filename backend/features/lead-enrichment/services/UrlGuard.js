@@ -0,0 +1,208 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { SCRAPE_STATUS, ScrapeError } = require('./ScrapeStatus');
+
+/**
+ * URL Guard
+ *
+ * Server-side request forgery protection for user-supplied URLs. Every scraper
+ * fetch (pages, sitemaps, robots.txt) goes through it:
+ * - Only http/https on the default ports (80/443)
+ * - Hostnames must resolve to public addresses only: private, loopback,
+ *   link-local, CGNAT, multicast, documentation and cloud metadata ranges are blocked
+ * - The guarded HTTP agents re-check the address at connect time, so a DNS answer
+ *   that changes between the check and the request (DNS rebinding) is still blocked
+ * - Redirects are re-checked on every hop and capped at MAX_REDIRECTS
+ */
+
+const MAX_REDIRECTS = 5;
+const ALLOWED_PORTS = ['', '80', '443'];
+
+const BLOCKED_HOSTNAMES = /^(localhost|metadata|metadata\.google\.internal|instance-data)$|\.(localhost|internal|local|localdomain|home\.arpa)$/i;
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // CGNAT, also Alibaba Cloud metadata (100.100.100.200)
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // Link-local, AWS/GCP/Azure metadata (169.254.169.254)
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges by BlockList
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // Unique local, AWS IPv6 metadata (fd00:ec2::254)
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+let sharedGuard = null;
+
+class UrlGuard {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.allowPrivateNetworks - Disable address checks (local development only)
+   * @param {Function} options.lookup - DNS lookup, defaults to dns.lookup
+   */
+  constructor(options = {}) {
+    this.allowPrivateNetworks = !!options.allowPrivateNetworks;
+    this.dnsLookup = options.lookup || dns.lookup;
+    this.maxRedirects = MAX_REDIRECTS;
+
+    const lookup = this.guardedLookup.bind(this);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Process-wide guard, so its agents (and their connection pools) are reused
+   * @returns {UrlGuard}
+   */
+  static getShared() {
+    if (!sharedGuard) {
+      sharedGuard = new UrlGuard();
+    }
+    return sharedGuard;
+  }
+
+  /**
+   * Check a URL and the addresses its host resolves to
+   * @param {string} url - Absolute URL
+   * @throws {ScrapeError} blocked_by_url_policy
+   */
+  async checkUrl(url) {
+    const parsed = this.checkUrlSyntax(url);
+    const hostname = stripBrackets(parsed.hostname);
+
+    if (net.isIP(hostname) || this.allowPrivateNetworks) return;
+
+    const addresses = await new Promise((resolve, reject) => {
+      this.dnsLookup(hostname, { all: true }, (error, results) => error ? reject(error) : resolve(results));
+    });
+
+    for (const { address } of addresses) {
+      this.checkAddress(address, hostname);
+    }
+  }
+
+  /**
+   * Checks that need no DNS: scheme, port, hostname and literal IPs
+   * @param {string} url - Absolute URL
+   * @returns {URL} Parsed URL
+   * @throws {ScrapeError} blocked_by_url_policy
+   */
+  checkUrlSyntax(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ScrapeError(SCRAPE_STATUS.INVALID_URL, `Invalid URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw blockedError(`Scheme ${parsed.protocol} is not allowed`, url);
+    }
+
+    if (!ALLOWED_PORTS.includes(parsed.port)) {
+      throw blockedError(`Port ${parsed.port} is not allowed`, url);
+    }
+
+    if (this.allowPrivateNetworks) return parsed;
+
+    const hostname = stripBrackets(parsed.hostname);
+    if (BLOCKED_HOSTNAMES.test(hostname.replace(/\.$/, ''))) {
+      throw blockedError(`Host ${hostname} is internal`, url);
+    }
+
+    if (net.isIP(hostname)) {
+      this.checkAddress(hostname, hostname, url);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * @param {string} address - Resolved IP
+   * @param {string} hostname - Host it was resolved from (for the error message)
+   * @param {string} url - URL being fetched, if known
+   * @throws {ScrapeError} blocked_by_url_policy
+   */
+  checkAddress(address, hostname, url = null) {
+    if (this.allowPrivateNetworks) return;
+
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (blockList.check(address, type)) {
+      const message = hostname === address ?
+        `Address ${address} is blocked` :
+        `${hostname} resolves to blocked address ${address}`;
+      throw blockedError(message, url, address);
+    }
+  }
+
+  /**
+   * dns.lookup replacement for the guarded agents: fails the connection if any
+   * resolved address is blocked
+   */
+  guardedLookup(hostname, options, callback) {
+    this.dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      try {
+        for (const { address } of addresses) {
+          this.checkAddress(address, hostname);
+        }
+      } catch (blocked) {
+        return callback(blocked);
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Axios options that enforce the guard on connections and redirects
+   * @returns {Object} { httpAgent, httpsAgent, maxRedirects, beforeRedirect }
+   */
+  axiosOptions() {
+    return {
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      maxRedirects: this.maxRedirects,
+      beforeRedirect: (options) => {
+        this.checkUrlSyntax(options.href || `${options.protocol}//${options.hostname}${options.path}`);
+      }
+    };
+  }
+}
+
+function stripBrackets(hostname) {
+  return hostname.replace(/^\[|\]$/g, '');
+}
+
+function blockedError(message, url, address = null) {
+  const error = new ScrapeError(SCRAPE_STATUS.BLOCKED_BY_URL_POLICY, message, { blockedAddress: address });
+  // Keeps the classification when axios wraps the error
+  error.code = 'ERR_URL_BLOCKED';
+  error.url = url;
+  return error;
+}
+
+module.exports = UrlGuard;
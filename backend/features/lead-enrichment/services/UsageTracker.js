@@ -0,0 +1,98 @@
+const AIUsage = require('../models/AIUsage');
+const { computeCost } = require('./llm/LLMPricing');
+
+/**
+ * Usage Tracker
+ *
+ * Collects the AI calls made while serving one request: tokens, model,
+ * latency and cost. Controllers return summary() in the response metadata
+ * and persist() the calls for the /usage report.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} context
+   * @param {string} context.organizationId
+   * @param {string} context.userId
+   * @param {string} context.endpoint - Feature route, e.g. '/enrich'
+   */
+  constructor({ organizationId = null, userId = null, endpoint = null } = {}) {
+    this.organizationId = organizationId;
+    this.userId = userId;
+    this.endpoint = endpoint;
+    this.calls = [];
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} call - { provider, model, inputTokens, outputTokens, latencyMs, success }
+   */
+  record({ provider, model, inputTokens = 0, outputTokens = 0, latencyMs = 0, success = true }) {
+    const { costUsd, priced } = computeCost({ provider, model, inputTokens, outputTokens });
+    this.calls.push({ provider, model, inputTokens, outputTokens, latencyMs, success, costUsd, priced });
+  }
+
+  /**
+   * Totals for the response metadata
+   */
+  summary() {
+    const totals = {
+      calls: this.calls.length,
+      failed_calls: 0,
+      input_tokens: 0,
+      output_tokens: 0,
+      total_tokens: 0,
+      cost_usd: 0,
+      unpriced_calls: 0,
+      latency_ms: 0,
+      by_model: {}
+    };
+
+    for (const call of this.calls) {
+      totals.failed_calls += call.success ? 0 : 1;
+      totals.input_tokens += call.inputTokens;
+      totals.output_tokens += call.outputTokens;
+      totals.cost_usd += call.costUsd;
+      totals.unpriced_calls += call.priced ? 0 : 1;
+      totals.latency_ms += call.latencyMs;
+
+      const model = totals.by_model[call.model] ||
+        (totals.by_model[call.model] = { provider: call.provider, calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+      model.calls++;
+      model.input_tokens += call.inputTokens;
+      model.output_tokens += call.outputTokens;
+      model.cost_usd += call.costUsd;
+    }
+
+    totals.total_tokens = totals.input_tokens + totals.output_tokens;
+    totals.cost_usd = roundUsd(totals.cost_usd);
+    for (const model of Object.values(totals.by_model)) {
+      model.cost_usd = roundUsd(model.cost_usd);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Store the recorded calls. Never throws; usage accounting must not fail a request.
+   */
+  async persist() {
+    if (this.calls.length === 0) return;
+
+    try {
+      await AIUsage.createMany(this.calls.map(call => ({
+        ...call,
+        organizationId: this.organizationId,
+        userId: this.userId,
+        endpoint: this.endpoint
+      })));
+    } catch (error) {
+      console.error('Failed to persist AI usage:', error.message);
+    }
+  }
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = UsageTracker;
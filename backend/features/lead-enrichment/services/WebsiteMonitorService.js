@@ -0,0 +1,126 @@
+const WebsiteScraperService = require('./WebsiteScraperService');
+const SnapshotDiffService = require('./SnapshotDiffService');
+const WebsiteMonitor = require('../models/WebsiteMonitor');
+const WebsiteSnapshot = require('../models/WebsiteSnapshot');
+const WebsiteChange = require('../models/WebsiteChange');
+
+/**
+ * Website Monitor Service
+ *
+ * Runs monitor checks: crawl the site, build a snapshot, diff it against the
+ * previous stored snapshot and record the detected changes. Snapshots belong
+ * to the monitor, so organizations watching the same domain never share them.
+ *
+ * Nothing schedules checks inside the API process: workers/monitorWorker.js
+ * calls runDueChecks(), or one monitor is checked through POST /monitors/:id/check.
+ */
+
+class WebsiteMonitorService {
+  constructor() {
+    this.diffService = new SnapshotDiffService();
+  }
+
+  /**
+   * Check one monitor now
+   * @param {Object} monitor - website_monitors row
+   * @returns {Promise<{status: Object, snapshot: Object|null, changes: Array, unchanged: boolean}>}
+   */
+  async runCheck(monitor) {
+    console.log(`🔭 Checking monitor ${monitor.id}: ${monitor.url}`);
+
+    const scraperService = new WebsiteScraperService({
+      securityContext: { organizationId: monitor.organization_id, userId: monitor.user_id }
+    });
+    const scraped = await scraperService.scrapeWebsite(monitor.url, {
+      crawl: true,
+      maxPages: monitor.max_pages
+    });
+
+    if (!scraperService.isSuccess(scraped)) {
+      await WebsiteMonitor.markChecked(monitor.id, scraped.status);
+      return { status: scraped.status, snapshot: null, changes: [], unchanged: false };
+    }
+
+    const snapshotData = this.diffService.buildSnapshot(scraped);
+    const previous = await WebsiteSnapshot.findLatest(monitor.id);
+
+    // Identical content: keep the previous snapshot, just record the check
+    if (previous && previous.content_hash === snapshotData.contentHash) {
+      await WebsiteMonitor.markChecked(monitor.id, scraped.status);
+      return { status: scraped.status, snapshot: previous, changes: [], unchanged: true };
+    }
+
+    const snapshot = await WebsiteSnapshot.create({
+      monitorId: monitor.id,
+      domain: monitor.domain,
+      contentHash: snapshotData.contentHash,
+      snapshot: snapshotData
+    });
+
+    const detected = previous ? this.diffService.diff(previous.snapshot, snapshotData) : [];
+    const changes = await WebsiteChange.createMany({
+      monitorId: monitor.id,
+      organizationId: monitor.organization_id,
+      fromSnapshotId: previous?.id || null,
+      toSnapshotId: snapshot.id,
+      changes: detected
+    });
+
+    await WebsiteMonitor.markChecked(monitor.id, scraped.status);
+
+    console.log(`✅ Monitor ${monitor.id}: ${changes.length} changes detected`);
+    return { status: scraped.status, snapshot, changes, unchanged: false };
+  }
+
+  /**
+   * Check every active monitor whose next check is due. Safe to run from
+   * several workers at once: each monitor is claimed by one of them.
+   * @param {number} limit - Max monitors per run
+   * @returns {Promise<{checked: number, failed: number, changes: number}>}
+   */
+  async runDueChecks(limit = 20) {
+    const monitors = await WebsiteMonitor.claimDue(limit);
+    const summary = { checked: 0, failed: 0, changes: 0 };
+
+    for (const monitor of monitors) {
+      try {
+        const result = await this.runCheck(monitor);
+        summary.checked++;
+        summary.changes += result.changes.length;
+      } catch (error) {
+        console.error(`Monitor ${monitor.id} check failed:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Recompute a monitor's change feed from its stored snapshots, without fetching
+   * anything. Use after changing diff rules.
+   * @param {Object} monitor - website_monitors row
+   * @returns {Promise<number>} Number of changes stored
+   */
+  async rebuildChanges(monitor) {
+    const snapshots = await WebsiteSnapshot.findByMonitor(monitor.id);
+    await WebsiteChange.deleteByMonitor(monitor.id);
+
+    let total = 0;
+    for (let i = 1; i < snapshots.length; i++) {
+      const changes = await WebsiteChange.createMany({
+        monitorId: monitor.id,
+        organizationId: monitor.organization_id,
+        fromSnapshotId: snapshots[i - 1].id,
+        toSnapshotId: snapshots[i].id,
+        changes: this.diffService.diff(snapshots[i - 1].snapshot, snapshots[i].snapshot),
+        detectedAt: snapshots[i].captured_at
+      });
+      total += changes.length;
+    }
+
+    return total;
+  }
+}
+
+module.exports = WebsiteMonitorService;
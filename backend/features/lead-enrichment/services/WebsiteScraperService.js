@@ -1,113 +1,623 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const FetchScheduler = require('./FetchScheduler');
+const StructuredDataExtractor = require('./StructuredDataExtractor');
+const ContactExtractor = require('./ContactExtractor');
+const TechnologyFingerprintService = require('./TechnologyFingerprintService');
+const DomainResolver = require('./DomainResolver');
+const HttpBodyReader = require('./HttpBodyReader');
+const UrlGuard = require('./UrlGuard');
+const SecurityEvent = require('../models/SecurityEvent');
+const {
+  SCRAPE_STATUS,
+  ScrapeError,
+  buildStatus,
+  classifyError,
+  classifyContent
+} = require('./ScrapeStatus');
+
+/**
+ * High-value internal page categories for multi-page crawls.
+ * Order matters: a path is assigned to the first category it matches.
+ */
+const PAGE_CATEGORIES = [
+  { category: 'about', pattern: /\/(about|about-us|company|who-we-are|our-story|team|leadership)(\/|$)/i },
+  { category: 'pricing', pattern: /\/(pricing|plans|prices)(\/|$)/i },
+  { category: 'products', pattern: /\/(products?|solutions?|services|platform|features)(\/|$)/i },
+  { category: 'customers', pattern: /\/(customers?|case-studies|clients|success-stories|testimonials)(\/|$)/i },
+  { category: 'careers', pattern: /\/(careers?|jobs|join-us|work-with-us|hiring)(\/|$)/i }
+];
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|docx?|xlsx?|pptx?|xml|json|css|js)$/i;
+
+// Error pages only need enough body to spot bot walls
+const ERROR_BODY_BYTES = 20000;
+
+// Cap on categorized links reported per category in crawl results
+const MAX_DISCOVERED_PER_CATEGORY = 100;
+
+// Upper bound on the crawl page budget a request can ask for (same as monitors)
+const MAX_PAGES_LIMIT = 20;
 
 class WebsiteScraperService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {FetchScheduler} options.scheduler - Defaults to the process-wide shared scheduler
+   * @param {number} options.maxBodyBytes - Byte budget per page; larger pages are truncated
+   * @param {UrlGuard} options.urlGuard - SSRF guard, defaults to the shared guard
+   * @param {Object} options.securityContext - { organizationId, userId } for security events
+   */
+  constructor(options = {}) {
+    this.scheduler = options.scheduler || FetchScheduler.getShared();
+    this.urlGuard = options.urlGuard || UrlGuard.getShared();
+    this.securityContext = options.securityContext || {};
+    this.structuredDataExtractor = new StructuredDataExtractor();
+    this.contactExtractor = new ContactExtractor();
+    this.technologyFingerprintService = new TechnologyFingerprintService();
+    this.domainResolver = new DomainResolver();
     this.timeout = 10000; // 10 seconds
-    this.maxContentLength = 50000; // 50KB max
+    this.maxBodyBytes = options.maxBodyBytes ||
+      parseInt(process.env.SCRAPER_MAX_BODY_BYTES) || 512 * 1024; // 512KB, truncated beyond
+    this.maxSitemapBytes = 5 * 1024 * 1024;
+    this.bodyReader = new HttpBodyReader({ maxBytes: this.maxBodyBytes, timeout: this.timeout });
+    this.defaultMaxPages = 5; // Page budget per domain when crawling
+    this.maxSitemapUrls = 500;
   }
 
   /**
    * Scrape website content for analysis
    * @param {string} url - Website URL
-   * @returns {Promise<Object>} Extracted content
+   * @param {Object} options - Scrape options
+   * @param {boolean} options.crawl - Crawl high-value internal pages as well
+   * @param {number} options.maxPages - Page budget per domain when crawling
+   * @returns {Promise<Object>} Extracted content with `status.code === 'ok'`, or a failure
+   *   result whose `status` explains why nothing was scraped (see ScrapeStatus)
    */
-  async scrapeWebsite(url) {
+  async scrapeWebsite(url, options = {}) {
     if (!url || !url.startsWith('http')) {
       console.log(`Invalid URL: ${url}`);
-      return null;
+      return this.buildFailureResult(url, new ScrapeError(SCRAPE_STATUS.INVALID_URL, `Invalid URL: ${url}`));
+    }
+
+    if (options.crawl) {
+      return this.crawlWebsite(url, options);
     }
 
     try {
       console.log(`Scraping website: ${url}`);
-      
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9',
-        },
-        timeout: this.timeout,
-        maxContentLength: this.maxContentLength,
-        validateStatus: (status) => status < 400
-      });
 
-      const html = response.data;
-      const $ = cheerio.load(html);
-
-      // Remove script, style, and other non-content tags
-      $('script, style, noscript, iframe, nav, footer, header').remove();
-
-      // Extract metadata
-      const title = $('title').text().trim() || 
-                   $('meta[property="og:title"]').attr('content') || 
-                   $('h1').first().text().trim() || 
-                   '';
-
-      const description = $('meta[name="description"]').attr('content') || 
-                         $('meta[property="og:description"]').attr('content') || 
-                         '';
-
-      // Extract main content
-      const bodyText = $('body').text()
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 5000); // Limit to first 5000 chars
-
-      // Extract headings
-      const headings = [];
-      $('h1, h2, h3').each((i, el) => {
-        const text = $(el).text().trim();
-        if (text && headings.length < 10) {
-          headings.push(text);
-        }
-      });
+      const { html, headers, finalUrl, truncated } = await this.fetchPage(url);
+      const { page } = this.parsePage(finalUrl, html, headers);
 
       return {
+        ...page,
+        url,
+        finalUrl,
+        truncated,
+        canonicalDomain: this.domainResolver.canonicalDomain(finalUrl),
+        status: buildStatus(SCRAPE_STATUS.OK)
+      };
+
+    } catch (error) {
+      return this.buildFailureResult(url, error);
+    }
+  }
+
+  /**
+   * Result for a URL that could not be scraped
+   * @param {string} url - Requested URL
+   * @param {Error} error - Fetch error, classified into the scrape status taxonomy
+   * @returns {{url: string, status: Object, scrapedAt: string}}
+   */
+  buildFailureResult(url, error) {
+    const { status, details } = classifyError(error);
+
+    if (status === SCRAPE_STATUS.ROBOTS_DISALLOWED) {
+      console.log(`Skipping ${url}: disallowed by robots.txt`);
+    } else if (status === SCRAPE_STATUS.BLOCKED_BY_URL_POLICY) {
+      console.warn(`🚨 Blocked request to ${url}: ${error.message}`);
+      this.recordSecurityEvent(url, details);
+    } else {
+      console.error(`Error scraping ${url} (${status}):`, error.message);
+    }
+
+    return {
+      url,
+      status: buildStatus(status, details),
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Persist a blocked request for the organization's audit trail.
+   * Fire-and-forget: a logging failure must not fail the scrape.
+   * @param {string} url - Requested URL
+   * @param {Object} details - Classification details ({ message, blockedAddress })
+   */
+  recordSecurityEvent(url, details = {}) {
+    SecurityEvent.create({
+      organizationId: this.securityContext.organizationId || null,
+      userId: this.securityContext.userId || null,
+      eventType: 'ssrf_blocked',
+      url,
+      reason: details.message,
+      details: { blockedAddress: details.blockedAddress || null }
+    }).catch(error => {
+      console.error('Failed to record security event:', error.message);
+    });
+  }
+
+  /**
+   * Whether a scrape result has usable content
+   * @param {Object} scraped - Result from scrapeWebsite
+   * @returns {boolean}
+   */
+  isSuccess(scraped) {
+    return !!scraped && !!scraped.status && scraped.status.code === SCRAPE_STATUS.OK;
+  }
+
+  /**
+   * Crawl a site's homepage plus high-value internal pages (about, products,
+   * pricing, customers, careers) discovered via sitemap.xml and on-page links.
+   * Merges everything into one per-company document with page-level provenance.
+   * @param {string} url - Website URL (homepage)
+   * @param {Object} options - Crawl options
+   * @param {number} options.maxPages - Page budget per domain, homepage included
+   *   (clamped to 1-MAX_PAGES_LIMIT)
+   * @returns {Promise<Object>} Merged company document
+   */
+  async crawlWebsite(url, options = {}) {
+    const maxPages = Math.min(MAX_PAGES_LIMIT, Math.max(1, parseInt(options.maxPages) || this.defaultMaxPages));
+
+    let home;
+    try {
+      console.log(`Crawling website: ${url} (max ${maxPages} pages)`);
+      const { html, headers, finalUrl, truncated } = await this.fetchPage(url);
+      home = this.parsePage(finalUrl, html, headers);
+      home.page.truncated = truncated;
+    } catch (error) {
+      return this.buildFailureResult(url, error);
+    }
+
+    const pages = [{ ...home.page, category: 'home' }];
+    const skippedPages = [];
+    let discoveredLinks = home.links;
+    let sitemapRead = false;
+
+    if (maxPages > 1) {
+      // Redirects (e.g. to www.) decide which host the internal pages live on
+      const homeUrl = home.page.url;
+      const sitemap = await this.fetchSitemapUrls(homeUrl);
+      sitemapRead = sitemap.read;
+      discoveredLinks = [...home.links, ...sitemap.urls];
+      const candidates = this.selectCrawlTargets(homeUrl, discoveredLinks, maxPages - 1);
+
+      for (const candidate of candidates) {
+        try {
+          const { html, headers, finalUrl, truncated } = await this.fetchPage(candidate.url);
+          const { page, links } = this.parsePage(finalUrl, html, headers);
+          pages.push({ ...page, category: candidate.category, truncated });
+          // Section pages list what the homepage doesn't (e.g. individual job openings)
+          discoveredLinks.push(...links);
+        } catch (error) {
+          skippedPages.push({ url: candidate.url, status: classifyError(error).status });
+          console.log(`Skipping ${candidate.url}: ${error.message}`);
+        }
+      }
+    }
+
+    const discovered = this.categorizeLinks(home.page.url, discoveredLinks);
+    return {
+      ...this.mergePages(url, pages, skippedPages),
+      discoveredPages: Object.fromEntries(
+        [...discovered].map(([category, list]) => [category, list.slice(0, MAX_DISCOVERED_PER_CATEGORY)])
+      ),
+      sitemapRead
+    };
+  }
+
+  /**
+   * Fetch raw HTML for a URL
+   * @param {string} url - Page URL
+   * @param {Object} options - Passed to fetchPage
+   * @returns {Promise<string>} Response body
+   */
+  async fetchHtml(url, options = {}) {
+    const { html } = await this.fetchPage(url, options);
+    return html;
+  }
+
+  /**
+   * Fetch a page through the shared fetch scheduler. Redirects are followed here
+   * rather than by axios, so every hop is vetted by the URL guard and scheduled
+   * against its own host's robots.txt and politeness limits.
+   * @param {string} url - Page URL
+   * @param {Object} options
+   * @param {string} options.expect - 'html' (default) rejects non-HTML responses and
+   *   bot walls/parked pages; 'xml' accepts XML and plain text (sitemaps)
+   * @param {number} options.maxBytes - Byte budget, defaults to maxBodyBytes
+   * @returns {Promise<{html: string, headers: Object, finalUrl: string, truncated: boolean}>}
+   *   Decoded body, headers, the URL after redirects and whether the body hit the byte budget
+   * @throws {ScrapeError|Error} Classified by ScrapeStatus.classifyError
+   */
+  async fetchPage(url, options = {}) {
+    const visited = new Set();
+    let currentUrl = url;
+
+    while (true) {
+      visited.add(currentUrl);
+
+      // Resolve and vet the host before anything (robots.txt included) is fetched
+      await this.urlGuard.checkUrl(currentUrl);
+
+      const result = await this.scheduler.schedule(currentUrl, () => this.requestPage(currentUrl, options));
+      if (!result.redirectTo) return result;
+
+      if (visited.size > this.urlGuard.maxRedirects || visited.has(result.redirectTo)) {
+        throw new ScrapeError(SCRAPE_STATUS.TOO_MANY_REDIRECTS, `Too many redirects from ${url}`);
+      }
+      currentUrl = result.redirectTo;
+    }
+  }
+
+  /**
+   * Single request without following redirects; runs inside a scheduler slot
+   * @param {string} url - Page URL
+   * @param {Object} options - See fetchPage()
+   * @returns {Promise<Object>} fetchPage() result, or { redirectTo } for a redirect
+   */
+  async requestPage(url, options = {}) {
+    const expect = options.expect || 'html';
+
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': this.scheduler.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br'
+      },
+      timeout: this.timeout,
+      responseType: 'stream',
+      decompress: false,
+      validateStatus: () => true,
+      ...this.urlGuard.axiosOptions(),
+      maxRedirects: 0
+    });
+
+    const headers = { ...response.headers };
+    const contentType = String(headers['content-type'] || '');
+
+    if (response.status >= 300 && response.status < 400 && headers.location) {
+      response.data.destroy();
+      return { redirectTo: new URL(headers.location, url).href };
+    }
+
+    if (response.status >= 400) {
+      throw await this.buildHttpError(response);
+    }
+
+    // Reject before downloading anything
+    if (!this.bodyReader.isAcceptedContentType(contentType, expect)) {
+      response.data.destroy();
+      throw new ScrapeError(SCRAPE_STATUS.NON_HTML, `Unexpected content type: ${contentType}`);
+    }
+
+    const { body, truncated } = await this.bodyReader.read(response, {
+      maxBytes: options.maxBytes || this.maxBodyBytes
+    });
+
+    if (expect === 'html') {
+      const contentStatus = classifyContent(body, headers);
+      if (contentStatus) {
+        throw new ScrapeError(contentStatus, `Page classified as ${contentStatus}`, { httpStatus: response.status });
+      }
+    }
+
+    if (truncated) {
+      console.log(`Truncated ${url} at ${options.maxBytes || this.maxBodyBytes} bytes`);
+    }
+
+    return {
+      html: body,
+      headers,
+      finalUrl: url,
+      truncated
+    };
+  }
+
+  /**
+   * Turn an HTTP error response into an axios-style error with a decoded body,
+   * so ScrapeStatus can still recognise bot walls on 403/503 pages
+   * @param {Object} response - Streamed axios response with status >= 400
+   * @returns {Promise<Error>}
+   */
+  async buildHttpError(response) {
+    let data = '';
+    try {
+      ({ body: data } = await this.bodyReader.read(response, { maxBytes: ERROR_BODY_BYTES }));
+    } catch (error) {
+      response.data.destroy();
+    }
+
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = { status: response.status, headers: { ...response.headers }, data };
+    return error;
+  }
+
+  /**
+   * Parse a page into analysis content plus its internal links
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML
+   * @param {Object} headers - Response headers, used for technology fingerprinting
+   * @returns {{page: Object, links: Array<string>}}
+   */
+  parsePage(url, html, headers = {}) {
+    const $ = cheerio.load(html);
+
+    // Collect links, structured data and contacts before scripts and navigation chrome are stripped
+    const links = this.extractInternalLinks($, url);
+    const structured = this.structuredDataExtractor.extract($, url);
+    const contacts = this.contactExtractor.extract($, url, structured);
+    const technologies = this.technologyFingerprintService.detect({ $, html, headers });
+
+    // Remove script, style, and other non-content tags
+    $('script, style, noscript, iframe, nav, footer, header').remove();
+
+    // Extract metadata
+    const title = $('title').text().trim() ||
+                 $('meta[property="og:title"]').attr('content') ||
+                 $('h1').first().text().trim() ||
+                 '';
+
+    const description = $('meta[name="description"]').attr('content') ||
+                       $('meta[property="og:description"]').attr('content') ||
+                       '';
+
+    // Extract main content
+    const bodyText = $('body').text()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 5000); // Limit to first 5000 chars
+
+    // Extract headings
+    const headings = [];
+    $('h1, h2, h3').each((i, el) => {
+      const text = $(el).text().trim();
+      if (text && headings.length < 10) {
+        headings.push(text);
+      }
+    });
+
+    return {
+      page: {
         url,
         title,
         description,
         headings: headings.join(' | '),
         content: bodyText,
+        structured,
+        contacts,
+        technologies,
         scrapedAt: new Date().toISOString()
-      };
+      },
+      links
+    };
+  }
 
+  /**
+   * Extract same-host links from a page
+   * @param {Function} $ - Cheerio root
+   * @param {string} baseUrl - Page URL used to resolve relative links
+   * @returns {Array<string>} Absolute URLs without fragments
+   */
+  extractInternalLinks($, baseUrl) {
+    const base = new URL(baseUrl);
+    const links = new Set();
+
+    $('a[href]').each((i, el) => {
+      try {
+        const link = new URL($(el).attr('href'), base);
+        if (link.hostname.replace(/^www\./, '') !== base.hostname.replace(/^www\./, '')) return;
+        link.hash = '';
+        links.add(link.toString());
+      } catch (error) {
+        // Ignore malformed hrefs
+      }
+    });
+
+    return [...links];
+  }
+
+  /**
+   * Read page URLs from the site's sitemap.xml (follows one level of sitemap index)
+   * @param {string} url - Any URL on the site
+   * @returns {Promise<{urls: Array<string>, read: boolean}>} Page URLs, empty if
+   *   no sitemap; `read` is false when the sitemap could not be fetched (timeout,
+   *   5xx, 429...), as opposed to a site that has none (404)
+   */
+  async fetchSitemapUrls(url) {
+    const sitemapUrl = new URL('/sitemap.xml', url).toString();
+
+    try {
+      const urls = await this.parseSitemap(sitemapUrl);
+
+      // Sitemap index: follow child sitemaps until we have enough URLs
+      const childSitemaps = urls.filter(u => /\.xml(\.gz)?$/i.test(u)).slice(0, 3);
+      const pageUrls = urls.filter(u => !/\.xml(\.gz)?$/i.test(u));
+
+      for (const child of childSitemaps) {
+        if (pageUrls.length >= this.maxSitemapUrls) break;
+        try {
+          pageUrls.push(...await this.parseSitemap(child));
+        } catch (error) {
+          console.log(`Skipping sitemap ${child}: ${error.message}`);
+        }
+      }
+
+      return { urls: pageUrls.slice(0, this.maxSitemapUrls), read: true };
     } catch (error) {
-      console.error(`Error scraping ${url}:`, error.message);
-      return null;
+      const { status, details } = classifyError(error);
+      return { urls: [], read: status === SCRAPE_STATUS.HTTP_4XX && !details.retryable };
     }
   }
 
   /**
-   * Scrape multiple websites in parallel
-   * @param {Array<string>} urls - Array of URLs
-   * @param {number} concurrency - Max concurrent requests
-   * @returns {Promise<Array>} Array of scraped content
-   */
-  async scrapeMultiple(urls, concurrency = 5) {
-    const results = [];
-    
-    // Process in batches
-    for (let i = 0; i < urls.length; i += concurrency) {
-      const batch = urls.slice(i, i + concurrency);
-      const batchResults = await Promise.allSettled(
-        batch.map(url => this.scrapeWebsite(url))
-      );
-      
-      batchResults.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          results.push(result.value);
-        } else {
-          console.log(`Failed to scrape: ${batch[index]}`);
+   * Fetch a sitemap and return its <loc> entries
+   * @param {string} sitemapUrl - Sitemap URL
+   * @returns {Promise<Array<string>>} Listed URLs
+   */
+  async parseSitemap(sitemapUrl) {
+    const xml = await this.fetchHtml(sitemapUrl, { expect: 'xml', maxBytes: this.maxSitemapBytes });
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const urls = [];
+    $('loc').each((i, el) => {
+      const loc = $(el).text().trim();
+      if (loc) urls.push(loc);
+    });
+
+    return urls;
+  }
+
+  /**
+   * Pick the highest-value internal pages to crawl within the page budget.
+   * Takes the shortest matching path per category first, then fills the
+   * remaining budget round-robin across categories.
+   * @param {string} homeUrl - Homepage URL
+   * @param {Array<string>} urls - Candidate URLs (links + sitemap)
+   * @param {number} budget - Number of pages that may be fetched
+   * @returns {Array<{url: string, category: string}>} Pages to crawl
+   */
+  selectCrawlTargets(homeUrl, urls, budget) {
+    if (budget <= 0) return [];
+
+    const byCategory = this.categorizeLinks(homeUrl, urls);
+
+    const selected = [];
+    let added = true;
+    while (selected.length < budget && added) {
+      added = false;
+      for (const [category, list] of byCategory) {
+        if (selected.length >= budget) break;
+        const next = list.shift();
+        if (next) {
+          selected.push({ url: next, category });
+          added = true;
         }
-      });
-      
-      // Small delay between batches to be respectful
-      if (i + concurrency < urls.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
-    
+
+    return selected;
+  }
+
+  /**
+   * Group same-site links by high-value page category
+   * @param {string} homeUrl - Homepage URL after redirects
+   * @param {Array<string>} urls - Links and sitemap URLs
+   * @returns {Map<string, Array<string>>} Category -> unique URLs, shortest path first
+   */
+  categorizeLinks(homeUrl, urls) {
+    const home = new URL(homeUrl);
+    const homeHost = home.hostname.replace(/^www\./, '');
+    const byCategory = new Map(PAGE_CATEGORIES.map(c => [c.category, []]));
+    const seen = new Set([home.origin + home.pathname.replace(/\/$/, '')]);
+
+    for (const raw of urls) {
+      let parsed;
+      try {
+        parsed = new URL(raw, home);
+      } catch (error) {
+        continue;
+      }
+
+      if (parsed.hostname.replace(/^www\./, '') !== homeHost) continue;
+      if (SKIPPED_EXTENSIONS.test(parsed.pathname)) continue;
+
+      const key = parsed.origin + parsed.pathname.replace(/\/$/, '');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const match = PAGE_CATEGORIES.find(c => c.pattern.test(parsed.pathname + '/'));
+      if (match) {
+        byCategory.get(match.category).push(parsed.origin + parsed.pathname);
+      }
+    }
+
+    // Shorter paths are usually the section landing pages
+    for (const list of byCategory.values()) {
+      list.sort((a, b) => a.length - b.length);
+    }
+
+    return byCategory;
+  }
+
+  /**
+   * Merge crawled pages into one per-company document
+   * @param {string} url - Homepage URL
+   * @param {Array<Object>} pages - Parsed pages, homepage first
+   * @param {Array<Object>} skippedPages - Pages that could not be fetched, with status codes
+   * @returns {Object} Merged document with page-level provenance
+   */
+  mergePages(url, pages, skippedPages = []) {
+    const home = pages[0];
+
+    return {
+      url,
+      finalUrl: home.url,
+      canonicalDomain: this.domainResolver.canonicalDomain(home.url),
+      title: home.title,
+      description: home.description,
+      headings: home.headings,
+      content: home.content,
+      structured: this.structuredDataExtractor.merge(pages.map(page => page.structured)),
+      contacts: this.contactExtractor.merge(pages.map(page => page.contacts)),
+      technologies: this.technologyFingerprintService.merge(pages.map(page => page.technologies)),
+      pages: pages.map(page => ({
+        url: page.url,
+        category: page.category,
+        title: page.title,
+        description: page.description,
+        headings: page.headings,
+        content: page.content,
+        truncated: !!page.truncated,
+        scrapedAt: page.scrapedAt
+      })),
+      pagesCrawled: pages.length,
+      truncated: pages.some(page => page.truncated),
+      skippedPages,
+      status: buildStatus(SCRAPE_STATUS.OK),
+      scrapedAt: home.scrapedAt
+    };
+  }
+
+  /**
+   * Scrape multiple websites in parallel.
+   * Per-host spacing and robots.txt are enforced by the shared fetch scheduler;
+   * `concurrency` only caps how many sites this call works on at once.
+   * @param {Array<string>} urls - Array of URLs
+   * @param {number} concurrency - Max concurrent sites for this call
+   * @param {Object} options - Options passed through to scrapeWebsite
+   * @returns {Promise<Array>} Results aligned with `urls` by index (successes and failures)
+   */
+  async scrapeMultiple(urls, concurrency = 5, options = {}) {
+    const results = new Array(urls.length).fill(null);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        try {
+          results[index] = await this.scrapeWebsite(urls[index], options);
+        } catch (error) {
+          results[index] = this.buildFailureResult(urls[index], error);
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, urls.length) }, worker)
+    );
+
     return results;
   }
 
@@ -117,7 +627,7 @@ class WebsiteScraperService {
    * @returns {string} Clean text summary
    */
   extractTextForAnalysis(scrapedData) {
-    if (!scrapedData) return '';
+    if (!this.isSuccess(scrapedData)) return '';
 
     const parts = [
       `Title: ${scrapedData.title}`,
@@ -126,6 +636,17 @@ class WebsiteScraperService {
       `Content: ${scrapedData.content.substring(0, 2000)}`
     ];
 
+    // Crawled documents: add a short excerpt per internal page with its source URL
+    if (scrapedData.pages && scrapedData.pages.length > 1) {
+      scrapedData.pages.slice(1).forEach(page => {
+        parts.push(
+          `[${page.category}] ${page.url}\n` +
+          `${page.title}${page.headings ? ` — ${page.headings}` : ''}\n` +
+          `${page.content.substring(0, 800)}`
+        );
+      });
+    }
+
     return parts.filter(p => p.length > 10).join('\n\n');
   }
 }
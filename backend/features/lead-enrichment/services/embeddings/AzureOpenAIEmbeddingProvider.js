@@ -0,0 +1,49 @@
+const OpenAIEmbeddingProvider = require('./OpenAIEmbeddingProvider');
+
+/**
+ * Azure OpenAI embeddings provider
+ *
+ * Env: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+ * AZURE_OPENAI_API_VERSION (optional)
+ *
+ * Azure routes by deployment name; `model` is the deployment.
+ */
+class AzureOpenAIEmbeddingProvider extends OpenAIEmbeddingProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      baseUrl: config.baseUrl || process.env.AZURE_OPENAI_ENDPOINT || null,
+      model: config.model || process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT
+    });
+    this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  }
+
+  isConfigured() {
+    return super.isConfigured() && !!this.baseUrl;
+  }
+
+  buildEmbeddingRequest(texts) {
+    const endpoint = this.baseUrl.replace(/\/$/, '');
+
+    return {
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(this.model)}/embeddings?api-version=${this.apiVersion}`,
+      body: { input: texts },
+      headers: { 'api-key': this.apiKey }
+    };
+  }
+}
+
+AzureOpenAIEmbeddingProvider.providerName = 'azure-openai';
+AzureOpenAIEmbeddingProvider.defaultModel = null;
+AzureOpenAIEmbeddingProvider.capabilities = {
+  maxInputTokens: 8000,
+  maxBatchSize: 16
+};
+AzureOpenAIEmbeddingProvider.rateLimits = {
+  requestsPerMinute: 300,
+  tokensPerMinute: 120000,
+  maxConcurrency: 4
+};
+
+module.exports = AzureOpenAIEmbeddingProvider;
@@ -0,0 +1,115 @@
+const BaseLLMAdapter = require('../llm/BaseLLMAdapter');
+const ProviderError = require('../llm/ProviderError');
+const ProviderRateLimiter = require('../llm/ProviderRateLimiter');
+
+/**
+ * Base Embedding Provider
+ *
+ * Embedding providers reuse the LLM adapter plumbing (credentials, rate
+ * limiting, retries, ProviderError) and expose `embed()` instead of
+ * `complete()`. Limits are tracked separately from the same provider's chat
+ * endpoint because providers meter embeddings separately.
+ *
+ * Capabilities:
+ * - maxInputTokens: longer texts are cut before sending
+ * - maxBatchSize: texts per request
+ *
+ * Subclasses implement buildEmbeddingRequest() and parseEmbeddingResponse().
+ */
+class BaseEmbeddingProvider extends BaseLLMAdapter {
+  get rateLimiter() {
+    return ProviderRateLimiter.forProvider(`${this.provider}:embeddings`, this.baseUrl, this.constructor.rateLimits);
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts
+   * @returns {Promise<{vectors: Array<Array<number>>, provider: string, model: string,
+   *   dimensions: number, latencyMs: number, usage: {inputTokens: number, outputTokens: number}}>}
+   *   vectors are in input order
+   * @throws {ProviderError}
+   */
+  async embed(texts) {
+    if (!this.isConfigured()) {
+      throw new ProviderError(`${this.provider} embedding provider is not configured`, {
+        provider: this.provider,
+        code: ProviderError.CODES.NOT_CONFIGURED
+      });
+    }
+
+    const inputs = texts.map(text => this.truncate(text));
+    const vectors = [];
+    let inputTokens = 0;
+    const startedAt = Date.now();
+
+    for (let i = 0; i < inputs.length; i += this.capabilities.maxBatchSize) {
+      const chunk = inputs.slice(i, i + this.capabilities.maxBatchSize);
+      const estimatedTokens = chunk.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+
+      const { parsed } = await this.send(
+        this.buildEmbeddingRequest(chunk),
+        estimatedTokens,
+        data => this.parseEmbeddingResponse(data, chunk)
+      );
+
+      if (parsed.vectors.length !== chunk.length) {
+        throw new ProviderError(`${this.provider} returned ${parsed.vectors.length} embeddings for ${chunk.length} inputs`, {
+          provider: this.provider,
+          code: ProviderError.CODES.UNKNOWN_ERROR
+        });
+      }
+
+      vectors.push(...parsed.vectors);
+      inputTokens += parsed.usage.inputTokens || 0;
+    }
+
+    return {
+      vectors,
+      provider: this.provider,
+      model: this.model,
+      dimensions: vectors[0]?.length || 0,
+      latencyMs: Date.now() - startedAt,
+      usage: { inputTokens, outputTokens: 0 }
+    };
+  }
+
+  truncate(text) {
+    const maxChars = this.capabilities.maxInputTokens * 4;
+    const value = String(text || '');
+    return value.length > maxChars ? value.substring(0, maxChars) : value;
+  }
+
+  complete() {
+    throw new Error(`${this.provider} embedding provider does not support completions`);
+  }
+
+  /**
+   * @abstract
+   * @returns {{url: string, body: Object, headers: Object}}
+   */
+  buildEmbeddingRequest() {
+    throw new Error('buildEmbeddingRequest() not implemented');
+  }
+
+  /**
+   * @abstract
+   * @returns {{vectors: Array<Array<number>>, usage: Object}}
+   */
+  parseEmbeddingResponse() {
+    throw new Error('parseEmbeddingResponse() not implemented');
+  }
+}
+
+BaseEmbeddingProvider.providerName = 'base';
+BaseEmbeddingProvider.defaultModel = null;
+BaseEmbeddingProvider.capabilities = {
+  maxInputTokens: 8000,
+  maxBatchSize: 64
+};
+BaseEmbeddingProvider.rateLimits = {
+  requestsPerMinute: 0,
+  tokensPerMinute: 0,
+  maxConcurrency: 4
+};
+
+module.exports = BaseEmbeddingProvider;
@@ -0,0 +1,107 @@
+const OpenAIEmbeddingProvider = require('./OpenAIEmbeddingProvider');
+const AzureOpenAIEmbeddingProvider = require('./AzureOpenAIEmbeddingProvider');
+const OpenAICompatibleEmbeddingProvider = require('./OpenAICompatibleEmbeddingProvider');
+const LocalEmbeddingProvider = require('./LocalEmbeddingProvider');
+const LLMProviderRegistry = require('../llm/LLMProviderRegistry');
+
+let sharedRegistry = null;
+
+/**
+ * Embedding Provider Registry
+ *
+ * Maps provider names to embedding provider classes and resolves which one a
+ * request should use, the same way LLMProviderRegistry does for completions:
+ * 1. Explicit { provider, model } options
+ * 2. Organization feature-flag config (embedding_provider, embedding_model, embedding_base_url)
+ * 3. Environment defaults (EMBEDDING_PROVIDER, EMBEDDING_MODEL)
+ *
+ * embedding_base_url must be listed in AI_ALLOWED_BASE_URLS, like ai_base_url.
+ */
+class EmbeddingProviderRegistry {
+  constructor() {
+    this.providerClasses = new Map();
+
+    this.register(OpenAIEmbeddingProvider);
+    this.register(AzureOpenAIEmbeddingProvider);
+    this.register(OpenAICompatibleEmbeddingProvider);
+    this.register(LocalEmbeddingProvider);
+  }
+
+  static getShared() {
+    if (!sharedRegistry) {
+      sharedRegistry = new EmbeddingProviderRegistry();
+    }
+    return sharedRegistry;
+  }
+
+  register(ProviderClass) {
+    this.providerClasses.set(ProviderClass.providerName, ProviderClass);
+  }
+
+  has(provider) {
+    return this.providerClasses.has(provider);
+  }
+
+  providers() {
+    return [...this.providerClasses.keys()];
+  }
+
+  get defaultProvider() {
+    return process.env.EMBEDDING_PROVIDER || 'openai';
+  }
+
+  /**
+   * Create a provider
+   * @param {Object} options - { provider, model, baseUrl (openai-compatible only) }
+   * @returns {BaseEmbeddingProvider}
+   */
+  create(options = {}) {
+    const provider = options.provider || this.defaultProvider;
+    const ProviderClass = this.providerClasses.get(provider);
+
+    if (!ProviderClass) {
+      throw new Error(`Unknown embedding provider "${provider}". Available: ${this.providers().join(', ')}`);
+    }
+
+    const model = options.model ||
+      (provider === this.defaultProvider ? process.env.EMBEDDING_MODEL : null) ||
+      undefined;
+
+    return new ProviderClass({
+      model,
+      baseUrl: provider === OpenAICompatibleEmbeddingProvider.providerName ? options.baseUrl : undefined
+    });
+  }
+
+  /**
+   * Provider for an organization, using its feature-flag config when present.
+   * Falls back to the environment defaults if the config can't be loaded or is invalid.
+   * @param {string|null} organizationId
+   * @returns {Promise<BaseEmbeddingProvider>}
+   */
+  async forOrganization(organizationId) {
+    if (!organizationId) {
+      return this.create();
+    }
+
+    try {
+      const config = await LLMProviderRegistry.getShared().getOrganizationConfig(organizationId);
+
+      if (config.embedding_provider && !this.has(config.embedding_provider)) {
+        console.warn(`⚠️ Organization ${organizationId} uses unknown embedding provider "${config.embedding_provider}", using default`);
+        return this.create();
+      }
+
+      return this.create({
+        provider: config.embedding_provider,
+        model: config.embedding_model,
+        baseUrl: LLMProviderRegistry.allowedBaseUrl(config.embedding_base_url, organizationId)
+      });
+    } catch (error) {
+      console.error(`Failed to load embedding config for organization ${organizationId}:`, error.message);
+      return this.create();
+    }
+  }
+}
+
+module.exports = EmbeddingProviderRegistry;
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const BaseEmbeddingProvider = require('./BaseEmbeddingProvider');
+
+// Common words that say nothing about what a company does
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'our', 'you', 'your', 'are', 'from', 'that', 'this', 'have', 'has',
+  'all', 'can', 'will', 'more', 'about', 'into', 'their', 'they', 'them', 'who', 'what', 'how', 'not',
+  'but', 'use', 'also', 'out', 'any', 'its', 'was', 'were', 'been', 'being', 'than', 'then', 'there',
+  'here', 'when', 'where', 'which', 'while', 'over', 'under', 'other', 'some', 'such', 'only', 'own',
+  'same', 'each', 'both', 'few', 'most', 'very', 'just', 'now', 'new', 'get', 'one', 'two', 'may',
+  'home', 'contact', 'privacy', 'policy', 'cookie', 'cookies', 'terms', 'rights', 'reserved', 'copyright',
+  'menu', 'login', 'sign', 'read', 'learn', 'click', 'page', 'website', 'www', 'http', 'https', 'com'
+]);
+
+const MAX_TOKENS = 20000;
+
+/**
+ * Local Embedding Provider
+ *
+ * In-process embeddings with no network calls and no model download: word
+ * unigrams and bigrams (plurals folded) are hashed into a fixed number of
+ * dimensions (signed feature hashing), weighted by log term frequency and
+ * L2-normalized.
+ *
+ * It is lexical, not semantic: companies that describe themselves with the
+ * same vocabulary score as similar, synonyms do not. Use it when no embedding
+ * API is available, or a local model through `openai-compatible` for
+ * semantic similarity.
+ *
+ * Env: EMBEDDING_LOCAL_DIMENSIONS (default 512)
+ */
+class LocalEmbeddingProvider extends BaseEmbeddingProvider {
+  constructor(config = {}) {
+    super(config);
+    this.dimensions = parseInt(config.dimensions || process.env.EMBEDDING_LOCAL_DIMENSIONS || '512');
+    // The dimension count changes every vector, so it is part of the model name stored with them
+    this.model = `${this.constructor.defaultModel}-${this.dimensions}`;
+  }
+
+  isConfigured() {
+    return this.dimensions > 0;
+  }
+
+  async embed(texts) {
+    const startedAt = Date.now();
+    const vectors = texts.map(text => this.embedText(this.truncate(text)));
+
+    return {
+      vectors,
+      provider: this.provider,
+      model: this.model,
+      dimensions: this.dimensions,
+      latencyMs: Date.now() - startedAt,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+  }
+
+  embedText(text) {
+    const words = (String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])
+      .filter(word => !STOPWORDS.has(word) && !/^\d+$/.test(word))
+      .slice(0, MAX_TOKENS)
+      .map(singular);
+
+    const counts = new Map();
+    const add = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+    words.forEach((word, index) => {
+      add(word);
+      if (index > 0) add(`${words[index - 1]} ${word}`);
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const slot = hash.readUInt32LE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[slot] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+/**
+ * Fold simple English plurals so "payment" and "payments" share a feature
+ */
+function singular(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+LocalEmbeddingProvider.providerName = 'local';
+LocalEmbeddingProvider.defaultModel = 'hashing-v1';
+LocalEmbeddingProvider.capabilities = {
+  maxInputTokens: 25000,
+  maxBatchSize: 1000
+};
+
+module.exports = LocalEmbeddingProvider;
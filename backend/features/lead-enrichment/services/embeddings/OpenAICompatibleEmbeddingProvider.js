@@ -0,0 +1,49 @@
+const OpenAIEmbeddingProvider = require('./OpenAIEmbeddingProvider');
+
+/**
+ * Provider for any server exposing the OpenAI Embeddings API, including
+ * local models (Ollama, LM Studio, text-embeddings-inference, vLLM)
+ *
+ * Env: OPENAI_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1),
+ * OPENAI_COMPATIBLE_EMBEDDING_MODEL (e.g. nomic-embed-text),
+ * OPENAI_COMPATIBLE_API_KEY (optional)
+ */
+class OpenAICompatibleEmbeddingProvider extends OpenAIEmbeddingProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || null,
+      baseUrl: config.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+      model: config.model || process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL
+    });
+  }
+
+  /**
+   * Local servers usually run without auth; only the URL and model are required
+   */
+  isConfigured() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  buildEmbeddingRequest(texts) {
+    const built = super.buildEmbeddingRequest(texts);
+    if (!this.apiKey) {
+      built.headers = {};
+    }
+    return built;
+  }
+}
+
+OpenAICompatibleEmbeddingProvider.providerName = 'openai-compatible';
+OpenAICompatibleEmbeddingProvider.defaultModel = null;
+OpenAICompatibleEmbeddingProvider.capabilities = {
+  maxInputTokens: 2000,
+  maxBatchSize: 32
+};
+OpenAICompatibleEmbeddingProvider.rateLimits = {
+  requestsPerMinute: 0,
+  tokensPerMinute: 0,
+  maxConcurrency: 2
+};
+
+module.exports = OpenAICompatibleEmbeddingProvider;
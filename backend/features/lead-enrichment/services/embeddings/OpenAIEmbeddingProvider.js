@@ -0,0 +1,50 @@
+const BaseEmbeddingProvider = require('./BaseEmbeddingProvider');
+
+/**
+ * OpenAI Embeddings API provider
+ *
+ * Env: OPENAI_API_KEY, OPENAI_BASE_URL (optional)
+ */
+class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      baseUrl: config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    });
+  }
+
+  buildEmbeddingRequest(texts) {
+    return {
+      url: `${this.baseUrl.replace(/\/$/, '')}/embeddings`,
+      body: { model: this.model, input: texts },
+      headers: { 'Authorization': `Bearer ${this.apiKey}` }
+    };
+  }
+
+  parseEmbeddingResponse(data) {
+    const items = [...(data.data || [])].sort((a, b) => (a.index || 0) - (b.index || 0));
+
+    return {
+      vectors: items.map(item => item.embedding),
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: 0
+      }
+    };
+  }
+}
+
+OpenAIEmbeddingProvider.providerName = 'openai';
+OpenAIEmbeddingProvider.defaultModel = 'text-embedding-3-small';
+OpenAIEmbeddingProvider.capabilities = {
+  maxInputTokens: 8000,
+  maxBatchSize: 128
+};
+OpenAIEmbeddingProvider.rateLimits = {
+  requestsPerMinute: 3000,
+  tokensPerMinute: 1000000,
+  maxConcurrency: 4
+};
+
+module.exports = OpenAIEmbeddingProvider;
@@ -0,0 +1,75 @@
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+
+/**
+ * Anthropic Messages API adapter
+ *
+ * Env: ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL (optional)
+ *
+ * There is no response_format switch, so JSON requests add an instruction
+ * to the system prompt and prefill the assistant turn with "{".
+ */
+class AnthropicAdapter extends BaseLLMAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+      baseUrl: config.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1'
+    });
+  }
+
+  buildRequest({ prompt, systemPrompt, temperature, maxTokens, json }) {
+    const messages = [{ role: 'user', content: prompt }];
+    let system = systemPrompt;
+
+    if (json) {
+      system = `${systemPrompt ? `${systemPrompt}\n\n` : ''}Respond only with a valid JSON object.`;
+      messages.push({ role: 'assistant', content: '{' });
+    }
+
+    return {
+      url: `${this.baseUrl.replace(/\/$/, '')}/messages`,
+      body: {
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        messages,
+        ...(system && { system })
+      },
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      }
+    };
+  }
+
+  parseResponse(data, request) {
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      // The prefilled "{" is not repeated in the completion
+      text: request.json ? `{${text}` : text,
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+AnthropicAdapter.providerName = 'anthropic';
+AnthropicAdapter.defaultModel = 'claude-3-haiku-20240307';
+AnthropicAdapter.capabilities = {
+  jsonMode: false,
+  maxContextTokens: 200000,
+  maxOutputTokens: 4096
+};
+AnthropicAdapter.rateLimits = {
+  requestsPerMinute: 50,
+  tokensPerMinute: 50000,
+  maxConcurrency: 4
+};
+
+module.exports = AnthropicAdapter;
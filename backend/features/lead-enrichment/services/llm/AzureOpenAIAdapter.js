@@ -0,0 +1,46 @@
+const OpenAIAdapter = require('./OpenAIAdapter');
+
+/**
+ * Azure OpenAI adapter
+ *
+ * Env: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT (https://<resource>.openai.azure.com),
+ * AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION (optional)
+ *
+ * Azure routes by deployment name; `model` is the deployment.
+ */
+class AzureOpenAIAdapter extends OpenAIAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      baseUrl: config.baseUrl || process.env.AZURE_OPENAI_ENDPOINT || null,
+      model: config.model || process.env.AZURE_OPENAI_DEPLOYMENT
+    });
+    this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  }
+
+  isConfigured() {
+    return super.isConfigured() && !!this.baseUrl;
+  }
+
+  buildRequest(request) {
+    const endpoint = this.baseUrl.replace(/\/$/, '');
+    const { model, ...body } = this.buildChatBody(request);
+
+    return {
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${this.apiVersion}`,
+      body,
+      headers: { 'api-key': this.apiKey }
+    };
+  }
+}
+
+AzureOpenAIAdapter.providerName = 'azure-openai';
+AzureOpenAIAdapter.defaultModel = null;
+AzureOpenAIAdapter.rateLimits = {
+  requestsPerMinute: 300,
+  tokensPerMinute: 50000,
+  maxConcurrency: 6
+};
+
+module.exports = AzureOpenAIAdapter;
@@ -0,0 +1,217 @@
+const axios = require('axios');
+const ProviderError = require('./ProviderError');
+const ProviderRateLimiter = require('./ProviderRateLimiter');
+
+/**
+ * Base LLM Adapter
+ *
+ * Every provider adapter exposes the same `complete()` call and describes
+ * what it supports through `capabilities`:
+ * - jsonMode: provider can be forced to return a JSON object
+ * - maxContextTokens / maxOutputTokens: limits used to clamp requests
+ *
+ * Subclasses implement buildRequest() and parseResponse().
+ *
+ * Calls go through a ProviderRateLimiter shared per provider endpoint and are
+ * retried on rate limits, overloads, 5xx and network errors with jittered
+ * exponential backoff (AI_MAX_RETRIES, default 4). Failures surface as
+ * ProviderError.
+ */
+
+// Rough token estimate for prompt budgeting (no tokenizer dependency)
+const CHARS_PER_TOKEN = 4;
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+class BaseLLMAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey - Credential (adapters read their own env var by default)
+   * @param {string} config.model - Model name, defaults to the adapter's default
+   * @param {string} config.baseUrl - API base URL
+   * @param {number} config.timeout - Request timeout in ms
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || this.constructor.defaultModel;
+    this.baseUrl = config.baseUrl || null;
+    this.timeout = config.timeout || 60000;
+    this.capabilities = { ...this.constructor.capabilities, ...(config.capabilities || {}) };
+    this.maxRetries = config.maxRetries ?? parseInt(process.env.AI_MAX_RETRIES || '4');
+  }
+
+  /**
+   * Limiter shared by every adapter instance for this provider endpoint
+   * @returns {ProviderRateLimiter}
+   */
+  get rateLimiter() {
+    return ProviderRateLimiter.forProvider(this.provider, this.baseUrl, this.constructor.rateLimits);
+  }
+
+  /**
+   * Provider name used in logs and usage records
+   */
+  get provider() {
+    return this.constructor.providerName;
+  }
+
+  /**
+   * Whether the adapter has what it needs to make calls
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.apiKey && !!this.model;
+  }
+
+  /**
+   * Run a completion
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.systemPrompt - System prompt (optional)
+   * @param {number} request.temperature - Sampling temperature (default 0.5)
+   * @param {number} request.maxTokens - Max output tokens (clamped to the model limit)
+   * @param {boolean} request.json - Ask for a JSON object response
+   * @returns {Promise<{text: string, provider: string, model: string, latencyMs: number,
+   *   attempts: number, usage: {inputTokens: number, outputTokens: number}}>}
+   * @throws {ProviderError}
+   */
+  async complete(request) {
+    if (!this.isConfigured()) {
+      throw new ProviderError(`${this.provider} provider is not configured`, {
+        provider: this.provider,
+        code: ProviderError.CODES.NOT_CONFIGURED
+      });
+    }
+
+    const normalized = this.normalizeRequest(request);
+    const estimatedTokens = this.estimateTokens(normalized.systemPrompt) +
+      this.estimateTokens(normalized.prompt) + normalized.maxTokens;
+    const startedAt = Date.now();
+
+    const { parsed, attempts } = await this.send(
+      this.buildRequest(normalized),
+      estimatedTokens,
+      data => this.parseResponse(data, normalized)
+    );
+
+    return {
+      ...parsed,
+      provider: this.provider,
+      model: this.model,
+      latencyMs: Date.now() - startedAt,
+      attempts
+    };
+  }
+
+  /**
+   * POST through the rate limiter, retrying retryable failures
+   * @param {{url: string, body: Object, headers: Object}} request
+   * @param {number} estimatedTokens - Reserved from the tokens-per-minute budget
+   * @param {Function} parse - data => { ..., usage: { inputTokens, outputTokens } }
+   * @returns {Promise<{parsed: Object, attempts: number}>}
+   * @throws {ProviderError}
+   */
+  async send({ url, body, headers }, estimatedTokens, parse) {
+    const limiter = this.rateLimiter;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await limiter.schedule(estimatedTokens, () => axios.post(url, body, {
+          headers: { 'Content-Type': 'application/json', ...headers },
+          timeout: this.timeout
+        }));
+
+        const parsed = parse(response.data);
+        const usedTokens = parsed.usage ? (parsed.usage.inputTokens || 0) + (parsed.usage.outputTokens || 0) : null;
+        limiter.onSuccess(response.headers, estimatedTokens, usedTokens || null);
+
+        return { parsed, attempts: attempt };
+      } catch (error) {
+        const providerError = ProviderError.fromError(error, this.provider,
+          responseHeaders => ProviderRateLimiter.parseRateLimitHeaders(responseHeaders).retryAfterMs);
+        providerError.attempts = attempt;
+
+        const limited = providerError.code === ProviderError.CODES.RATE_LIMITED ||
+          providerError.code === ProviderError.CODES.OVERLOADED;
+        const delayMs = this.getRetryDelay(attempt, providerError.retryAfterMs);
+
+        if (limited) {
+          limiter.onRateLimited(providerError.retryAfterMs, delayMs);
+        }
+
+        if (!providerError.retryable || attempt > this.maxRetries) {
+          throw providerError;
+        }
+
+        console.warn(`⏳ ${this.provider} ${providerError.code} (attempt ${attempt}/${this.maxRetries + 1}), retrying in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Full-jitter exponential backoff, never shorter than the provider's retry-after
+   */
+  getRetryDelay(attempt, retryAfterMs = null) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    const backoff = Math.round(Math.random() * ceiling);
+    return Math.max(retryAfterMs || 0, backoff);
+  }
+
+  /**
+   * Apply defaults and token limits
+   */
+  normalizeRequest({ prompt, systemPrompt = '', temperature = 0.5, maxTokens = 1000, json = false }) {
+    const outputTokens = Math.min(maxTokens, this.capabilities.maxOutputTokens);
+
+    // Leave room for the system prompt and the answer; trim the user prompt if needed
+    const inputBudget = this.capabilities.maxContextTokens - outputTokens - this.estimateTokens(systemPrompt);
+    const maxPromptChars = Math.max(inputBudget, 0) * CHARS_PER_TOKEN;
+    const trimmedPrompt = prompt.length > maxPromptChars ? prompt.substring(0, maxPromptChars) : prompt;
+
+    return {
+      prompt: trimmedPrompt,
+      systemPrompt,
+      temperature,
+      maxTokens: outputTokens,
+      json
+    };
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * @abstract
+   * @returns {{url: string, body: Object, headers: Object}}
+   */
+  buildRequest() {
+    throw new Error('buildRequest() not implemented');
+  }
+
+  /**
+   * @abstract
+   * @returns {{text: string, usage: Object}}
+   */
+  parseResponse() {
+    throw new Error('parseResponse() not implemented');
+  }
+}
+
+BaseLLMAdapter.providerName = 'base';
+BaseLLMAdapter.defaultModel = null;
+BaseLLMAdapter.capabilities = {
+  jsonMode: false,
+  maxContextTokens: 8000,
+  maxOutputTokens: 2000
+};
+// Default limits per provider endpoint (0 = unlimited); AI_RATE_LIMITS overrides
+BaseLLMAdapter.rateLimits = {
+  requestsPerMinute: 0,
+  tokensPerMinute: 0,
+  maxConcurrency: 4
+};
+
+module.exports = BaseLLMAdapter;
@@ -0,0 +1,90 @@
+/**
+ * LLM Pricing
+ *
+ * USD per 1M tokens by model. Override or extend with AI_PRICING, a JSON
+ * object keyed by model name or "provider:model", e.g.
+ *   AI_PRICING='{"azure-openai:my-gpt4o-deployment": {"input": 2.5, "output": 10}}'
+ *
+ * Model names also match by prefix, so dated versions
+ * (gpt-4o-mini-2024-07-18) use the base model's price.
+ * Models without a price (e.g. self-hosted) cost 0 and are reported as unpriced.
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-7-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-opus': { input: 15.00, output: 75.00 },
+  // Embeddings (input only)
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.10, output: 0 },
+  // In-process local embeddings (services/embeddings/LocalEmbeddingProvider)
+  'hashing-v1': { input: 0, output: 0 }
+};
+
+let priceTable = null;
+
+function getPriceTable() {
+  if (!priceTable) {
+    let overrides = {};
+    if (process.env.AI_PRICING) {
+      try {
+        overrides = JSON.parse(process.env.AI_PRICING);
+      } catch (error) {
+        console.warn('⚠️ AI_PRICING is not valid JSON, using default prices:', error.message);
+      }
+    }
+    priceTable = { ...DEFAULT_PRICES, ...overrides };
+  }
+  return priceTable;
+}
+
+/**
+ * Price for a model
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{input: number, output: number}|null} USD per 1M tokens, null if unknown
+ */
+function getPrice(provider, model) {
+  if (!model) return null;
+  const table = getPriceTable();
+
+  const exact = table[`${provider}:${model}`] || table[model];
+  if (exact) return exact;
+
+  // Longest prefix wins so gpt-4o-mini-* doesn't match gpt-4o or gpt-4
+  const prefix = Object.keys(table)
+    .filter(key => !key.includes(':') && model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Cost of one call
+ * @returns {{costUsd: number, priced: boolean}}
+ */
+function computeCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  const price = getPrice(provider, model);
+  if (!price) {
+    return { costUsd: 0, priced: false };
+  }
+
+  const costUsd = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+  return { costUsd, priced: true };
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getPrice,
+  computeCost
+};
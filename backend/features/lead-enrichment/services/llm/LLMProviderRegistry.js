@@ -0,0 +1,155 @@
+const OpenAIAdapter = require('./OpenAIAdapter');
+const AnthropicAdapter = require('./AnthropicAdapter');
+const AzureOpenAIAdapter = require('./AzureOpenAIAdapter');
+const OpenAICompatibleAdapter = require('./OpenAICompatibleAdapter');
+const FeatureConfig = require('../../models/FeatureConfig');
+
+// Per-organization provider settings rarely change; avoid a query per request
+const ORG_CONFIG_TTL_MS = 5 * 60 * 1000;
+
+let sharedRegistry = null;
+
+/**
+ * LLM Provider Registry
+ *
+ * Maps provider names to adapter classes and resolves which adapter a
+ * request should use:
+ * 1. Explicit { provider, model } options
+ * 2. Organization feature-flag config (ai_provider, ai_model, ai_base_url)
+ * 3. Environment defaults (AI_PROVIDER, AI_MODEL)
+ *
+ * Credentials always come from the environment, never from organization config.
+ * An organization's base URL is only used when it is listed in AI_ALLOWED_BASE_URLS,
+ * so environment credentials are never sent to a URL an organization chose.
+ */
+class LLMProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.orgConfigCache = new Map();
+
+    this.register(OpenAIAdapter);
+    this.register(AnthropicAdapter);
+    this.register(AzureOpenAIAdapter);
+    this.register(OpenAICompatibleAdapter);
+  }
+
+  /**
+   * Registry shared by all services in the process
+   */
+  static getShared() {
+    if (!sharedRegistry) {
+      sharedRegistry = new LLMProviderRegistry();
+    }
+    return sharedRegistry;
+  }
+
+  /**
+   * Add or replace an adapter class under its providerName
+   */
+  register(AdapterClass) {
+    this.adapters.set(AdapterClass.providerName, AdapterClass);
+  }
+
+  has(provider) {
+    return this.adapters.has(provider);
+  }
+
+  providers() {
+    return [...this.adapters.keys()];
+  }
+
+  get defaultProvider() {
+    return process.env.AI_PROVIDER || 'openai';
+  }
+
+  /**
+   * Create an adapter
+   * @param {Object} options
+   * @param {string} options.provider - Provider name (defaults to AI_PROVIDER)
+   * @param {string} options.model - Model name (AI_MODEL applies only to the default provider)
+   * @param {string} options.baseUrl - Base URL override (openai-compatible only)
+   * @returns {BaseLLMAdapter}
+   */
+  create(options = {}) {
+    const provider = options.provider || this.defaultProvider;
+    const AdapterClass = this.adapters.get(provider);
+
+    if (!AdapterClass) {
+      throw new Error(`Unknown AI provider "${provider}". Available: ${this.providers().join(', ')}`);
+    }
+
+    const model = options.model ||
+      (provider === this.defaultProvider ? process.env.AI_MODEL : null) ||
+      undefined;
+
+    return new AdapterClass({
+      model,
+      baseUrl: provider === OpenAICompatibleAdapter.providerName ? options.baseUrl : undefined,
+      timeout: options.timeout
+    });
+  }
+
+  /**
+   * Adapter for an organization, using its feature-flag config when present.
+   * Falls back to the environment defaults if the config can't be loaded or is invalid.
+   * @param {string|null} organizationId
+   * @returns {Promise<BaseLLMAdapter>}
+   */
+  async forOrganization(organizationId) {
+    if (!organizationId) {
+      return this.create();
+    }
+
+    try {
+      const config = await this.getOrganizationConfig(organizationId);
+
+      if (config.ai_provider && !this.has(config.ai_provider)) {
+        console.warn(`⚠️ Organization ${organizationId} uses unknown AI provider "${config.ai_provider}", using default`);
+        return this.create();
+      }
+
+      return this.create({
+        provider: config.ai_provider,
+        model: config.ai_model,
+        baseUrl: LLMProviderRegistry.allowedBaseUrl(config.ai_base_url, organizationId)
+      });
+    } catch (error) {
+      console.error(`Failed to load AI config for organization ${organizationId}:`, error.message);
+      return this.create();
+    }
+  }
+
+  /**
+   * Vet an organization-configured base URL against the AI_ALLOWED_BASE_URLS allowlist
+   * (comma-separated, compared without trailing slashes)
+   * @param {string} baseUrl - URL from organization config
+   * @param {string} organizationId - For the warning log
+   * @returns {string|undefined} The URL if allowlisted; undefined falls back to the environment URL
+   */
+  static allowedBaseUrl(baseUrl, organizationId) {
+    if (!baseUrl) return undefined;
+
+    const normalize = url => String(url).trim().replace(/\/+$/, '');
+    const allowed = (process.env.AI_ALLOWED_BASE_URLS || '').split(',').map(normalize).filter(Boolean);
+
+    if (allowed.includes(normalize(baseUrl))) {
+      return normalize(baseUrl);
+    }
+
+    console.warn(`⚠️ Organization ${organizationId} base URL ${baseUrl} is not in AI_ALLOWED_BASE_URLS, using default`);
+    return undefined;
+  }
+
+  async getOrganizationConfig(organizationId) {
+    const cached = this.orgConfigCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.config;
+    }
+
+    const config = await FeatureConfig.findByOrganization(organizationId);
+    this.orgConfigCache.set(organizationId, { config, expiresAt: Date.now() + ORG_CONFIG_TTL_MS });
+    return config;
+  }
+}
+
+module.exports = LLMProviderRegistry;
@@ -0,0 +1,65 @@
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+
+/**
+ * OpenAI Chat Completions adapter
+ *
+ * Env: OPENAI_API_KEY, OPENAI_BASE_URL (optional)
+ */
+class OpenAIAdapter extends BaseLLMAdapter {
+  constructor(config = {}) {
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      baseUrl: config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    });
+  }
+
+  buildRequest({ prompt, systemPrompt, temperature, maxTokens, json }) {
+    return {
+      url: `${this.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      body: this.buildChatBody({ prompt, systemPrompt, temperature, maxTokens, json }),
+      headers: { 'Authorization': `Bearer ${this.apiKey}` }
+    };
+  }
+
+  buildChatBody({ prompt, systemPrompt, temperature, maxTokens, json }) {
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    return {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json && this.capabilities.jsonMode && { response_format: { type: 'json_object' } })
+    };
+  }
+
+  parseResponse(data) {
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+OpenAIAdapter.providerName = 'openai';
+OpenAIAdapter.defaultModel = 'gpt-4o-mini';
+OpenAIAdapter.capabilities = {
+  jsonMode: true,
+  maxContextTokens: 128000,
+  maxOutputTokens: 16384
+};
+OpenAIAdapter.rateLimits = {
+  requestsPerMinute: 500,
+  tokensPerMinute: 200000,
+  maxConcurrency: 8
+};
+
+module.exports = OpenAIAdapter;
@@ -0,0 +1,59 @@
+const OpenAIAdapter = require('./OpenAIAdapter');
+
+/**
+ * Adapter for any server exposing the OpenAI Chat Completions API
+ * (self-hosted vLLM, Ollama, LM Studio, gateways)
+ *
+ * Env: OPENAI_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1),
+ * OPENAI_COMPATIBLE_MODEL, OPENAI_COMPATIBLE_API_KEY (optional),
+ * OPENAI_COMPATIBLE_JSON_MODE (set to "false" if the server rejects response_format),
+ * OPENAI_COMPATIBLE_CONTEXT_TOKENS (optional)
+ */
+class OpenAICompatibleAdapter extends OpenAIAdapter {
+  constructor(config = {}) {
+    const contextTokens = parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_TOKENS);
+
+    super({
+      ...config,
+      apiKey: config.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || null,
+      baseUrl: config.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+      model: config.model || process.env.OPENAI_COMPATIBLE_MODEL,
+      capabilities: {
+        jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE !== 'false',
+        ...(contextTokens && { maxContextTokens: contextTokens }),
+        ...(config.capabilities || {})
+      }
+    });
+  }
+
+  /**
+   * Local servers usually run without auth; only the URL and model are required
+   */
+  isConfigured() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  buildRequest(request) {
+    const built = super.buildRequest(request);
+    if (!this.apiKey) {
+      built.headers = {};
+    }
+    return built;
+  }
+}
+
+OpenAICompatibleAdapter.providerName = 'openai-compatible';
+OpenAICompatibleAdapter.defaultModel = null;
+OpenAICompatibleAdapter.capabilities = {
+  jsonMode: true,
+  maxContextTokens: 8192,
+  maxOutputTokens: 4096
+};
+// Self-hosted servers are usually bound by GPU concurrency, not quotas
+OpenAICompatibleAdapter.rateLimits = {
+  requestsPerMinute: 0,
+  tokensPerMinute: 0,
+  maxConcurrency: 4
+};
+
+module.exports = OpenAICompatibleAdapter;
@@ -0,0 +1,107 @@
+/**
+ * Provider Error
+ *
+ * Typed failure of an LLM provider call, so callers can tell "the provider
+ * failed" apart from "the model said no".
+ */
+
+const PROVIDER_ERROR_CODE = {
+  RATE_LIMITED: 'rate_limited',
+  OVERLOADED: 'overloaded',
+  SERVER_ERROR: 'server_error',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network_error',
+  AUTH: 'auth_error',
+  BAD_REQUEST: 'bad_request',
+  NOT_CONFIGURED: 'not_configured',
+  UNKNOWN: 'unknown_error'
+};
+
+const RETRYABLE_CODES = new Set([
+  PROVIDER_ERROR_CODE.RATE_LIMITED,
+  PROVIDER_ERROR_CODE.OVERLOADED,
+  PROVIDER_ERROR_CODE.SERVER_ERROR,
+  PROVIDER_ERROR_CODE.TIMEOUT,
+  PROVIDER_ERROR_CODE.NETWORK
+]);
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider name
+   * @param {string} details.code - PROVIDER_ERROR_CODE value
+   * @param {number} details.status - HTTP status, if any
+   * @param {number} details.retryAfterMs - Provider-requested wait, if any
+   */
+  constructor(message, { provider, code = PROVIDER_ERROR_CODE.UNKNOWN, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = RETRYABLE_CODES.has(code);
+    this.attempts = 1;
+  }
+
+  /**
+   * Classify an axios (or other) error from a provider call
+   * @param {Error} error
+   * @param {string} provider
+   * @param {Function} parseRetryAfter - headers => ms|null
+   * @returns {ProviderError}
+   */
+  static fromError(error, provider, parseRetryAfter = () => null) {
+    if (error instanceof ProviderError) return error;
+
+    const status = error.response?.status || null;
+    const apiMessage = error.response?.data?.error?.message || error.response?.data?.message;
+    const message = `${provider} request failed: ${apiMessage || error.message}`;
+
+    let code = PROVIDER_ERROR_CODE.UNKNOWN;
+    if (status === 429) {
+      code = PROVIDER_ERROR_CODE.RATE_LIMITED;
+    } else if (status === 503 || status === 529) {
+      // 529 is Anthropic's "overloaded"
+      code = PROVIDER_ERROR_CODE.OVERLOADED;
+    } else if (status === 408) {
+      code = PROVIDER_ERROR_CODE.TIMEOUT;
+    } else if (status >= 500) {
+      code = PROVIDER_ERROR_CODE.SERVER_ERROR;
+    } else if (status === 401 || status === 403) {
+      code = PROVIDER_ERROR_CODE.AUTH;
+    } else if (status >= 400) {
+      code = PROVIDER_ERROR_CODE.BAD_REQUEST;
+    } else if (TIMEOUT_CODES.has(error.code)) {
+      code = PROVIDER_ERROR_CODE.TIMEOUT;
+    } else if (NETWORK_CODES.has(error.code)) {
+      code = PROVIDER_ERROR_CODE.NETWORK;
+    }
+
+    return new ProviderError(message, {
+      provider,
+      code,
+      status,
+      retryAfterMs: error.response ? parseRetryAfter(error.response.headers || {}) : null
+    });
+  }
+
+  toJSON() {
+    return {
+      provider: this.provider,
+      code: this.code,
+      status: this.status,
+      retryable: this.retryable,
+      attempts: this.attempts,
+      message: this.message
+    };
+  }
+}
+
+ProviderError.CODES = PROVIDER_ERROR_CODE;
+
+module.exports = ProviderError;
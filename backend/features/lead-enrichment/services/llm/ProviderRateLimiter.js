@@ -0,0 +1,300 @@
+/**
+ * Provider Rate Limiter
+ *
+ * Shared by every adapter talking to the same provider endpoint:
+ * - Token buckets for requests per minute and tokens per minute
+ * - A concurrency pool whose size adapts (halved on 429/overload, grown back
+ *   by one after a full window of successes)
+ * - A pause honouring retry-after and the provider's rate-limit headers
+ *
+ * Limits default per adapter (static rateLimits) and can be overridden with
+ * AI_RATE_LIMITS, a JSON object keyed by provider name, e.g.
+ *   AI_RATE_LIMITS='{"openai": {"requestsPerMinute": 5000, "tokensPerMinute": 2000000, "maxConcurrency": 20}}'
+ * A limit of 0 means unlimited.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const limiters = new Map();
+let limitOverrides = null;
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute || 0;
+    this.level = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  get unlimited() {
+    return !this.capacity;
+  }
+
+  refill(now = Date.now()) {
+    if (this.unlimited) return;
+    this.level = Math.min(this.capacity, this.level + (now - this.updatedAt) * this.capacity / MINUTE_MS);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` is available (0 = now)
+   */
+  waitFor(amount) {
+    if (this.unlimited) return 0;
+    this.refill();
+    const needed = Math.min(amount, this.capacity) - this.level;
+    return needed <= 0 ? 0 : Math.ceil(needed * MINUTE_MS / this.capacity);
+  }
+
+  take(amount) {
+    if (this.unlimited) return;
+    this.refill();
+    this.level -= Math.min(amount, this.capacity);
+  }
+
+  give(amount) {
+    if (this.unlimited) return;
+    this.refill();
+    this.level = Math.min(this.capacity, this.level + amount);
+  }
+
+  /**
+   * Sync with a provider-reported remaining count
+   */
+  cap(remaining) {
+    if (this.unlimited || remaining === null) return;
+    this.refill();
+    this.level = Math.min(this.level, remaining);
+  }
+}
+
+class ProviderRateLimiter {
+  /**
+   * @param {Object} limits
+   * @param {string} limits.name - Label for logs
+   * @param {number} limits.requestsPerMinute
+   * @param {number} limits.tokensPerMinute
+   * @param {number} limits.maxConcurrency
+   */
+  constructor({ name = 'provider', requestsPerMinute = 0, tokensPerMinute = 0, maxConcurrency = 8 } = {}) {
+    this.name = name;
+    this.requests = new TokenBucket(requestsPerMinute);
+    this.tokens = new TokenBucket(tokensPerMinute);
+    this.maxConcurrency = maxConcurrency;
+    this.concurrency = maxConcurrency;
+    this.successStreak = 0;
+    this.pausedUntil = 0;
+
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Limiter shared by all adapters for one provider endpoint
+   * @param {string} provider - Provider name (AI_RATE_LIMITS key)
+   * @param {string} endpoint - Base URL; separate servers get separate limits
+   * @param {Object} defaults - Adapter's default limits
+   * @returns {ProviderRateLimiter}
+   */
+  static forProvider(provider, endpoint, defaults = {}) {
+    const key = `${provider}|${endpoint || ''}`;
+
+    if (!limiters.has(key)) {
+      limiters.set(key, new ProviderRateLimiter({
+        name: provider,
+        ...defaults,
+        ...(getLimitOverrides()[provider] || {})
+      }));
+    }
+    return limiters.get(key);
+  }
+
+  /**
+   * Run a provider call when the pool, buckets and any pause allow it
+   * @param {number} estimatedTokens - Prompt + max output tokens
+   * @param {Function} task - Async function making the request
+   * @returns {Promise<*>} Task result
+   */
+  schedule(estimatedTokens, task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ estimatedTokens, task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start queued calls in FIFO order while capacity allows
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const now = Date.now();
+      const item = this.queue[0];
+
+      const waitMs = Math.max(
+        this.pausedUntil - now,
+        this.requests.waitFor(1),
+        this.tokens.waitFor(item.estimatedTokens)
+      );
+
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => this.pump(), waitMs);
+        return;
+      }
+
+      this.queue.shift();
+      this.run(item);
+    }
+  }
+
+  async run(item) {
+    this.active++;
+    this.requests.take(1);
+    this.tokens.take(item.estimatedTokens);
+
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  /**
+   * Successful call: sync with rate-limit headers, settle the token estimate
+   * and grow concurrency back after a full window of successes
+   */
+  onSuccess(headers = {}, estimatedTokens = 0, actualTokens = null) {
+    if (actualTokens !== null && actualTokens < estimatedTokens) {
+      this.tokens.give(estimatedTokens - actualTokens);
+    }
+
+    this.applyHeaders(headers);
+
+    this.successStreak++;
+    if (this.concurrency < this.maxConcurrency && this.successStreak >= this.concurrency) {
+      this.concurrency++;
+      this.successStreak = 0;
+    }
+  }
+
+  /**
+   * Rate limited or overloaded: halve concurrency and pause everyone
+   * @param {number|null} retryAfterMs - Provider-requested wait
+   * @param {number} fallbackMs - Pause when the provider gave no hint
+   */
+  onRateLimited(retryAfterMs, fallbackMs = 1000) {
+    const pauseMs = retryAfterMs ?? fallbackMs;
+    this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+    this.successStreak = 0;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pauseMs);
+
+    console.warn(`🚦 ${this.name} rate limited: pausing ${pauseMs}ms, concurrency now ${this.concurrency}`);
+    this.pump();
+  }
+
+  /**
+   * Use remaining/reset headers to avoid hitting the limit in the first place
+   */
+  applyHeaders(headers) {
+    const info = parseRateLimitHeaders(headers);
+
+    this.requests.cap(info.remainingRequests);
+    this.tokens.cap(info.remainingTokens);
+
+    if (info.remainingRequests === 0 && info.resetRequestsMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + info.resetRequestsMs);
+    }
+    if (info.remainingTokens === 0 && info.resetTokensMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + info.resetTokensMs);
+    }
+  }
+
+  stats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      concurrency: this.concurrency,
+      maxConcurrency: this.maxConcurrency,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+}
+
+function getLimitOverrides() {
+  if (!limitOverrides) {
+    limitOverrides = {};
+    if (process.env.AI_RATE_LIMITS) {
+      try {
+        limitOverrides = JSON.parse(process.env.AI_RATE_LIMITS);
+      } catch (error) {
+        console.warn('⚠️ AI_RATE_LIMITS is not valid JSON, using default limits:', error.message);
+      }
+    }
+  }
+  return limitOverrides;
+}
+
+/**
+ * Read rate-limit hints from OpenAI/Azure (x-ratelimit-*), Anthropic
+ * (anthropic-ratelimit-*) and standard retry-after headers
+ * @param {Object} headers - Response headers (lowercase keys)
+ * @returns {{retryAfterMs: number|null, remainingRequests: number|null, remainingTokens: number|null,
+ *   resetRequestsMs: number|null, resetTokensMs: number|null}}
+ */
+function parseRateLimitHeaders(headers = {}) {
+  const get = name => {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined || value === null || value === '' ? null : String(value);
+  };
+  const number = name => {
+    const value = get(name);
+    return value === null || isNaN(Number(value)) ? null : Number(value);
+  };
+
+  let retryAfterMs = null;
+  if (get('retry-after-ms') !== null) {
+    retryAfterMs = number('retry-after-ms');
+  } else if (get('retry-after') !== null) {
+    retryAfterMs = parseResetValue(get('retry-after'));
+  }
+
+  return {
+    retryAfterMs,
+    remainingRequests: number('x-ratelimit-remaining-requests') ?? number('anthropic-ratelimit-requests-remaining'),
+    remainingTokens: number('x-ratelimit-remaining-tokens') ?? number('anthropic-ratelimit-tokens-remaining'),
+    resetRequestsMs: parseResetValue(get('x-ratelimit-reset-requests') ?? get('anthropic-ratelimit-requests-reset')),
+    resetTokensMs: parseResetValue(get('x-ratelimit-reset-tokens') ?? get('anthropic-ratelimit-tokens-reset'))
+  };
+}
+
+/**
+ * Milliseconds until a reset given as seconds, a duration ("6m0s", "120ms")
+ * or a timestamp (RFC 3339 / HTTP date)
+ */
+function parseResetValue(value) {
+  if (value === null || value === undefined) return null;
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.ceil(Number(value) * 1000);
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+  if (parts.length > 0 && parts.map(p => p[0]).join('') === value) {
+    return Math.ceil(parts.reduce((sum, [, amount, unit]) => sum + Number(amount) * units[unit], 0));
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+ProviderRateLimiter.parseRateLimitHeaders = parseRateLimitHeaders;
+
+module.exports = ProviderRateLimiter;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const AIResponseCache = require('../../models/AIResponseCache');
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Response Cache
+ *
+ * Per-request view of the AI response cache. Entries are keyed by a hash of
+ * provider, model, system prompt, user prompt and generation parameters, and
+ * namespaced per organization so one tenant never reads another's answers.
+ *
+ * Cache failures are treated as misses; they never fail the AI call.
+ *
+ * TTL: AI_RESPONSE_CACHE_TTL_SECONDS (default 7 days, 0 disables the cache)
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.organizationId - Namespace owner ('global' when absent)
+   * @param {boolean} options.bypass - Skip reads for this request (fresh answers are still stored)
+   * @param {number} options.ttlSeconds - Entry lifetime
+   */
+  constructor({ organizationId = null, bypass = false, ttlSeconds } = {}) {
+    this.namespace = organizationId ? `org:${organizationId}` : 'global';
+    this.bypass = bypass;
+    this.ttlSeconds = ttlSeconds ?? parseInt(process.env.AI_RESPONSE_CACHE_TTL_SECONDS || String(DEFAULT_TTL_SECONDS));
+    this.counts = { hits: 0, misses: 0, bypassed: 0, writes: 0, errors: 0 };
+  }
+
+  get enabled() {
+    return this.ttlSeconds > 0;
+  }
+
+  /**
+   * Cache key for a completion request
+   * @param {Object} request - { provider, model, systemPrompt, prompt, temperature, maxTokens, json }
+   * @returns {string} sha256 hex
+   */
+  buildKey({ provider, model, systemPrompt = '', prompt, temperature, maxTokens, json = false }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, model, systemPrompt, prompt, temperature, maxTokens, !!json]))
+      .digest('hex');
+  }
+
+  /**
+   * @returns {Promise<{text: string, usage: Object}|null>} Cached response or null on miss/bypass
+   */
+  async get(request) {
+    if (!this.enabled) return null;
+
+    if (this.bypass) {
+      this.counts.bypassed++;
+      return null;
+    }
+
+    try {
+      const entry = await AIResponseCache.find(this.namespace, this.buildKey(request));
+      if (!entry) {
+        this.counts.misses++;
+        return null;
+      }
+
+      this.counts.hits++;
+      return { text: entry.response, usage: entry.usage || {} };
+    } catch (error) {
+      this.counts.errors++;
+      this.counts.misses++;
+      return null;
+    }
+  }
+
+  async set(request, { text, usage }) {
+    if (!this.enabled) return;
+
+    try {
+      await AIResponseCache.upsert({
+        namespace: this.namespace,
+        cacheKey: this.buildKey(request),
+        provider: request.provider,
+        model: request.model,
+        response: text,
+        usage,
+        ttlSeconds: this.ttlSeconds
+      });
+      this.counts.writes++;
+    } catch (error) {
+      this.counts.errors++;
+    }
+  }
+
+  /**
+   * Drop a cached response, e.g. one that later failed schema validation
+   */
+  async delete(request) {
+    if (!this.enabled) return;
+
+    try {
+      await AIResponseCache.delete(this.namespace, this.buildKey(request));
+    } catch (error) {
+      this.counts.errors++;
+    }
+  }
+
+  /**
+   * Counts for the response metadata
+   */
+  stats() {
+    return { enabled: this.enabled, ...this.counts };
+  }
+}
+
+module.exports = ResponseCache;
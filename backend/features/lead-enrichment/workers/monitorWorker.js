@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Website monitor worker
+ *
+ * Usage:
+ *   node monitorWorker.js [--once] [--interval 300] [--limit 20]
+ *
+ * Checks every monitor whose next check is due. By default it polls every
+ * --interval seconds until it gets SIGINT/SIGTERM, finishing the run in
+ * progress first. --once runs a single pass and exits, for cron.
+ *
+ * Several workers can run side by side; each due monitor is claimed by one.
+ */
+
+const WebsiteMonitorService = require('../services/WebsiteMonitorService');
+
+const DEFAULT_INTERVAL_SECONDS = 300;
+const DEFAULT_LIMIT = 20;
+
+function parseArgs(argv) {
+  const args = { once: false, interval: DEFAULT_INTERVAL_SECONDS, limit: DEFAULT_LIMIT };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--once') args.once = true;
+    else if (flag === '--interval') args.interval = parseInt(argv[++i]);
+    else if (flag === '--limit') args.limit = parseInt(argv[++i]);
+    else throw new Error(`Unknown argument "${flag}"`);
+  }
+
+  if (!(args.interval > 0) || !(args.limit > 0)) {
+    throw new Error('--interval and --limit must be positive integers');
+  }
+  return args;
+}
+
+async function runOnce(service, limit) {
+  const startedAt = Date.now();
+  const summary = await service.runDueChecks(limit);
+
+  if (summary.checked > 0 || summary.failed > 0) {
+    console.log(`🔭 Monitor run: ${summary.checked} checked, ${summary.failed} failed, ` +
+      `${summary.changes} changes in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+  }
+  return summary;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const service = new WebsiteMonitorService();
+
+  if (args.once) {
+    const summary = await runOnce(service, args.limit);
+    if (summary.failed > 0) process.exitCode = 1;
+    return;
+  }
+
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`🔭 Monitor worker polling every ${args.interval}s`);
+
+  while (!stopping) {
+    try {
+      // A full batch means more monitors may be due; go again without waiting
+      const summary = await runOnce(service, args.limit);
+      if (summary.checked + summary.failed >= args.limit) continue;
+    } catch (error) {
+      console.error('Monitor run failed:', error.message);
+    }
+
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, args.interval * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    wake = null;
+  }
+
+  console.log('🔭 Monitor worker stopped');
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  // The shared database pool keeps the event loop alive
+  .finally(() => process.exit());